@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+const { parseArgs } = require('util');
+const { createMockService } = require('../mao.mock.service');
+const { readDataFile } = require('../lib/files');
+const { chaosProfiles } = require('../lib/profiles');
+
+const usage = `Usage: mao-mock serve [options]
+
+Runs the mock service on its own http, https or http2 server. MOCK_* environment variables work as usual.
+
+Options:
+  --port <n>          Port to listen on (default: $PORT or 8080, 0 picks a free port)
+  --host <addr>       Address to bind (default: all interfaces)
+  --config <file>     JSON or YAML file of config keys, applied on top of the profile
+  --profile <name>    Chaos profile: ${Object.keys(chaosProfiles).join(', ')} (default: realistic)
+  --tls-cert <file>   PEM certificate, serves https (requires --tls-key)
+  --tls-key <file>    PEM private key
+  --http2             Serve HTTP/2 (h2 with HTTP/1.1 fallback when TLS is set, otherwise h2c)
+  -h, --help          Show this help`;
+
+function fail(message) {
+  console.error(`mao-mock: ${message}\n\n${usage}`);
+  process.exit(2);
+}
+
+async function serve(values) {
+  const port = values.port !== undefined ? Number(values.port) : Number(process.env.PORT || 8080);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    fail(`--port must be an integer between 0 and 65535, got "${values.port}"`);
+  }
+
+  let service;
+  try {
+    service = createMockService({
+      profile: values.profile,
+      config: values.config ? readDataFile(values.config) : undefined
+    });
+  } catch (error) {
+    fail(error.message);
+  }
+
+  const { url, protocol } = await service.listen({
+    port,
+    host: values.host,
+    tlsCert: values['tls-cert'],
+    tlsKey: values['tls-key'],
+    http2: values.http2
+  });
+  console.log(`mao-mock listening on ${url} (${protocol}, profile ${values.profile || 'realistic'})`);
+
+  const shutdown = signal => {
+    console.log(`mao-mock received ${signal}, shutting down`);
+    service.close().then(() => process.exit(0));
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+}
+
+function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        port: { type: 'string' },
+        host: { type: 'string' },
+        config: { type: 'string' },
+        profile: { type: 'string' },
+        'tls-cert': { type: 'string' },
+        'tls-key': { type: 'string' },
+        http2: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    fail(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    console.log(usage);
+    return;
+  }
+  if (positionals[0] !== 'serve' || positionals.length > 1) {
+    fail(positionals.length ? `Unknown command: ${positionals.join(' ')}` : 'Missing command');
+  }
+  if (!!values['tls-cert'] !== !!values['tls-key']) {
+    fail('--tls-cert and --tls-key must be given together');
+  }
+
+  serve(values).catch(error => {
+    console.error(`mao-mock: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+main(process.argv.slice(2));
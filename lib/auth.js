@@ -0,0 +1,379 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { readDataFile } = require('./files');
+const { compilePathPattern } = require('./match');
+
+const realm = 'mao-mock';
+const supportedAlgorithms = ['HS256', 'RS256'];
+const authSchemes = ['api_key', 'jwt'];
+
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+const base64url = value => Buffer.from(value).toString('base64url');
+
+// Scopes from a JWT: space-separated "scope" or an "scp" array
+function tokenScopes(claims) {
+  if (typeof claims.scope === 'string') return claims.scope.split(' ').filter(Boolean);
+  if (Array.isArray(claims.scp)) return claims.scp.map(String);
+  return [];
+}
+
+// Load and check the auth settings, returns { errors } or { settings } with keys turned into KeyObjects
+function loadSettings(document) {
+  if (!isPlainObject(document)) {
+    return { errors: ['Auth settings must be an object'] };
+  }
+  const errors = [];
+
+  const apiKeys = document.apiKeys || [];
+  if (!Array.isArray(apiKeys)) {
+    errors.push('apiKeys must be a list');
+  } else {
+    apiKeys.forEach((entry, index) => {
+      if (!isPlainObject(entry) || typeof entry.key !== 'string' || entry.key === '') {
+        errors.push(`apiKeys[${index}].key must be a non-empty string`);
+      }
+    });
+  }
+
+  const jwt = document.jwt || {};
+  const keys = [];
+  (jwt.keys || []).forEach((entry, index) => {
+    const label = `jwt.keys[${index}]`;
+    if (!isPlainObject(entry) || typeof entry.kid !== 'string' || !supportedAlgorithms.includes(entry.alg)) {
+      errors.push(`${label} needs a kid and an alg of ${supportedAlgorithms.join(' or ')}`);
+      return;
+    }
+    try {
+      if (entry.alg === 'HS256') {
+        if (typeof entry.secret !== 'string' || entry.secret.length < 16) {
+          errors.push(`${label}.secret must be a string of at least 16 characters`);
+          return;
+        }
+        keys.push({ kid: entry.kid, alg: 'HS256', secret: Buffer.from(entry.secret) });
+      } else if (entry.generate) {
+        // Throwaway key pair; the public half is published at /.well-known/jwks.json
+        const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        keys.push({ kid: entry.kid, alg: 'RS256', publicKey, privateKey });
+      } else {
+        const readPem = (inline, file) => inline || (file ? fs.readFileSync(file, 'utf8') : null);
+        const publicPem = readPem(entry.publicKey, entry.publicKeyFile);
+        const privatePem = readPem(entry.privateKey, entry.privateKeyFile);
+        if (!publicPem && !privatePem) {
+          errors.push(`${label} needs publicKey(File), privateKey(File) or generate: true`);
+          return;
+        }
+        const privateKey = privatePem ? crypto.createPrivateKey(privatePem) : null;
+        const publicKey = publicPem ? crypto.createPublicKey(publicPem) : crypto.createPublicKey(privateKey);
+        keys.push({ kid: entry.kid, alg: 'RS256', publicKey, privateKey });
+      }
+    } catch (error) {
+      errors.push(`${label}: ${error.message}`);
+    }
+  });
+
+  const oauth = document.oauth || null;
+  let signingKey = null;
+  if (oauth) {
+    if (!Array.isArray(oauth.clients) || oauth.clients.some(client =>
+      !isPlainObject(client) || typeof client.clientId !== 'string' || typeof client.clientSecret !== 'string')) {
+      errors.push('oauth.clients must be a list of { clientId, clientSecret, scopes }');
+    }
+    signingKey = oauth.signingKey !== undefined ?
+      keys.find(key => key.kid === oauth.signingKey) :
+      keys.find(key => key.alg === 'HS256' || key.privateKey);
+    if (!signingKey || (signingKey.alg === 'RS256' && !signingKey.privateKey)) {
+      errors.push('oauth.signingKey must name a jwt key that can sign (HS256, or RS256 with a private key)');
+    }
+  }
+
+  const routes = document.routes || [];
+  if (!Array.isArray(routes)) {
+    errors.push('routes must be a list');
+  } else {
+    routes.forEach((route, index) => {
+      const label = `routes[${index}]`;
+      if (!isPlainObject(route) || typeof route.path !== 'string' || !route.path.startsWith('/')) {
+        errors.push(`${label}.path must be a path starting with /`);
+        return;
+      }
+      const schemes = route.auth === undefined ? authSchemes : [].concat(route.auth);
+      if (schemes.length === 0 || schemes.some(scheme => !authSchemes.includes(scheme))) {
+        errors.push(`${label}.auth must list schemes from: ${authSchemes.join(', ')}`);
+      }
+      if (route.scopes !== undefined && !Array.isArray(route.scopes)) {
+        errors.push(`${label}.scopes must be a list`);
+      }
+    });
+  }
+
+  if (errors.length) return { errors };
+  return {
+    settings: {
+      apiKeys,
+      jwt: {
+        issuer: jwt.issuer || null,
+        audience: jwt.audience || null,
+        clockSkewSec: jwt.clockSkewSec !== undefined ? jwt.clockSkewSec : 30,
+        keys
+      },
+      oauth: oauth && {
+        clients: oauth.clients,
+        tokenTtlSec: oauth.tokenTtlSec || 300,
+        signingKey
+      },
+      routes: routes.map(route => ({
+        method: route.method ? route.method.toUpperCase() : null,
+        path: route.path,
+        matchPath: compilePathPattern(route.path),
+        schemes: route.auth === undefined ? authSchemes : [].concat(route.auth),
+        scopes: route.scopes || []
+      }))
+    }
+  };
+}
+
+function signJwt(claims, key) {
+  const header = base64url(JSON.stringify({ alg: key.alg, typ: 'JWT', kid: key.kid }));
+  const payload = base64url(JSON.stringify(claims));
+  const input = `${header}.${payload}`;
+  const signature = key.alg === 'HS256' ?
+    crypto.createHmac('sha256', key.secret).update(input).digest() :
+    crypto.sign('RSA-SHA256', Buffer.from(input), key.privateKey);
+  return `${input}.${signature.toString('base64url')}`;
+}
+
+// Verify a compact JWT, returns { claims } or { reason, description }
+function verifyJwt(token, jwtSettings) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return { reason: 'malformed_token', description: 'Token is not a JWT' };
+  }
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    return { reason: 'malformed_token', description: 'Token header or payload is not valid JSON' };
+  }
+  if (!isPlainObject(header) || !isPlainObject(claims)) {
+    return { reason: 'malformed_token', description: 'Token header and payload must be JSON objects' };
+  }
+  if (!supportedAlgorithms.includes(header.alg)) {
+    return { reason: 'unsupported_algorithm', description: `Algorithm ${header.alg} is not accepted` };
+  }
+
+  const candidates = jwtSettings.keys.filter(key => key.alg === header.alg && (!header.kid || key.kid === header.kid));
+  const input = Buffer.from(`${parts[0]}.${parts[1]}`);
+  const signature = Buffer.from(parts[2], 'base64url');
+  const valid = candidates.some(key => {
+    if (key.alg === 'HS256') {
+      const expected = crypto.createHmac('sha256', key.secret).update(input).digest();
+      return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+    }
+    return crypto.verify('RSA-SHA256', input, key.publicKey, signature);
+  });
+  if (!valid) {
+    return { reason: 'invalid_signature', description: 'Token signature does not verify' };
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const skew = jwtSettings.clockSkewSec;
+  if (typeof claims.exp === 'number' && now - skew >= claims.exp) {
+    return { reason: 'token_expired', description: 'Token has expired' };
+  }
+  if (typeof claims.nbf === 'number' && now + skew < claims.nbf) {
+    return { reason: 'token_not_yet_valid', description: 'Token is not valid yet' };
+  }
+  if (jwtSettings.issuer && claims.iss !== jwtSettings.issuer) {
+    return { reason: 'invalid_issuer', description: `Token issuer must be ${jwtSettings.issuer}` };
+  }
+  if (jwtSettings.audience && ![].concat(claims.aud).includes(jwtSettings.audience)) {
+    return { reason: 'invalid_audience', description: `Token audience must include ${jwtSettings.audience}` };
+  }
+  return { claims };
+}
+
+// Auth simulation configured from MOCK_AUTH_FILE (JSON or YAML): API keys, JWTs and OAuth2 client credentials
+function createAuth({ filePath }) {
+  const loaded = loadSettings(readDataFile(filePath));
+  if (loaded.errors) {
+    throw new Error(`Invalid auth settings in ${filePath}: ${loaded.errors.join('; ')}`);
+  }
+  const { settings } = loaded;
+
+  const errorBody = (requestId, message, type, extra) => ({
+    status: 'error',
+    message,
+    timestamp: new Date().toISOString(),
+    requestId,
+    error_type: type,
+    ...extra
+  });
+
+  function challenge(schemes, error, description, scope) {
+    const challenges = [];
+    if (schemes.includes('jwt')) {
+      let bearer = `Bearer realm="${realm}"`;
+      if (error) bearer += `, error="${error}", error_description="${description}"`;
+      if (scope) bearer += `, scope="${scope}"`;
+      challenges.push(bearer);
+    }
+    if (schemes.includes('api_key')) {
+      challenges.push(`ApiKey realm="${realm}", header="X-API-Key"`);
+    }
+    return challenges.join(', ');
+  }
+
+  function unauthorized(route, requestId, reason, description) {
+    const error = reason === 'missing_credentials' ? null : 'invalid_token';
+    return {
+      status: 401,
+      headers: { 'WWW-Authenticate': challenge(route.schemes, error, description) },
+      body: errorBody(requestId, description, 'unauthorized', { reason })
+    };
+  }
+
+  // Check the credentials of a request. Returns null for unprotected routes, { principal } when allowed,
+  // or { response } with a 401/403. rejectValid() is asked once credentials check out (auth chaos).
+  function authorize(req, requestId, { rejectValid } = {}) {
+    const method = req.method.toUpperCase();
+    const route = settings.routes.find(candidate =>
+      (!candidate.method || candidate.method === method) && candidate.matchPath(req.path || '/'));
+    if (!route) return null;
+
+    let principal = null;
+    const apiKey = req.headers['x-api-key'];
+    const authorization = req.headers.authorization || '';
+    const bearer = /^Bearer\s+(.+)$/i.exec(authorization);
+
+    if (route.schemes.includes('api_key') && apiKey !== undefined) {
+      const entry = settings.apiKeys.find(candidate => candidate.key === apiKey);
+      if (!entry) {
+        return { response: unauthorized(route, requestId, 'invalid_api_key', 'API key is not valid') };
+      }
+      principal = { scheme: 'api_key', subject: entry.name || 'api-key', scopes: entry.scopes || [] };
+    } else if (route.schemes.includes('jwt') && bearer) {
+      const result = verifyJwt(bearer[1].trim(), settings.jwt);
+      if (!result.claims) {
+        return { response: unauthorized(route, requestId, result.reason, result.description) };
+      }
+      principal = { scheme: 'jwt', subject: result.claims.sub || null, scopes: tokenScopes(result.claims) };
+    } else {
+      return { response: unauthorized(route, requestId, 'missing_credentials', 'Authentication required') };
+    }
+
+    if (rejectValid && rejectValid()) {
+      return { response: unauthorized(route, requestId, 'rejected', 'Credentials rejected (simulated)') };
+    }
+
+    const missing = route.scopes.filter(scope => !principal.scopes.includes(scope));
+    if (missing.length) {
+      const scope = route.scopes.join(' ');
+      return {
+        response: {
+          status: 403,
+          headers: { 'WWW-Authenticate': challenge(['jwt'], 'insufficient_scope', 'Missing required scopes', scope) },
+          body: errorBody(requestId, `Missing required scopes: ${missing.join(', ')}`, 'insufficient_scope', {
+            required_scopes: route.scopes
+          })
+        }
+      };
+    }
+    return { principal };
+  }
+
+  // OAuth2 client-credentials grant (RFC 6749 section 4.4); errors carry the RFC "error" field too
+  function issueToken(req, requestId) {
+    const oauthError = (status, error, description, headers) => ({
+      status,
+      headers: { 'Cache-Control': 'no-store', ...headers },
+      body: errorBody(requestId, description, error, { error, error_description: description })
+    });
+    if (!settings.oauth) {
+      return oauthError(404, 'not_found', 'No OAuth clients configured');
+    }
+
+    const params = isPlainObject(req.body) ? req.body : {};
+    let clientId = params.client_id;
+    let clientSecret = params.client_secret;
+    const basic = /^Basic\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (basic) {
+      const credentials = Buffer.from(basic[1], 'base64').toString('utf8');
+      const separator = credentials.indexOf(':');
+      try {
+        clientId = decodeURIComponent(separator === -1 ? credentials : credentials.slice(0, separator));
+        clientSecret = decodeURIComponent(separator === -1 ? '' : credentials.slice(separator + 1));
+      } catch (error) {
+        return oauthError(401, 'invalid_client', 'Client credentials are not valid form-encoded values', {
+          'WWW-Authenticate': `Basic realm="${realm}"`
+        });
+      }
+    }
+
+    if (params.grant_type !== 'client_credentials') {
+      return oauthError(400, 'unsupported_grant_type', 'Only grant_type=client_credentials is supported');
+    }
+    const client = settings.oauth.clients.find(candidate => candidate.clientId === clientId);
+    if (!client || client.clientSecret !== clientSecret) {
+      return oauthError(401, 'invalid_client', 'Client authentication failed', {
+        'WWW-Authenticate': `Basic realm="${realm}"`
+      });
+    }
+
+    const allowed = client.scopes || [];
+    const requested = typeof params.scope === 'string' ? params.scope.split(' ').filter(Boolean) : allowed;
+    const denied = requested.filter(scope => !allowed.includes(scope));
+    if (denied.length) {
+      return oauthError(400, 'invalid_scope', `Scopes not allowed for this client: ${denied.join(', ')}`);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const ttl = client.tokenTtlSec || settings.oauth.tokenTtlSec;
+    const claims = {
+      sub: client.clientId,
+      iat: now,
+      nbf: now,
+      exp: now + ttl,
+      scope: requested.join(' '),
+      jti: crypto.randomUUID()
+    };
+    if (settings.jwt.issuer) claims.iss = settings.jwt.issuer;
+    if (settings.jwt.audience) claims.aud = settings.jwt.audience;
+
+    return {
+      status: 200,
+      headers: { 'Cache-Control': 'no-store' },
+      body: {
+        access_token: signJwt(claims, settings.oauth.signingKey),
+        token_type: 'Bearer',
+        expires_in: ttl,
+        scope: claims.scope
+      }
+    };
+  }
+
+  // Public RS256 keys as a JWK set
+  function jwks() {
+    return {
+      keys: settings.jwt.keys
+        .filter(key => key.alg === 'RS256')
+        .map(key => ({ ...key.publicKey.export({ format: 'jwk' }), kid: key.kid, alg: 'RS256', use: 'sig' }))
+    };
+  }
+
+  function describe() {
+    return {
+      file: filePath,
+      api_keys: settings.apiKeys.length,
+      jwt_keys: settings.jwt.keys.map(key => ({ kid: key.kid, alg: key.alg })),
+      oauth_clients: settings.oauth ? settings.oauth.clients.length : 0,
+      protected_routes: settings.routes.map(route => `${route.method || '*'} ${route.path}`)
+    };
+  }
+
+  return { authorize, issueToken, jwks, describe };
+}
+
+module.exports = { createAuth, signJwt, verifyJwt };
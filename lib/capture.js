@@ -0,0 +1,44 @@
+// Route handlers answer through res.status/set/json/send/end. captureResponse swaps those for
+// recorders, collects the response as { status, headers, body } and hands it to onResult once.
+// Returns restore(), which puts the real methods back (e.g. to send something else instead).
+const capturedMethods = ['status', 'set', 'json', 'send', 'end'];
+
+function captureResponse(res, onResult) {
+  const originals = capturedMethods.map(name => [name, Object.prototype.hasOwnProperty.call(res, name), res[name]]);
+  const captured = { status: 200, headers: {}, body: null };
+  let done = false;
+  const finish = body => {
+    if (done) return res;
+    done = true;
+    captured.body = body === undefined ? null : body;
+    onResult(captured);
+    return res;
+  };
+  res.status = code => {
+    captured.status = code;
+    return res;
+  };
+  res.set = (name, value) => {
+    if (typeof name === 'object') {
+      Object.assign(captured.headers, name);
+    } else {
+      captured.headers[name] = value;
+    }
+    return res;
+  };
+  res.json = finish;
+  res.send = body => finish(Buffer.isBuffer(body) ? body.toString('utf8') : body);
+  res.end = () => finish(null);
+
+  return function restore() {
+    for (const [name, own, method] of originals) {
+      if (own) {
+        res[name] = method;
+      } else {
+        delete res[name];
+      }
+    }
+  };
+}
+
+module.exports = { captureResponse };
@@ -0,0 +1,12 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// Read a JSON or YAML data file, picked by extension
+function readDataFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+  return extension === '.yaml' || extension === '.yml' ? yaml.load(text) : JSON.parse(text);
+}
+
+module.exports = { readDataFile };
@@ -0,0 +1,306 @@
+const { readDataFile } = require('./files');
+const { mulberry32 } = require('./random');
+
+const maxGenerateCount = 1000;
+const maxArrayLength = 100;
+const maxValuesPerRecord = 1000; // values all (nested) arrays of one record may produce together
+const defaultSeed = 'mao-mock';
+
+// Product name vocabulary. Entries line up across locales so a record's names are translations of each other;
+// the adjectives are used uninflected, which keeps every pattern grammatical.
+const vocabulary = {
+  adjectives: {
+    en: ['Modern', 'Classic', 'Sturdy', 'Practical', 'Minimalist', 'Ergonomic', 'Durable', 'Comfortable'],
+    de: ['modern', 'klassisch', 'robust', 'praktisch', 'minimalistisch', 'ergonomisch', 'langlebig', 'bequem'],
+    fr: ['moderne', 'classique', 'robuste', 'pratique', 'minimaliste', 'ergonomique', 'durable', 'confortable'],
+    nl: ['modern', 'klassiek', 'robuust', 'praktisch', 'minimalistisch', 'ergonomisch', 'duurzaam', 'comfortabel']
+  },
+  materials: {
+    en: ['Oak', 'Steel', 'Bamboo', 'Linen', 'Ceramic', 'Leather', 'Glass', 'Wool'],
+    de: ['Eiche', 'Stahl', 'Bambus', 'Leinen', 'Keramik', 'Leder', 'Glas', 'Wolle'],
+    fr: ['chêne', 'acier', 'bambou', 'lin', 'céramique', 'cuir', 'verre', 'laine'],
+    nl: ['eikenhout', 'staal', 'bamboe', 'linnen', 'keramiek', 'leer', 'glas', 'wol']
+  },
+  nouns: {
+    en: ['Chair', 'Lamp', 'Table', 'Shelf', 'Vase', 'Basket', 'Cushion', 'Bowl', 'Stool', 'Mirror', 'Rug', 'Bench'],
+    de: ['Stuhl', 'Lampe', 'Tisch', 'Regal', 'Vase', 'Korb', 'Kissen', 'Schale', 'Hocker', 'Spiegel', 'Teppich', 'Bank'],
+    fr: ['Chaise', 'Lampe', 'Table', 'Étagère', 'Vase', 'Panier', 'Coussin', 'Bol', 'Tabouret', 'Miroir', 'Tapis', 'Banc'],
+    nl: ['Stoel', 'Lamp', 'Tafel', 'Plank', 'Vaas', 'Mand', 'Kussen', 'Schaal', 'Kruk', 'Spiegel', 'Vloerkleed', 'Bank']
+  }
+};
+const namePatterns = {
+  en: (adjective, material, noun) => `${adjective} ${material} ${noun}`,
+  de: (adjective, material, noun) => `${noun} aus ${material}, ${adjective}`,
+  fr: (adjective, material, noun) => `${noun} en ${material} ${adjective}`,
+  nl: (adjective, material, noun) => `${noun} van ${material}, ${adjective}`
+};
+const locales = Object.keys(namePatterns);
+
+// GS1 prefixes of a few European and US member organisations
+const eanPrefixes = ['400', '401', '402', '300', '350', '540', '560', '800', '840', '871', '872'];
+
+const integer = (random, min, max) => min + Math.floor(random() * (max - min + 1));
+const pick = (random, values) => values[Math.floor(random() * values.length)];
+const letters = (random, count) => Array.from({ length: count }, () => String.fromCharCode(65 + integer(random, 0, 25))).join('');
+const digits = (random, count) => Array.from({ length: count }, () => integer(random, 0, 9)).join('');
+const toIso = ms => new Date(Math.floor(ms / 1000) * 1000).toISOString().replace('.000Z', 'Z');
+
+// min/max checks shared by the numeric generators; defaults are the bounds generate falls back to
+function validateRange(spec, defaults, { integers = false } = {}) {
+  const problems = ['min', 'max']
+    .filter(bound => spec[bound] !== undefined && !(integers ? Number.isInteger(spec[bound]) : Number.isFinite(spec[bound])))
+    .map(bound => `${bound} must be ${integers ? 'an integer' : 'a number'}`);
+  if (problems.length) return problems;
+  const min = spec.min !== undefined ? spec.min : defaults.min;
+  const max = spec.max !== undefined ? spec.max : defaults.max;
+  return min > max ? [`min (${min}) must not be greater than max (${max})`] : [];
+}
+
+// Field generators: (spec, context) -> value, where context is { random, index, record }.
+// record holds the sibling fields generated so far.
+const generators = {
+  sku: {
+    generate: (spec, { random }) => `${spec.prefix || letters(random, 2)}-${digits(random, spec.digits || 5)}`
+  },
+  ean13: {
+    // 12 digits plus the GS1 check digit (weights 1 and 3 from the left)
+    generate: (spec, { random }) => {
+      const prefix = String(spec.prefix || pick(random, eanPrefixes));
+      const body = prefix + digits(random, 12 - prefix.length);
+      const sum = [...body].reduce((total, digit, i) => total + Number(digit) * (i % 2 ? 3 : 1), 0);
+      return body + ((10 - (sum % 10)) % 10);
+    },
+    validate: spec => (spec.prefix !== undefined && !/^\d{1,11}$/.test(String(spec.prefix)) ? ['prefix must be 1 to 11 digits'] : [])
+  },
+  product_name: {
+    // One name per locale ({ en, de, ... }), or a string when a single locale is given
+    generate: (spec, { random }) => {
+      const adjective = integer(random, 0, vocabulary.adjectives.en.length - 1);
+      const material = integer(random, 0, vocabulary.materials.en.length - 1);
+      const noun = integer(random, 0, vocabulary.nouns.en.length - 1);
+      const nameIn = locale => namePatterns[locale](
+        vocabulary.adjectives[locale][adjective],
+        vocabulary.materials[locale][material],
+        vocabulary.nouns[locale][noun]
+      );
+      if (spec.locale) return nameIn(spec.locale);
+      return Object.fromEntries((spec.locales || ['en', 'de', 'fr']).map(locale => [locale, nameIn(locale)]));
+    },
+    validate: spec => [...(spec.locales || []), ...(spec.locale ? [spec.locale] : [])]
+      .filter(locale => !locales.includes(locale))
+      .map(locale => `unsupported locale ${locale} (use ${locales.join(', ')})`)
+  },
+  price: {
+    // Shop-style prices: whole amount plus .99, .95, .49 or .00
+    generate: (spec, { random }) => {
+      const min = spec.min !== undefined ? spec.min : 1;
+      const max = spec.max !== undefined ? spec.max : 500;
+      const cents = pick(random, [99, 95, 49, 0]);
+      return {
+        amount: Number((integer(random, Math.floor(min), Math.max(Math.floor(min), Math.ceil(max) - 1)) + cents / 100).toFixed(2)),
+        currency: pick(random, spec.currencies || ['EUR'])
+      };
+    },
+    validate: spec => validateRange(spec, { min: 1, max: 500 })
+  },
+  stock: {
+    // Units per warehouse, some of them out of stock
+    generate: (spec, { random }) => {
+      const outOfStockChance = spec.outOfStockChance !== undefined ? spec.outOfStockChance : 0.1;
+      return Object.fromEntries((spec.warehouses || ['AMS', 'BER', 'MAD']).map(warehouse =>
+        [warehouse, random() < outOfStockChance ? 0 : integer(random, 1, spec.max || 500)]));
+    }
+  },
+  timestamp: {
+    // Between from and to (fixed dates, not "now", so records never change); after: a sibling timestamp field
+    generate: (spec, { random, record }) => {
+      const to = Date.parse(spec.to || '2025-12-31T23:59:59Z');
+      const from = spec.after && record[spec.after] ? Date.parse(record[spec.after]) : Date.parse(spec.from || '2023-01-01T00:00:00Z');
+      return toIso(from + random() * Math.max(0, to - from));
+    },
+    validate: spec => ['from', 'to']
+      .filter(key => spec[key] !== undefined && Number.isNaN(Date.parse(spec[key])))
+      .map(key => `${key} must be a date`)
+  },
+  integer: {
+    generate: (spec, { random }) => integer(random, spec.min || 0, spec.max !== undefined ? spec.max : 100),
+    validate: spec => validateRange(spec, { min: 0, max: 100 }, { integers: true })
+  },
+  number: {
+    generate: (spec, { random }) => {
+      const min = spec.min || 0;
+      const max = spec.max !== undefined ? spec.max : 1;
+      return Number((min + random() * (max - min)).toFixed(spec.decimals !== undefined ? spec.decimals : 2));
+    },
+    validate: spec => [
+      ...validateRange(spec, { min: 0, max: 1 }),
+      ...(spec.decimals !== undefined && !(Number.isInteger(spec.decimals) && spec.decimals >= 0 && spec.decimals <= 20) ?
+        ['decimals must be an integer between 0 and 20'] : [])
+    ]
+  },
+  boolean: {
+    generate: (spec, { random }) => random() < (spec.chance !== undefined ? spec.chance : 0.5)
+  },
+  pick: {
+    generate: (spec, { random }) => pick(random, spec.values),
+    validate: spec => (Array.isArray(spec.values) && spec.values.length ? [] : ['values must be a non-empty list'])
+  },
+  uuid: {
+    generate: (spec, { random }) => {
+      const hex = Array.from({ length: 32 }, () => integer(random, 0, 15).toString(16));
+      hex[12] = '4';
+      hex[16] = (8 + integer(random, 0, 3)).toString(16);
+      const text = hex.join('');
+      return `${text.slice(0, 8)}-${text.slice(8, 12)}-${text.slice(12, 16)}-${text.slice(16, 20)}-${text.slice(20)}`;
+    }
+  },
+  index: {
+    generate: (spec, { index }) => index + (spec.start || 0)
+  },
+  constant: {
+    generate: spec => spec.value
+  },
+  object: {
+    generate: (spec, context) => generateFields(spec.fields, context.seed, context.index, context.path),
+    validate: (spec, label, repeat) => validateFields(spec.fields, `${label}.fields`, repeat)
+  },
+  array: {
+    generate: (spec, context) => {
+      const length = integer(context.random, spec.min !== undefined ? spec.min : 1, spec.max !== undefined ? spec.max : 3);
+      return Array.from({ length }, (unused, i) => generateValue(spec.of, context.seed, context.index, `${context.path}[${i}]`, {}));
+    },
+    // Lengths are capped per array and, through repeat (the product of the enclosing arrays' max), per record
+    validate: (spec, label, repeat) => {
+      const problems = validateRange(spec, { min: 1, max: 3 }, { integers: true });
+      const max = spec.max !== undefined ? spec.max : 3;
+      if (!problems.length && (spec.min < 0 || max > maxArrayLength)) {
+        problems.push(`min and max must be between 0 and ${maxArrayLength}`);
+      } else if (!problems.length && repeat * max > maxValuesPerRecord) {
+        problems.push(`nested arrays can produce ${repeat * max} values per record (at most ${maxValuesPerRecord})`);
+      }
+      if (spec.of === undefined) return [...problems, `${label}.of is required`];
+      return [...problems, ...(problems.length ? [] : validateSpec(spec.of, `${label}.of`, repeat * max))];
+    }
+  }
+};
+
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// A field spec is a generator name ("sku") or an object ({ type: "price", currencies: [EUR, USD] })
+const normalizeSpec = spec => (typeof spec === 'string' ? { type: spec } : spec);
+
+// repeat: how many times the spec can occur in one record (the enclosing arrays' max lengths multiplied)
+function validateSpec(rawSpec, label, repeat = 1) {
+  const spec = normalizeSpec(rawSpec);
+  if (!isPlainObject(spec) || !generators[spec.type]) {
+    return [`${label} must name a generator: ${Object.keys(generators).join(', ')}`];
+  }
+  const validate = generators[spec.type].validate;
+  return validate ? validate(spec, label, repeat).map(problem => (problem.startsWith(label) ? problem : `${label}: ${problem}`)) : [];
+}
+
+// Validate a schema ({ field: spec }), returns a list of problems
+function validateFields(fields, label = 'schema', repeat = 1) {
+  if (!isPlainObject(fields) || !Object.keys(fields).length) {
+    return [`${label} must map field names to generators`];
+  }
+  return Object.entries(fields).flatMap(([name, spec]) => validateSpec(spec, `${label}.${name}`, repeat));
+}
+
+// Every field draws from its own stream (seed, index, field path): adding a field leaves the others unchanged
+function generateValue(rawSpec, seed, index, path, record) {
+  const spec = normalizeSpec(rawSpec);
+  const random = mulberry32(`${seed}|${index}|${path}`);
+  return generators[spec.type].generate(spec, { random, index, seed, path, record });
+}
+
+function generateFields(fields, seed, index, prefix = '') {
+  const record = {};
+  for (const [name, spec] of Object.entries(fields)) {
+    record[name] = generateValue(spec, seed, index, prefix ? `${prefix}.${name}` : name, record);
+  }
+  return record;
+}
+
+// Built-in product-item record
+const productSchema = {
+  sku: 'sku',
+  ean: 'ean13',
+  name: { type: 'product_name', locales: ['en', 'de', 'fr'] },
+  price: { type: 'price', min: 2, max: 400, currencies: ['EUR'] },
+  stock: { type: 'stock', warehouses: ['AMS', 'BER', 'MAD'] },
+  active: { type: 'boolean', chance: 0.9 },
+  created_at: 'timestamp',
+  updated_at: { type: 'timestamp', after: 'created_at' }
+};
+
+// Deterministic record generator: same schema, seed and index always give the same record.
+// filePath (optional, JSON or YAML): { seed, schemas: { name: { field: spec } } }
+function createGenerator({ filePath } = {}) {
+  const settings = filePath ? readDataFile(filePath) : {};
+  const schemas = { product: productSchema };
+  const errors = [];
+  if (!isPlainObject(settings)) {
+    errors.push('Generator settings must be an object');
+  } else {
+    if (settings.seed !== undefined && typeof settings.seed !== 'string') {
+      errors.push('seed must be a string');
+    }
+    for (const [name, fields] of Object.entries(settings.schemas || {})) {
+      errors.push(...validateFields(fields, `schemas.${name}`));
+      schemas[name] = fields;
+    }
+  }
+  if (errors.length) {
+    throw new Error(`Invalid generator settings in ${filePath}: ${errors.join('; ')}`);
+  }
+  const seed = settings.seed || defaultSeed;
+
+  // Resolve a schema name or inline field map, returns { fields } or { errors }
+  function resolveSchema(schema) {
+    if (typeof schema === 'string') {
+      return schemas[schema] ? { fields: schemas[schema] } : { errors: [`Unknown schema: ${schema} (known: ${Object.keys(schemas).join(', ')})`] };
+    }
+    const problems = validateFields(schema);
+    return problems.length ? { errors: problems } : { fields: schema };
+  }
+
+  // Records start .. start + count - 1; returns { records } or { errors }
+  function generate({ schema = 'product', seed: requestedSeed, start = 0, count = 1 }) {
+    const resolved = resolveSchema(schema);
+    const problems = [...(resolved.errors || [])];
+    if (!Number.isInteger(start) || start < 0) problems.push('start must be a non-negative integer');
+    if (!Number.isInteger(count) || count < 1 || count > maxGenerateCount) {
+      problems.push(`count must be an integer between 1 and ${maxGenerateCount}`);
+    }
+    if (problems.length) return { errors: problems };
+    const recordSeed = requestedSeed === undefined ? seed : String(requestedSeed);
+    return {
+      seed: recordSeed,
+      records: Array.from({ length: count }, (unused, i) => generateFields(resolved.fields, recordSeed, start + i))
+    };
+  }
+
+  // Template directive { $generate: schema, index, count, seed }: one record, or a list when count is set
+  function renderDirective(directive) {
+    const index = Number(directive.index || 0);
+    const result = generate({
+      schema: directive.$generate,
+      seed: directive.seed,
+      start: index,
+      count: directive.count === undefined ? 1 : Number(directive.count)
+    });
+    if (result.errors) {
+      throw new Error(`Invalid $generate directive: ${result.errors.join('; ')}`);
+    }
+    return directive.count === undefined ? result.records[0] : result.records;
+  }
+
+  function describe() {
+    return { file: filePath || null, seed, schemas: Object.keys(schemas), generators: Object.keys(generators) };
+  }
+
+  return { generate, renderDirective, describe, maxCount: maxGenerateCount };
+}
+
+module.exports = { createGenerator, validateFields };
@@ -0,0 +1,484 @@
+// GraphQL lexer and parser for the two documents the mock needs: SDL schemas and executable
+// documents (queries, mutations and fragments). Nodes carry { line, column } for error locations.
+
+// Syntax errors carry GraphQL error locations
+function syntaxError(message, location) {
+  const error = new Error(`Syntax Error: ${message}`);
+  error.locations = location ? [location] : [];
+  return error;
+}
+
+const punctuators = new Set(['!', '$', '&', '(', ')', ':', '=', '@', '[', ']', '{', '|', '}']);
+
+function tokenize(source) {
+  const tokens = [];
+  let index = 0;
+  let line = 1;
+  let lineStart = 0;
+  const location = () => ({ line, column: index - lineStart + 1 });
+  const newline = () => {
+    line++;
+    lineStart = index;
+  };
+
+  while (index < source.length) {
+    const char = source[index];
+    if (char === '\n') {
+      index++;
+      newline();
+      continue;
+    }
+    if (char === ' ' || char === '\t' || char === '\r' || char === ',' || char === '\uFEFF') {
+      index++;
+      continue;
+    }
+    if (char === '#') {
+      while (index < source.length && source[index] !== '\n') index++;
+      continue;
+    }
+
+    const start = location();
+    if (source.startsWith('...', index)) {
+      tokens.push({ kind: '...', ...start });
+      index += 3;
+      continue;
+    }
+    if (punctuators.has(char)) {
+      tokens.push({ kind: char, ...start });
+      index++;
+      continue;
+    }
+    if (/[_A-Za-z]/.test(char)) {
+      const match = /^[_0-9A-Za-z]+/.exec(source.slice(index, index + 256));
+      tokens.push({ kind: 'name', value: match[0], ...start });
+      index += match[0].length;
+      continue;
+    }
+    if (/[-0-9]/.test(char)) {
+      const match = /^-?(0|[1-9][0-9]*)(\.[0-9]+)?([eE][+-]?[0-9]+)?/.exec(source.slice(index, index + 64));
+      if (!match) throw syntaxError('Invalid number', start);
+      const isFloat = !!(match[2] || match[3]);
+      tokens.push({ kind: isFloat ? 'float' : 'int', value: match[0], ...start });
+      index += match[0].length;
+      continue;
+    }
+    if (source.startsWith('"""', index)) {
+      const end = source.indexOf('"""', index + 3);
+      if (end < 0) throw syntaxError('Unterminated block string', start);
+      const raw = source.slice(index + 3, end);
+      tokens.push({ kind: 'string', value: dedentBlockString(raw.replace(/\\"""/g, '"""')), block: true, ...start });
+      for (const c of raw) {
+        index++;
+        if (c === '\n') newline();
+      }
+      index = end + 3;
+      continue;
+    }
+    if (char === '"') {
+      let value = '';
+      index++;
+      for (;;) {
+        if (index >= source.length || source[index] === '\n') {
+          throw syntaxError('Unterminated string', start);
+        }
+        const c = source[index];
+        if (c === '"') {
+          index++;
+          break;
+        }
+        if (c === '\\') {
+          const escape = source[index + 1];
+          const simple = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+          if (escape in simple) {
+            value += simple[escape];
+            index += 2;
+          } else if (escape === 'u' && /^[0-9a-fA-F]{4}$/.test(source.slice(index + 2, index + 6))) {
+            value += String.fromCharCode(parseInt(source.slice(index + 2, index + 6), 16));
+            index += 6;
+          } else {
+            throw syntaxError(`Invalid escape sequence \\${escape}`, location());
+          }
+          continue;
+        }
+        value += c;
+        index++;
+      }
+      tokens.push({ kind: 'string', value, ...start });
+      continue;
+    }
+    throw syntaxError(`Unexpected character "${char}"`, start);
+  }
+  tokens.push({ kind: '<EOF>', line, column: index - lineStart + 1 });
+  return tokens;
+}
+
+// Block strings drop the common indentation and leading/trailing blank lines
+function dedentBlockString(raw) {
+  const lines = raw.split(/\r\n|\n|\r/);
+  const indents = lines.slice(1).filter(text => text.trim()).map(text => text.match(/^[ \t]*/)[0].length);
+  const common = indents.length ? Math.min(...indents) : 0;
+  const trimmed = lines.map((text, i) => (i === 0 ? text : text.slice(common)));
+  while (trimmed.length && !trimmed[0].trim()) trimmed.shift();
+  while (trimmed.length && !trimmed[trimmed.length - 1].trim()) trimmed.pop();
+  return trimmed.join('\n');
+}
+
+function createParser(source) {
+  const tokens = tokenize(source);
+  let position = 0;
+
+  const peek = (offset = 0) => tokens[position + offset];
+  const at = (kind, value) => peek().kind === kind && (value === undefined || peek().value === value);
+  const loc = token => ({ line: token.line, column: token.column });
+
+  function describe(token) {
+    return token.kind === 'name' || token.kind === 'int' || token.kind === 'float' ? `"${token.value}"` :
+      token.kind === 'string' ? 'string' : `"${token.kind}"`;
+  }
+
+  function expect(kind, value) {
+    const token = peek();
+    if (!at(kind, value)) {
+      const wanted = value !== undefined ? `"${value}"` : kind === 'name' ? 'a name' : `"${kind}"`;
+      throw syntaxError(`Expected ${wanted}, found ${describe(token)}`, loc(token));
+    }
+    position++;
+    return token;
+  }
+
+  function skip(kind, value) {
+    if (at(kind, value)) {
+      position++;
+      return true;
+    }
+    return false;
+  }
+
+  const name = () => expect('name').value;
+
+  // Type reference: Name, [Type] or Type!
+  function parseType() {
+    const token = peek();
+    let type;
+    if (skip('[')) {
+      type = { kind: 'LIST', ofType: parseType() };
+      expect(']');
+    } else {
+      type = { kind: 'NAMED', name: name() };
+    }
+    type.location = loc(token);
+    if (skip('!')) {
+      return { kind: 'NON_NULL', ofType: type, location: loc(token) };
+    }
+    return type;
+  }
+
+  function parseValue(isConst) {
+    const token = peek();
+    const location = loc(token);
+    switch (token.kind) {
+      case '$':
+        if (isConst) throw syntaxError('Unexpected variable in a constant value', location);
+        position++;
+        return { kind: 'Variable', name: name(), location };
+      case 'int':
+        position++;
+        return { kind: 'Int', value: token.value, location };
+      case 'float':
+        position++;
+        return { kind: 'Float', value: token.value, location };
+      case 'string':
+        position++;
+        return { kind: 'String', value: token.value, location };
+      case 'name':
+        position++;
+        if (token.value === 'true' || token.value === 'false') return { kind: 'Boolean', value: token.value === 'true', location };
+        if (token.value === 'null') return { kind: 'Null', location };
+        return { kind: 'Enum', value: token.value, location };
+      case '[': {
+        position++;
+        const values = [];
+        while (!skip(']')) values.push(parseValue(isConst));
+        return { kind: 'List', values, location };
+      }
+      case '{': {
+        position++;
+        const fields = [];
+        while (!skip('}')) {
+          const fieldName = name();
+          expect(':');
+          fields.push({ name: fieldName, value: parseValue(isConst) });
+        }
+        return { kind: 'Object', fields, location };
+      }
+      default:
+        throw syntaxError(`Unexpected ${describe(token)}`, location);
+    }
+  }
+
+  function parseArguments(isConst) {
+    const args = [];
+    if (skip('(')) {
+      while (!skip(')')) {
+        const token = peek();
+        const argName = name();
+        expect(':');
+        args.push({ name: argName, value: parseValue(isConst), location: loc(token) });
+      }
+    }
+    return args;
+  }
+
+  function parseDirectives(isConst) {
+    const directives = [];
+    while (at('@')) {
+      const token = peek();
+      position++;
+      directives.push({ name: name(), arguments: parseArguments(isConst), location: loc(token) });
+    }
+    return directives;
+  }
+
+  // --- Executable documents ---
+
+  function parseSelectionSet() {
+    expect('{');
+    const selections = [];
+    while (!skip('}')) selections.push(parseSelection());
+    return selections;
+  }
+
+  function parseSelection() {
+    const token = peek();
+    const location = loc(token);
+    if (skip('...')) {
+      if (at('name') && peek().value !== 'on') {
+        return { kind: 'FragmentSpread', name: name(), directives: parseDirectives(false), location };
+      }
+      const typeCondition = skip('name', 'on') ? name() : null;
+      return { kind: 'InlineFragment', typeCondition, directives: parseDirectives(false), selectionSet: parseSelectionSet(), location };
+    }
+    let fieldName = name();
+    let alias = null;
+    if (skip(':')) {
+      alias = fieldName;
+      fieldName = name();
+    }
+    return {
+      kind: 'Field',
+      alias,
+      name: fieldName,
+      arguments: parseArguments(false),
+      directives: parseDirectives(false),
+      selectionSet: at('{') ? parseSelectionSet() : null,
+      location
+    };
+  }
+
+  function parseOperation() {
+    const token = peek();
+    if (at('{')) {
+      return { kind: 'OperationDefinition', operation: 'query', name: null, variables: [], directives: [], selectionSet: parseSelectionSet(), location: loc(token) };
+    }
+    const operation = name();
+    if (!['query', 'mutation', 'subscription'].includes(operation)) {
+      throw syntaxError(`Unexpected "${operation}"`, loc(token));
+    }
+    const operationName = at('name') ? name() : null;
+    const variables = [];
+    if (skip('(')) {
+      while (!skip(')')) {
+        const variableToken = expect('$');
+        const variableName = name();
+        expect(':');
+        const type = parseType();
+        const defaultValue = skip('=') ? parseValue(true) : null;
+        parseDirectives(true);
+        variables.push({ name: variableName, type, defaultValue, location: loc(variableToken) });
+      }
+    }
+    return {
+      kind: 'OperationDefinition',
+      operation,
+      name: operationName,
+      variables,
+      directives: parseDirectives(false),
+      selectionSet: parseSelectionSet(),
+      location: loc(token)
+    };
+  }
+
+  function parseExecutable() {
+    const definitions = [];
+    do {
+      const token = peek();
+      if (at('name', 'fragment')) {
+        position++;
+        const fragmentName = name();
+        expect('name', 'on');
+        const typeCondition = name();
+        definitions.push({
+          kind: 'FragmentDefinition',
+          name: fragmentName,
+          typeCondition,
+          directives: parseDirectives(false),
+          selectionSet: parseSelectionSet(),
+          location: loc(token)
+        });
+      } else if (at('{') || at('name')) {
+        definitions.push(parseOperation());
+      } else {
+        throw syntaxError(`Unexpected ${describe(token)}`, loc(token));
+      }
+    } while (!at('<EOF>'));
+    return { kind: 'Document', definitions };
+  }
+
+  // --- SDL ---
+
+  const skipDescription = () => skip('string');
+
+  function parseArgumentDefinitions() {
+    const args = [];
+    if (skip('(')) {
+      while (!skip(')')) {
+        skipDescription();
+        const argName = name();
+        expect(':');
+        const type = parseType();
+        const defaultValue = skip('=') ? parseValue(true) : null;
+        parseDirectives(true);
+        args.push({ name: argName, type, defaultValue });
+      }
+    }
+    return args;
+  }
+
+  function parseFieldDefinitions(isInput) {
+    const fields = [];
+    if (!skip('{')) return fields;
+    while (!skip('}')) {
+      skipDescription();
+      const fieldName = name();
+      const args = isInput ? [] : parseArgumentDefinitions();
+      expect(':');
+      const type = parseType();
+      const defaultValue = isInput && skip('=') ? parseValue(true) : null;
+      parseDirectives(true);
+      fields.push({ name: fieldName, args, type, defaultValue });
+    }
+    return fields;
+  }
+
+  function parseImplements() {
+    const interfaces = [];
+    if (skip('name', 'implements')) {
+      skip('&');
+      do {
+        interfaces.push(name());
+      } while (skip('&'));
+    }
+    return interfaces;
+  }
+
+  function parseTypeDefinition(keyword, extension) {
+    const token = peek();
+    const typeName = keyword === 'schema' ? null : name();
+    const base = { keyword, name: typeName, extension, location: loc(token) };
+    switch (keyword) {
+      case 'schema': {
+        parseDirectives(true);
+        const operations = {};
+        expect('{');
+        while (!skip('}')) {
+          const operation = name();
+          expect(':');
+          operations[operation] = name();
+        }
+        return { ...base, operations };
+      }
+      case 'scalar':
+        parseDirectives(true);
+        return base;
+      case 'type':
+      case 'interface': {
+        const interfaces = parseImplements();
+        parseDirectives(true);
+        return { ...base, interfaces, fields: parseFieldDefinitions(false) };
+      }
+      case 'input':
+        parseDirectives(true);
+        return { ...base, fields: parseFieldDefinitions(true) };
+      case 'union': {
+        parseDirectives(true);
+        const types = [];
+        if (skip('=')) {
+          skip('|');
+          do {
+            types.push(name());
+          } while (skip('|'));
+        }
+        return { ...base, types };
+      }
+      case 'enum': {
+        parseDirectives(true);
+        const values = [];
+        if (skip('{')) {
+          while (!skip('}')) {
+            skipDescription();
+            values.push(name());
+            parseDirectives(true);
+          }
+        }
+        return { ...base, values };
+      }
+      default:
+        throw syntaxError(`Unexpected "${keyword}"`, loc(token));
+    }
+  }
+
+  function parseSchemaDocument() {
+    const definitions = [];
+    while (!at('<EOF>')) {
+      skipDescription();
+      const token = peek();
+      const keyword = name();
+      if (keyword === 'directive') {
+        // Directive definitions only matter to real servers: skip up to the locations list
+        expect('@');
+        name();
+        parseArgumentDefinitions();
+        skip('name', 'repeatable');
+        expect('name', 'on');
+        skip('|');
+        do {
+          name();
+        } while (skip('|'));
+        continue;
+      }
+      if (keyword === 'extend') {
+        definitions.push(parseTypeDefinition(name(), true));
+        continue;
+      }
+      if (!['schema', 'scalar', 'type', 'interface', 'union', 'enum', 'input'].includes(keyword)) {
+        throw syntaxError(`Unexpected "${keyword}"`, loc(token));
+      }
+      definitions.push(parseTypeDefinition(keyword, false));
+    }
+    return definitions;
+  }
+
+  return { parseExecutable, parseSchemaDocument };
+}
+
+// Parse a query document: { kind: 'Document', definitions: [operations and fragments] }
+function parseDocument(source) {
+  return createParser(source).parseExecutable();
+}
+
+// Parse SDL into a list of type definitions ({ keyword, name, fields, ... })
+function parseSchemaDefinitions(source) {
+  return createParser(source).parseSchemaDocument();
+}
+
+module.exports = { parseDocument, parseSchemaDefinitions };
@@ -0,0 +1,852 @@
+const fs = require('fs');
+const path = require('path');
+const { readDataFile } = require('./files');
+const { mulberry32 } = require('./random');
+const { renderTemplate } = require('./template');
+const { parseDocument, parseSchemaDefinitions } = require('./graphql-language');
+
+const builtInScalars = ['Int', 'Float', 'String', 'Boolean', 'ID'];
+const typeKinds = { scalar: 'SCALAR', type: 'OBJECT', interface: 'INTERFACE', union: 'UNION', enum: 'ENUM', input: 'INPUT_OBJECT' };
+const graphqlResponseType = 'application/graphql-response+json';
+const maxListSize = 100;
+const listSizeArguments = ['first', 'last', 'limit', 'count', 'pageSize'];
+
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Thrown while completing a null for a non-null field; caught by the nearest nullable parent
+const nullBubble = Symbol('nullBubble');
+
+// --- Schema ---
+
+const namedTypeOf = ref => (ref.kind === 'NAMED' ? ref.name : namedTypeOf(ref.ofType));
+const typeToString = ref => (ref.kind === 'NAMED' ? ref.name : ref.kind === 'LIST' ? `[${typeToString(ref.ofType)}]` : `${typeToString(ref.ofType)}!`);
+const isLeafType = type => type.kind === 'SCALAR' || type.kind === 'ENUM';
+const isCompositeType = type => type.kind === 'OBJECT' || type.kind === 'INTERFACE' || type.kind === 'UNION';
+const isInputType = type => isLeafType(type) || type.kind === 'INPUT_OBJECT';
+
+function toType(definition) {
+  return {
+    kind: typeKinds[definition.keyword],
+    name: definition.name,
+    fields: new Map((definition.fields || []).map(field => [field.name, field])),
+    interfaces: definition.interfaces || [],
+    types: definition.types || [],
+    values: definition.values || []
+  };
+}
+
+// Build { types, query, mutation } from SDL; throws listing every problem found
+function buildSchema(sdl) {
+  const types = new Map(builtInScalars.map(name => [name, toType({ keyword: 'scalar', name })]));
+  const operations = {};
+  const errors = [];
+
+  for (const definition of parseSchemaDefinitions(sdl)) {
+    if (definition.keyword === 'schema') {
+      Object.assign(operations, definition.operations);
+      continue;
+    }
+    const existing = types.get(definition.name);
+    if (definition.extension) {
+      if (!existing || existing.kind !== typeKinds[definition.keyword]) {
+        errors.push(`Cannot extend unknown ${definition.keyword} ${definition.name}`);
+        continue;
+      }
+      const extension = toType(definition);
+      extension.fields.forEach((field, name) => existing.fields.set(name, field));
+      existing.interfaces.push(...extension.interfaces);
+      existing.types.push(...extension.types);
+      existing.values.push(...extension.values);
+      continue;
+    }
+    if (existing && !builtInScalars.includes(definition.name)) {
+      errors.push(`Type ${definition.name} is defined more than once`);
+    }
+    if (!existing) {
+      types.set(definition.name, toType(definition));
+    }
+  }
+
+  const checkRef = (ref, label, wantInput) => {
+    const type = types.get(namedTypeOf(ref));
+    if (!type) {
+      errors.push(`${label} refers to unknown type ${namedTypeOf(ref)}`);
+    } else if (wantInput ? !isInputType(type) : type.kind === 'INPUT_OBJECT') {
+      errors.push(`${label} must be an ${wantInput ? 'input' : 'output'} type, got ${type.name}`);
+    }
+  };
+  for (const type of types.values()) {
+    for (const field of type.fields.values()) {
+      checkRef(field.type, `${type.name}.${field.name}`, type.kind === 'INPUT_OBJECT');
+      field.args.forEach(arg => checkRef(arg.type, `${type.name}.${field.name}(${arg.name})`, true));
+    }
+    for (const name of type.interfaces) {
+      if (!types.has(name) || types.get(name).kind !== 'INTERFACE') errors.push(`${type.name} implements unknown interface ${name}`);
+    }
+    for (const name of type.types) {
+      if (!types.has(name) || types.get(name).kind !== 'OBJECT') errors.push(`Union ${type.name} member ${name} must be an object type`);
+    }
+  }
+
+  const rootType = operation => {
+    const name = operations[operation] || (operation === 'query' ? 'Query' : operation === 'mutation' ? 'Mutation' : null);
+    const type = name && types.get(name);
+    if (operations[operation] && (!type || type.kind !== 'OBJECT')) {
+      errors.push(`${operation} root type ${name} must be an object type`);
+    }
+    return type && type.kind === 'OBJECT' ? type : null;
+  };
+  const query = rootType('query');
+  const mutation = rootType('mutation');
+  if (!query) {
+    errors.push('Schema must define a Query type');
+  }
+  if (errors.length) {
+    throw new Error(errors.join('; '));
+  }
+
+  // Object types an interface or union may resolve to
+  for (const type of types.values()) {
+    if (type.kind === 'INTERFACE') {
+      type.possibleTypes = [...types.values()].filter(candidate => candidate.kind === 'OBJECT' && candidate.interfaces.includes(type.name)).map(candidate => candidate.name);
+    } else if (type.kind === 'UNION') {
+      type.possibleTypes = type.types;
+    }
+  }
+  return { types, query, mutation };
+}
+
+// --- Values ---
+
+function describeLiteral(node) {
+  switch (node.kind) {
+    case 'String': return JSON.stringify(node.value);
+    case 'Null': return 'null';
+    case 'List': return 'a list';
+    case 'Object': return 'an object';
+    case 'Variable': return `$${node.name}`;
+    default: return String(node.value);
+  }
+}
+
+// Plain JS value of a literal, for custom scalars
+function literalToJs(node, variables) {
+  switch (node.kind) {
+    case 'Variable': return variables ? variables[node.name] : undefined;
+    case 'Int':
+    case 'Float': return Number(node.value);
+    case 'Null': return null;
+    case 'List': return node.values.map(value => literalToJs(value, variables));
+    case 'Object': return Object.fromEntries(node.fields.map(field => [field.name, literalToJs(field.value, variables)]));
+    default: return node.value;
+  }
+}
+
+function coerceScalarLiteral(type, node) {
+  const invalid = () => new Error(`${type.name} cannot represent ${describeLiteral(node)}`);
+  switch (type.name) {
+    case 'Int': {
+      const value = Number(node.value);
+      if (node.kind !== 'Int' || value > 2147483647 || value < -2147483648) throw invalid();
+      return value;
+    }
+    case 'Float':
+      if (node.kind !== 'Int' && node.kind !== 'Float') throw invalid();
+      return Number(node.value);
+    case 'String':
+      if (node.kind !== 'String') throw invalid();
+      return node.value;
+    case 'Boolean':
+      if (node.kind !== 'Boolean') throw invalid();
+      return node.value;
+    case 'ID':
+      if (node.kind !== 'String' && node.kind !== 'Int') throw invalid();
+      return String(node.value);
+    default:
+      return literalToJs(node, null);
+  }
+}
+
+// Argument literal to a JS value of type ref. variables null means validation: nested variables are
+// skipped (they are checked on their own). Throws with a message on a mismatch.
+function coerceLiteral(schema, node, ref, variables) {
+  if (node.kind === 'Variable') {
+    return variables ? variables[node.name] : undefined;
+  }
+  if (ref.kind === 'NON_NULL') {
+    if (node.kind === 'Null') throw new Error(`Expected value of non-null type ${typeToString(ref)}, found null`);
+    return coerceLiteral(schema, node, ref.ofType, variables);
+  }
+  if (node.kind === 'Null') {
+    return null;
+  }
+  if (ref.kind === 'LIST') {
+    return node.kind === 'List' ? node.values.map(value => coerceLiteral(schema, value, ref.ofType, variables)) : [coerceLiteral(schema, node, ref.ofType, variables)];
+  }
+  const type = schema.types.get(ref.name);
+  if (type.kind === 'ENUM') {
+    if (node.kind !== 'Enum' || !type.values.includes(node.value)) throw new Error(`Value ${describeLiteral(node)} does not exist in enum ${type.name}`);
+    return node.value;
+  }
+  if (type.kind === 'INPUT_OBJECT') {
+    if (node.kind !== 'Object') throw new Error(`Expected value of type ${type.name}, found ${describeLiteral(node)}`);
+    const unknown = node.fields.find(field => !type.fields.has(field.name));
+    if (unknown) throw new Error(`Field "${unknown.name}" is not defined by type ${type.name}`);
+    const result = {};
+    for (const [name, field] of type.fields) {
+      const fieldNode = node.fields.find(candidate => candidate.name === name);
+      const value = fieldNode ? coerceLiteral(schema, fieldNode.value, field.type, variables) : undefined;
+      if (value !== undefined) {
+        result[name] = value;
+      } else if (field.defaultValue) {
+        result[name] = coerceLiteral(schema, field.defaultValue, field.type, null);
+      } else if (!fieldNode && field.type.kind === 'NON_NULL') {
+        throw new Error(`Field ${type.name}.${name} of required type ${typeToString(field.type)} was not provided`);
+      }
+    }
+    return result;
+  }
+  return coerceScalarLiteral(type, node);
+}
+
+// JSON variable value to a JS value of type ref; throws with a message on a mismatch
+function coerceInput(schema, value, ref) {
+  if (ref.kind === 'NON_NULL') {
+    if (value === null || value === undefined) throw new Error(`Expected non-nullable type ${typeToString(ref)} not to be null`);
+    return coerceInput(schema, value, ref.ofType);
+  }
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (ref.kind === 'LIST') {
+    return Array.isArray(value) ? value.map(item => coerceInput(schema, item, ref.ofType)) : [coerceInput(schema, value, ref.ofType)];
+  }
+  const type = schema.types.get(ref.name);
+  const invalid = () => new Error(`${type.name} cannot represent ${JSON.stringify(value)}`);
+  switch (type.kind) {
+    case 'ENUM':
+      if (!type.values.includes(value)) throw new Error(`Value ${JSON.stringify(value)} does not exist in enum ${type.name}`);
+      return value;
+    case 'INPUT_OBJECT': {
+      if (!isPlainObject(value)) throw new Error(`Expected type ${type.name} to be an object`);
+      const unknown = Object.keys(value).find(name => !type.fields.has(name));
+      if (unknown) throw new Error(`Field "${unknown}" is not defined by type ${type.name}`);
+      const result = {};
+      for (const [name, field] of type.fields) {
+        if (value[name] !== undefined) {
+          result[name] = coerceInput(schema, value[name], field.type);
+        } else if (field.defaultValue) {
+          result[name] = coerceLiteral(schema, field.defaultValue, field.type, null);
+        } else if (field.type.kind === 'NON_NULL') {
+          throw new Error(`Field ${type.name}.${name} of required type ${typeToString(field.type)} was not provided`);
+        }
+      }
+      return result;
+    }
+    default:
+      switch (type.name) {
+        case 'Int':
+          if (!Number.isInteger(value) || value > 2147483647 || value < -2147483648) throw invalid();
+          return value;
+        case 'Float':
+          if (typeof value !== 'number' || !Number.isFinite(value)) throw invalid();
+          return value;
+        case 'String':
+        case 'Boolean':
+          if (typeof value !== type.name.toLowerCase()) throw invalid();
+          return value;
+        case 'ID':
+          if (typeof value !== 'string' && !Number.isInteger(value)) throw invalid();
+          return String(value);
+        default:
+          return value;
+      }
+  }
+}
+
+// --- Validation ---
+
+// Check a parsed document against the schema, returns a list of { message, locations }
+function validateDocument(schema, document) {
+  const errors = [];
+  const report = (message, location) => errors.push({ message, locations: location ? [location] : [] });
+  const fragments = new Map();
+  for (const definition of document.definitions) {
+    if (definition.kind !== 'FragmentDefinition') continue;
+    if (fragments.has(definition.name)) report(`There can be only one fragment named "${definition.name}".`, definition.location);
+    fragments.set(definition.name, definition);
+  }
+  const operations = document.definitions.filter(definition => definition.kind === 'OperationDefinition');
+  if (operations.length > 1 && operations.some(operation => !operation.name)) {
+    report('This anonymous operation must be the only defined operation.', operations.find(operation => !operation.name).location);
+  }
+
+  const checkValue = (node, ref, variables) => {
+    const usedVariables = [];
+    const collect = value => {
+      if (value.kind === 'Variable') usedVariables.push(value);
+      if (value.kind === 'List') value.values.forEach(collect);
+      if (value.kind === 'Object') value.fields.forEach(field => collect(field.value));
+    };
+    collect(node);
+    usedVariables.filter(variable => !variables.has(variable.name)).forEach(variable => report(`Variable "$${variable.name}" is not defined.`, variable.location));
+    try {
+      coerceLiteral(schema, node, ref, null);
+    } catch (error) {
+      report(`${error.message}.`, node.location);
+    }
+  };
+
+  const checkDirectives = (directives, variables) => {
+    for (const directive of directives) {
+      if (directive.name !== 'skip' && directive.name !== 'include') {
+        report(`Unknown directive "@${directive.name}".`, directive.location);
+        continue;
+      }
+      const condition = directive.arguments.find(arg => arg.name === 'if');
+      if (!condition) {
+        report(`Directive "@${directive.name}" argument "if" of type "Boolean!" is required, but it was not provided.`, directive.location);
+      } else {
+        checkValue(condition.value, { kind: 'NON_NULL', ofType: { kind: 'NAMED', name: 'Boolean' } }, variables);
+      }
+    }
+  };
+
+  const checkSelections = (selections, parentType, variables, spreadPath) => {
+    for (const selection of selections) {
+      checkDirectives(selection.directives, variables);
+      if (selection.kind === 'Field') {
+        if (selection.name === '__typename') {
+          if (selection.selectionSet) report('Field "__typename" must not have a selection since type "String!" has no subfields.', selection.location);
+          continue;
+        }
+        if (selection.name === '__schema' || selection.name === '__type') {
+          report('Introspection is not supported by the mock, read the schema from GET /__admin/graphql instead.', selection.location);
+          continue;
+        }
+        const field = parentType.fields.get(selection.name);
+        if (!field || parentType.kind === 'UNION') {
+          report(`Cannot query field "${selection.name}" on type "${parentType.name}".`, selection.location);
+          continue;
+        }
+        for (const arg of selection.arguments) {
+          const definition = field.args.find(candidate => candidate.name === arg.name);
+          if (!definition) {
+            report(`Unknown argument "${arg.name}" on field "${parentType.name}.${field.name}".`, arg.location);
+          } else {
+            checkValue(arg.value, definition.type, variables);
+          }
+        }
+        for (const definition of field.args) {
+          if (definition.type.kind === 'NON_NULL' && !definition.defaultValue && !selection.arguments.some(arg => arg.name === definition.name)) {
+            report(`Field "${field.name}" argument "${definition.name}" of type "${typeToString(definition.type)}" is required, but it was not provided.`, selection.location);
+          }
+        }
+        const type = schema.types.get(namedTypeOf(field.type));
+        if (isLeafType(type) && selection.selectionSet) {
+          report(`Field "${field.name}" must not have a selection since type "${typeToString(field.type)}" has no subfields.`, selection.location);
+        } else if (!isLeafType(type) && !selection.selectionSet) {
+          report(`Field "${field.name}" of type "${typeToString(field.type)}" must have a selection of subfields.`, selection.location);
+        } else if (selection.selectionSet) {
+          checkSelections(selection.selectionSet, type, variables, spreadPath);
+        }
+        continue;
+      }
+      let typeName = parentType.name;
+      let fragmentSelections = selection.selectionSet;
+      if (selection.kind === 'FragmentSpread') {
+        const fragment = fragments.get(selection.name);
+        if (!fragment) {
+          report(`Unknown fragment "${selection.name}".`, selection.location);
+          continue;
+        }
+        if (spreadPath.includes(selection.name)) {
+          report(`Cannot spread fragment "${selection.name}" within itself.`, selection.location);
+          continue;
+        }
+        typeName = fragment.typeCondition;
+        fragmentSelections = fragment.selectionSet;
+        spreadPath = [...spreadPath, selection.name];
+      } else if (selection.typeCondition) {
+        typeName = selection.typeCondition;
+      }
+      const type = schema.types.get(typeName);
+      if (!type) {
+        report(`Unknown type "${typeName}".`, selection.location);
+      } else if (!isCompositeType(type)) {
+        report(`Fragment cannot condition on non composite type "${typeName}".`, selection.location);
+      } else {
+        checkSelections(fragmentSelections, type, variables, spreadPath);
+      }
+    }
+  };
+
+  for (const operation of operations) {
+    const rootType = operation.operation === 'query' ? schema.query : operation.operation === 'mutation' ? schema.mutation : null;
+    if (!rootType) {
+      report(operation.operation === 'subscription' ? 'Subscriptions are not supported by the mock.' : `Schema is not configured to execute ${operation.operation} operation.`, operation.location);
+      continue;
+    }
+    const variables = new Map();
+    for (const variable of operation.variables) {
+      const type = schema.types.get(namedTypeOf(variable.type));
+      if (variables.has(variable.name)) {
+        report(`There can be only one variable named "$${variable.name}".`, variable.location);
+      } else if (!type || !isInputType(type)) {
+        report(`Variable "$${variable.name}" cannot be non-input type "${typeToString(variable.type)}".`, variable.location);
+      } else if (variable.defaultValue) {
+        checkValue(variable.defaultValue, variable.type, variables);
+      }
+      variables.set(variable.name, variable);
+    }
+    checkDirectives(operation.directives, variables);
+    checkSelections(operation.selectionSet, rootType, variables, []);
+  }
+  return errors;
+}
+
+// --- Mock ---
+
+// Validate a GraphQL settings file: { path, schema | sdl, seed, listSize, stubs: { 'Type.field': { data, error, delayMs } } }
+function validateGraphqlSettings(settings) {
+  if (!isPlainObject(settings)) {
+    return ['GraphQL settings must be an object'];
+  }
+  const errors = [];
+  if (settings.path !== undefined && (typeof settings.path !== 'string' || !settings.path.startsWith('/'))) {
+    errors.push('path must be a path starting with /');
+  }
+  if ((typeof settings.schema === 'string') === (typeof settings.sdl === 'string')) {
+    errors.push('exactly one of schema (an SDL file) or sdl (inline SDL) is required');
+  }
+  if (settings.seed !== undefined && typeof settings.seed !== 'string') {
+    errors.push('seed must be a string');
+  }
+  if (settings.listSize !== undefined && (!Number.isInteger(settings.listSize) || settings.listSize < 0 || settings.listSize > maxListSize)) {
+    errors.push(`listSize must be an integer between 0 and ${maxListSize}`);
+  }
+  if (settings.stubs !== undefined && !isPlainObject(settings.stubs)) {
+    return [...errors, 'stubs must map Type.field names to stubs'];
+  }
+  for (const [key, stub] of Object.entries(settings.stubs || {})) {
+    const label = `stubs.${key}`;
+    if (!/^\w+\.\w+$/.test(key)) {
+      errors.push(`${label} must be named Type.field`);
+    }
+    if (!isPlainObject(stub)) {
+      errors.push(`${label} must be an object`);
+      continue;
+    }
+    const unknown = Object.keys(stub).filter(name => !['data', 'error', 'delayMs'].includes(name));
+    if (unknown.length) {
+      errors.push(`${label} has unknown keys: ${unknown.join(', ')}`);
+    }
+    if (stub.error !== undefined && typeof stub.error !== 'string' && !(isPlainObject(stub.error) && typeof stub.error.message === 'string')) {
+      errors.push(`${label}.error must be a message or { message, code }`);
+    }
+    if (stub.delayMs !== undefined && (!Number.isInteger(stub.delayMs) || stub.delayMs < 0)) {
+      errors.push(`${label}.delayMs must be a non-negative integer`);
+    }
+  }
+  return errors;
+}
+
+// Deterministic leaf values: the field name picks a plausible shape, the seed path the value
+function generateLeaf(type, fieldName, random) {
+  const n = 1000 + Math.floor(random() * 9000);
+  const name = fieldName.toLowerCase();
+  const timestamp = () => new Date(Date.UTC(2024, 0, 1) + Math.floor(random() * 365 * 86400) * 1000).toISOString().replace('.000Z', 'Z');
+  if (type.kind === 'ENUM') {
+    return type.values.length ? type.values[Math.floor(random() * type.values.length)] : null;
+  }
+  switch (type.name) {
+    case 'ID':
+      return String(n);
+    case 'Int':
+      if (/rating|score|stars/.test(name)) return 1 + Math.floor(random() * 5);
+      return Math.floor(random() * (/count|total|quantity|stock/.test(name) ? 500 : 1000));
+    case 'Float':
+      return Math.round((1 + random() * 499) * 100) / 100;
+    case 'Boolean':
+      return random() < 0.5;
+    case 'String':
+      if (name.includes('email')) return `user${n}@example.com`;
+      if (/url|uri|href|link/.test(name)) return `https://example.com/${fieldName}/${n}`;
+      if (/(at|date|time)$/.test(name)) return timestamp();
+      if (/currency/.test(name)) return ['EUR', 'USD', 'GBP'][Math.floor(random() * 3)];
+      if (/name|title|label/.test(name)) return `${fieldName.charAt(0).toUpperCase()}${fieldName.slice(1)} ${n}`;
+      return `${fieldName}-${n}`;
+    default:
+      if (/date|time/i.test(type.name)) return timestamp();
+      if (/json/i.test(type.name)) return {};
+      if (/url|uri/i.test(type.name)) return `https://example.com/${fieldName}/${n}`;
+      return `${fieldName}-${n}`;
+  }
+}
+
+function serializeLeaf(type, value) {
+  switch (type.name) {
+    case 'Int': return Math.trunc(Number(value));
+    case 'Float': return Number(value);
+    case 'Boolean': return Boolean(value);
+    case 'String':
+    case 'ID': return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    default: return type.kind === 'ENUM' ? String(value) : value;
+  }
+}
+
+// Schema-driven GraphQL endpoint. Fields resolve from a stub (Type.field), else the parent object's own value,
+// else deterministic generated data seeded by the field path and arguments.
+function createGraphqlMock({ filePath, generate }) {
+  const settings = readDataFile(filePath);
+  const errors = validateGraphqlSettings(settings);
+  if (errors.length) {
+    throw new Error(`Invalid GraphQL settings in ${filePath}: ${errors.join('; ')}`);
+  }
+  const schemaFile = typeof settings.schema === 'string' ? path.resolve(path.dirname(filePath), settings.schema) : null;
+  const sdl = schemaFile ? fs.readFileSync(schemaFile, 'utf8') : settings.sdl;
+  let schema;
+  try {
+    schema = buildSchema(sdl);
+  } catch (error) {
+    throw new Error(`Invalid GraphQL schema in ${schemaFile || filePath}: ${error.message}`);
+  }
+  const stubs = new Map(Object.entries(settings.stubs || {}));
+  const unknownStubs = [...stubs.keys()].filter(key => {
+    const [typeName, fieldName] = key.split('.');
+    return !schema.types.has(typeName) || !schema.types.get(typeName).fields.has(fieldName);
+  });
+  if (unknownStubs.length) {
+    throw new Error(`Invalid GraphQL settings in ${filePath}: stubs for unknown fields: ${unknownStubs.join(', ')}`);
+  }
+  const endpointPath = settings.path || '/graphql';
+  const seed = settings.seed || 'graphql';
+  const listSize = settings.listSize !== undefined ? settings.listSize : 3;
+
+  function match(req) {
+    return (req.path || '/').replace(/(.)\/$/, '$1') === endpointPath;
+  }
+
+  const graphqlError = (status, message, code, extra) => ({
+    status,
+    body: { errors: [{ message, ...extra, extensions: { code } }] }
+  });
+
+  // { query, variables, operationName } from a GET query string or a JSON / application/graphql POST body
+  function readParams(req) {
+    if (req.method === 'GET') {
+      const query = req.query || {};
+      let variables = query.variables;
+      if (typeof variables === 'string' && variables !== '') {
+        try {
+          variables = JSON.parse(variables);
+        } catch (error) {
+          return { error: 'Variables are invalid JSON.' };
+        }
+      }
+      return { query: query.query, variables, operationName: query.operationName };
+    }
+    const contentType = String((req.headers && req.headers['content-type']) || '').split(';')[0].trim().toLowerCase();
+    if (contentType === 'application/graphql') {
+      return { query: Buffer.isBuffer(req.body) ? req.body.toString('utf8') : req.body };
+    }
+    return isPlainObject(req.body) ? req.body : { error: 'POST body must be a JSON object with a query.' };
+  }
+
+  // Answer one GraphQL request. options: { chance(name) -> boolean for fieldError, nullField and slowField
+  // (draws from the request's chaos stream), slowFieldMs }.
+  // Returns { status, headers, body, delayMs, faults, operation }; delayMs is the slowest path through the fields.
+  function handle(req, requestId, options) {
+    const accept = String((req.headers && req.headers.accept) || '');
+    const headers = { 'Content-Type': `${accept.includes(graphqlResponseType) ? graphqlResponseType : 'application/json'}; charset=utf-8` };
+    const respond = (result, operation) => ({ headers, delayMs: 0, faults: [], operation: operation || null, ...result });
+
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      return {
+        status: 405,
+        headers: { Allow: 'GET, POST' },
+        body: {
+          status: 'error',
+          message: `GraphQL only supports GET and POST requests, got ${req.method}`,
+          timestamp: new Date().toISOString(),
+          requestId,
+          error_type: 'method_not_allowed'
+        },
+        delayMs: 0,
+        faults: [],
+        operation: null
+      };
+    }
+    const params = readParams(req);
+    if (params.error) {
+      return respond(graphqlError(400, params.error, 'BAD_REQUEST'));
+    }
+    if (typeof params.query !== 'string' || !params.query.trim()) {
+      return respond(graphqlError(400, 'Must provide query string.', 'BAD_REQUEST'));
+    }
+    if (params.variables !== undefined && params.variables !== null && !isPlainObject(params.variables)) {
+      return respond(graphqlError(400, 'Variables must be an object.', 'BAD_REQUEST'));
+    }
+
+    let document;
+    try {
+      document = parseDocument(params.query);
+    } catch (error) {
+      return respond(graphqlError(400, error.message, 'GRAPHQL_PARSE_FAILED', { locations: error.locations }));
+    }
+    const validationErrors = validateDocument(schema, document);
+    if (validationErrors.length) {
+      return respond({
+        status: 400,
+        body: { errors: validationErrors.map(error => ({ ...error, extensions: { code: 'GRAPHQL_VALIDATION_FAILED' } })) }
+      });
+    }
+
+    const operations = document.definitions.filter(definition => definition.kind === 'OperationDefinition');
+    const operation = params.operationName
+      ? operations.find(candidate => candidate.name === params.operationName)
+      : operations.length === 1 ? operations[0] : null;
+    if (!operation) {
+      const message = params.operationName ? `Unknown operation named "${params.operationName}".` : 'Must provide operation name if query contains multiple operations.';
+      return respond(graphqlError(400, message, 'BAD_REQUEST'));
+    }
+    if (operation.operation === 'mutation' && req.method === 'GET') {
+      return respond({
+        ...graphqlError(405, 'Can only perform a mutation operation from a POST request.', 'BAD_REQUEST'),
+        headers: { ...headers, Allow: 'POST' }
+      }, operation);
+    }
+
+    const variables = {};
+    const variableErrors = [];
+    for (const definition of operation.variables) {
+      const provided = params.variables ? params.variables[definition.name] : undefined;
+      try {
+        if (provided !== undefined) {
+          variables[definition.name] = coerceInput(schema, provided, definition.type);
+        } else if (definition.defaultValue) {
+          variables[definition.name] = coerceLiteral(schema, definition.defaultValue, definition.type, null);
+        } else if (definition.type.kind === 'NON_NULL') {
+          throw new Error(`Expected non-nullable type ${typeToString(definition.type)} not to be null`);
+        }
+      } catch (error) {
+        variableErrors.push({
+          message: `Variable "$${definition.name}" got invalid value ${JSON.stringify(provided)}; ${error.message}.`,
+          locations: [definition.location],
+          extensions: { code: 'BAD_USER_INPUT' }
+        });
+      }
+    }
+    if (variableErrors.length) {
+      return respond({ status: 400, body: { errors: variableErrors } }, operation);
+    }
+
+    const execution = execute(operation, document, variables, requestId, options);
+    const body = execution.errors.length ? { errors: execution.errors, data: execution.data } : { data: execution.data };
+    return respond({ status: 200, body, delayMs: execution.delayMs, faults: execution.faults }, operation);
+  }
+
+  function execute(operation, document, variables, requestId, options) {
+    const fragments = new Map(document.definitions.filter(definition => definition.kind === 'FragmentDefinition').map(fragment => [fragment.name, fragment]));
+    const errors = [];
+    const faults = [];
+    let delayMs = 0;
+
+    const isSkipped = directives => directives.some(directive => {
+      const condition = directive.arguments.find(arg => arg.name === 'if');
+      const value = condition ? coerceLiteral(schema, condition.value, { kind: 'NAMED', name: 'Boolean' }, variables) : false;
+      return directive.name === 'skip' ? value === true : value !== true;
+    });
+
+    const typeApplies = (typeName, objectType) => {
+      const type = schema.types.get(typeName);
+      return typeName === objectType.name || (!!type.possibleTypes && type.possibleTypes.includes(objectType.name));
+    };
+
+    // Response key -> field nodes, following fragments whose type condition applies
+    function collectFields(objectType, selections, fields = new Map(), visited = new Set()) {
+      for (const selection of selections) {
+        if (isSkipped(selection.directives)) continue;
+        if (selection.kind === 'Field') {
+          const key = selection.alias || selection.name;
+          fields.set(key, [...(fields.get(key) || []), selection]);
+        } else if (selection.kind === 'InlineFragment') {
+          if (!selection.typeCondition || typeApplies(selection.typeCondition, objectType)) {
+            collectFields(objectType, selection.selectionSet, fields, visited);
+          }
+        } else if (!visited.has(selection.name)) {
+          visited.add(selection.name);
+          const fragment = fragments.get(selection.name);
+          if (typeApplies(fragment.typeCondition, objectType)) {
+            collectFields(objectType, fragment.selectionSet, fields, visited);
+          }
+        }
+      }
+      return fields;
+    }
+
+    function executeSelections(objectType, source, selections, responsePath, seedPath, startMs) {
+      const result = {};
+      for (const [key, fieldNodes] of collectFields(objectType, selections)) {
+        if (fieldNodes[0].name === '__typename') {
+          result[key] = objectType.name;
+        } else {
+          result[key] = executeField(objectType, source, fieldNodes, [...responsePath, key], seedPath, startMs);
+        }
+      }
+      return result;
+    }
+
+    function executeField(parentType, source, fieldNodes, responsePath, parentSeedPath, startMs) {
+      const node = fieldNodes[0];
+      const field = parentType.fields.get(node.name);
+      const args = {};
+      for (const definition of field.args) {
+        const argNode = node.arguments.find(arg => arg.name === definition.name);
+        const value = argNode ? coerceLiteral(schema, argNode.value, definition.type, variables) : undefined;
+        if (value !== undefined) {
+          args[definition.name] = value;
+        } else if (definition.defaultValue) {
+          args[definition.name] = coerceLiteral(schema, definition.defaultValue, definition.type, null);
+        }
+      }
+      const seedPath = `${parentSeedPath}.${field.name}${Object.keys(args).length ? JSON.stringify(args) : ''}`;
+      const nullable = field.type.kind !== 'NON_NULL';
+      const coordinate = `${parentType.name}.${field.name}`;
+      const fail = (message, code) => {
+        errors.push({ message, locations: [node.location], path: responsePath, extensions: { code } });
+      };
+      const stub = stubs.get(coordinate);
+
+      // Stub delays and slow-field chaos push this field's children (and the response) back
+      let endMs = startMs + (stub && stub.delayMs ? stub.delayMs : 0);
+      if (options.chance('slowField')) {
+        endMs += options.slowFieldMs;
+        faults.push({ fault: 'slow_field', path: responsePath.join('.'), delay_ms: options.slowFieldMs });
+      }
+      delayMs = Math.max(delayMs, endMs);
+
+      let value;
+      let failed = false;
+      if (stub && stub.error !== undefined) {
+        const stubError = typeof stub.error === 'string' ? { message: stub.error } : stub.error;
+        fail(stubError.message, stubError.code || 'INTERNAL_SERVER_ERROR');
+        failed = true;
+      } else if (options.chance('fieldError')) {
+        fail(`Simulated resolver failure for ${coordinate}`, 'INTERNAL_SERVER_ERROR');
+        faults.push({ fault: 'field_error', path: responsePath.join('.') });
+        failed = true;
+      } else if (nullable && options.chance('nullField')) {
+        faults.push({ fault: 'null_field', path: responsePath.join('.') });
+        return null;
+      } else if (stub && stub.data !== undefined) {
+        try {
+          value = renderTemplate(stub.data, { args, parent: source, variables, requestId, generate });
+        } catch (error) {
+          fail(error.message, 'INTERNAL_SERVER_ERROR');
+          failed = true;
+        }
+      } else if (isPlainObject(source) && Object.prototype.hasOwnProperty.call(source, field.name)) {
+        value = source[field.name];
+      } else if (parentType === schema.mutation && !isLeafType(schema.types.get(namedTypeOf(field.type)))) {
+        // Mutations without a stub echo their input back: scalar arguments and input objects merged
+        value = Object.assign({}, ...Object.values(args).map(arg => (isPlainObject(arg) ? arg : {})));
+        Object.entries(args).filter(([, arg]) => !isPlainObject(arg)).forEach(([name, arg]) => { value[name] = arg; });
+      }
+
+      try {
+        if (failed) {
+          if (!nullable) throw nullBubble;
+          return null;
+        }
+        const listLength = listSizeArguments.map(name => args[name]).find(Number.isInteger);
+        const context = { fieldNodes, responsePath, seedPath, endMs, field, parentType, listLength };
+        return completeValue(field.type, value, context);
+      } catch (error) {
+        if (error === nullBubble && nullable) return null;
+        throw error;
+      }
+    }
+
+    function completeValue(ref, value, context) {
+      if (ref.kind === 'NON_NULL') {
+        const completed = completeValue(ref.ofType, value, context);
+        if (completed === null) {
+          errors.push({
+            message: `Cannot return null for non-nullable field ${context.parentType.name}.${context.field.name}.`,
+            locations: [context.fieldNodes[0].location],
+            path: context.responsePath,
+            extensions: { code: 'INTERNAL_SERVER_ERROR' }
+          });
+          throw nullBubble;
+        }
+        return completed;
+      }
+      if (value === null) {
+        return null;
+      }
+      if (ref.kind === 'LIST') {
+        const count = Math.min(context.listLength !== undefined ? Math.max(context.listLength, 0) : listSize, maxListSize);
+        const items = value === undefined ? new Array(count).fill(undefined) : [].concat(value);
+        return items.map((item, index) => completeValue(ref.ofType, item, {
+          ...context,
+          responsePath: [...context.responsePath, index],
+          seedPath: `${context.seedPath}[${index}]`
+        }));
+      }
+      const type = schema.types.get(ref.name);
+      if (isLeafType(type)) {
+        return value === undefined ? generateLeaf(type, context.field.name, mulberry32(`${seed}|${context.seedPath}`)) : serializeLeaf(type, value);
+      }
+      const source = value === undefined ? {} : value;
+      if (!isPlainObject(source)) {
+        errors.push({
+          message: `Expected an object for ${type.name} at ${context.responsePath.join('.')}, got ${JSON.stringify(source)}`,
+          locations: [context.fieldNodes[0].location],
+          path: context.responsePath,
+          extensions: { code: 'INTERNAL_SERVER_ERROR' }
+        });
+        return null;
+      }
+      // Abstract types resolve through __typename, else a seeded pick of the possible types
+      let objectType = type;
+      if (type.possibleTypes) {
+        const named = typeof source.__typename === 'string' && type.possibleTypes.includes(source.__typename) ? source.__typename : null;
+        const random = mulberry32(`${seed}|${context.seedPath}|__typename`);
+        objectType = schema.types.get(named || type.possibleTypes[Math.floor(random() * type.possibleTypes.length)]);
+        if (!objectType) return null;
+      }
+      const selections = context.fieldNodes.flatMap(fieldNode => fieldNode.selectionSet || []);
+      return executeSelections(objectType, source, selections, context.responsePath, context.seedPath, context.endMs);
+    }
+
+    const rootType = operation.operation === 'mutation' ? schema.mutation : schema.query;
+    let data;
+    try {
+      data = executeSelections(rootType, {}, operation.selectionSet, [], rootType.name, 0);
+    } catch (error) {
+      if (error !== nullBubble) throw error;
+      data = null;
+    }
+    return { data, errors, faults, delayMs };
+  }
+
+  function describe() {
+    const types = [...schema.types.values()].filter(type => !builtInScalars.includes(type.name));
+    return {
+      file: filePath,
+      schema_file: schemaFile,
+      path: endpointPath,
+      seed,
+      list_size: listSize,
+      query_fields: [...schema.query.fields.keys()],
+      mutation_fields: schema.mutation ? [...schema.mutation.fields.keys()] : [],
+      types: types.map(type => type.name),
+      stubs: [...stubs.keys()]
+    };
+  }
+
+  return { path: endpointPath, sdl, match, handle, describe };
+}
+
+module.exports = { createGraphqlMock, validateGraphqlSettings };
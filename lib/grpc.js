@@ -0,0 +1,529 @@
+const path = require('path');
+const zlib = require('zlib');
+const { readDataFile } = require('./files');
+const { mulberry32 } = require('./random');
+const { renderTemplate } = require('./template');
+const { loadProtos, encodeMessage, decodeMessage, longTypes } = require('./protobuf');
+
+const statusCodes = {
+  OK: 0, CANCELLED: 1, UNKNOWN: 2, INVALID_ARGUMENT: 3, DEADLINE_EXCEEDED: 4, NOT_FOUND: 5, ALREADY_EXISTS: 6,
+  PERMISSION_DENIED: 7, RESOURCE_EXHAUSTED: 8, FAILED_PRECONDITION: 9, ABORTED: 10, OUT_OF_RANGE: 11,
+  UNIMPLEMENTED: 12, INTERNAL: 13, UNAVAILABLE: 14, DATA_LOSS: 15, UNAUTHENTICATED: 16
+};
+const statusNames = Object.fromEntries(Object.entries(statusCodes).map(([name, code]) => [code, name]));
+
+// Chaos error types with a gRPC counterpart; other error bodies map by their HTTP status
+const statusByErrorType = {
+  service_unavailable: 'UNAVAILABLE',
+  circuit_breaker_open: 'UNAVAILABLE',
+  network_failure: 'UNAVAILABLE',
+  rate_limit: 'RESOURCE_EXHAUSTED',
+  server_error: 'INTERNAL',
+  timeout: 'DEADLINE_EXCEEDED',
+  deadline_exceeded: 'DEADLINE_EXCEEDED',
+  client_error: 'INVALID_ARGUMENT'
+};
+const statusByHttpStatus = {
+  400: 'INVALID_ARGUMENT', 401: 'UNAUTHENTICATED', 403: 'PERMISSION_DENIED', 404: 'NOT_FOUND', 408: 'DEADLINE_EXCEEDED',
+  409: 'ABORTED', 412: 'FAILED_PRECONDITION', 422: 'FAILED_PRECONDITION', 429: 'RESOURCE_EXHAUSTED',
+  501: 'UNIMPLEMENTED', 502: 'UNAVAILABLE', 503: 'UNAVAILABLE', 504: 'UNAVAILABLE'
+};
+
+const grpcContentType = /^application\/grpc(\+proto)?$/;
+const timeoutUnitsMs = { H: 3600000, M: 60000, S: 1000, m: 1, u: 0.001, n: 0.000001 };
+const maxListSize = 100;
+const maxDepth = 4;
+const listSizeFields = ['page_size', 'limit', 'count', 'first', 'max_results'];
+const stubKeys = ['data', 'messages', 'count', 'intervalMs', 'delayMs', 'metadata', 'error'];
+
+// google.rpc.Status with RetryInfo and ErrorInfo details, sent as grpc-status-details-bin
+const richErrors = loadProtos(['google/rpc/status.proto', 'google/rpc/error_details.proto']).types;
+
+const wellKnownGenerators = {
+  'google.protobuf.Timestamp': random => new Date(Date.UTC(2024, 0, 1) + Math.floor(random() * 365 * 86400) * 1000).toISOString(),
+  'google.protobuf.Duration': random => `${1 + Math.floor(random() * 3600)}s`
+};
+
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// grpc-timeout header (e.g. 250m, 5S, 1H) in milliseconds, null when absent or malformed
+function parseGrpcTimeout(value) {
+  const match = /^(\d{1,8})([HMSmun])$/.exec(String(value || '').trim());
+  return match ? Number(match[1]) * timeoutUnitsMs[match[2]] : null;
+}
+
+// grpc-message is percent-encoded UTF-8
+const encodeGrpcMessage = message => String(message).replace(/[^\x20-\x24\x26-\x7e]/gu, char =>
+  [...Buffer.from(char, 'utf8')].map(byte => `%${byte.toString(16).toUpperCase().padStart(2, '0')}`).join(''));
+
+// Binary metadata (-bin keys) is unpadded base64
+const encodeBinaryMetadata = buffer => buffer.toString('base64').replace(/=+$/, '');
+
+const toStatusCode = code => (typeof code === 'number' ? code : statusCodes[code]);
+
+// Validate a gRPC settings file: { protos, importPaths, seed, listSize, streamSize, streamIntervalMs,
+// stubs: { 'package.Service/Method': { data, messages, count, intervalMs, delayMs, metadata, error } } }
+function validateGrpcSettings(settings) {
+  if (!isPlainObject(settings)) {
+    return ['gRPC settings must be an object'];
+  }
+  const errors = [];
+  const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+  const isCount = (value, max) => Number.isInteger(value) && value >= 0 && value <= max;
+  if (!isStringList(settings.protos) || !settings.protos.length) {
+    errors.push('protos must be a non-empty list of .proto files');
+  }
+  if (settings.importPaths !== undefined && !isStringList(settings.importPaths)) {
+    errors.push('importPaths must be a list of directories');
+  }
+  if (settings.seed !== undefined && typeof settings.seed !== 'string') {
+    errors.push('seed must be a string');
+  }
+  if (settings.listSize !== undefined && !isCount(settings.listSize, maxListSize)) {
+    errors.push(`listSize must be an integer between 0 and ${maxListSize}`);
+  }
+  if (settings.streamSize !== undefined && !isCount(settings.streamSize, 10000)) {
+    errors.push('streamSize must be an integer between 0 and 10000');
+  }
+  if (settings.streamIntervalMs !== undefined && !isCount(settings.streamIntervalMs, 600000)) {
+    errors.push('streamIntervalMs must be an integer between 0 and 600000');
+  }
+  if (settings.stubs !== undefined && !isPlainObject(settings.stubs)) {
+    return [...errors, 'stubs must map package.Service/Method names to stubs'];
+  }
+  for (const [key, stub] of Object.entries(settings.stubs || {})) {
+    const label = `stubs.${key}`;
+    if (!/^\/?[\w.]+\/\w+$/.test(key)) {
+      errors.push(`${label} must be named package.Service/Method`);
+    }
+    if (!isPlainObject(stub)) {
+      errors.push(`${label} must be an object`);
+      continue;
+    }
+    const unknown = Object.keys(stub).filter(name => !stubKeys.includes(name));
+    if (unknown.length) {
+      errors.push(`${label} has unknown keys: ${unknown.join(', ')}`);
+    }
+    if (stub.messages !== undefined && !Array.isArray(stub.messages)) {
+      errors.push(`${label}.messages must be a list of message templates`);
+    }
+    if (stub.messages !== undefined && stub.count !== undefined) {
+      errors.push(`${label} takes messages or count, not both`);
+    }
+    if (stub.count !== undefined && !isCount(stub.count, 10000)) {
+      errors.push(`${label}.count must be an integer between 0 and 10000`);
+    }
+    for (const key of ['intervalMs', 'delayMs']) {
+      if (stub[key] !== undefined && !isCount(stub[key], 600000)) {
+        errors.push(`${label}.${key} must be an integer between 0 and 600000`);
+      }
+    }
+    if (stub.metadata !== undefined && !isPlainObject(stub.metadata)) {
+      errors.push(`${label}.metadata must map header names to values`);
+    }
+    if (stub.error !== undefined) {
+      const error = stub.error;
+      const code = isPlainObject(error) ? toStatusCode(error.code) : undefined;
+      if (!isPlainObject(error) || !Number.isInteger(code) || code < 1 || code > 16) {
+        errors.push(`${label}.error must be { code, message, metadata } with a non-OK status code (name or number)`);
+      } else if (error.metadata !== undefined && !isPlainObject(error.metadata)) {
+        errors.push(`${label}.error.metadata must map trailer names to values`);
+      }
+    }
+  }
+  return errors;
+}
+
+// Deterministic scalar values: the field name picks a plausible shape, the seed path the value
+function generateScalar(field, random) {
+  const n = 1000 + Math.floor(random() * 9000);
+  const name = field.name.toLowerCase();
+  if (field.enum) {
+    // Value 0 is conventionally UNSPECIFIED
+    const values = field.enum.values.filter(value => value.number !== 0);
+    const pool = values.length ? values : field.enum.values;
+    return pool[Math.floor(random() * pool.length)].name;
+  }
+  switch (field.type) {
+    case 'string':
+      if (name.includes('email')) return `user${n}@example.com`;
+      if (/url|uri|href|link/.test(name)) return `https://example.com/${field.name}/${n}`;
+      if (/(_at|date|time)$/.test(name)) return new Date(Date.UTC(2024, 0, 1) + Math.floor(random() * 365 * 86400) * 1000).toISOString();
+      if (/currency/.test(name)) return ['EUR', 'USD', 'GBP'][Math.floor(random() * 3)];
+      if (/token/.test(name)) return '';
+      if (/name|title|label/.test(name)) return `${field.name.charAt(0).toUpperCase()}${field.name.slice(1)} ${n}`;
+      return `${field.name}-${n}`;
+    case 'bytes':
+      return Buffer.from(Array.from({ length: 8 }, () => Math.floor(random() * 256))).toString('base64');
+    case 'bool':
+      return random() < 0.5;
+    case 'double':
+    case 'float':
+      return Math.round((1 + random() * 499) * 100) / 100;
+    default: {
+      let value;
+      if (/rating|score|stars/.test(name)) value = 1 + Math.floor(random() * 5);
+      else value = Math.floor(random() * (/count|total|quantity|stock/.test(name) ? 500 : 1000));
+      return longTypes.has(field.type) ? String(value) : value;
+    }
+  }
+}
+
+// Length-prefixed messages of a request body; compressed ones are inflated with the call's grpc-encoding
+function readFrames(body, encoding) {
+  const frames = [];
+  let offset = 0;
+  while (offset < body.length) {
+    if (body.length - offset < 5) throw new Error('Truncated message frame');
+    const compressed = body[offset] === 1;
+    const length = body.readUInt32BE(offset + 1);
+    if (offset + 5 + length > body.length) throw new Error('Truncated message frame');
+    const payload = body.subarray(offset + 5, offset + 5 + length);
+    if (compressed) {
+      if (encoding === 'gzip') frames.push(zlib.gunzipSync(payload));
+      else if (encoding === 'deflate') frames.push(zlib.inflateSync(payload));
+      else throw new Error('Compressed message without a grpc-encoding');
+    } else {
+      frames.push(payload);
+    }
+    offset += 5 + length;
+  }
+  return frames;
+}
+
+function frameMessage(payload) {
+  const header = Buffer.alloc(5);
+  header.writeUInt32BE(payload.length, 1);
+  return Buffer.concat([header, payload]);
+}
+
+// gRPC mock from the .proto files declared in a settings file. Unary and server-streaming methods answer
+// from a stub (package.Service/Method), else with deterministic messages seeded by the method and request.
+function createGrpcMock({ filePath, generate }) {
+  const settings = readDataFile(filePath);
+  const errors = validateGrpcSettings(settings);
+  if (errors.length) {
+    throw new Error(`Invalid gRPC settings in ${filePath}: ${errors.join('; ')}`);
+  }
+  const baseDir = path.dirname(filePath);
+  const protoFiles = settings.protos.map(file => path.resolve(baseDir, file));
+  let registry;
+  try {
+    registry = loadProtos(protoFiles, (settings.importPaths || []).map(dir => path.resolve(baseDir, dir)));
+  } catch (error) {
+    throw new Error(`Invalid .proto files for ${filePath}: ${error.message}`);
+  }
+  const stubs = new Map(Object.entries(settings.stubs || {}).map(([key, stub]) => [`/${key.replace(/^\//, '')}`, stub]));
+  const stubErrors = [];
+  for (const [methodPath, stub] of stubs) {
+    const method = registry.methods.get(methodPath);
+    if (!method) {
+      stubErrors.push(`stub for unknown method ${methodPath.slice(1)}`);
+    } else if (!method.responseStream && (stub.messages !== undefined || stub.count !== undefined || stub.intervalMs !== undefined)) {
+      stubErrors.push(`${methodPath.slice(1)} is unary: messages, count and intervalMs apply to server-streaming methods`);
+    }
+  }
+  if (stubErrors.length) {
+    throw new Error(`Invalid gRPC settings in ${filePath}: ${stubErrors.join('; ')}`);
+  }
+  const seed = settings.seed || 'grpc';
+  const listSize = settings.listSize !== undefined ? settings.listSize : 3;
+  const streamSize = settings.streamSize !== undefined ? settings.streamSize : 5;
+  const streamIntervalMs = settings.streamIntervalMs !== undefined ? settings.streamIntervalMs : 500;
+  const stats = { calls: 0, active: 0, messages_sent: 0, statuses: {} };
+  const activeCalls = new Set();
+
+  function isGrpcRequest(req) {
+    const contentType = String((req.headers && req.headers['content-type']) || '').split(';')[0].trim().toLowerCase();
+    return req.method === 'POST' && grpcContentType.test(contentType);
+  }
+
+  // A message of type: fields in given are kept (nested messages merged), the rest generated.
+  // topLevelListSize sizes the message's own repeated fields, e.g. from the request's page_size.
+  function generateMessage(type, seedPath, depth, given = {}, topLevelListSize = listSize) {
+    const message = {};
+    const provided = field => (given[field.name] !== undefined ? given[field.name] : given[field.jsonName]);
+    const chosenOneofs = new Set(type.fields.filter(field => field.oneof && provided(field) !== undefined).map(field => field.oneof));
+    const generateValue = (field, fieldPath, value) => {
+      // Timestamps and durations in their proto3 JSON form
+      if (value === undefined && field.message && wellKnownGenerators[field.message.fullName]) {
+        return wellKnownGenerators[field.message.fullName](mulberry32(`${seed}|${fieldPath}`));
+      }
+      if (field.message) {
+        return isPlainObject(value) || value === undefined ? generateMessage(field.message, fieldPath, depth + 1, value || {}) : value;
+      }
+      return value !== undefined ? value : generateScalar(field, mulberry32(`${seed}|${fieldPath}`));
+    };
+    for (const field of type.fields) {
+      const fieldPath = `${seedPath}.${field.name}`;
+      const value = provided(field);
+      // null leaves a field unset
+      if (value === null) continue;
+      if (field.oneof) {
+        // One member per oneof: the provided one, else the first
+        const first = type.fields.find(other => other.oneof === field.oneof);
+        if (chosenOneofs.has(field.oneof) ? value === undefined : field !== first) continue;
+      }
+      if (value === undefined && field.message && depth >= maxDepth) continue;
+      if (field.map) {
+        if (value !== undefined) {
+          message[field.name] = value;
+          continue;
+        }
+        const keyField = { name: field.name, type: field.map.keyType };
+        const entries = {};
+        for (let i = 0; i < listSize; i++) {
+          entries[String(generateScalar(keyField, mulberry32(`${seed}|${fieldPath}|key|${i}`)))] = generateValue(field, `${fieldPath}.${i}`);
+        }
+        message[field.name] = entries;
+      } else if (field.repeated) {
+        const items = Array.isArray(value) ? value : Array.from({ length: depth === 0 ? topLevelListSize : listSize }, () => undefined);
+        message[field.name] = items.map((item, index) => generateValue(field, `${fieldPath}.${index}`, item));
+      } else {
+        message[field.name] = generateValue(field, fieldPath, value);
+      }
+    }
+    return message;
+  }
+
+  // Scalar request fields with a same-named, same-typed response field carry over (e.g. GetProduct's sku)
+  // unless the stub sets them
+  function withEchoedFields(method, request, given) {
+    const echoed = {};
+    for (const field of method.responseType.fields) {
+      const requestField = method.requestType.fields.find(candidate => candidate.name === field.name);
+      const value = request[field.name];
+      if (given[field.name] !== undefined || given[field.jsonName] !== undefined) continue;
+      if (requestField && !field.message && !field.repeated && !field.map && !requestField.repeated &&
+          requestField.type === field.type && value !== undefined && value !== '' && value !== 0 && value !== '0' && value !== false) {
+        echoed[field.name] = value;
+      }
+    }
+    return { ...echoed, ...given };
+  }
+
+  function requestedListSize(request) {
+    const field = listSizeFields.find(name => Number.isInteger(Number(request[name])) && Number(request[name]) > 0);
+    return field ? Math.min(Number(request[field]), maxListSize) : listSize;
+  }
+
+  function countStatus(name) {
+    stats.statuses[name] = (stats.statuses[name] || 0) + 1;
+  }
+
+  // Close a call with a status. Headers go out now unless messages already sent them.
+  function endCall(res, code, message, trailers = {}) {
+    countStatus(statusNames[code] || String(code));
+    if (!res.headersSent) {
+      res.writeHead(200, { 'content-type': 'application/grpc' });
+    }
+    res.addTrailers({
+      'grpc-status': String(code),
+      ...(message ? { 'grpc-message': encodeGrpcMessage(message) } : {}),
+      ...trailers
+    });
+    res.end();
+    return code;
+  }
+
+  // Answer a pipeline error body ({ status: 'error', error_type, retry_after, ... }) as a gRPC status.
+  // Retry hints go in the trailers: grpc-retry-pushback-ms, and RetryInfo in grpc-status-details-bin.
+  function sendError(res, body, httpStatus) {
+    const name = statusByErrorType[body.error_type] || statusByHttpStatus[httpStatus] ||
+      (httpStatus >= 500 ? 'INTERNAL' : 'UNKNOWN');
+    const code = statusCodes[name];
+    stats.calls++;
+    const details = [{
+      type_url: 'type.googleapis.com/google.rpc.ErrorInfo',
+      value: encodeMessage(richErrors.get('google.rpc.ErrorInfo'), {
+        reason: String(body.error_type || 'error').toUpperCase(),
+        domain: 'mao-mock',
+        metadata: { http_status: String(httpStatus), request_id: String(body.requestId || '') }
+      })
+    }];
+    const trailers = { 'x-mock-error-type': String(body.error_type || '') };
+    if (typeof body.retry_after === 'number') {
+      const retryAfter = Math.max(0, body.retry_after);
+      trailers['grpc-retry-pushback-ms'] = String(retryAfter * 1000);
+      details.unshift({
+        type_url: 'type.googleapis.com/google.rpc.RetryInfo',
+        value: encodeMessage(richErrors.get('google.rpc.RetryInfo'), { retry_delay: { seconds: retryAfter } })
+      });
+    }
+    trailers['grpc-status-details-bin'] = encodeBinaryMetadata(encodeMessage(richErrors.get('google.rpc.Status'), {
+      code,
+      message: body.message,
+      details
+    }));
+    return endCall(res, code, body.message, trailers);
+  }
+
+  // Answer one call on res. options: { timeLeftMs: time left before the client's grpc-timeout, or null }.
+  // Resolves to { method, code, messages } once the call is over; delays past the deadline end it with DEADLINE_EXCEEDED.
+  async function handle(req, res, requestId, options) {
+    const result = { method: req.path, code: statusCodes.OK, messages: 0 };
+    const call = { interrupt: null, shutdown: false, closed: false, done: null };
+    const interrupted = new Promise(resolve => {
+      call.interrupt = resolve;
+      call.done = new Promise(closed => res.once('close', () => {
+        call.closed = true;
+        resolve();
+        closed();
+      }));
+    });
+    stats.calls++;
+    stats.active++;
+    activeCalls.add(call);
+    const started = Date.now();
+    const timeLeft = () => (options.timeLeftMs === null ? Infinity : Math.max(0, options.timeLeftMs - (Date.now() - started)));
+    // false when the deadline (or the end of the call) comes first
+    const wait = async ms => {
+      const available = timeLeft();
+      let timer;
+      await Promise.race([interrupted, new Promise(resolve => {
+        timer = setTimeout(resolve, Math.min(ms, available));
+      })]);
+      clearTimeout(timer);
+      return ms <= available && !call.shutdown && !call.closed;
+    };
+    const finish = (code, message, trailers) => {
+      if (call.closed) {
+        // The client went away (cancelled, or its own deadline passed)
+        countStatus('CANCELLED');
+        result.code = statusCodes.CANCELLED;
+      } else {
+        result.code = endCall(res, code, message, trailers);
+      }
+      return result;
+    };
+
+    try {
+      const method = registry.methods.get(req.path);
+      if (!method) {
+        return finish(statusCodes.UNIMPLEMENTED, `Method ${req.path.slice(1)} is not defined in the loaded .proto files`);
+      }
+      if (method.requestStream) {
+        return finish(statusCodes.UNIMPLEMENTED, `${req.path.slice(1)} is client-streaming; only unary and server-streaming methods are mocked`);
+      }
+      const encoding = String(req.headers['grpc-encoding'] || 'identity').toLowerCase();
+      if (!['identity', 'gzip', 'deflate'].includes(encoding)) {
+        return finish(statusCodes.UNIMPLEMENTED, `Unsupported grpc-encoding ${encoding}`, { 'grpc-accept-encoding': 'identity,deflate,gzip' });
+      }
+      let request;
+      try {
+        const frames = readFrames(Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0), encoding);
+        if (frames.length !== 1) {
+          return finish(statusCodes.INTERNAL, `Expected one request message, got ${frames.length}`);
+        }
+        request = decodeMessage(method.requestType, frames[0]);
+      } catch (error) {
+        return finish(statusCodes.INTERNAL, `Request message could not be decoded: ${error.message}`);
+      }
+
+      const stub = stubs.get(method.path) || {};
+      const shutdownOrDeadline = () => (call.shutdown ?
+        finish(statusCodes.UNAVAILABLE, 'Server shutting down') :
+        finish(statusCodes.DEADLINE_EXCEEDED, 'Deadline exceeded'));
+      if (stub.delayMs && !(await wait(stub.delayMs))) {
+        return shutdownOrDeadline();
+      }
+
+      const requestKey = JSON.stringify(request);
+      const topLevelListSize = requestedListSize(request);
+      const templates = stub.messages || null;
+      const count = !method.responseStream ? (stub.error ? 0 : 1) :
+        templates ? templates.length :
+        stub.count !== undefined ? stub.count :
+        stub.error ? 0 : streamSize;
+      const interval = stub.intervalMs !== undefined ? stub.intervalMs : streamIntervalMs;
+
+      res.writeHead(200, { 'content-type': 'application/grpc', 'grpc-accept-encoding': 'identity,deflate,gzip', ...stub.metadata });
+      for (let index = 0; index < count; index++) {
+        if (index > 0 && !(await wait(interval))) {
+          return shutdownOrDeadline();
+        }
+        const template = templates ? templates[index] : stub.data;
+        const context = { request, metadata: req.headers, requestId, index, generate };
+        const given = template !== undefined ? renderTemplate(template, context) : {};
+        let payload;
+        try {
+          if (!isPlainObject(given)) {
+            throw new Error('the message template must be an object');
+          }
+          const message = generateMessage(method.responseType, `${method.path}|${requestKey}|${index}`, 0, withEchoedFields(method, request, given), topLevelListSize);
+          payload = encodeMessage(method.responseType, message);
+        } catch (error) {
+          return finish(statusCodes.INTERNAL, `Stub for ${method.path.slice(1)} does not fit ${method.responseType.fullName}: ${error.message}`);
+        }
+        result.messages++;
+        stats.messages_sent++;
+        if (method.responseStream) {
+          res.write(frameMessage(payload));
+        } else {
+          // Unary answers go out in one end() so body transport faults act on the whole message
+          countStatus('OK');
+          res.addTrailers({ 'grpc-status': '0' });
+          res.end(frameMessage(payload));
+          return result;
+        }
+      }
+      if (stub.error) {
+        return finish(toStatusCode(stub.error.code), stub.error.message, stub.error.metadata);
+      }
+      return finish(statusCodes.OK);
+    } finally {
+      stats.active--;
+      activeCalls.delete(call);
+    }
+  }
+
+  // End open calls with UNAVAILABLE, for service shutdown; resolves once their trailers are out (at most 1s)
+  function close() {
+    const calls = [...activeCalls];
+    for (const call of calls) {
+      call.shutdown = true;
+      call.interrupt();
+    }
+    let timer;
+    return Promise.race([
+      Promise.all(calls.map(call => call.done)),
+      new Promise(resolve => {
+        timer = setTimeout(resolve, 1000);
+      })
+    ]).then(() => clearTimeout(timer));
+  }
+
+  function describe() {
+    return {
+      file: filePath,
+      protos: protoFiles,
+      seed,
+      list_size: listSize,
+      stream_size: streamSize,
+      stream_interval_ms: streamIntervalMs,
+      methods: [...registry.methods.keys()].map(methodPath => methodPath.slice(1)),
+      stubs: [...stubs.keys()].map(methodPath => methodPath.slice(1)),
+      calls: { total: stats.calls, active: stats.active, messages_sent: stats.messages_sent, statuses: { ...stats.statuses } }
+    };
+  }
+
+  // Services and their methods, for the admin API
+  function listServices() {
+    return registry.services.map(service => ({
+      name: service.fullName,
+      methods: service.methods.map(method => ({
+        name: method.name,
+        path: method.path,
+        request_type: method.requestType.fullName,
+        response_type: method.responseType.fullName,
+        client_streaming: method.requestStream,
+        server_streaming: method.responseStream,
+        stubbed: stubs.has(method.path)
+      }))
+    }));
+  }
+
+  return { isGrpcRequest, handle, sendError, close, describe, listServices };
+}
+
+module.exports = { createGrpcMock, validateGrpcSettings, parseGrpcTimeout, statusCodes };
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+
+const maxKeyLength = 255;
+
+// JSON with object keys sorted at every level, so key order does not change the fingerprint
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// Same method, URL (path and query string) and body give the same fingerprint
+function fingerprintRequest(req) {
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.url}\n${canonicalJson(req.body)}`)
+    .digest('hex');
+}
+
+// Idempotency-Key records: the first request with a key claims it, its response is stored
+// once the route answers, and later requests with the key replay that response.
+// ttlMs and maxKeys are functions so they follow runtime config changes.
+function createIdempotencyStore({ ttlMs, maxKeys }) {
+  const entries = new Map();
+
+  function live(key, now) {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= now) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  // Returns { outcome } with outcome one of:
+  // claimed (new key, process the request), replay (with the stored response),
+  // mismatch (key used with another request), in_progress (first request still running), invalid
+  function claim(key, req, requestId, now = Date.now()) {
+    if (!key || key.length > maxKeyLength) {
+      return { outcome: 'invalid' };
+    }
+    const fingerprint = fingerprintRequest(req);
+    const entry = live(key, now);
+    if (entry) {
+      if (entry.fingerprint !== fingerprint) return { outcome: 'mismatch', entry };
+      if (entry.state === 'processing') return { outcome: 'in_progress', entry };
+      entry.replays++;
+      return { outcome: 'replay', entry, response: entry.response };
+    }
+
+    entries.set(key, {
+      key,
+      fingerprint,
+      state: 'processing',
+      request_id: requestId,
+      method: req.method,
+      path: req.path,
+      created_at: new Date(now).toISOString(),
+      expiresAt: now + ttlMs(),
+      replays: 0,
+      response: null
+    });
+    const limit = maxKeys();
+    while (entries.size > limit) {
+      entries.delete(entries.keys().next().value);
+    }
+    return { outcome: 'claimed' };
+  }
+
+  // Store the response of the request that claimed key
+  function complete(key, requestId, response) {
+    const entry = entries.get(key);
+    if (!entry || entry.request_id !== requestId) return;
+    entry.state = 'completed';
+    entry.response = response;
+  }
+
+  // Free a key whose request ended without a response, so a retry can claim it
+  function release(key, requestId) {
+    const entry = entries.get(key);
+    if (entry && entry.request_id === requestId && entry.state === 'processing') {
+      entries.delete(key);
+    }
+  }
+
+  function list(now = Date.now()) {
+    return [...entries.keys()]
+      .map(key => live(key, now))
+      .filter(Boolean)
+      .map(({ expiresAt, ...entry }) => ({ ...entry, expires_at: new Date(expiresAt).toISOString() }));
+  }
+
+  function clear() {
+    const cleared = entries.size;
+    entries.clear();
+    return cleared;
+  }
+
+  return { claim, complete, release, list, clear, size: () => entries.size };
+}
+
+module.exports = { createIdempotencyStore };
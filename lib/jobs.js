@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { compilePathPattern } = require('./match');
+
+const callbackTimeoutMs = 5000;
+
+// Loopback, private, link-local (cloud metadata) and other non-public ranges.
+// Callbacks only reach them when the host is listed in the allowed hosts.
+const internalAddresses = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]
+  .forEach(([address, prefix]) => internalAddresses.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]
+  .forEach(([address, prefix]) => internalAddresses.addSubnet(address, prefix, 'ipv6'));
+
+function isInternalAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return internalAddresses.check(mapped[1], 'ipv4');
+  const family = net.isIP(address);
+  return family !== 0 && internalAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Allowed hosts are host names, *.domain wildcards or IP addresses (lower-cased)
+function isAllowedHost(allowedHosts, host) {
+  return allowedHosts.some(allowed => (allowed.startsWith('*.') ? host.endsWith(allowed.slice(1)) : host === allowed));
+}
+
+// Validate a client-supplied callback URL, returns an error message or null.
+// With allowedHosts only those hosts are accepted; internal addresses need to be listed either way.
+function validateCallbackUrl(value, allowedHosts = []) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'Callback URL is not a valid absolute URL';
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return 'Callback URL must use http or https';
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (isAllowedHost(allowedHosts, host)) return null;
+  if (allowedHosts.length) return `Callback host ${host} is not in MOCK_CALLBACK_ALLOWED_HOSTS`;
+  if (host === 'localhost' || host.endsWith('.localhost') || isInternalAddress(host)) {
+    return `Callback host ${host} is an internal address (list it in MOCK_CALLBACK_ALLOWED_HOSTS to allow it)`;
+  }
+  return null;
+}
+
+// dns.lookup that refuses internal addresses, so a public name resolving to one is not followed
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const internal = (Array.isArray(address) ? address : [{ address }]).find(entry => isInternalAddress(entry.address));
+    if (internal) return callback(new Error(`Callback host ${hostname} resolves to internal address ${internal.address}`));
+    callback(null, address, family);
+  });
+}
+
+// Compiled patterns per asyncRoutes array (config patches replace the array)
+const compiledRoutes = new WeakMap();
+
+// Whether a path is listed in asyncRoutes (patterns like /api/items/:sku or /exports/*)
+function matchAsyncRoute(routes, path) {
+  if (!routes.length) return false;
+  let compiled = compiledRoutes.get(routes);
+  if (!compiled) {
+    compiled = routes.map(compilePathPattern);
+    compiledRoutes.set(routes, compiled);
+  }
+  return compiled.some(matchPath => matchPath(path || '/'));
+}
+
+function sign(secret, timestamp, payload) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+}
+
+function postJson(url, payload, headers, allowedHosts) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    const req = client.request(target, {
+      method: 'POST',
+      lookup: isAllowedHost(allowedHosts, target.hostname.toLowerCase()) ? undefined : publicOnlyLookup,
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload), ...headers },
+      timeout: callbackTimeoutMs
+    }, res => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    req.on('timeout', () => req.destroy(new Error(`Callback timed out after ${callbackTimeoutMs}ms`)));
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+// In-memory async jobs: queued -> running -> succeeded/failed on timers, with optional signed callbacks.
+// allowedCallbackHosts: see validateCallbackUrl
+function createJobStore({ maxJobs = 1000, callbackSecret, allowedCallbackHosts = [], logJson }) {
+  const jobs = new Map();
+  const timers = new Map(); // job id -> pending timers
+
+  function schedule(job, delayMs, fn) {
+    const timer = setTimeout(() => {
+      timers.get(job.id).delete(timer);
+      fn();
+    }, delayMs);
+    timer.unref();
+    timers.get(job.id).add(timer);
+  }
+
+  function transition(job, status) {
+    job.status = status;
+    job.updated_at = new Date().toISOString();
+    logJson({ type: 'job_status', job_id: job.id, status });
+  }
+
+  // Drop the oldest finished jobs beyond maxJobs (running ones are kept)
+  function trim() {
+    for (const job of jobs.values()) {
+      if (jobs.size <= maxJobs) return;
+      if (job.status === 'succeeded' || job.status === 'failed') remove(job.id);
+    }
+  }
+
+  function remove(id) {
+    for (const timer of timers.get(id) || []) clearTimeout(timer);
+    timers.delete(id);
+    jobs.delete(id);
+  }
+
+  async function deliver(job, options) {
+    const attempt = job.callback.attempts.length + 1;
+    const payload = JSON.stringify({
+      job_id: job.id,
+      status: job.status,
+      request_id: job.request_id,
+      finished_at: job.finished_at,
+      result: job.result,
+      error: job.error
+    });
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const record = { attempt, at: new Date().toISOString(), status_code: null, error: null };
+    try {
+      record.status_code = await postJson(job.callback.url, payload, {
+        'X-Mock-Job-Id': job.id,
+        'X-Mock-Signature-Timestamp': timestamp,
+        'X-Mock-Signature': `sha256=${sign(callbackSecret, timestamp, payload)}`
+      }, allowedCallbackHosts);
+      if (record.status_code < 200 || record.status_code >= 300) {
+        record.error = `Callback answered ${record.status_code}`;
+      }
+    } catch (error) {
+      record.error = error.message;
+    }
+    if (!jobs.has(job.id)) return;
+    job.callback.attempts.push(record);
+    job.callback.next_attempt_at = null;
+
+    if (!record.error) {
+      job.callback.state = 'delivered';
+      logJson({ type: 'job_callback', job_id: job.id, attempt, status_code: record.status_code });
+      return;
+    }
+    if (attempt >= options.maxAttempts) {
+      job.callback.state = 'failed';
+      logJson({ type: 'job_callback_failed', job_id: job.id, attempt, error: record.error });
+      return;
+    }
+    // Exponential backoff: base, 2x base, 4x base, ...
+    const delayMs = options.retryBaseMs * Math.pow(2, attempt - 1);
+    job.callback.next_attempt_at = new Date(Date.now() + delayMs).toISOString();
+    logJson({ type: 'job_callback_retry', job_id: job.id, attempt, error: record.error, retry_in_ms: delayMs });
+    schedule(job, delayMs, () => deliver(job, options));
+  }
+
+  // Create a job; its result arrives through setResult once the route has answered
+  function create({ requestId, method, path, queuedMs, runningMs, fail, callbackUrl, callback }) {
+    const id = `job_${crypto.randomUUID()}`;
+    const now = new Date().toISOString();
+    const job = {
+      id,
+      status: 'queued',
+      request_id: requestId,
+      method,
+      path,
+      created_at: now,
+      updated_at: now,
+      started_at: null,
+      finished_at: null,
+      result: null,
+      error: null,
+      callback: callbackUrl ? { url: callbackUrl, state: 'pending', attempts: [], next_attempt_at: null } : null
+    };
+    jobs.set(id, job);
+    timers.set(id, new Set());
+    trim();
+
+    schedule(job, queuedMs, () => {
+      job.started_at = new Date().toISOString();
+      transition(job, 'running');
+      schedule(job, runningMs, () => {
+        job.finished_at = new Date().toISOString();
+        if (fail) {
+          job.error = { error_type: 'job_failed', message: 'Job failed during processing (simulated)' };
+        } else if (!job.result) {
+          job.error = { error_type: 'no_result', message: 'The route produced no response' };
+        } else if (job.result.status >= 400) {
+          job.error = { error_type: 'request_failed', message: `The route answered ${job.result.status}` };
+        }
+        transition(job, job.error ? 'failed' : 'succeeded');
+        if (job.callback) {
+          job.callback.state = 'delivering';
+          deliver(job, callback);
+        }
+      });
+    });
+    return job;
+  }
+
+  function setResult(id, result) {
+    const job = jobs.get(id);
+    if (job) job.result = result;
+  }
+
+  function clear() {
+    const cleared = jobs.size;
+    for (const id of [...jobs.keys()]) remove(id);
+    return cleared;
+  }
+
+  function describe() {
+    const counts = { queued: 0, running: 0, succeeded: 0, failed: 0 };
+    for (const job of jobs.values()) counts[job.status]++;
+    return { jobs: jobs.size, max_jobs: maxJobs, ...counts };
+  }
+
+  return {
+    create,
+    setResult,
+    get: id => jobs.get(id) || null,
+    list: () => [...jobs.values()],
+    clear,
+    describe
+  };
+}
+
+module.exports = { createJobStore, matchAsyncRoute, validateCallbackUrl };
@@ -0,0 +1,84 @@
+const { compilePathPattern, matchesSubset, matchesHeaders, matchesQuery } = require('./match');
+
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Validate a journal filter, returns a list of problems
+function validateFilter(filter) {
+  if (!isPlainObject(filter)) {
+    return ['Filter must be a JSON object'];
+  }
+  const errors = [];
+  for (const key of ['method', 'path', 'error_type', 'chaos', 'session']) {
+    if (filter[key] !== undefined && typeof filter[key] !== 'string') errors.push(`${key} must be a string`);
+  }
+  for (const key of ['headers', 'query']) {
+    if (filter[key] !== undefined && !isPlainObject(filter[key])) errors.push(`${key} must be an object`);
+  }
+  if (filter.status !== undefined && !Number.isInteger(filter.status)) {
+    errors.push('status must be an integer');
+  }
+  return errors;
+}
+
+// Build a predicate from { method, path, query, headers, body, status, error_type, chaos, session }.
+// path may be a pattern such as /api/items/:sku or /api/*
+function compileFilter(filter) {
+  const matchPath = filter.path && /[:*]/.test(filter.path) ? compilePathPattern(filter.path) : null;
+  return entry => {
+    if (filter.method && entry.method !== filter.method.toUpperCase()) return false;
+    if (filter.path && (matchPath ? !matchPath(entry.path) : entry.path !== filter.path)) return false;
+    if (filter.query && !matchesQuery(entry.query, filter.query)) return false;
+    if (filter.headers && !matchesHeaders(entry.headers, filter.headers)) return false;
+    if (filter.body !== undefined && !matchesSubset(entry.body, filter.body)) return false;
+    if (filter.status !== undefined && entry.response.status !== filter.status) return false;
+    if (filter.error_type && entry.response.error_type !== filter.error_type) return false;
+    if (filter.chaos && entry.chaos !== filter.chaos) return false;
+    if (filter.session && entry.session !== filter.session) return false;
+    return true;
+  };
+}
+
+// Size-bounded in-memory journal of received requests and the responses given
+function createJournal({ maxEntries = 1000 } = {}) {
+  let entries = [];
+  let dropped = 0;
+
+  function record(entry) {
+    if (maxEntries <= 0) return;
+    entries.push(entry);
+    if (entries.length > maxEntries) {
+      entries.shift();
+      dropped++;
+    }
+  }
+
+  function find(filter = {}) {
+    const predicate = compileFilter(filter);
+    return entries.filter(predicate);
+  }
+
+  function clear() {
+    const cleared = entries.length;
+    entries = [];
+    dropped = 0;
+    return cleared;
+  }
+
+  // Check a count expectation: { count } exact, or { atLeast } / { atMost }
+  function verify(filter, expectation) {
+    const actual = find(filter).length;
+    const passed =
+      (expectation.count === undefined || actual === expectation.count) &&
+      (expectation.atLeast === undefined || actual >= expectation.atLeast) &&
+      (expectation.atMost === undefined || actual <= expectation.atMost);
+    return { passed, actual };
+  }
+
+  function describe() {
+    return { entries: entries.length, max_entries: maxEntries, dropped };
+  }
+
+  return { record, find, clear, verify, describe };
+}
+
+module.exports = { createJournal, validateFilter };
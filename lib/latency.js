@@ -0,0 +1,160 @@
+const { compilePathPattern } = require('./match');
+
+// Latency distributions, each sampled from the request's chaos stream (rng.random() in [0, 1))
+const distributions = {
+  constant: {
+    params: ['value'],
+    sample: spec => spec.value
+  },
+  uniform: {
+    params: ['min', 'max'],
+    sample: (spec, rng) => spec.min + rng.random() * (spec.max - spec.min)
+  },
+  normal: {
+    params: ['mean', 'stddev'],
+    sample: (spec, rng) => spec.mean + spec.stddev * gaussian(rng)
+  },
+  lognormal: {
+    params: ['median', 'sigma'],
+    sample: (spec, rng) => spec.median * Math.exp(spec.sigma * gaussian(rng))
+  },
+  pareto: {
+    params: ['scale', 'shape'],
+    sample: (spec, rng) => spec.scale / Math.pow(1 - rng.random(), 1 / spec.shape)
+  },
+  percentiles: {
+    params: ['p50', 'p90', 'p99', 'max'],
+    sample: (spec, rng) => {
+      // Piecewise-linear inverse CDF through the given percentiles
+      const points = [[0, spec.min || 0], [0.5, spec.p50], [0.9, spec.p90], [0.99, spec.p99], [1, spec.max]];
+      const u = rng.random();
+      for (let i = 1; i < points.length; i++) {
+        const [p0, v0] = points[i - 1];
+        const [p1, v1] = points[i];
+        if (u <= p1) return v0 + ((u - p0) / (p1 - p0)) * (v1 - v0);
+      }
+      return spec.max;
+    }
+  }
+};
+
+const maxLatencyMs = 120000;
+
+// Standard normal draw (Box-Muller)
+function gaussian(rng) {
+  const u1 = 1 - rng.random();
+  const u2 = rng.random();
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Validate one distribution spec, returns a list of problems
+function validateDistribution(spec, label) {
+  if (!isPlainObject(spec)) {
+    return [`${label} must be an object`];
+  }
+  const distribution = distributions[spec.distribution];
+  if (!distribution) {
+    return [`${label}.distribution must be one of: ${Object.keys(distributions).join(', ')}`];
+  }
+
+  const errors = [];
+  for (const key of [...distribution.params, 'min', 'max']) {
+    const value = spec[key];
+    if (value === undefined) {
+      if (distribution.params.includes(key)) errors.push(`${label}.${key} is required for ${spec.distribution}`);
+    } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > maxLatencyMs) {
+      errors.push(`${label}.${key} must be a number between 0 and ${maxLatencyMs}`);
+    }
+  }
+  if (spec.chance !== undefined && (typeof spec.chance !== 'number' || spec.chance < 0 || spec.chance > 1)) {
+    errors.push(`${label}.chance must be between 0 and 1`);
+  }
+  if (errors.length) return errors;
+
+  if (spec.min !== undefined && spec.max !== undefined && spec.min > spec.max) {
+    errors.push(`${label}.min must not exceed max`);
+  }
+  if (spec.distribution === 'pareto' && (spec.scale === 0 || spec.shape === 0)) {
+    errors.push(`${label}.scale and shape must be greater than 0`);
+  }
+  if (spec.distribution === 'percentiles' &&
+      !((spec.min || 0) <= spec.p50 && spec.p50 <= spec.p90 && spec.p90 <= spec.p99 && spec.p99 <= spec.max)) {
+    errors.push(`${label} percentiles must be ordered: min <= p50 <= p90 <= p99 <= max`);
+  }
+  return errors;
+}
+
+// Validate latency settings: { global, jitter, routes: [{ method, path, ...distribution }] }
+function validateLatencySettings(settings) {
+  if (!isPlainObject(settings)) {
+    return ['Latency settings must be a JSON object'];
+  }
+  const errors = [];
+  for (const key of Object.keys(settings)) {
+    if (!['global', 'jitter', 'routes'].includes(key)) errors.push(`Unknown latency setting: ${key}`);
+  }
+  if (settings.global) errors.push(...validateDistribution(settings.global, 'global'));
+  if (settings.jitter) errors.push(...validateDistribution(settings.jitter, 'jitter'));
+  if (settings.routes !== undefined) {
+    if (!Array.isArray(settings.routes)) {
+      errors.push('routes must be a list of route profiles');
+    } else {
+      settings.routes.forEach((route, index) => {
+        const label = `routes[${index}]`;
+        if (!isPlainObject(route) || typeof route.path !== 'string' || !route.path.startsWith('/')) {
+          errors.push(`${label}.path must be a path starting with /`);
+          return;
+        }
+        if (route.method !== undefined && typeof route.method !== 'string') {
+          errors.push(`${label}.method must be a string`);
+        }
+        errors.push(...validateDistribution(route, label));
+      });
+    }
+  }
+  return errors;
+}
+
+// Draw one latency in ms from a spec, clamped to [min, max] and to >= 0
+function sampleLatency(spec, rng) {
+  const value = distributions[spec.distribution].sample(spec, rng);
+  const lower = spec.min !== undefined ? spec.min : 0;
+  const upper = spec.max !== undefined ? spec.max : maxLatencyMs;
+  return Math.min(upper, Math.max(lower, value));
+}
+
+// Latency planner for validated settings. legacy is the global spec used when settings.global is unset.
+function createLatencyPlanner(settings) {
+  const routes = (settings.routes || []).map(route => ({
+    ...route,
+    method: route.method ? route.method.toUpperCase() : null,
+    matchPath: compilePathPattern(route.path)
+  }));
+
+  // Pick the profile for a request and draw its delay: { delayMs, baseMs, jitterMs, distribution, profile }
+  function plan(req, rng, legacy) {
+    const route = routes.find(candidate =>
+      (!candidate.method || candidate.method === req.method.toUpperCase()) && candidate.matchPath(req.path || '/'));
+    const spec = route || settings.global || legacy;
+    const profile = route ? `route:${route.method || '*'} ${route.path}` : settings.global ? 'global' : 'legacy';
+
+    let baseMs = 0;
+    if (spec.chance === undefined || rng.random() < spec.chance) {
+      baseMs = sampleLatency(spec, rng);
+    }
+    const jitterMs = settings.jitter ? sampleLatency(settings.jitter, rng) : 0;
+    return {
+      delayMs: Math.round(baseMs + jitterMs),
+      baseMs: Math.round(baseMs),
+      jitterMs: Math.round(jitterMs),
+      distribution: baseMs > 0 ? spec.distribution : 'none',
+      profile
+    };
+  }
+
+  return { plan, settings };
+}
+
+module.exports = { validateLatencySettings, createLatencyPlanner, distributions: Object.keys(distributions) };
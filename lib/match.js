@@ -0,0 +1,78 @@
+// Request matching helpers shared by stubs and other route-based features
+
+// Compile a path pattern like /api/items/:sku or /files/* into a matcher
+function compilePathPattern(pattern) {
+  const names = [];
+  const source = pattern
+    .split('/')
+    .map(segment => {
+      if (segment === '*') {
+        names.push('wildcard');
+        return '(.*)';
+      }
+      if (segment.startsWith(':')) {
+        names.push(segment.slice(1));
+        return '([^/]+)';
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+  const regex = new RegExp(`^${source}/?$`);
+
+  // Returns the path params, or null when the path does not match (a malformed %-escape never matches)
+  return path => {
+    const match = regex.exec(path);
+    if (!match) return null;
+    const params = {};
+    try {
+      names.forEach((name, index) => {
+        params[name] = decodeURIComponent(match[index + 1]);
+      });
+    } catch (error) {
+      if (error instanceof URIError) return null;
+      throw error;
+    }
+    return params;
+  };
+}
+
+// Deep partial match: every field in expected must be present and equal in actual
+function matchesSubset(actual, expected) {
+  if (expected === null || typeof expected !== 'object') {
+    return actual === expected;
+  }
+  if (actual === null || typeof actual !== 'object') {
+    return false;
+  }
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) &&
+      expected.length === actual.length &&
+      expected.every((item, index) => matchesSubset(actual[index], item));
+  }
+  return Object.keys(expected).every(key => matchesSubset(actual[key], expected[key]));
+}
+
+// Header match on lower-cased names, values compared as strings
+function matchesHeaders(headers, expected) {
+  return Object.keys(expected).every(name =>
+    String(headers[name.toLowerCase()]) === String(expected[name]));
+}
+
+// Query match, values compared as strings
+function matchesQuery(query, expected) {
+  return Object.keys(expected).every(name => String(query[name]) === String(expected[name]));
+}
+
+// Read a dotted path such as body.item.sku from an object
+function getByPath(source, path) {
+  return path.split('.').reduce((value, key) =>
+    (value === null || value === undefined ? undefined : value[key]), source);
+}
+
+module.exports = {
+  compilePathPattern,
+  matchesSubset,
+  matchesHeaders,
+  matchesQuery,
+  getByPath
+};
@@ -0,0 +1,94 @@
+// Minimal Prometheus registry: counters, histograms and collected gauges in text exposition format
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels || {}).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// Stable series key for a label set
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels || {}).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function createMetricsRegistry() {
+  const metrics = [];
+
+  function counter(name, help) {
+    const series = new Map();
+    metrics.push({
+      name,
+      help,
+      type: 'counter',
+      lines: () => [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+    });
+    return {
+      inc(labels = {}, by = 1) {
+        const key = labelKey(labels);
+        const entry = series.get(key) || { labels, value: 0 };
+        entry.value += by;
+        series.set(key, entry);
+      }
+    };
+  }
+
+  function histogram(name, help, buckets) {
+    const series = new Map();
+    metrics.push({
+      name,
+      help,
+      type: 'histogram',
+      lines: () => {
+        const lines = [];
+        for (const { labels, counts, sum, count } of series.values()) {
+          buckets.forEach((bound, index) => {
+            lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+          });
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+          lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+          lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+      }
+    });
+    return {
+      observe(labels, value) {
+        const key = labelKey(labels);
+        const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        buckets.forEach((bound, index) => {
+          if (value <= bound) entry.counts[index]++;
+        });
+        entry.sum += value;
+        entry.count++;
+        series.set(key, entry);
+      }
+    };
+  }
+
+  // Gauge values are read at scrape time: collect() returns [{ labels, value }]
+  function gauge(name, help, collect) {
+    metrics.push({
+      name,
+      help,
+      type: 'gauge',
+      lines: () => collect().map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+    });
+  }
+
+  function render() {
+    const output = [];
+    for (const metric of metrics) {
+      output.push(`# HELP ${metric.name} ${metric.help}`);
+      output.push(`# TYPE ${metric.name} ${metric.type}`);
+      output.push(...metric.lines());
+    }
+    return output.join('\n') + '\n';
+  }
+
+  return { counter, histogram, gauge, render };
+}
+
+module.exports = { createMetricsRegistry };
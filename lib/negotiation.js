@@ -0,0 +1,195 @@
+const http = require('http');
+
+// Success formats in server preference order (ties in the Accept header go to the earlier one)
+const responseFormats = [
+  { name: 'json', types: ['application/json'], contentType: 'application/json; charset=utf-8' },
+  { name: 'xml', types: ['application/xml', 'text/xml'], contentType: 'application/xml; charset=utf-8' },
+  { name: 'csv', types: ['text/csv'], contentType: 'text/csv; charset=utf-8' }
+];
+const problemContentType = 'application/problem+json; charset=utf-8';
+
+// Titles for problem documents; other error types fall back to the HTTP reason phrase
+const problemTitles = {
+  rate_limit: 'Rate limit exceeded',
+  service_unavailable: 'Service unavailable',
+  circuit_breaker_open: 'Circuit breaker open',
+  network_failure: 'Gateway timeout',
+  server_error: 'Internal server error',
+  client_error: 'Bad request',
+  timeout: 'Request timeout',
+  validation_error: 'Validation failed',
+  not_found: 'Not found',
+  not_acceptable: 'Not acceptable',
+  unauthorized: 'Authentication required',
+  forbidden: 'Forbidden',
+  idempotency_key_mismatch: 'Idempotency key reused with a different request',
+  idempotency_key_in_use: 'Idempotency key in use',
+  invalid_control_header: 'Invalid mock control header',
+  invalid_session: 'Invalid mock session',
+  page_unavailable: 'Page temporarily unavailable',
+  cursor_expired: 'Cursor expired'
+};
+
+// Accept header as [{ type, subtype, q }]
+function parseAccept(header) {
+  return String(header).split(',')
+    .map(part => {
+      const [range, ...params] = part.trim().split(';');
+      const [type, subtype] = range.trim().toLowerCase().split('/');
+      const qParam = params.map(param => param.trim().split('=')).find(([name]) => name === 'q');
+      const q = qParam ? Number(qParam[1]) : 1;
+      return { type, subtype, q: Number.isFinite(q) ? q : 0 };
+    })
+    .filter(range => range.type && range.subtype);
+}
+
+// q value the Accept ranges give a media type: the most specific matching range wins.
+// null when no range matches at all, as opposed to an explicit q=0
+function qualityOf(ranges, mediaType) {
+  const [type, subtype] = mediaType.split('/');
+  let best = null;
+  for (const range of ranges) {
+    const specificity = range.type === type && range.subtype === subtype ? 3 :
+      range.type === type && range.subtype === '*' ? 2 :
+      range.type === '*' && range.subtype === '*' ? 1 : 0;
+    if (specificity && (!best || specificity > best.specificity)) {
+      best = { specificity, q: range.q };
+    }
+  }
+  return best ? best.q : null;
+}
+
+// Pick the success format for an Accept header: a responseFormats entry (with the content type of the
+// best matching media type), or null when the client refuses JSON and accepts none of the others.
+// JSON is the answer unless the client asks for XML or CSV without */*: browsers and other clients
+// that take anything get JSON, and so do clients listing only types we cannot produce.
+function negotiateFormat(accept) {
+  const json = responseFormats[0];
+  if (!accept || !String(accept).trim()) {
+    return json;
+  }
+  const ranges = parseAccept(accept);
+  const jsonQ = qualityOf(ranges, json.types[0]);
+  if (jsonQ !== 0 && ranges.some(range => range.type === '*' && range.subtype === '*' && range.q > 0)) {
+    return json;
+  }
+  let chosen = null;
+  let chosenQ = 0;
+  for (const format of responseFormats) {
+    for (const type of format.types) {
+      const q = qualityOf(ranges, type);
+      if (q > chosenQ) {
+        chosen = { ...format, contentType: `${type}; charset=utf-8` };
+        chosenQ = q;
+      }
+    }
+  }
+  return chosen || (jsonQ === 0 ? null : json);
+}
+
+// Whether the client explicitly lists application/problem+json
+function acceptsProblem(accept) {
+  return !!accept && parseAccept(accept).some(range => range.type === 'application' && range.subtype === 'problem+json' && range.q > 0);
+}
+
+// Error bodies are the ones built as { status: 'error', message, error_type, ... }
+function isErrorBody(body) {
+  return !!body && typeof body === 'object' && body.status === 'error' && typeof body.error_type === 'string';
+}
+
+// RFC 7807 problem document for a legacy error body. Fields other than status, message and
+// requestId (error_type, timestamp, retry_after, ...) are kept as extension members.
+function toProblem(body, status, typeBase) {
+  const { message, requestId, ...extensions } = body;
+  delete extensions.status;
+  return {
+    type: `${typeBase}${body.error_type}`,
+    title: problemTitles[body.error_type] || http.STATUS_CODES[status] || 'Error',
+    status,
+    detail: message,
+    instance: requestId,
+    ...extensions
+  };
+}
+
+const xmlEscape = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Keys are used as element names; anything that is not a valid name becomes <field name="...">
+function xmlElement(key, value, indent) {
+  const valid = /^[A-Za-z_][A-Za-z0-9_.-]*$/.test(key) && !/^xml/i.test(key);
+  const open = valid ? key : `field name="${xmlEscape(key)}"`;
+  const close = valid ? key : 'field';
+  if (value === null || value === undefined) {
+    return `${indent}<${open}/>`;
+  }
+  if (Array.isArray(value)) {
+    const items = value.map(item => xmlElement('item', item, `${indent}  `));
+    return items.length ? `${indent}<${open}>\n${items.join('\n')}\n${indent}</${close}>` : `${indent}<${open}/>`;
+  }
+  if (typeof value === 'object') {
+    const children = Object.entries(value).map(([childKey, child]) => xmlElement(childKey, child, `${indent}  `));
+    return children.length ? `${indent}<${open}>\n${children.join('\n')}\n${indent}</${close}>` : `${indent}<${open}/>`;
+  }
+  return `${indent}<${open}>${xmlEscape(value)}</${close}>`;
+}
+
+function renderXml(body) {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${xmlElement('response', body, '')}\n`;
+}
+
+// Nested objects become dotted columns, arrays are kept as JSON
+function flattenRow(value, prefix = '', row = {}) {
+  for (const [key, child] of Object.entries(value)) {
+    const column = prefix ? `${prefix}.${key}` : key;
+    if (child && typeof child === 'object' && !Array.isArray(child)) {
+      flattenRow(child, column, row);
+    } else {
+      row[column] = Array.isArray(child) ? JSON.stringify(child) : child;
+    }
+  }
+  return row;
+}
+
+const csvCell = value => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Rows are the body itself when it is a list, else its first list of objects (data, items, products, ...),
+// else the body as a single row
+function renderCsv(body) {
+  const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+  let rows;
+  if (Array.isArray(body)) {
+    rows = body;
+  } else if (isObject(body)) {
+    const list = Object.values(body).find(value => Array.isArray(value) && value.length && value.every(isObject));
+    rows = list || [body];
+  } else {
+    rows = [{ value: body }];
+  }
+  const flat = rows.map(row => (isObject(row) ? flattenRow(row) : { value: row }));
+  const columns = [...new Set(flat.flatMap(row => Object.keys(row)))];
+  const lines = [columns.map(csvCell).join(',')].concat(flat.map(row => columns.map(column => csvCell(row[column])).join(',')));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+function render(format, body) {
+  if (format.name === 'xml') return renderXml(body);
+  if (format.name === 'csv') return renderCsv(body);
+  return JSON.stringify(body);
+}
+
+module.exports = {
+  responseFormats,
+  problemContentType,
+  negotiateFormat,
+  acceptsProblem,
+  isErrorBody,
+  toProblem,
+  render
+};
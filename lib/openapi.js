@@ -0,0 +1,201 @@
+const { readDataFile } = require('./files');
+const { compilePathPattern } = require('./match');
+const { createRefResolver, validateSchema, sampleFromSchema } = require('./schema');
+
+const httpMethods = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Base path from the first server URL, e.g. https://api.example.com/v1 -> /v1
+function getBasePath(spec) {
+  const server = (spec.servers || [])[0];
+  if (!server || !server.url) return '';
+  try {
+    return new URL(server.url, 'http://localhost').pathname.replace(/\/$/, '');
+  } catch (error) {
+    return '';
+  }
+}
+
+// Convert a query/header/path string into the type declared by the parameter schema
+function coerceParameter(raw, schema) {
+  const type = schema.type;
+  if (type === 'array') {
+    const values = Array.isArray(raw) ? raw : String(raw).split(',');
+    return values.map(value => coerceParameter(value, schema.items || {}));
+  }
+  if (Array.isArray(raw)) raw = raw[raw.length - 1];
+  if (type === 'integer' || type === 'number') {
+    return raw !== '' && !isNaN(Number(raw)) ? Number(raw) : raw;
+  }
+  if (type === 'boolean') {
+    return raw === 'true' ? true : raw === 'false' ? false : raw;
+  }
+  return raw;
+}
+
+// Pick the response to mock: the lowest 2xx, else default
+function pickResponse(operation) {
+  const responses = operation.responses || {};
+  const successCodes = Object.keys(responses).filter(code => /^2\d\d$/.test(code)).sort();
+  if (successCodes.length) return { status: Number(successCodes[0]), response: responses[successCodes[0]] };
+  if (responses.default) return { status: 200, response: responses.default };
+  return { status: 200, response: {} };
+}
+
+// Mock every operation of an OpenAPI 3 document loaded from a JSON or YAML file
+function createOpenApiMock({ filePath }) {
+  const spec = readDataFile(filePath);
+  if (!spec || typeof spec !== 'object' || !/^3\./.test(String(spec.openapi))) {
+    throw new Error(`${filePath} is not an OpenAPI 3 document`);
+  }
+  const resolve = createRefResolver(spec);
+  const basePath = getBasePath(spec);
+
+  const operations = [];
+  for (const [specPath, pathItem] of Object.entries(spec.paths || {})) {
+    const pattern = basePath + specPath.replace(/\{([^}]+)\}/g, ':$1');
+    for (const method of httpMethods) {
+      const operation = pathItem[method];
+      if (!operation) continue;
+
+      // Operation parameters override path-level ones with the same name and location
+      const parameters = new Map();
+      for (const parameter of [...(pathItem.parameters || []), ...(operation.parameters || [])].map(resolve)) {
+        parameters.set(`${parameter.in}:${parameter.name}`, parameter);
+      }
+      operations.push({
+        id: operation.operationId || `${method.toUpperCase()} ${specPath}`,
+        method: method.toUpperCase(),
+        specPath,
+        route: pattern,
+        matchPath: compilePathPattern(pattern),
+        templated: (specPath.match(/\{/g) || []).length,
+        parameters: [...parameters.values()],
+        requestBody: operation.requestBody ? resolve(operation.requestBody) : null,
+        operation
+      });
+    }
+  }
+  // Static paths win over templated ones (/items/search before /items/{sku})
+  operations.sort((a, b) => a.templated - b.templated);
+
+  // Find the operation for a request, or the allowed methods when only the path matches
+  function match(req) {
+    const method = req.method.toUpperCase();
+    const allowed = [];
+    for (const operation of operations) {
+      const params = operation.matchPath(req.path || '/');
+      if (!params) continue;
+      if (operation.method === method) {
+        return { operation, params };
+      }
+      allowed.push(operation.method);
+    }
+    return allowed.length ? { operation: null, allowed } : null;
+  }
+
+  function validateRequest(operation, params, req) {
+    const parameterErrors = [];
+    for (const parameter of operation.parameters) {
+      const source = parameter.in === 'path' ? params :
+        parameter.in === 'query' ? (req.query || {}) :
+        parameter.in === 'header' ? req.headers : {};
+      const key = parameter.in === 'header' ? parameter.name.toLowerCase() : parameter.name;
+      const raw = source[key];
+      if (raw === undefined) {
+        if (parameter.required) parameterErrors.push(`${parameter.in} parameter ${parameter.name} is required`);
+        continue;
+      }
+      const schema = resolve(parameter.schema || {});
+      const label = `${parameter.in} parameter ${parameter.name}`;
+      parameterErrors.push(...validateSchema(coerceParameter(raw, schema), schema, resolve, label));
+    }
+    if (parameterErrors.length) {
+      return { status: 400, errors: parameterErrors };
+    }
+
+    const { requestBody } = operation;
+    if (!requestBody) return null;
+    const hasBody = Number(req.headers['content-length'] || 0) > 0 || !!req.headers['transfer-encoding'];
+    if (!hasBody) {
+      return requestBody.required ? { status: 400, errors: ['Request body is required'] } : null;
+    }
+    const media = (requestBody.content || {})['application/json'];
+    if (media && media.schema) {
+      const bodyErrors = validateSchema(req.body, media.schema, resolve, 'body');
+      if (bodyErrors.length) return { status: 422, errors: bodyErrors };
+    }
+    return null;
+  }
+
+  // Validate the request and build the mocked response, returns { status, headers, body }
+  function handle({ operation, params, allowed }, req, requestId) {
+    const errorBody = (message, type, extra) => ({
+      status: 'error',
+      message,
+      timestamp: new Date().toISOString(),
+      requestId,
+      error_type: type,
+      ...extra
+    });
+
+    if (!operation) {
+      return {
+        status: 405,
+        headers: { Allow: allowed.join(', ') },
+        body: errorBody(`${req.method} is not defined for ${req.path} in the OpenAPI spec`, 'method_not_allowed')
+      };
+    }
+
+    const invalid = validateRequest(operation, params, req);
+    if (invalid) {
+      return {
+        status: invalid.status,
+        body: errorBody('Request does not match the OpenAPI spec', 'validation_error', {
+          operation: operation.id,
+          errors: invalid.errors
+        })
+      };
+    }
+
+    const { status, response } = pickResponse(operation.operation);
+    const resolved = resolve(response || {});
+    const content = resolved.content || {};
+    const contentType = content['application/json'] ? 'application/json' : Object.keys(content)[0];
+    if (!contentType) {
+      return { status, body: null };
+    }
+
+    const media = content[contentType];
+    let body;
+    if (media.example !== undefined) {
+      body = media.example;
+    } else if (media.examples && Object.keys(media.examples).length) {
+      body = resolve(Object.values(media.examples)[0]).value;
+    } else {
+      body = sampleFromSchema(media.schema, resolve);
+    }
+    return {
+      status,
+      headers: { 'Content-Type': contentType },
+      body: typeof body === 'string' && !contentType.includes('json') ? body : JSON.stringify(body)
+    };
+  }
+
+  function describe() {
+    return {
+      file: filePath,
+      title: (spec.info || {}).title || null,
+      version: (spec.info || {}).version || null,
+      base_path: basePath || '/',
+      operations: operations.length
+    };
+  }
+
+  function listOperations() {
+    return operations.map(operation => ({ id: operation.id, method: operation.method, path: basePath + operation.specPath }));
+  }
+
+  return { match, handle, describe, listOperations };
+}
+
+module.exports = { createOpenApiMock };
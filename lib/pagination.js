@@ -0,0 +1,276 @@
+const { readDataFile } = require('./files');
+const { compilePathPattern } = require('./match');
+const { renderTemplate } = require('./template');
+
+const paginationStyles = ['offset', 'page', 'cursor'];
+const maxFlakyPages = 10000;
+
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+// Validate a pagination file: { defaults: { style, defaultLimit, maxLimit }, lists: [{ path, size, style, item, ... }] }
+function validatePaginationSettings(settings) {
+  if (!isPlainObject(settings)) {
+    return ['Pagination settings must be an object'];
+  }
+  const errors = [];
+  const checkOptions = (options, label) => {
+    if (options.style !== undefined && !paginationStyles.includes(options.style)) {
+      errors.push(`${label}.style must be one of: ${paginationStyles.join(', ')}`);
+    }
+    for (const key of ['defaultLimit', 'maxLimit']) {
+      if (options[key] !== undefined && !isPositiveInteger(options[key])) {
+        errors.push(`${label}.${key} must be a positive integer`);
+      }
+    }
+  };
+  if (settings.defaults !== undefined) {
+    if (isPlainObject(settings.defaults)) {
+      checkOptions(settings.defaults, 'defaults');
+    } else {
+      errors.push('defaults must be an object');
+    }
+  }
+  if (!Array.isArray(settings.lists)) {
+    return [...errors, 'lists must be a list of list endpoints'];
+  }
+  settings.lists.forEach((list, index) => {
+    const label = `lists[${index}]`;
+    if (!isPlainObject(list) || typeof list.path !== 'string' || !list.path.startsWith('/')) {
+      errors.push(`${label}.path must be a path starting with /`);
+      return;
+    }
+    if (!Number.isInteger(list.size) || list.size < 0) {
+      errors.push(`${label}.size must be a non-negative integer`);
+    }
+    if (list.item !== undefined && !isPlainObject(list.item)) {
+      errors.push(`${label}.item must be an object template`);
+    }
+    checkOptions(list, label);
+  });
+  return errors;
+}
+
+// Cursors are opaque to clients: base64url JSON of the list path, the last id served and an expiry
+function encodeCursor(path, afterId, expiresAt) {
+  return Buffer.from(JSON.stringify({ p: path, a: afterId, e: expiresAt })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return decoded && typeof decoded.p === 'string' && Number.isInteger(decoded.a) && Number.isFinite(decoded.e) ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Synthetic list endpoints with offset/limit, page/pageSize or cursor pagination and pagination chaos.
+// Items are ordered newest first: position i holds id nextId - 1 - i, so inserting at the head is just nextId++.
+function createPaginator({ filePath, generate }) {
+  const settings = readDataFile(filePath);
+  const errors = validatePaginationSettings(settings);
+  if (errors.length) {
+    throw new Error(`Invalid pagination settings in ${filePath}: ${errors.join('; ')}`);
+  }
+  const defaults = { style: 'offset', defaultLimit: 20, maxLimit: 100, ...settings.defaults };
+  const lists = settings.lists.map(list => ({
+    path: list.path.replace(/\/$/, '') || '/',
+    name: list.path.split('/').filter(Boolean).pop() || 'item',
+    size: list.size,
+    style: list.style || defaults.style,
+    defaultLimit: list.defaultLimit || defaults.defaultLimit,
+    maxLimit: list.maxLimit || defaults.maxLimit,
+    item: list.item || { id: '{{id}}', name: '{{list}} {{id}}' },
+    matchPath: compilePathPattern(list.path),
+    nextId: list.size + 1,
+    count: list.size
+  }));
+  const flakyPagesSeen = new Set();
+
+  function match(req) {
+    if (req.method !== 'GET') return null;
+    return lists.find(list => list.matchPath(req.path || '/')) || null;
+  }
+
+  function errorResult(status, type, message, requestId, extra) {
+    return {
+      status,
+      body: {
+        status: 'error',
+        message,
+        timestamp: new Date().toISOString(),
+        requestId,
+        error_type: type,
+        ...extra
+      }
+    };
+  }
+
+  // Query-string integer, fallback when absent, undefined when invalid
+  function readInteger(query, name, fallback, min) {
+    if (query[name] === undefined) return fallback;
+    const value = Number(query[name]);
+    return Number.isInteger(value) && value >= min ? value : undefined;
+  }
+
+  function linkTo(list, query, changes) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries({ ...query, ...changes })) {
+      if (value !== undefined && value !== null && typeof value !== 'object') params.set(key, String(value));
+    }
+    return `${list.path}?${params.toString()}`;
+  }
+
+  // Resolve the requested window as { start, limit, cursor } or an error result
+  function readWindow(list, query, requestId, now, options) {
+    const sizeParam = list.style === 'page' ? 'pageSize' : 'limit';
+    const requested = readInteger(query, sizeParam, list.defaultLimit, 1);
+    if (requested === undefined) {
+      return errorResult(400, 'invalid_pagination', `${sizeParam} must be a positive integer`, requestId);
+    }
+    const limit = Math.min(requested, list.maxLimit);
+
+    if (list.style === 'offset') {
+      const offset = readInteger(query, 'offset', 0, 0);
+      if (offset === undefined) {
+        return errorResult(400, 'invalid_pagination', 'offset must be a non-negative integer', requestId);
+      }
+      return { start: offset, limit };
+    }
+
+    if (list.style === 'page') {
+      const page = readInteger(query, 'page', 1, 1);
+      if (page === undefined) {
+        return errorResult(400, 'invalid_pagination', 'page must be a positive integer', requestId);
+      }
+      return { start: (page - 1) * limit, limit, page };
+    }
+
+    if (query.cursor === undefined) {
+      return { start: 0, limit };
+    }
+    const cursor = decodeCursor(String(query.cursor));
+    if (!cursor || cursor.p !== list.path) {
+      return errorResult(400, 'invalid_cursor', 'Cursor is malformed or belongs to another list', requestId);
+    }
+    if (cursor.e <= now || options.expireCursor()) {
+      return errorResult(410, 'cursor_expired', 'Cursor has expired, restart from the first page', requestId);
+    }
+    // First position holding an id below the cursor's last id
+    return { start: Math.max(0, list.nextId - cursor.a), limit, cursor };
+  }
+
+  // Serve one page. options: { chance(name) -> boolean (draws from the request's chaos stream), cursorTtlMs }
+  function handle(list, req, requestId, options) {
+    const query = req.query || {};
+    const now = Date.now();
+    const range = readWindow(list, query, requestId, now, { expireCursor: () => options.chance('cursorExpiry') });
+    if (range.status) return range;
+    const { limit } = range;
+
+    // Flaky pages fail on their first fetch only
+    const pageKey = `${list.path}|${range.start}|${limit}`;
+    if (!flakyPagesSeen.has(pageKey)) {
+      flakyPagesSeen.add(pageKey);
+      if (flakyPagesSeen.size > maxFlakyPages) {
+        flakyPagesSeen.delete(flakyPagesSeen.values().next().value);
+      }
+      if (options.chance('flakyPage')) {
+        return {
+          ...errorResult(503, 'page_unavailable', 'Page temporarily unavailable, retry the same request', requestId),
+          headers: { 'Retry-After': '1' },
+          chaos: 'flaky_page'
+        };
+      }
+    }
+
+    // A new item arrives at the head: later offsets and pages shift by one, cursors do not
+    let chaos = null;
+    if (options.chance('shift')) {
+      list.nextId++;
+      list.count++;
+      chaos = 'shift';
+    }
+    // Cursor positions are resolved after the insert, so they keep pointing below the last id served
+    const start = range.cursor ? Math.max(0, list.nextId - range.cursor.a) : range.start;
+
+    const end = Math.min(start + limit, list.count);
+    const hasMore = end < list.count;
+    let data = [];
+    for (let position = start; position < end; position++) {
+      const id = list.nextId - 1 - position;
+      data.push(renderTemplate(list.item, { id, index: position, list: list.name, generate }));
+    }
+    // An empty page before the end: the next link points at the same position again
+    let nextStart = end;
+    if (data.length && hasMore && options.chance('emptyPage')) {
+      data = [];
+      nextStart = start;
+      chaos = 'empty_page';
+    }
+    const more = data.length ? hasMore : nextStart < list.count;
+
+    const links = {};
+    let pagination;
+    if (list.style === 'offset') {
+      const lastOffset = list.count ? Math.floor((list.count - 1) / limit) * limit : 0;
+      links.first = linkTo(list, query, { offset: 0, limit });
+      if (more) links.next = linkTo(list, query, { offset: nextStart, limit });
+      if (start > 0) links.prev = linkTo(list, query, { offset: Math.max(0, start - limit), limit });
+      links.last = linkTo(list, query, { offset: lastOffset, limit });
+      pagination = { style: 'offset', offset: start, limit, total: list.count, next_offset: more ? nextStart : null };
+    } else if (list.style === 'page') {
+      const totalPages = Math.max(1, Math.ceil(list.count / limit));
+      const nextPage = data.length ? range.page + 1 : range.page;
+      links.first = linkTo(list, query, { page: 1, pageSize: limit });
+      if (more) links.next = linkTo(list, query, { page: nextPage, pageSize: limit });
+      if (range.page > 1) links.prev = linkTo(list, query, { page: range.page - 1, pageSize: limit });
+      links.last = linkTo(list, query, { page: totalPages, pageSize: limit });
+      pagination = { style: 'page', page: range.page, page_size: limit, total: list.count, total_pages: totalPages };
+    } else {
+      // The cursor holds the id just before the next position, so head inserts do not move it
+      const nextCursor = more ? encodeCursor(list.path, list.nextId - nextStart, now + options.cursorTtlMs) : null;
+      links.first = linkTo(list, query, { cursor: undefined, limit });
+      if (nextCursor) links.next = linkTo(list, query, { cursor: nextCursor, limit });
+      pagination = { style: 'cursor', limit, total: list.count, has_more: more, next_cursor: nextCursor };
+    }
+
+    return {
+      status: 200,
+      headers: {
+        'X-Total-Count': String(list.count),
+        Link: Object.entries(links).map(([rel, url]) => `<${url}>; rel="${rel}"`).join(', ')
+      },
+      body: { data, pagination },
+      chaos
+    };
+  }
+
+  // Restore every list to its configured size
+  function reset() {
+    lists.forEach(list => {
+      list.nextId = list.size + 1;
+      list.count = list.size;
+    });
+    flakyPagesSeen.clear();
+  }
+
+  function describe() {
+    return {
+      file: filePath,
+      lists: lists.map(list => ({
+        path: list.path,
+        style: list.style,
+        size: list.size,
+        current_size: list.count,
+        default_limit: list.defaultLimit,
+        max_limit: list.maxLimit
+      }))
+    };
+  }
+
+  return { match, handle, reset, describe };
+}
+
+module.exports = { createPaginator, validatePaginationSettings };
@@ -0,0 +1,127 @@
+// Product-items bulk update sync: per-item validation, duplicate detection and chaos-driven item failures
+
+const skuPattern = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+const currencyPattern = /^[A-Z]{3}$/;
+
+// Transient per-item failures a sync client is expected to retry
+const itemFailures = [
+  { http_status: 409, error_type: 'item_conflict', message: 'Concurrent update in progress for this item' },
+  { http_status: 503, error_type: 'item_unavailable', message: 'Item store temporarily unavailable' },
+  { http_status: 504, error_type: 'item_timeout', message: 'Timed out writing item update' }
+];
+
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Validate one item update, returns a list of problems
+function validateItem(item) {
+  if (!isPlainObject(item)) {
+    return ['Item must be an object'];
+  }
+  const errors = [];
+  if (typeof item.sku !== 'string' || !skuPattern.test(item.sku)) {
+    errors.push('sku must be 1-64 letters, digits, dots, dashes or underscores');
+  }
+  if (item.price === undefined && item.stock === undefined && item.attributes === undefined) {
+    errors.push('At least one of price, stock or attributes is required');
+  }
+  if (item.price !== undefined && (typeof item.price !== 'number' || !Number.isFinite(item.price) || item.price < 0)) {
+    errors.push('price must be a non-negative number');
+  }
+  if (item.currency !== undefined && (typeof item.currency !== 'string' || !currencyPattern.test(item.currency))) {
+    errors.push('currency must be an ISO 4217 code such as EUR');
+  }
+  if (item.stock !== undefined && (!Number.isInteger(item.stock) || item.stock < 0)) {
+    errors.push('stock must be a non-negative integer');
+  }
+  if (item.attributes !== undefined && !isPlainObject(item.attributes)) {
+    errors.push('attributes must be an object');
+  }
+  return errors;
+}
+
+// Process a batch of product item updates, returns { status, body }.
+// chaos = { enabled, failureChance, rng } decides the transient item failures.
+function processProductBatch(body, { requestId, maxBatchSize, chaos }) {
+  const items = Array.isArray(body) ? body : body && body.items;
+  const errorBody = (message, type, extra) => ({
+    status: 'error',
+    message,
+    timestamp: new Date().toISOString(),
+    requestId,
+    error_type: type,
+    ...extra
+  });
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return {
+      status: 400,
+      body: errorBody('Request body must be a non-empty items array', 'validation_error')
+    };
+  }
+  if (items.length > maxBatchSize) {
+    return {
+      status: 413,
+      body: errorBody(`Batch too large: ${items.length} items (max ${maxBatchSize})`, 'batch_too_large', {
+        max_batch_size: maxBatchSize
+      })
+    };
+  }
+
+  const seenSkus = new Map();
+  const results = items.map((item, index) => {
+    const sku = isPlainObject(item) && typeof item.sku === 'string' ? item.sku : null;
+    const errors = validateItem(item);
+    if (errors.length) {
+      return { index, sku, status: 'failed', http_status: 422, error_type: 'validation_error', message: errors.join('; '), retryable: false };
+    }
+
+    if (seenSkus.has(sku)) {
+      return {
+        index,
+        sku,
+        status: 'failed',
+        http_status: 409,
+        error_type: 'duplicate_sku',
+        message: `Duplicate of item at index ${seenSkus.get(sku)} in this batch`,
+        retryable: false
+      };
+    }
+    seenSkus.set(sku, index);
+
+    if (chaos.enabled && chaos.rng.random() < chaos.failureChance) {
+      const failure = itemFailures[Math.floor(chaos.rng.random() * itemFailures.length)];
+      return { index, sku, status: 'failed', ...failure, retryable: true };
+    }
+
+    return {
+      index,
+      sku,
+      status: 'updated',
+      http_status: 200,
+      updated_fields: ['price', 'currency', 'stock', 'attributes'].filter(field => item[field] !== undefined)
+    };
+  });
+
+  const failed = results.filter(result => result.status === 'failed');
+  const summary = {
+    total: results.length,
+    succeeded: results.length - failed.length,
+    failed: failed.length,
+    retryable: failed.filter(result => result.retryable).length,
+    duplicates: failed.filter(result => result.error_type === 'duplicate_sku').length
+  };
+
+  return {
+    status: failed.length ? 207 : 200,
+    body: {
+      status: failed.length === 0 ? 'success' : (failed.length === results.length ? 'failed' : 'partial_success'),
+      message: `Processed ${summary.total} item updates: ${summary.succeeded} updated, ${summary.failed} failed`,
+      timestamp: new Date().toISOString(),
+      requestId,
+      summary,
+      results
+    }
+  };
+}
+
+module.exports = { processProductBatch };
@@ -0,0 +1,58 @@
+// Named chaos profiles: config keys applied on top of the defaults by createMockService({ profile })
+// and `mao-mock serve --profile`. Runtime changes through /__admin/config still work on top.
+const chaosProfiles = {
+  // The built-in defaults: mostly healthy with occasional errors, slow responses and rare outages
+  realistic: {},
+
+  // No chaos at all, for functional tests that need every request to succeed
+  stable: {
+    baseSuccessRate: 1,
+    outageChance: 0,
+    slowResponseChance: 0,
+    normalPeriodChance: 0,
+    serverErrorChance: 0,
+    clientErrorChance: 0,
+    timeoutChance: 0,
+    productItemFailureChance: 0,
+    jobFailureChance: 0
+  },
+
+  // Frequent errors and transport faults, for exercising client retries
+  flaky: {
+    baseSuccessRate: 0.8,
+    normalPeriodChance: 0,
+    serverErrorChance: 0.05,
+    clientErrorChance: 0.02,
+    timeoutChance: 0.01,
+    slowResponseChance: 0.3,
+    connectionResetChance: 0.01,
+    truncatedBodyChance: 0.01,
+    responseLostChance: 0.01,
+    productItemFailureChance: 0.1,
+    jobFailureChance: 0.2
+  },
+
+  // Slow responses, outages and a trigger-happy circuit breaker, for timeout and fallback handling
+  degraded: {
+    outageChance: 0.002,
+    normalPeriodChance: 0,
+    slowResponseChance: 0.6,
+    minSlowDelay: 1000,
+    maxSlowDelay: 5000,
+    circuitBreakerThreshold: 5,
+    circuitBreakerRecovery: 30000
+  }
+};
+
+// Config keys of a profile; no name means the defaults
+function resolveProfile(name) {
+  if (name === undefined || name === null) {
+    return {};
+  }
+  if (!Object.prototype.hasOwnProperty.call(chaosProfiles, name)) {
+    throw new Error(`Unknown profile "${name}", expected one of: ${Object.keys(chaosProfiles).join(', ')}`);
+  }
+  return chaosProfiles[name];
+}
+
+module.exports = { chaosProfiles, resolveProfile };
@@ -0,0 +1,664 @@
+const fs = require('fs');
+const path = require('path');
+
+// Protocol Buffers for the gRPC mock: a .proto parser (proto3, and proto2 without groups or extensions)
+// and the binary wire format. Messages are plain objects keyed by the .proto field names; 64-bit integers
+// decode to strings and bytes to base64, as in the proto3 JSON mapping.
+
+const scalarTypes = new Set([
+  'double', 'float', 'int32', 'int64', 'uint32', 'uint64', 'sint32', 'sint64',
+  'fixed32', 'fixed64', 'sfixed32', 'sfixed64', 'bool', 'string', 'bytes'
+]);
+const varintTypes = new Set(['int32', 'int64', 'uint32', 'uint64', 'sint32', 'sint64', 'bool']);
+const longTypes = new Set(['int64', 'uint64', 'sint64', 'fixed64', 'sfixed64']);
+const wireTypes = { varint: 0, fixed64: 1, bytes: 2, fixed32: 5 };
+
+// Well-known imports that resolve without a file
+const builtInProtos = {
+  'google/protobuf/empty.proto': 'syntax = "proto3"; package google.protobuf; message Empty {}',
+  'google/protobuf/timestamp.proto': 'syntax = "proto3"; package google.protobuf; message Timestamp { int64 seconds = 1; int32 nanos = 2; }',
+  'google/protobuf/duration.proto': 'syntax = "proto3"; package google.protobuf; message Duration { int64 seconds = 1; int32 nanos = 2; }',
+  'google/protobuf/any.proto': 'syntax = "proto3"; package google.protobuf; message Any { string type_url = 1; bytes value = 2; }',
+  'google/protobuf/wrappers.proto': `syntax = "proto3"; package google.protobuf;
+    message DoubleValue { double value = 1; } message FloatValue { float value = 1; }
+    message Int64Value { int64 value = 1; } message UInt64Value { uint64 value = 1; }
+    message Int32Value { int32 value = 1; } message UInt32Value { uint32 value = 1; }
+    message BoolValue { bool value = 1; } message StringValue { string value = 1; } message BytesValue { bytes value = 1; }`,
+  'google/rpc/status.proto': `syntax = "proto3"; package google.rpc; import "google/protobuf/any.proto";
+    message Status { int32 code = 1; string message = 2; repeated google.protobuf.Any details = 3; }`,
+  'google/rpc/error_details.proto': `syntax = "proto3"; package google.rpc; import "google/protobuf/duration.proto";
+    message RetryInfo { google.protobuf.Duration retry_delay = 1; }
+    message ErrorInfo { string reason = 1; string domain = 2; map<string, string> metadata = 3; }`
+};
+
+const wireTypeOf = field => {
+  if (field.map || field.message || field.type === 'string' || field.type === 'bytes') return wireTypes.bytes;
+  if (field.enum || varintTypes.has(field.type)) return wireTypes.varint;
+  return ['double', 'fixed64', 'sfixed64'].includes(field.type) ? wireTypes.fixed64 : wireTypes.fixed32;
+};
+const isPackable = field => !field.map && !field.message && field.type !== 'string' && field.type !== 'bytes';
+const toCamelCase = name => name.replace(/_([a-z0-9])/g, (match, letter) => letter.toUpperCase());
+
+// --- Parser ---
+
+const simpleEscapes = { n: '\n', r: '\r', t: '\t', a: '\x07', b: '\b', f: '\f', v: '\v', '\\': '\\', "'": "'", '"': '"', '?': '?' };
+
+function unescapeString(text) {
+  return text.replace(/\\(x[0-9a-fA-F]{1,2}|[0-7]{1,3}|.)/g, (match, escape) => {
+    if (escape[0] === 'x') return String.fromCharCode(parseInt(escape.slice(1), 16));
+    if (/^[0-7]/.test(escape)) return String.fromCharCode(parseInt(escape, 8));
+    return simpleEscapes[escape] !== undefined ? simpleEscapes[escape] : escape;
+  });
+}
+
+function tokenize(source, fileName) {
+  const tokens = [];
+  const pattern = /\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/|("(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*')|([A-Za-z_][\w.]*|\.[A-Za-z_][\w.]*)|(-?(?:0[xX][0-9a-fA-F]+|\d+(?:\.\d*)?(?:[eE][+-]?\d+)?|inf|nan))|([{}()[\]<>;=,:])/y;
+  let line = 1;
+  let position = 0;
+  while (position < source.length) {
+    pattern.lastIndex = position;
+    const match = pattern.exec(source);
+    if (!match) {
+      throw new Error(`${fileName}:${line}: unexpected character ${JSON.stringify(source[position])}`);
+    }
+    if (match[1] !== undefined) {
+      tokens.push({ kind: 'string', value: unescapeString(match[1].slice(1, -1)), line });
+    } else if (match[2] !== undefined) {
+      tokens.push({ kind: 'name', value: match[2], line });
+    } else if (match[3] !== undefined) {
+      tokens.push({ kind: 'number', value: match[3], line });
+    } else if (match[4] !== undefined) {
+      tokens.push({ kind: match[4], line });
+    }
+    line += (match[0].match(/\n/g) || []).length;
+    position = pattern.lastIndex;
+  }
+  tokens.push({ kind: '<EOF>', line });
+  return tokens;
+}
+
+// Parse one .proto file into { package, imports, messages, enums, services } with unresolved type names
+function parseProto(source, fileName) {
+  const tokens = tokenize(source, fileName);
+  let position = 0;
+  const peek = () => tokens[position];
+  const fail = message => {
+    throw new Error(`${fileName}:${peek().line}: ${message}`);
+  };
+  const describe = token => (token.kind === 'name' || token.kind === 'number' ? `"${token.value}"` : token.kind === 'string' ? 'a string' : `"${token.kind}"`);
+  const at = (kind, value) => peek().kind === kind && (value === undefined || peek().value === value);
+  const skip = (kind, value) => {
+    if (!at(kind, value)) return false;
+    position++;
+    return true;
+  };
+  const expect = (kind, value) => {
+    if (!at(kind, value)) fail(`expected ${value ? `"${value}"` : ['name', 'number', 'string'].includes(kind) ? `a ${kind}` : `"${kind}"`}, found ${describe(peek())}`);
+    return tokens[position++];
+  };
+  const name = () => expect('name').value;
+  const integer = () => {
+    const token = expect('number');
+    const value = Number(token.value);
+    if (!Number.isInteger(value)) fail(`expected an integer, found "${token.value}"`);
+    return value;
+  };
+
+  // Options and reserved ranges do not change the wire format: skip them
+  const skipStatement = () => {
+    while (!skip(';')) {
+      if (at('<EOF>')) fail('unexpected end of file');
+      if (at('{')) skipBlock();
+      else position++;
+    }
+  };
+  function skipBlock() {
+    expect('{');
+    let depth = 1;
+    while (depth) {
+      if (at('<EOF>')) fail('unexpected end of file');
+      if (at('{')) depth++;
+      if (at('}')) depth--;
+      position++;
+    }
+  }
+  const skipFieldOptions = () => {
+    if (!skip('[')) return {};
+    const options = {};
+    let depth = 1;
+    while (depth) {
+      if (at('<EOF>')) fail('unexpected end of file');
+      if (at('name', 'packed') && tokens[position + 1].kind === '=') {
+        options.packed = tokens[position + 2].value === 'true';
+      }
+      if (at('[')) depth++;
+      if (at(']')) depth--;
+      position++;
+    }
+    return options;
+  };
+
+  function parseEnum(scope) {
+    const enumName = name();
+    const values = [];
+    expect('{');
+    while (!skip('}')) {
+      if (skip(';')) continue;
+      if (at('name', 'option') || at('name', 'reserved')) {
+        skipStatement();
+        continue;
+      }
+      const valueName = name();
+      expect('=');
+      const number = integer();
+      skipFieldOptions();
+      expect(';');
+      values.push({ name: valueName, number });
+    }
+    return { kind: 'enum', name: enumName, fullName: scope ? `${scope}.${enumName}` : enumName, values };
+  }
+
+  function parseField(label, oneof, syntax) {
+    let type;
+    let map = null;
+    if (at('name', 'map') && tokens[position + 1].kind === '<') {
+      position += 2;
+      const keyType = name();
+      expect(',');
+      const valueType = name();
+      expect('>');
+      map = { keyType, valueType };
+      type = valueType;
+    } else {
+      type = name();
+    }
+    if (type === 'group') fail('proto2 groups are not supported');
+    const fieldName = name();
+    expect('=');
+    const number = integer();
+    const options = skipFieldOptions();
+    expect(';');
+    return {
+      name: fieldName,
+      jsonName: toCamelCase(fieldName),
+      number,
+      type,
+      map,
+      repeated: label === 'repeated',
+      // proto2 singular fields and proto3 optional fields track presence
+      optional: label === 'optional' || (syntax === 'proto2' && label !== 'repeated'),
+      oneof,
+      packed: options.packed !== undefined ? options.packed : syntax === 'proto3'
+    };
+  }
+
+  function parseMessage(scope, file) {
+    const messageName = name();
+    const fullName = scope ? `${scope}.${messageName}` : messageName;
+    const message = { kind: 'message', name: messageName, fullName, fields: [], oneofs: [] };
+    file.messages.push(message);
+    expect('{');
+    while (!skip('}')) {
+      if (skip(';')) continue;
+      const token = peek();
+      if (at('name', 'message')) {
+        position++;
+        parseMessage(fullName, file);
+      } else if (at('name', 'enum')) {
+        position++;
+        file.enums.push(parseEnum(fullName));
+      } else if (at('name', 'option') || at('name', 'reserved') || at('name', 'extensions')) {
+        skipStatement();
+      } else if (at('name', 'extend')) {
+        position++;
+        name();
+        skipBlock();
+      } else if (at('name', 'oneof')) {
+        position++;
+        const oneofName = name();
+        message.oneofs.push(oneofName);
+        expect('{');
+        while (!skip('}')) {
+          if (skip(';')) continue;
+          if (at('name', 'option')) {
+            skipStatement();
+            continue;
+          }
+          message.fields.push(parseField(null, oneofName, file.syntax));
+        }
+      } else if (token.kind === 'name' && ['repeated', 'optional', 'required'].includes(token.value) && tokens[position + 1].kind === 'name' && tokens[position + 2].kind !== '=') {
+        position++;
+        message.fields.push(parseField(token.value, null, file.syntax));
+      } else {
+        message.fields.push(parseField(null, null, file.syntax));
+      }
+    }
+    const numbers = new Set();
+    for (const field of message.fields) {
+      if (numbers.has(field.number)) fail(`${fullName} uses field number ${field.number} twice`);
+      numbers.add(field.number);
+    }
+  }
+
+  function parseService(scope) {
+    const serviceName = name();
+    const fullName = scope ? `${scope}.${serviceName}` : serviceName;
+    const methods = [];
+    expect('{');
+    while (!skip('}')) {
+      if (skip(';')) continue;
+      if (at('name', 'option')) {
+        skipStatement();
+        continue;
+      }
+      expect('name', 'rpc');
+      const methodName = name();
+      expect('(');
+      const requestStream = at('name', 'stream') && tokens[position + 1].kind === 'name' ? skip('name', 'stream') : false;
+      const requestType = name();
+      expect(')');
+      expect('name', 'returns');
+      expect('(');
+      const responseStream = at('name', 'stream') && tokens[position + 1].kind === 'name' ? skip('name', 'stream') : false;
+      const responseType = name();
+      expect(')');
+      if (at('{')) skipBlock();
+      else expect(';');
+      methods.push({ name: methodName, requestType, responseType, requestStream, responseStream, path: `/${fullName}/${methodName}` });
+    }
+    return { name: serviceName, fullName, methods };
+  }
+
+  const file = { syntax: 'proto2', package: '', imports: [], messages: [], enums: [], services: [] };
+  while (!at('<EOF>')) {
+    if (skip(';')) continue;
+    const keyword = name();
+    switch (keyword) {
+      case 'syntax':
+      case 'edition':
+        expect('=');
+        file.syntax = expect('string').value;
+        if (file.syntax !== 'proto2' && file.syntax !== 'proto3') fail(`unsupported syntax "${file.syntax}"`);
+        expect(';');
+        break;
+      case 'package':
+        file.package = name();
+        expect(';');
+        break;
+      case 'import':
+        skip('name', 'public') || skip('name', 'weak');
+        file.imports.push(expect('string').value);
+        expect(';');
+        break;
+      case 'option':
+        skipStatement();
+        break;
+      case 'message':
+        parseMessage(file.package, file);
+        break;
+      case 'enum':
+        file.enums.push(parseEnum(file.package));
+        break;
+      case 'service':
+        file.services.push(parseService(file.package));
+        break;
+      case 'extend':
+        name();
+        skipBlock();
+        break;
+      default:
+        position--;
+        fail(`unexpected ${describe(peek())}`);
+    }
+  }
+  return file;
+}
+
+// Load .proto files and their imports (relative to the importing file, then to importPaths) and resolve
+// every type reference. Returns { types: Map fullName -> message | enum, methods: Map path -> method, services }.
+function loadProtos(filePaths, importPaths = []) {
+  const files = [];
+  const loaded = new Set();
+
+  function load(filePath, source) {
+    if (loaded.has(filePath)) return;
+    loaded.add(filePath);
+    const file = parseProto(source !== undefined ? source : fs.readFileSync(filePath, 'utf8'), filePath);
+    for (const imported of file.imports) {
+      if (builtInProtos[imported]) {
+        load(imported, builtInProtos[imported]);
+        continue;
+      }
+      const candidates = [path.dirname(filePath), ...importPaths].map(dir => path.resolve(dir, imported));
+      const found = candidates.find(candidate => fs.existsSync(candidate));
+      if (!found) {
+        throw new Error(`${filePath}: import "${imported}" not found`);
+      }
+      load(found);
+    }
+    files.push(file);
+  }
+  filePaths.forEach(filePath => (builtInProtos[filePath] ? load(filePath, builtInProtos[filePath]) : load(path.resolve(filePath))));
+
+  const types = new Map();
+  for (const file of files) {
+    for (const type of [...file.messages, ...file.enums]) {
+      if (types.has(type.fullName)) {
+        throw new Error(`Type ${type.fullName} is defined more than once`);
+      }
+      types.set(type.fullName, type);
+    }
+  }
+
+  // Innermost scope first: a.b.C referencing D tries a.b.C.D, a.b.D, a.D, then D
+  const resolve = (typeName, scope, label) => {
+    if (typeName.startsWith('.')) {
+      const type = types.get(typeName.slice(1));
+      if (type) return type;
+    } else {
+      const parts = scope ? scope.split('.') : [];
+      for (let i = parts.length; i >= 0; i--) {
+        const candidate = [...parts.slice(0, i), typeName].join('.');
+        if (types.has(candidate)) return types.get(candidate);
+      }
+    }
+    throw new Error(`${label} refers to unknown type ${typeName}`);
+  };
+
+  for (const type of types.values()) {
+    if (type.kind === 'enum') {
+      type.byName = new Map(type.values.map(value => [value.name, value.number]));
+      type.byNumber = new Map([...type.values].reverse().map(value => [value.number, value.name]));
+      continue;
+    }
+    for (const field of type.fields) {
+      if (field.map && (!scalarTypes.has(field.map.keyType) || ['double', 'float', 'bytes'].includes(field.map.keyType))) {
+        throw new Error(`${type.fullName}.${field.name} has an invalid map key type ${field.map.keyType}`);
+      }
+      if (!scalarTypes.has(field.type)) {
+        const resolved = resolve(field.type, type.fullName, `${type.fullName}.${field.name}`);
+        if (resolved.kind === 'enum') field.enum = resolved;
+        else field.message = resolved;
+      }
+    }
+    type.byNumber = new Map(type.fields.map(field => [field.number, field]));
+  }
+
+  const services = [];
+  const methods = new Map();
+  for (const file of files) {
+    for (const service of file.services) {
+      for (const method of service.methods) {
+        method.requestType = resolve(method.requestType, service.fullName, method.path);
+        method.responseType = resolve(method.responseType, service.fullName, method.path);
+        if (method.requestType.kind !== 'message' || method.responseType.kind !== 'message') {
+          throw new Error(`${method.path} must take and return message types`);
+        }
+        methods.set(method.path, method);
+      }
+      services.push(service);
+    }
+  }
+  return { types, services, methods };
+}
+
+// --- Wire format ---
+
+function encodeVarint(value) {
+  let remaining = BigInt.asUintN(64, BigInt(value));
+  const bytes = [];
+  do {
+    let byte = Number(remaining & 0x7fn);
+    remaining >>= 7n;
+    if (remaining) byte |= 0x80;
+    bytes.push(byte);
+  } while (remaining);
+  return Buffer.from(bytes);
+}
+
+const encodeTag = (number, wireType) => encodeVarint((BigInt(number) << 3n) | BigInt(wireType));
+const encodeLengthDelimited = buffer => Buffer.concat([encodeVarint(buffer.length), buffer]);
+
+function toBigInt(value, label) {
+  try {
+    return BigInt(typeof value === 'number' ? Math.trunc(value) : value);
+  } catch (error) {
+    throw new Error(`${label} must be an integer, got ${JSON.stringify(value)}`);
+  }
+}
+
+function encodeScalar(field, value, label) {
+  if (field.enum) {
+    const number = typeof value === 'number' ? value : field.enum.byName.get(value);
+    if (number === undefined) throw new Error(`${label} must be a ${field.enum.fullName} value, got ${JSON.stringify(value)}`);
+    return encodeVarint(number);
+  }
+  switch (field.type) {
+    case 'string':
+      return encodeLengthDelimited(Buffer.from(String(value), 'utf8'));
+    case 'bytes':
+      return encodeLengthDelimited(Buffer.isBuffer(value) ? value : Buffer.from(String(value), 'base64'));
+    case 'bool':
+      return encodeVarint(value === true || value === 'true' ? 1 : 0);
+    case 'sint32':
+    case 'sint64': {
+      const number = toBigInt(value, label);
+      return encodeVarint((number << 1n) ^ (number >> 63n));
+    }
+    case 'double':
+    case 'float': {
+      const buffer = Buffer.alloc(field.type === 'double' ? 8 : 4);
+      if (field.type === 'double') buffer.writeDoubleLE(Number(value));
+      else buffer.writeFloatLE(Number(value));
+      return buffer;
+    }
+    case 'fixed32':
+    case 'sfixed32': {
+      const buffer = Buffer.alloc(4);
+      buffer.writeUInt32LE(Number(BigInt.asUintN(32, toBigInt(value, label))));
+      return buffer;
+    }
+    case 'fixed64':
+    case 'sfixed64': {
+      const buffer = Buffer.alloc(8);
+      buffer.writeBigUInt64LE(BigInt.asUintN(64, toBigInt(value, label)));
+      return buffer;
+    }
+    default:
+      return encodeVarint(toBigInt(value, label));
+  }
+}
+
+function isDefaultValue(field, value) {
+  if (field.message) return false;
+  if (field.type === 'bytes') return value.length === 0;
+  if (field.enum) return value === 0 || field.enum.byName.get(value) === 0;
+  return value === 0 || value === '0' || value === '' || value === false;
+}
+
+// Timestamps and durations may be given in their proto3 JSON form: RFC 3339 strings and "1.5s"
+function fromJsonForm(type, value, label) {
+  if (typeof value !== 'string') return value;
+  if (type.fullName === 'google.protobuf.Timestamp') {
+    const ms = Date.parse(value);
+    if (Number.isNaN(ms)) throw new Error(`${label} must be an RFC 3339 timestamp, got ${JSON.stringify(value)}`);
+    // Date.parse stops at milliseconds, the fraction carries up to nanoseconds
+    const fraction = /T\d{2}:\d{2}:\d{2}\.(\d{1,9})/.exec(value);
+    return { seconds: String(Math.floor(ms / 1000)), nanos: fraction ? Number(fraction[1].padEnd(9, '0')) : 0 };
+  }
+  if (type.fullName === 'google.protobuf.Duration') {
+    const match = /^(-?)(\d+)(?:\.(\d{1,9}))?s$/.exec(value);
+    if (!match) throw new Error(`${label} must be a duration like "1.5s", got ${JSON.stringify(value)}`);
+    const nanos = Number((match[3] || '').padEnd(9, '0'));
+    return { seconds: `${match[1]}${match[2]}`, nanos: match[1] ? -nanos : nanos };
+  }
+  return value;
+}
+
+function encodeValue(field, value, label) {
+  return field.message ?
+    encodeLengthDelimited(encodeMessage(field.message, fromJsonForm(field.message, value, label), label)) :
+    encodeScalar(field, value, label);
+}
+
+// Encode a plain object (fields by .proto or JSON name) as message type; throws on values that do not fit
+function encodeMessage(type, value, label = type.fullName) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`${label} must be an object, got ${JSON.stringify(value)}`);
+  }
+  const parts = [];
+  for (const field of type.fields) {
+    const fieldValue = value[field.name] !== undefined ? value[field.name] : value[field.jsonName];
+    const fieldLabel = `${label}.${field.name}`;
+    if (fieldValue === undefined || fieldValue === null) continue;
+    if (field.map) {
+      const keyField = { type: field.map.keyType };
+      const valueField = { ...field, map: null, repeated: false };
+      for (const [key, entryValue] of Object.entries(fieldValue)) {
+        const entry = Buffer.concat([
+          encodeTag(1, wireTypeOf(keyField)), encodeScalar(keyField, key, fieldLabel),
+          encodeTag(2, wireTypeOf(valueField)), encodeValue(valueField, entryValue, `${fieldLabel}.${key}`)
+        ]);
+        parts.push(encodeTag(field.number, wireTypes.bytes), encodeLengthDelimited(entry));
+      }
+    } else if (field.repeated) {
+      const items = [].concat(fieldValue);
+      if (field.packed && isPackable(field)) {
+        if (items.length) {
+          parts.push(encodeTag(field.number, wireTypes.bytes), encodeLengthDelimited(Buffer.concat(items.map(item => encodeScalar(field, item, fieldLabel)))));
+        }
+      } else {
+        items.forEach((item, index) => parts.push(encodeTag(field.number, wireTypeOf(field)), encodeValue(field, item, `${fieldLabel}[${index}]`)));
+      }
+    } else if (field.optional || field.oneof || !isDefaultValue(field, fieldValue)) {
+      // proto3 leaves default values off the wire unless the field tracks presence
+      parts.push(encodeTag(field.number, wireTypeOf(field)), encodeValue(field, fieldValue, fieldLabel));
+    }
+  }
+  return Buffer.concat(parts);
+}
+
+function createReader(buffer) {
+  let offset = 0;
+  const reader = {
+    done: () => offset >= buffer.length,
+    varint() {
+      let result = 0n;
+      let shift = 0n;
+      for (;;) {
+        if (offset >= buffer.length) throw new Error('Truncated varint');
+        const byte = buffer[offset++];
+        result |= BigInt(byte & 0x7f) << shift;
+        if (!(byte & 0x80)) return result;
+        shift += 7n;
+        if (shift > 63n) throw new Error('Varint is too long');
+      }
+    },
+    bytes(length) {
+      if (offset + length > buffer.length) throw new Error('Truncated field');
+      const slice = buffer.subarray(offset, offset + length);
+      offset += length;
+      return slice;
+    },
+    lengthDelimited: () => reader.bytes(Number(reader.varint())),
+    skip(wireType) {
+      if (wireType === wireTypes.varint) reader.varint();
+      else if (wireType === wireTypes.fixed64) reader.bytes(8);
+      else if (wireType === wireTypes.bytes) reader.lengthDelimited();
+      else if (wireType === wireTypes.fixed32) reader.bytes(4);
+      else throw new Error(`Unsupported wire type ${wireType}`);
+    }
+  };
+  return reader;
+}
+
+function decodeScalar(field, reader) {
+  const type = field.enum ? 'enum' : field.type;
+  switch (type) {
+    case 'string': return reader.lengthDelimited().toString('utf8');
+    case 'bytes': return reader.lengthDelimited().toString('base64');
+    case 'bool': return reader.varint() !== 0n;
+    case 'double': return reader.bytes(8).readDoubleLE(0);
+    case 'float': return reader.bytes(4).readFloatLE(0);
+    case 'fixed32': return reader.bytes(4).readUInt32LE(0);
+    case 'sfixed32': return reader.bytes(4).readInt32LE(0);
+    case 'fixed64': return reader.bytes(8).readBigUInt64LE(0).toString();
+    case 'sfixed64': return reader.bytes(8).readBigInt64LE(0).toString();
+    case 'enum': {
+      const number = Number(BigInt.asIntN(32, reader.varint()));
+      return field.enum.byNumber.has(number) ? field.enum.byNumber.get(number) : number;
+    }
+    case 'sint32':
+    case 'sint64': {
+      const raw = reader.varint();
+      const value = (raw >> 1n) ^ -(raw & 1n);
+      return type === 'sint32' ? Number(value) : value.toString();
+    }
+    case 'int32': return Number(BigInt.asIntN(32, reader.varint()));
+    case 'uint32': return Number(BigInt.asUintN(32, reader.varint()));
+    case 'int64': return BigInt.asIntN(64, reader.varint()).toString();
+    default: return reader.varint().toString();
+  }
+}
+
+function defaultValue(field) {
+  if (field.map) return {};
+  if (field.repeated) return [];
+  if (field.enum) return field.enum.byNumber.get(0) !== undefined ? field.enum.byNumber.get(0) : 0;
+  if (field.type === 'bool') return false;
+  if (field.type === 'string' || field.type === 'bytes') return '';
+  return longTypes.has(field.type) ? '0' : 0;
+}
+
+// Decode message bytes; unset proto3 scalar fields get their defaults, unset message fields stay absent
+function decodeMessage(type, buffer) {
+  const reader = createReader(buffer);
+  const result = {};
+  for (const field of type.fields) {
+    if (!field.message && !field.optional && !field.oneof) result[field.name] = defaultValue(field);
+    else if (field.repeated || field.map) result[field.name] = defaultValue(field);
+  }
+  while (!reader.done()) {
+    const tag = reader.varint();
+    const wireType = Number(tag & 7n);
+    const field = type.byNumber.get(Number(tag >> 3n));
+    if (!field) {
+      reader.skip(wireType);
+      continue;
+    }
+    if (field.map) {
+      const entryReader = createReader(reader.lengthDelimited());
+      const keyField = { type: field.map.keyType };
+      let key = defaultValue(keyField);
+      let value = field.message ? {} : defaultValue({ ...field, repeated: false, map: null });
+      while (!entryReader.done()) {
+        const entryTag = entryReader.varint();
+        const entryNumber = Number(entryTag >> 3n);
+        if (entryNumber === 1) key = decodeScalar(keyField, entryReader);
+        else if (entryNumber === 2) value = field.message ? decodeMessage(field.message, entryReader.lengthDelimited()) : decodeScalar(field, entryReader);
+        else entryReader.skip(Number(entryTag & 7n));
+      }
+      result[field.name][String(key)] = value;
+    } else if (field.message) {
+      const value = decodeMessage(field.message, reader.lengthDelimited());
+      if (field.repeated) result[field.name].push(value);
+      else result[field.name] = value;
+    } else if (field.repeated && wireType === wireTypes.bytes && isPackable(field)) {
+      const packedReader = createReader(reader.lengthDelimited());
+      while (!packedReader.done()) result[field.name].push(decodeScalar(field, packedReader));
+    } else {
+      const value = decodeScalar(field, reader);
+      if (field.repeated) {
+        result[field.name].push(value);
+      } else {
+        result[field.name] = value;
+        // Setting one member of a oneof clears the others
+        if (field.oneof) type.fields.filter(other => other.oneof === field.oneof && other !== field).forEach(other => delete result[other.name]);
+      }
+    }
+  }
+  return result;
+}
+
+module.exports = { loadProtos, parseProto, encodeMessage, decodeMessage, longTypes };
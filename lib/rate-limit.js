@@ -0,0 +1,186 @@
+const { compilePathPattern } = require('./match');
+
+const rateLimitAlgorithms = ['fixed_window', 'sliding_window', 'token_bucket'];
+
+// Each algorithm takes the previous state (or null) and returns the new state plus the decision:
+// { state, allowed, remaining, resetMs, retryAfterMs }
+const algorithms = {
+  fixed_window(state, max, windowMs, now) {
+    if (!state || now - state.start >= windowMs) {
+      state = { start: now, count: 0 };
+    }
+    const allowed = state.count < max;
+    if (allowed) state.count++;
+    const resetMs = state.start + windowMs - now;
+    return { state, allowed, remaining: max - state.count, resetMs, retryAfterMs: allowed ? 0 : resetMs };
+  },
+
+  // Two-window counter: the previous window's count is weighted by how much of it still overlaps
+  sliding_window(state, max, windowMs, now) {
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    if (!state) {
+      state = { windowStart, current: 0, previous: 0 };
+    } else if (state.windowStart !== windowStart) {
+      state = {
+        windowStart,
+        current: 0,
+        previous: windowStart - state.windowStart === windowMs ? state.current : 0
+      };
+    }
+    const elapsed = now - windowStart;
+    const estimated = state.previous * (1 - elapsed / windowMs) + state.current;
+    const allowed = estimated + 1 <= max;
+    if (allowed) state.current++;
+
+    const resetMs = windowStart + windowMs - now;
+    let retryAfterMs = 0;
+    if (!allowed) {
+      // Time until enough of the previous window has slid out, else the next window
+      retryAfterMs = state.previous > 0 ?
+        Math.min(resetMs, Math.ceil(((estimated + 1 - max) * windowMs) / state.previous)) :
+        resetMs;
+    }
+    const remaining = Math.max(0, Math.floor(max - estimated - (allowed ? 1 : 0)));
+    return { state, allowed, remaining, resetMs, retryAfterMs };
+  },
+
+  // Bucket of max tokens refilled at max per windowMs
+  token_bucket(state, max, windowMs, now) {
+    const rate = max / windowMs;
+    if (!state) {
+      state = { tokens: max, updated: now };
+    } else {
+      state = { tokens: Math.min(max, state.tokens + (now - state.updated) * rate), updated: now };
+    }
+    const allowed = state.tokens >= 1;
+    if (allowed) state.tokens -= 1;
+    return {
+      state,
+      allowed,
+      remaining: Math.floor(state.tokens),
+      resetMs: Math.ceil((max - state.tokens) / rate),
+      retryAfterMs: allowed ? 0 : Math.ceil((1 - state.tokens) / rate)
+    };
+  }
+};
+
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Validate per-route limits: [{ method, path, max, windowMs, algorithm }], returns a list of problems
+function validateRouteLimits(routes) {
+  if (!Array.isArray(routes)) {
+    return ['rateLimitRoutes must be a list of route limits'];
+  }
+  const errors = [];
+  routes.forEach((route, index) => {
+    const label = `rateLimitRoutes[${index}]`;
+    if (!isPlainObject(route) || typeof route.path !== 'string' || !route.path.startsWith('/')) {
+      errors.push(`${label}.path must be a path starting with /`);
+      return;
+    }
+    if (route.method !== undefined && typeof route.method !== 'string') {
+      errors.push(`${label}.method must be a string`);
+    }
+    if (!Number.isInteger(route.max) || route.max < 1) {
+      errors.push(`${label}.max must be a positive integer`);
+    }
+    if (route.windowMs !== undefined && (!Number.isInteger(route.windowMs) || route.windowMs < 1)) {
+      errors.push(`${label}.windowMs must be a positive integer`);
+    }
+    if (route.algorithm !== undefined && !rateLimitAlgorithms.includes(route.algorithm)) {
+      errors.push(`${label}.algorithm must be one of: ${rateLimitAlgorithms.join(', ')}`);
+    }
+  });
+  return errors;
+}
+
+// Compiled patterns per rateLimitRoutes array (config patches replace the array)
+const compiledRoutes = new WeakMap();
+
+// First route limit matching the request, with its index, or null
+function matchRouteLimit(routes, req) {
+  if (!routes.length) return null;
+  let compiled = compiledRoutes.get(routes);
+  if (!compiled) {
+    compiled = routes.map(route => ({
+      method: route.method ? route.method.toUpperCase() : null,
+      matchPath: compilePathPattern(route.path)
+    }));
+    compiledRoutes.set(routes, compiled);
+  }
+  const method = req.method.toUpperCase();
+  const index = compiled.findIndex(route => (!route.method || route.method === method) && route.matchPath(req.path || '/'));
+  return index === -1 ? null : { index, route: routes[index] };
+}
+
+// Keyed rate limiter, bounded to maxKeys entries (least recently seen dropped first).
+// maxKeys may be a function so it follows runtime config changes.
+function createRateLimiter({ maxKeys = 10000 } = {}) {
+  const entries = new Map();
+  const getMaxKeys = typeof maxKeys === 'function' ? maxKeys : () => maxKeys;
+
+  // Count one request for key, returns { allowed, limit, remaining, resetMs, retryAfterMs }
+  function check(key, { algorithm, max, windowMs }, now = Date.now()) {
+    const previous = entries.get(key);
+    entries.delete(key);
+    const reuse = previous && previous.algorithm === algorithm && previous.max === max && previous.windowMs === windowMs;
+    const result = algorithms[algorithm](reuse ? previous.state : null, max, windowMs, now);
+
+    entries.set(key, { algorithm, max, windowMs, state: result.state, lastSeen: now });
+    const limit = getMaxKeys();
+    while (entries.size > limit) {
+      entries.delete(entries.keys().next().value);
+    }
+    return {
+      allowed: result.allowed,
+      limit: max,
+      remaining: result.remaining,
+      resetMs: result.resetMs,
+      retryAfterMs: result.retryAfterMs
+    };
+  }
+
+  // Drop keys not seen for idleMs (or their own window, if longer), returns how many were dropped
+  function evictIdle(idleMs, now = Date.now()) {
+    let evicted = 0;
+    for (const [key, entry] of entries) {
+      if (now - entry.lastSeen > Math.max(idleMs, entry.windowMs)) {
+        entries.delete(key);
+        evicted++;
+      }
+    }
+    return evicted;
+  }
+
+  function clear() {
+    entries.clear();
+  }
+
+  return { check, evictIdle, clear, size: () => entries.size };
+}
+
+// Rate limiter keeping its state in a shared state store, so all instances count together.
+// Idle keys expire through the store TTL; keyTtlMs(windowMs) gives the TTL for a key.
+function createSharedRateLimiter({ store, keyTtlMs }) {
+  async function check(key, { algorithm, max, windowMs }, now = Date.now()) {
+    const storeKey = `ratelimit:${key}`;
+    let result;
+    // The store applies the read-modify-write atomically, so concurrent instances never lose a count
+    await store.update(storeKey, previous => {
+      const reuse = previous && previous.algorithm === algorithm && previous.max === max && previous.windowMs === windowMs;
+      result = algorithms[algorithm](reuse ? previous.state : null, max, windowMs, now);
+      return { algorithm, max, windowMs, state: result.state };
+    }, keyTtlMs(windowMs));
+    return {
+      allowed: result.allowed,
+      limit: max,
+      remaining: result.remaining,
+      resetMs: result.resetMs,
+      retryAfterMs: result.retryAfterMs
+    };
+  }
+
+  return { check, evictIdle: () => 0, clear() {}, size: () => null };
+}
+
+module.exports = { rateLimitAlgorithms, createRateLimiter, createSharedRateLimiter, validateRouteLimits, matchRouteLimit };
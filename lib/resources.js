@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const path = require('path');
+const { readDataFile } = require('./files');
+const { compilePathPattern } = require('./match');
+
+const fieldTypes = ['string', 'number', 'integer', 'boolean', 'object', 'array'];
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+function matchesFieldType(value, type) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return isPlainObject(value);
+    default: return typeof value === type;
+  }
+}
+
+// Validate and normalise one collection definition, returns { errors } or { collection }
+function compileCollection(name, definition, baseDir) {
+  const label = `collections.${name}`;
+  if (!isPlainObject(definition)) {
+    return { errors: [`${label} must be an object`] };
+  }
+
+  const errors = [];
+  const basePath = definition.path || `/api/${name}`;
+  if (typeof basePath !== 'string' || !basePath.startsWith('/')) {
+    errors.push(`${label}.path must be a path starting with /`);
+  }
+  const idType = definition.idType || 'numeric';
+  if (!['numeric', 'uuid'].includes(idType)) {
+    errors.push(`${label}.idType must be numeric or uuid`);
+  }
+  const fields = definition.fields || {};
+  if (!isPlainObject(fields)) {
+    errors.push(`${label}.fields must map field names to types`);
+  } else {
+    for (const [field, type] of Object.entries(fields)) {
+      if (!fieldTypes.includes(type)) {
+        errors.push(`${label}.fields.${field} must be one of: ${fieldTypes.join(', ')}`);
+      }
+    }
+  }
+  const required = definition.required || [];
+  if (!Array.isArray(required)) {
+    errors.push(`${label}.required must be a list of field names`);
+  }
+  if (errors.length) {
+    return { errors };
+  }
+
+  return {
+    collection: {
+      name,
+      basePath: basePath.replace(/\/$/, ''),
+      idField: definition.idField || 'id',
+      idType,
+      fields,
+      required,
+      additionalFields: definition.additionalFields !== false,
+      fixturesFile: definition.fixtures ? path.resolve(baseDir, definition.fixtures) : null,
+      matchItem: compilePathPattern(`${basePath.replace(/\/$/, '')}/:id`),
+      entities: new Map(),
+      nextId: 1
+    }
+  };
+}
+
+// Read a resources file: { collections: { users: { path, idType, fields, required, fixtures } } }
+function parseResourcesFile(filePath) {
+  const document = readDataFile(filePath);
+  if (!isPlainObject(document) || !isPlainObject(document.collections)) {
+    throw new Error('Resources file must contain a collections object');
+  }
+
+  const baseDir = path.dirname(filePath);
+  const collections = [];
+  const errors = [];
+  for (const [name, definition] of Object.entries(document.collections)) {
+    const result = compileCollection(name, definition, baseDir);
+    if (result.errors) {
+      errors.push(...result.errors);
+    } else {
+      collections.push(result.collection);
+    }
+  }
+  if (errors.length) {
+    throw new Error(errors.join('; '));
+  }
+  return collections;
+}
+
+// In-memory CRUD store for the collections declared in a resources file
+function createResourceStore({ filePath, logJson }) {
+  const collections = parseResourcesFile(filePath);
+
+  function generateId(collection) {
+    if (collection.idType === 'uuid') {
+      return crypto.randomUUID();
+    }
+    return collection.nextId++;
+  }
+
+  // Empty a collection and seed it again from its fixtures file
+  function resetCollection(collection) {
+    collection.entities.clear();
+    collection.nextId = 1;
+    if (!collection.fixturesFile) {
+      return;
+    }
+
+    const fixtures = readDataFile(collection.fixturesFile);
+    if (!Array.isArray(fixtures)) {
+      throw new Error(`Fixtures for ${collection.name} must be a list of entities`);
+    }
+    for (const fixture of fixtures) {
+      const entity = { ...fixture };
+      if (entity[collection.idField] === undefined) {
+        entity[collection.idField] = generateId(collection);
+      }
+      const id = entity[collection.idField];
+      if (typeof id === 'number' && id >= collection.nextId) {
+        collection.nextId = id + 1;
+      }
+      collection.entities.set(String(id), entity);
+    }
+  }
+
+  function reset(name) {
+    const targets = name ? collections.filter(collection => collection.name === name) : collections;
+    targets.forEach(resetCollection);
+    logJson({
+      type: 'resources_reset',
+      timestamp: new Date().toISOString(),
+      collections: targets.map(collection => collection.name)
+    });
+    return targets.map(collection => collection.name);
+  }
+
+  // Check a body against the declared fields, partial = PATCH semantics
+  function validate(collection, body, partial) {
+    if (!isPlainObject(body)) {
+      return ['Request body must be a JSON object'];
+    }
+    const errors = [];
+    if (!partial) {
+      for (const field of collection.required) {
+        if (body[field] === undefined || body[field] === null) {
+          errors.push(`Missing required field: ${field}`);
+        }
+      }
+    }
+    for (const [field, value] of Object.entries(body)) {
+      if (field === collection.idField) continue;
+      const type = collection.fields[field];
+      if (!type) {
+        if (!collection.additionalFields) errors.push(`Unknown field: ${field}`);
+      } else if (value === null) {
+        if (collection.required.includes(field)) errors.push(`${field} must not be null`);
+      } else if (!matchesFieldType(value, type)) {
+        errors.push(`${field} must be of type ${type}`);
+      }
+    }
+    return errors;
+  }
+
+  // Resolve the collection (and item id) addressed by a request path
+  function route(requestPath) {
+    const normalised = requestPath.replace(/\/$/, '') || '/';
+    for (const collection of collections) {
+      if (normalised === collection.basePath) {
+        return { collection, id: null };
+      }
+      const params = collection.matchItem(normalised);
+      if (params) {
+        return { collection, id: params.id };
+      }
+    }
+    return null;
+  }
+
+  function errorResult(status, type, message, requestId, extra) {
+    return {
+      status,
+      body: {
+        status: 'error',
+        message,
+        timestamp: new Date().toISOString(),
+        requestId,
+        error_type: type,
+        ...extra
+      }
+    };
+  }
+
+  // Handle a CRUD request, returns { status, headers, body } or null when no collection matches
+  function handle(req, requestId) {
+    const target = route(req.path || '/');
+    if (!target) {
+      return null;
+    }
+    const result = respond(target, req, requestId);
+    result.route = target.id === null ? target.collection.basePath : `${target.collection.basePath}/:id`;
+    return result;
+  }
+
+  // CRUD semantics for the resolved collection or item
+  function respond({ collection, id }, req, requestId) {
+    const method = req.method.toUpperCase();
+
+    if (id === null) {
+      if (method === 'GET') {
+        // Every query parameter filters on the field of the same name
+        const filters = Object.entries(req.query || {});
+        const data = [...collection.entities.values()].filter(entity =>
+          filters.every(([field, value]) => String(entity[field]) === String(value)));
+        return { status: 200, body: { data, total: data.length } };
+      }
+
+      if (method === 'POST') {
+        const errors = validate(collection, req.body, false);
+        if (errors.length) {
+          return errorResult(400, 'validation_error', `Invalid ${collection.name} entity`, requestId, { errors });
+        }
+        const newId = generateId(collection);
+        const entity = { [collection.idField]: newId, ...req.body };
+        entity[collection.idField] = newId;
+        collection.entities.set(String(entity[collection.idField]), entity);
+        return {
+          status: 201,
+          headers: { Location: `${collection.basePath}/${entity[collection.idField]}` },
+          body: entity
+        };
+      }
+
+      return {
+        ...errorResult(405, 'method_not_allowed', `${method} is not supported on ${collection.basePath}`, requestId),
+        headers: { Allow: 'GET, POST' }
+      };
+    }
+
+    const existing = collection.entities.get(id);
+    if (!['GET', 'PUT', 'PATCH', 'DELETE'].includes(method)) {
+      return {
+        ...errorResult(405, 'method_not_allowed', `${method} is not supported on ${collection.basePath}/{id}`, requestId),
+        headers: { Allow: 'GET, PUT, PATCH, DELETE' }
+      };
+    }
+    if (!existing) {
+      return errorResult(404, 'not_found', `${collection.name} ${id} not found`, requestId);
+    }
+
+    if (method === 'GET') {
+      return { status: 200, body: existing };
+    }
+
+    if (method === 'DELETE') {
+      collection.entities.delete(id);
+      return { status: 204, body: null };
+    }
+
+    // PUT replaces the entity, PATCH merges into it; the id never changes
+    const partial = method === 'PATCH';
+    const errors = validate(collection, req.body, partial);
+    if (errors.length) {
+      return errorResult(400, 'validation_error', `Invalid ${collection.name} entity`, requestId, { errors });
+    }
+    const updated = partial ?
+      { ...existing, ...req.body } :
+      { [collection.idField]: existing[collection.idField], ...req.body };
+    updated[collection.idField] = existing[collection.idField];
+    collection.entities.set(id, updated);
+    return { status: 200, body: updated };
+  }
+
+  function describe() {
+    return collections.map(collection => ({
+      name: collection.name,
+      path: collection.basePath,
+      id_type: collection.idType,
+      entities: collection.entities.size,
+      fixtures: collection.fixturesFile
+    }));
+  }
+
+  collections.forEach(resetCollection);
+
+  return { handle, reset, describe };
+}
+
+module.exports = { createResourceStore };
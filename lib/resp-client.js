@@ -0,0 +1,154 @@
+const net = require('net');
+
+// Minimal Redis (RESP2) client: one connection, pipelined commands, replies matched in order
+
+function encodeCommand(args) {
+  const parts = [Buffer.from(`*${args.length}\r\n`)];
+  for (const arg of args) {
+    const value = Buffer.from(String(arg));
+    parts.push(Buffer.from(`$${value.length}\r\n`), value, Buffer.from('\r\n'));
+  }
+  return Buffer.concat(parts);
+}
+
+// Parse one reply at offset, returns { value, offset } or null when the buffer is incomplete
+function parseReply(buffer, offset) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected RESP reply type: ${JSON.stringify(type)}`);
+  }
+}
+
+// url: redis://[:password@]host[:port][/db]
+function createRespClient(url, { connectTimeoutMs = 2000, commandTimeoutMs = 2000 } = {}) {
+  const parsed = new URL(url);
+  const host = parsed.hostname || '127.0.0.1';
+  const port = Number(parsed.port) || 6379;
+  const db = Number(parsed.pathname.slice(1)) || 0;
+  const password = parsed.password ? decodeURIComponent(parsed.password) : null;
+
+  let socket = null;
+  let connecting = null;
+  let buffer = Buffer.alloc(0);
+  let pending = [];
+
+  function failPending(error) {
+    const failed = pending;
+    pending = [];
+    failed.forEach(entry => {
+      clearTimeout(entry.timer);
+      entry.reject(error);
+    });
+  }
+
+  function onData(chunk) {
+    buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+    let offset = 0;
+    try {
+      let reply;
+      while (pending.length && (reply = parseReply(buffer, offset))) {
+        offset = reply.offset;
+        const entry = pending.shift();
+        clearTimeout(entry.timer);
+        if (reply.value instanceof Error) {
+          entry.reject(reply.value);
+        } else {
+          entry.resolve(reply.value);
+        }
+      }
+    } catch (error) {
+      socket.destroy(error);
+      return;
+    }
+    buffer = buffer.subarray(offset);
+  }
+
+  function send(args) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        // A lost reply would shift every later one, so drop the connection
+        if (socket) socket.destroy(new Error(`Redis command timed out: ${args[0]}`));
+      }, commandTimeoutMs);
+      pending.push({ resolve, reject, timer });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  function connect() {
+    if (connecting) return connecting;
+    connecting = new Promise((resolve, reject) => {
+      const candidate = net.createConnection({ host, port });
+      candidate.setNoDelay(true);
+      const timer = setTimeout(() => candidate.destroy(new Error(`Redis connect timeout (${host}:${port})`)), connectTimeoutMs);
+      candidate.once('connect', () => {
+        clearTimeout(timer);
+        socket = candidate;
+        buffer = Buffer.alloc(0);
+        const setup = [];
+        if (password) setup.push(send(['AUTH', password]));
+        if (db) setup.push(send(['SELECT', db]));
+        Promise.all(setup).then(() => resolve(), reject);
+      });
+      candidate.on('data', onData);
+      candidate.on('error', error => {
+        clearTimeout(timer);
+        reject(error);
+        failPending(error);
+      });
+      candidate.on('close', () => {
+        if (socket === candidate) socket = null;
+        connecting = null;
+        failPending(new Error('Redis connection closed'));
+      });
+    });
+    connecting.catch(() => {
+      connecting = null;
+    });
+    return connecting;
+  }
+
+  // Run one command, e.g. command('SET', key, value, 'PX', 1000)
+  async function command(...args) {
+    await connect();
+    return send(args);
+  }
+
+  function close() {
+    if (socket) socket.end();
+  }
+
+  return { command, close, host, port, db, connected: () => !!socket };
+}
+
+module.exports = { createRespClient, encodeCommand, parseReply };
@@ -0,0 +1,161 @@
+// Small JSON Schema (OpenAPI 3 flavour) validator and sample generator
+
+const maxDepth = 20;
+
+// Resolve local $ref pointers such as #/components/schemas/Item against the root document
+function createRefResolver(root) {
+  return function resolve(schema) {
+    let current = schema;
+    let hops = 0;
+    while (current && current.$ref) {
+      if (!current.$ref.startsWith('#/') || ++hops > maxDepth) {
+        throw new Error(`Unsupported or circular $ref: ${current.$ref}`);
+      }
+      current = current.$ref
+        .slice(2)
+        .split('/')
+        .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((node, key) => (node ? node[key] : undefined), root);
+      if (current === undefined) {
+        throw new Error(`Unresolvable $ref: ${schema.$ref}`);
+      }
+    }
+    return current;
+  };
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Validate a value, returns a list of "path: problem" strings
+function validateSchema(value, schema, resolve, path = '$', depth = 0) {
+  schema = resolve(schema || {});
+  if (depth > maxDepth) return [];
+  const errors = [];
+
+  if (value === null) {
+    if (schema.nullable || schema.type === 'null' || schema.type === undefined) return [];
+    return [`${path}: must not be null`];
+  }
+
+  if (schema.allOf) {
+    schema.allOf.forEach(part => errors.push(...validateSchema(value, part, resolve, path, depth + 1)));
+  }
+  for (const keyword of ['oneOf', 'anyOf']) {
+    if (schema[keyword]) {
+      const matching = schema[keyword].filter(part => validateSchema(value, part, resolve, path, depth + 1).length === 0);
+      if (matching.length === 0 || (keyword === 'oneOf' && matching.length > 1)) {
+        errors.push(`${path}: must match ${keyword === 'oneOf' ? 'exactly one' : 'at least one'} of the allowed schemas`);
+      }
+    }
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [...errors, `${path}: must be of type ${schema.type}`];
+  }
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: must have at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: must have at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path}: must match pattern ${schema.pattern}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum === true && value <= schema.minimum) errors.push(`${path}: must be > ${schema.minimum}`);
+    if (schema.exclusiveMaximum === true && value >= schema.maximum) errors.push(`${path}: must be < ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, resolve, `${path}[${index}]`, depth + 1)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) errors.push(`${path}.${name}: is required`);
+    }
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (properties[name]) {
+        errors.push(...validateSchema(propertyValue, properties[name], resolve, `${path}.${name}`, depth + 1));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${name}: is not allowed`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(propertyValue, schema.additionalProperties, resolve, `${path}.${name}`, depth + 1));
+      }
+    }
+  }
+
+  return errors;
+}
+
+const sampleStrings = {
+  'date-time': () => new Date().toISOString(),
+  date: () => new Date().toISOString().slice(0, 10),
+  email: () => 'user@example.com',
+  uuid: () => '3fa85f64-5717-4562-b3fc-2c963f66afa6',
+  uri: () => 'https://example.com/resource',
+  hostname: () => 'example.com',
+  ipv4: () => '192.0.2.1'
+};
+
+// Build a sample value from a schema, preferring example/default/enum values
+function sampleFromSchema(schema, resolve, depth = 0) {
+  schema = resolve(schema || {});
+  if (schema.example !== undefined) return schema.example;
+  if (schema.default !== undefined) return schema.default;
+  if (schema.enum && schema.enum.length) return schema.enum[0];
+  if (depth > maxDepth) return null;
+
+  if (schema.allOf) {
+    return schema.allOf.reduce((merged, part) => {
+      const sample = sampleFromSchema(part, resolve, depth + 1);
+      return typeOf(sample) === 'object' ? { ...merged, ...sample } : merged;
+    }, {});
+  }
+  if (schema.oneOf || schema.anyOf) {
+    return sampleFromSchema((schema.oneOf || schema.anyOf)[0], resolve, depth + 1);
+  }
+
+  const type = schema.type || (schema.properties ? 'object' : schema.items ? 'array' : 'string');
+  switch (type) {
+    case 'object': {
+      const sample = {};
+      for (const [name, property] of Object.entries(schema.properties || {})) {
+        sample[name] = sampleFromSchema(property, resolve, depth + 1);
+      }
+      return sample;
+    }
+    case 'array':
+      return schema.items ? [sampleFromSchema(schema.items, resolve, depth + 1)] : [];
+    case 'integer':
+      return schema.minimum !== undefined ? Math.ceil(schema.minimum) : 0;
+    case 'number':
+      return schema.minimum !== undefined ? schema.minimum : 0;
+    case 'boolean':
+      return true;
+    case 'null':
+      return null;
+    default:
+      return sampleStrings[schema.format] ? sampleStrings[schema.format]() : 'string';
+  }
+}
+
+module.exports = { createRefResolver, validateSchema, sampleFromSchema };
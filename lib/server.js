@@ -0,0 +1,208 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const http2 = require('http2');
+
+const maxBodyBytes = 32 * 1024 * 1024;
+
+// Query string as an object; repeated keys become arrays
+function parseQuery(searchParams) {
+  const query = {};
+  for (const [key, value] of searchParams) {
+    if (query[key] === undefined) {
+      query[key] = value;
+    } else {
+      query[key] = [].concat(query[key], value);
+    }
+  }
+  return query;
+}
+
+// Parse a request body the way functions-framework does: JSON, plain text, url-encoded forms,
+// anything else as a Buffer, and {} when there is no body. Throws on invalid JSON.
+function parseBody(buffer, contentType) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  if (type === 'application/json' || type.endsWith('+json')) {
+    return buffer.length ? JSON.parse(buffer.toString('utf8')) : {};
+  }
+  if (!buffer.length) {
+    return {};
+  }
+  if (type === 'text/plain') {
+    return buffer.toString('utf8');
+  }
+  if (type === 'application/x-www-form-urlencoded') {
+    return parseQuery(new URLSearchParams(buffer.toString('utf8')));
+  }
+  return buffer;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBodyBytes) {
+        reject(Object.assign(new Error(`Request body exceeds ${maxBodyBytes} bytes`), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// The express request/response helpers the mock handler uses, on plain node (or http2 compat) objects
+function decorate(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  req.path = url.pathname;
+  req.query = parseQuery(url.searchParams);
+
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.set = (name, value) => {
+    if (typeof name === 'object') {
+      for (const [key, headerValue] of Object.entries(name)) res.setHeader(key, headerValue);
+    } else {
+      res.setHeader(name, value);
+    }
+    return res;
+  };
+  res.get = name => res.getHeader(name);
+  res.send = body => {
+    let payload = body === undefined || body === null ? '' : body;
+    if (!Buffer.isBuffer(payload) && typeof payload !== 'string') {
+      return res.json(payload);
+    }
+    if (!res.getHeader('Content-Type')) {
+      res.setHeader('Content-Type', Buffer.isBuffer(payload) ? 'application/octet-stream' : 'text/html; charset=utf-8');
+    }
+    payload = Buffer.isBuffer(payload) ? payload : Buffer.from(payload, 'utf8');
+    res.setHeader('Content-Length', payload.length);
+    res.end(payload);
+    return res;
+  };
+  res.json = body => {
+    if (!res.getHeader('Content-Type')) {
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    }
+    return res.send(JSON.stringify(body));
+  };
+}
+
+function sendError(res, status, message, errorType) {
+  if (res.headersSent) {
+    res.destroy();
+    return;
+  }
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.end(JSON.stringify({
+    status: 'error',
+    message,
+    timestamp: new Date().toISOString(),
+    error_type: errorType
+  }));
+}
+
+// Wrap an express-style (req, res) handler for node's http, https and http2 servers
+function createRequestListener(handler) {
+  return async (req, res) => {
+    decorate(req, res);
+    try {
+      req.body = parseBody(await readBody(req), req.headers['content-type']);
+    } catch (error) {
+      if (error.status === 413) {
+        sendError(res, 413, error.message, 'payload_too_large');
+      } else {
+        sendError(res, 400, `Invalid request body: ${error.message}`, 'validation_error');
+      }
+      return;
+    }
+    try {
+      await handler(req, res);
+    } catch (error) {
+      sendError(res, 500, error.message, 'unexpected_error');
+    }
+  };
+}
+
+// Upgrade requests (WebSocket) go through the same handler. Its response writes a plain HTTP answer to the
+// socket (errors end the connection), and a route accepting the upgrade takes the socket over with req.upgradeHead.
+function createUpgradeListener(handler) {
+  return async (req, socket, head) => {
+    const res = new http.ServerResponse(req);
+    res.shouldKeepAlive = false;
+    res.assignSocket(socket);
+    res.once('finish', () => socket.end());
+    socket.on('error', () => socket.destroy());
+    decorate(req, res);
+    req.body = {};
+    req.upgradeHead = head;
+    try {
+      await handler(req, res);
+    } catch (error) {
+      sendError(res, 500, error.message, 'unexpected_error');
+    }
+  };
+}
+
+// Start a standalone server for handler. options: { port (default 8080, 0 picks a free one), host,
+// tlsCert, tlsKey (PEM file paths, for https), http2 (h2 with TLS and HTTP/1.1 fallback, h2c without) }.
+// Resolves to { server, url, port, protocol, close() }.
+function startServer(handler, options = {}) {
+  const { port = 8080, host, tlsCert, tlsKey } = options;
+  if (!!tlsCert !== !!tlsKey) {
+    return Promise.reject(new Error('tlsCert and tlsKey must be given together'));
+  }
+  const tls = tlsCert ? { cert: fs.readFileSync(tlsCert), key: fs.readFileSync(tlsKey) } : null;
+  const listener = createRequestListener(handler);
+  const upgradeListener = createUpgradeListener(handler);
+
+  let server;
+  let protocol;
+  if (options.http2) {
+    server = tls ? http2.createSecureServer({ ...tls, allowHTTP1: true }, listener) : http2.createServer(listener);
+    protocol = tls ? 'h2' : 'h2c';
+  } else {
+    server = tls ? https.createServer(tls, listener) : http.createServer(listener);
+    protocol = tls ? 'https' : 'http';
+  }
+
+  // WebSocket upgrades over HTTP/1.1 (h2 servers get them through the HTTP/1.1 fallback)
+  server.on('upgrade', upgradeListener);
+
+  // Open http2 sessions, so close() does not wait for idle clients
+  const sessions = new Set();
+  server.on('session', session => {
+    sessions.add(session);
+    session.once('close', () => sessions.delete(session));
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      const address = server.address();
+      const urlHost = !host || host === '0.0.0.0' || host === '::' ? 'localhost' : host.includes(':') ? `[${host}]` : host;
+      resolve({
+        server,
+        port: address.port,
+        protocol,
+        url: `${tls ? 'https' : 'http'}://${urlHost}:${address.port}`,
+        close: () => new Promise(done => {
+          server.close(() => done());
+          for (const session of sessions) session.destroy();
+          if (typeof server.closeAllConnections === 'function') server.closeAllConnections();
+        })
+      });
+    });
+  });
+}
+
+module.exports = { startServer, createRequestListener, createUpgradeListener, parseBody };
@@ -0,0 +1,247 @@
+const fs = require('fs');
+const path = require('path');
+const { createRespClient } = require('./resp-client');
+
+// Key/value stores for chaos state. Every backend has the same async interface:
+// get, getMany, set, update and pushList (with optional TTL), del, getList, describe, close.
+// update(key, mutate, ttlMs) stores mutate(current) atomically and resolves to the stored value.
+// Values are anything JSON can hold.
+
+// Process-local store (the default): nothing is shared between instances
+function createMemoryStore() {
+  const entries = new Map();
+
+  function read(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  return {
+    backend: 'memory',
+    shared: false,
+    get: async key => read(key),
+    getMany: async keys => keys.map(read),
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+    },
+    async update(key, mutate, ttlMs) {
+      const value = mutate(read(key));
+      entries.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+      return value;
+    },
+    async del(key) {
+      entries.delete(key);
+    },
+    async pushList(key, values, maxLength, ttlMs) {
+      const list = [...(read(key) || []), ...values].slice(-maxLength);
+      entries.set(key, { value: list, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+    },
+    getList: async key => read(key) || [],
+    describe: () => ({ backend: 'memory', shared: false, keys: entries.size }),
+    close() {}
+  };
+}
+
+// JSON file shared by processes on one machine; writes take a lock file
+function createFileStore(filePath, { lockTimeoutMs = 2000, staleLockMs = 5000 } = {}) {
+  const lockPath = `${filePath}.lock`;
+  let lastError = null;
+
+  async function readDocument() {
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  }
+
+  function live(document, key) {
+    const entry = document[key];
+    return entry && (!entry.expiresAt || entry.expiresAt > Date.now()) ? entry.value : null;
+  }
+
+  async function acquireLock() {
+    const deadline = Date.now() + lockTimeoutMs;
+    for (;;) {
+      try {
+        const handle = await fs.promises.open(lockPath, 'wx');
+        await handle.close();
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        // A crashed writer leaves its lock behind
+        const stat = await fs.promises.stat(lockPath).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > staleLockMs) {
+          await fs.promises.unlink(lockPath).catch(() => {});
+          continue;
+        }
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for ${lockPath}`);
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+    }
+  }
+
+  // Read-modify-write under the lock; expired entries are dropped on every write
+  async function update(mutate) {
+    await acquireLock();
+    try {
+      const document = await readDocument();
+      mutate(document);
+      const now = Date.now();
+      for (const [key, entry] of Object.entries(document)) {
+        if (entry.expiresAt && entry.expiresAt <= now) delete document[key];
+      }
+      const temporary = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(temporary, JSON.stringify(document));
+      await fs.promises.rename(temporary, filePath);
+    } finally {
+      await fs.promises.unlink(lockPath).catch(() => {});
+    }
+  }
+
+  // Remember the last failure for /health, then rethrow
+  const tracked = fn => async (...args) => {
+    try {
+      const result = await fn(...args);
+      lastError = null;
+      return result;
+    } catch (error) {
+      lastError = error.message;
+      throw error;
+    }
+  };
+
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+
+  return {
+    backend: 'file',
+    shared: true,
+    get: tracked(async key => live(await readDocument(), key)),
+    getMany: tracked(async keys => {
+      const document = await readDocument();
+      return keys.map(key => live(document, key));
+    }),
+    set: tracked((key, value, ttlMs) => update(document => {
+      document[key] = { value, expiresAt: ttlMs ? Date.now() + ttlMs : null };
+    })),
+    update: tracked(async (key, mutate, ttlMs) => {
+      let value;
+      await update(document => {
+        value = mutate(live(document, key));
+        document[key] = { value, expiresAt: ttlMs ? Date.now() + ttlMs : null };
+      });
+      return value;
+    }),
+    del: tracked(key => update(document => {
+      delete document[key];
+    })),
+    pushList: tracked((key, values, maxLength, ttlMs) => update(document => {
+      document[key] = { value: [...(live(document, key) || []), ...values].slice(-maxLength), expiresAt: ttlMs ? Date.now() + ttlMs : null };
+    })),
+    getList: tracked(async key => live(await readDocument(), key) || []),
+    describe: () => ({ backend: 'file', shared: true, file: filePath, last_error: lastError }),
+    close() {}
+  };
+}
+
+// Redis or anything speaking its protocol; keys are namespaced with prefix
+function createRedisStore(url, { prefix = 'mao-mock:', maxUpdateAttempts = 20 } = {}) {
+  const client = createRespClient(url);
+  // Updates run WATCH/MULTI/EXEC on their own connection: WATCH is per connection, and commands
+  // from other requests must not end up queued between MULTI and EXEC. One update at a time.
+  const transactionClient = createRespClient(url);
+  let transactions = Promise.resolve();
+  let lastError = null;
+
+  const runOn = async (target, args) => {
+    try {
+      const reply = await target.command(...args);
+      lastError = null;
+      return reply;
+    } catch (error) {
+      lastError = error.message;
+      throw error;
+    }
+  };
+  const run = (...args) => runOn(client, args);
+  const decode = raw => (raw === null ? null : JSON.parse(raw));
+
+  // Optimistic: EXEC answers null when another instance changed the key after WATCH, then try again
+  async function watchedUpdate(key, mutate, ttlMs) {
+    for (let attempt = 0; attempt < maxUpdateAttempts; attempt++) {
+      await runOn(transactionClient, ['WATCH', prefix + key]);
+      let value;
+      try {
+        value = mutate(decode(await runOn(transactionClient, ['GET', prefix + key])));
+      } catch (error) {
+        await transactionClient.command('UNWATCH').catch(() => {});
+        throw error;
+      }
+      const setArgs = ['SET', prefix + key, JSON.stringify(value)];
+      if (ttlMs) setArgs.push('PX', Math.ceil(ttlMs));
+      const [, , applied] = await Promise.all([
+        runOn(transactionClient, ['MULTI']),
+        runOn(transactionClient, setArgs),
+        runOn(transactionClient, ['EXEC'])
+      ]);
+      if (applied !== null) return value;
+    }
+    lastError = `Too much contention updating ${key}`;
+    throw new Error(lastError);
+  }
+
+  return {
+    backend: 'redis',
+    shared: true,
+    get: async key => decode(await run('GET', prefix + key)),
+    getMany: async keys => (await run('MGET', ...keys.map(key => prefix + key))).map(decode),
+    async set(key, value, ttlMs) {
+      const args = ['SET', prefix + key, JSON.stringify(value)];
+      if (ttlMs) args.push('PX', Math.ceil(ttlMs));
+      await run(...args);
+    },
+    update(key, mutate, ttlMs) {
+      const result = transactions.then(() => watchedUpdate(key, mutate, ttlMs));
+      transactions = result.catch(() => {});
+      return result;
+    },
+    async del(key) {
+      await run('DEL', prefix + key);
+    },
+    async pushList(key, values, maxLength, ttlMs) {
+      if (!values.length) return;
+      await run('RPUSH', prefix + key, ...values.map(value => JSON.stringify(value)));
+      await run('LTRIM', prefix + key, -maxLength, -1);
+      if (ttlMs) await run('PEXPIRE', prefix + key, Math.ceil(ttlMs));
+    },
+    getList: async key => (await run('LRANGE', prefix + key, 0, -1)).map(decode),
+    describe: () => ({
+      backend: 'redis',
+      shared: true,
+      host: `${client.host}:${client.port}`,
+      db: client.db,
+      connected: client.connected(),
+      last_error: lastError
+    }),
+    close() {
+      client.close();
+      transactionClient.close();
+    }
+  };
+}
+
+// Pick a store from a MOCK_STATE_STORE value: memory, file:<path> or redis://host:port/db
+function createStateStore(spec = 'memory') {
+  if (spec === 'memory') return createMemoryStore();
+  if (spec.startsWith('file:')) return createFileStore(spec.slice('file:'.length));
+  if (spec.startsWith('redis://')) return createRedisStore(spec);
+  throw new Error(`Unsupported state store: ${spec} (use memory, file:<path> or redis://host:port/db)`);
+}
+
+module.exports = { createStateStore, createMemoryStore, createFileStore, createRedisStore };
@@ -0,0 +1,215 @@
+const { mulberry32 } = require('./random');
+const { acceptWebSocket } = require('./websocket');
+
+const productPoolSize = 50;
+const sseRetryMs = 1000;
+const streamFaults = ['disconnect', 'gap', 'duplicate', 'reorder', 'malformed'];
+
+// Event id from Last-Event-ID (or ?lastEventId=), null when absent or not a non-negative integer
+function parseLastEventId(value) {
+  return typeof value === 'string' && /^\d{1,15}$/.test(value.trim()) ? Number(value.trim()) : null;
+}
+
+// Live product-update feed over Server-Sent Events and WebSocket. Event n is derived from the seed, so a
+// resumed stream replays exactly the events it missed; new connections join at the newest event sent.
+function createStreamHub({ generator, seed = 'streams', logJson }) {
+  const stats = {
+    sse: { active: 0, connections: 0, events_sent: 0 },
+    websocket: { active: 0, connections: 0, events_sent: 0 }
+  };
+  const faultCounts = Object.fromEntries(streamFaults.map(fault => [fault, 0]));
+  const connections = new Set();
+  let connectionCount = 0;
+  let lastEventId = 0;
+
+  // Applicable changes for a generated product record (custom product schemas may lack some fields)
+  function productEvent(id) {
+    const random = mulberry32(`${seed}|event|${id}`);
+    const product = generator.generate({ schema: 'product', start: Math.floor(random() * productPoolSize) }).records[0];
+    const changes = [];
+    if (product.price && typeof product.price.amount === 'number') {
+      const amount = Math.round(product.price.amount * (0.8 + random() * 0.4) * 100) / 100;
+      changes.push(['product.price_changed', { price: { from: product.price, to: { ...product.price, amount } } }]);
+    }
+    if (product.stock && typeof product.stock === 'object') {
+      const warehouses = Object.keys(product.stock);
+      const warehouse = warehouses[Math.floor(random() * warehouses.length)];
+      const from = product.stock[warehouse];
+      changes.push(['product.stock_changed', { stock: { warehouse, from, to: Math.max(0, from + Math.floor(random() * 41) - 20) } }]);
+    }
+    if (typeof product.active === 'boolean') {
+      changes.push(['product.status_changed', { active: { from: product.active, to: !product.active } }]);
+    }
+    const [type, change] = changes.length ? changes[Math.floor(random() * changes.length)] : ['product.updated', { product }];
+    return { id, type, sku: product.sku, changes: change, occurred_at: new Date().toISOString() };
+  }
+
+  // Drive one connection. transport: { send(text, event), heartbeat(), end(shutdown), destroy() }.
+  // options: { lastEventId, limit, intervalMs, heartbeatMs, gapMs, chance(name) -> boolean, requestId, session }.
+  // Returns stop(reason), to be called when the client goes away.
+  function run(kind, transport, options) {
+    const connection = {
+      id: ++connectionCount,
+      nextId: options.lastEventId !== null ? options.lastEventId + 1 : lastEventId + 1,
+      sent: 0,
+      held: null,
+      timer: null,
+      heartbeat: null,
+      startedAt: Date.now(),
+      done: false
+    };
+    connections.add(connection);
+    stats[kind].active++;
+    stats[kind].connections++;
+    logJson({
+      type: 'stream_opened',
+      requestId: options.requestId,
+      session: options.session,
+      stream: kind,
+      connection: connection.id,
+      first_event_id: connection.nextId,
+      resumed: options.lastEventId !== null
+    });
+
+    function finish(reason) {
+      if (connection.done) return;
+      connection.done = true;
+      clearTimeout(connection.timer);
+      clearInterval(connection.heartbeat);
+      connections.delete(connection);
+      stats[kind].active--;
+      logJson({
+        type: 'stream_closed',
+        requestId: options.requestId,
+        stream: kind,
+        connection: connection.id,
+        reason,
+        events_sent: connection.sent,
+        duration_ms: Date.now() - connection.startedAt
+      });
+    }
+    connection.shutdown = () => {
+      finish('shutdown');
+      transport.end(true);
+    };
+
+    const fault = (name, extra) => {
+      faultCounts[name]++;
+      logJson({ type: 'stream_fault', requestId: options.requestId, stream: kind, connection: connection.id, fault: name, ...extra });
+    };
+    const count = () => {
+      connection.sent++;
+      stats[kind].events_sent++;
+    };
+    const emit = event => {
+      transport.send(JSON.stringify(event), event);
+      lastEventId = Math.max(lastEventId, event.id);
+      count();
+    };
+    const startHeartbeat = () => {
+      connection.heartbeat = setInterval(transport.heartbeat, options.heartbeatMs);
+    };
+
+    function tick() {
+      if (options.chance('disconnect')) {
+        fault('disconnect', { event_id: connection.nextId });
+        finish('disconnect');
+        transport.destroy();
+        return;
+      }
+      // Silence, heartbeats included, for gapMs
+      if (options.chance('gap')) {
+        fault('gap', { gap_ms: options.gapMs });
+        clearInterval(connection.heartbeat);
+        connection.timer = setTimeout(() => {
+          startHeartbeat();
+          tick();
+        }, options.gapMs);
+        return;
+      }
+      const event = productEvent(connection.nextId++);
+      if (connection.held) {
+        emit(event);
+        emit(connection.held);
+        connection.held = null;
+      } else if (options.chance('reorder')) {
+        // Held back and sent right after the next event
+        fault('reorder', { event_id: event.id });
+        connection.held = event;
+      } else if (options.chance('duplicate')) {
+        fault('duplicate', { event_id: event.id });
+        emit(event);
+        emit(event);
+      } else if (options.chance('malformed')) {
+        fault('malformed', { event_id: event.id });
+        const text = JSON.stringify(event);
+        transport.send(text.slice(0, Math.floor(text.length / 2)), event);
+        lastEventId = Math.max(lastEventId, event.id);
+        count();
+      } else {
+        emit(event);
+      }
+      if (options.limit && connection.sent >= options.limit) {
+        finish('limit');
+        transport.end();
+        return;
+      }
+      connection.timer = setTimeout(tick, options.intervalMs);
+    }
+
+    startHeartbeat();
+    connection.timer = setTimeout(tick, 0);
+    return finish;
+  }
+
+  // text/event-stream response; each event carries its id so EventSource resumes with Last-Event-ID
+  function openSse(req, res, options) {
+    res.status(200).set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${sseRetryMs}\n\n`);
+    const frame = (text, event) => `id: ${event.id}\nevent: ${event.type}\ndata: ${text}\n\n`;
+    const stop = run('sse', {
+      send: (text, event) => res.write(frame(text, event)),
+      heartbeat: () => res.write(': heartbeat\n\n'),
+      end: () => res.end(),
+      destroy: () => res.destroy()
+    }, options);
+    res.once('close', () => stop('client_closed'));
+  }
+
+  // Upgrade to a WebSocket sending one JSON text message per event, with pings as heartbeats
+  function openWebSocket(req, res, head, options) {
+    let stop = null;
+    const socket = acceptWebSocket(req, res, head, {
+      onClose: ({ clean }) => stop && stop(clean ? 'closed' : 'client_closed')
+    });
+    stop = run('websocket', {
+      send: text => socket.sendText(text),
+      heartbeat: () => socket.ping(),
+      end: shutdown => (shutdown ? socket.close(1001, 'Server shutting down') : socket.close(1000, 'Stream complete')),
+      destroy: () => socket.destroy()
+    }, options);
+  }
+
+  // End every open connection, for service shutdown
+  function close() {
+    for (const connection of [...connections]) connection.shutdown();
+  }
+
+  function describe() {
+    return {
+      sse: { ...stats.sse },
+      websocket: { ...stats.websocket },
+      faults: { ...faultCounts },
+      last_event_id: lastEventId
+    };
+  }
+
+  return { openSse, openWebSocket, close, describe };
+}
+
+module.exports = { createStreamHub, parseLastEventId };
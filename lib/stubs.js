@@ -0,0 +1,185 @@
+const fs = require('fs');
+const { readDataFile } = require('./files');
+const { compilePathPattern, matchesSubset, matchesHeaders, matchesQuery } = require('./match');
+const { renderTemplate } = require('./template');
+
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Validate and compile one stub definition, returns { errors } or { stub }
+function compileStub(definition, index) {
+  const label = `stubs[${index}]`;
+  if (!isPlainObject(definition)) {
+    return { errors: [`${label} must be an object`] };
+  }
+
+  const errors = [];
+  const request = definition.request || {};
+  const response = definition.response || {};
+
+  if (!isPlainObject(request) || typeof request.path !== 'string' || !request.path.startsWith('/')) {
+    errors.push(`${label}.request.path must be a path starting with /`);
+  }
+  const methods = request.method === undefined ? null :
+    [].concat(request.method).map(method => String(method).toUpperCase());
+  for (const key of ['query', 'headers']) {
+    if (request[key] !== undefined && !isPlainObject(request[key])) {
+      errors.push(`${label}.request.${key} must be an object`);
+    }
+  }
+  if (!isPlainObject(response)) {
+    errors.push(`${label}.response must be an object`);
+  } else {
+    if (response.status !== undefined &&
+        (!Number.isInteger(response.status) || response.status < 100 || response.status > 599)) {
+      errors.push(`${label}.response.status must be an HTTP status code`);
+    }
+    if (response.headers !== undefined && !isPlainObject(response.headers)) {
+      errors.push(`${label}.response.headers must be an object`);
+    }
+  }
+  if (definition.chaos !== undefined && typeof definition.chaos !== 'boolean') {
+    errors.push(`${label}.chaos must be true or false`);
+  }
+  if (errors.length) {
+    return { errors };
+  }
+
+  return {
+    stub: {
+      id: definition.id || `stub-${index + 1}`,
+      methods,
+      pattern: request.path,
+      matchPath: compilePathPattern(request.path),
+      query: request.query || null,
+      headers: request.headers || null,
+      body: request.body === undefined ? null : request.body,
+      response: {
+        status: response.status || 200,
+        headers: response.headers || {},
+        body: response.body === undefined ? null : response.body
+      },
+      chaos: definition.chaos !== false
+    }
+  };
+}
+
+// Read a JSON or YAML stubs file: either a list of stubs or { stubs: [...] }
+function parseStubsFile(filePath) {
+  const document = readDataFile(filePath);
+  const definitions = Array.isArray(document) ? document : document && document.stubs;
+  if (!Array.isArray(definitions)) {
+    throw new Error('Stubs file must contain a list of stubs or an object with a stubs list');
+  }
+
+  const stubs = [];
+  const errors = [];
+  definitions.forEach((definition, index) => {
+    const result = compileStub(definition, index);
+    if (result.errors) {
+      errors.push(...result.errors);
+    } else {
+      stubs.push(result.stub);
+    }
+  });
+  if (errors.length) {
+    throw new Error(errors.join('; '));
+  }
+  return stubs;
+}
+
+// Stub registry backed by a file, hot-reloaded when the file changes
+function createStubRegistry({ filePath, logJson, generate, watchIntervalMs = 1000 }) {
+  let stubs = parseStubsFile(filePath);
+  let loadedAt = new Date();
+  let lastError = null;
+
+  function reload() {
+    try {
+      stubs = parseStubsFile(filePath);
+      loadedAt = new Date();
+      lastError = null;
+      logJson({
+        type: 'stubs_reloaded',
+        timestamp: loadedAt.toISOString(),
+        file: filePath,
+        stubs: stubs.length
+      });
+    } catch (error) {
+      // Keep serving the previous stubs until the file is fixed
+      lastError = error.message;
+      logJson({
+        type: 'stubs_reload_failed',
+        timestamp: new Date().toISOString(),
+        file: filePath,
+        error: error.message
+      });
+    }
+  }
+
+  const onFileChange = (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs) {
+      reload();
+    }
+  };
+  fs.watchFile(filePath, { interval: watchIntervalMs, persistent: false }, onFileChange);
+
+  // First stub (in file order) matching method, path, query, headers and body
+  function match(req) {
+    const method = req.method.toUpperCase();
+    for (const stub of stubs) {
+      if (stub.methods && !stub.methods.includes(method)) continue;
+      const params = stub.matchPath(req.path || '/');
+      if (!params) continue;
+      if (stub.query && !matchesQuery(req.query || {}, stub.query)) continue;
+      if (stub.headers && !matchesHeaders(req.headers, stub.headers)) continue;
+      if (stub.body !== null && !matchesSubset(req.body, stub.body)) continue;
+      return { stub, params };
+    }
+    return null;
+  }
+
+  // Render the stub response templates against the request
+  function render({ stub, params }, req, requestId) {
+    const now = new Date();
+    const context = {
+      params,
+      query: req.query || {},
+      headers: req.headers,
+      body: req.body || {},
+      method: req.method,
+      path: req.path,
+      requestId,
+      timestamp: now.toISOString(),
+      timestampMs: now.getTime(),
+      generate
+    };
+    return {
+      status: stub.response.status,
+      headers: renderTemplate(stub.response.headers, context),
+      body: renderTemplate(stub.response.body, context)
+    };
+  }
+
+  function describe() {
+    return {
+      file: filePath,
+      stubs: stubs.map(stub => ({
+        id: stub.id,
+        methods: stub.methods || ['*'],
+        path: stub.pattern,
+        chaos: stub.chaos
+      })),
+      loaded_at: loadedAt.toISOString(),
+      last_error: lastError
+    };
+  }
+
+  // Stop watching; other registries on the same file keep their watchers
+  function close() {
+    fs.unwatchFile(filePath, onFileChange);
+  }
+
+  return { match, render, reload, describe, close };
+}
+
+module.exports = { createStubRegistry };
@@ -0,0 +1,43 @@
+const { getByPath } = require('./match');
+
+// {{expression}} placeholders, e.g. {{params.sku}}, {{body.price}}, {{requestId}}.
+// An object with a $generate key is replaced by generated data (context.generate), after its own fields are rendered.
+const placeholder = /\{\{\s*([\w.-]+)\s*\}\}/g;
+const wholePlaceholder = /^\{\{\s*([\w.-]+)\s*\}\}$/;
+
+// Render a template value against a context: strings are interpolated, objects and arrays recursively.
+// A string that is a single placeholder keeps the raw value type (number, object, ...).
+function renderTemplate(template, context) {
+  if (typeof template === 'string') {
+    const whole = wholePlaceholder.exec(template);
+    if (whole) {
+      const value = getByPath(context, whole[1]);
+      return value === undefined ? '' : value;
+    }
+    return template.replace(placeholder, (match, path) => {
+      const value = getByPath(context, path);
+      if (value === undefined || value === null) return '';
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+  if (Array.isArray(template)) {
+    return template.map(item => renderTemplate(item, context));
+  }
+  if (template && typeof template === 'object') {
+    if (template.$generate !== undefined && context.generate) {
+      const directive = {};
+      for (const [key, value] of Object.entries(template)) {
+        directive[key] = renderTemplate(value, context);
+      }
+      return context.generate(directive);
+    }
+    const rendered = {};
+    for (const [key, value] of Object.entries(template)) {
+      rendered[key] = renderTemplate(value, context);
+    }
+    return rendered;
+  }
+  return template;
+}
+
+module.exports = { renderTemplate };
@@ -0,0 +1,88 @@
+const http2 = require('http2');
+
+// Transport-level faults: misbehaving sockets instead of tidy error bodies
+const transportFaults = ['hang', 'connection_reset', 'stall', 'truncated_body', 'slow_drip'];
+
+// Close the connection after holdMs unless the client gives up first
+function holdConnection(res, holdMs) {
+  const timer = setTimeout(() => res.destroy(), holdMs);
+  res.once('close', () => clearTimeout(timer));
+}
+
+// Replace res.end so the route's body is sent partially or byte by byte
+function interceptBody(res, onBody) {
+  const end = res.end.bind(res);
+  res.end = (chunk, encoding, callback) => {
+    if (typeof encoding === 'function') callback = encoding;
+    const body = chunk === undefined || typeof chunk === 'function' ?
+      Buffer.alloc(0) :
+      Buffer.from(chunk, typeof encoding === 'string' ? encoding : undefined);
+    onBody(body, end, callback);
+    return res;
+  };
+}
+
+// Start a fault on a request. Returns true when the fault took over the response (hang, connection_reset,
+// stall); truncated_body and slow_drip return false and act on whatever body the route handler sends.
+function startTransportFault(fault, req, res, { holdMs, dripDurationMs }) {
+  switch (fault) {
+    case 'hang':
+      holdConnection(res, holdMs);
+      return true;
+
+    case 'connection_reset': {
+      // HTTP/2 resets just this stream; the connection carries other requests
+      if (req.stream) {
+        req.stream.close(http2.constants.NGHTTP2_INTERNAL_ERROR);
+        return true;
+      }
+      const socket = req.socket;
+      if (typeof socket.resetAndDestroy === 'function') {
+        socket.resetAndDestroy();
+      } else {
+        socket.destroy();
+      }
+      return true;
+    }
+
+    case 'stall':
+      res.set('X-Mock-Transport-Fault', fault);
+      res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.flushHeaders();
+      holdConnection(res, holdMs);
+      return true;
+
+    case 'truncated_body':
+      res.set('X-Mock-Transport-Fault', fault);
+      interceptBody(res, body => {
+        // Content-Length still announces the full body
+        res.write(body.subarray(0, Math.floor(body.length / 2)), () => res.destroy());
+      });
+      return false;
+
+    case 'slow_drip':
+      res.set('X-Mock-Transport-Fault', fault);
+      interceptBody(res, (body, end, callback) => {
+        // At most one write every 10ms, one byte per write for small bodies
+        const steps = Math.max(1, Math.min(body.length, Math.floor(dripDurationMs / 10)));
+        const chunkSize = Math.ceil(body.length / steps);
+        let offset = 0;
+        const timer = setInterval(() => {
+          if (offset >= body.length) {
+            clearInterval(timer);
+            end(callback);
+            return;
+          }
+          res.write(body.subarray(offset, offset + chunkSize));
+          offset += chunkSize;
+        }, dripDurationMs / steps);
+        res.once('close', () => clearInterval(timer));
+      });
+      return false;
+
+    default:
+      throw new Error(`Unknown transport fault: ${fault}`);
+  }
+}
+
+module.exports = { transportFaults, startTransportFault };
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+
+// RFC 6455 server side: the opening handshake and the framing the event streams need
+const handshakeGuid = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const maxIncomingFrameBytes = 1024 * 1024;
+const opcodes = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+// Why an upgrade request cannot become a WebSocket, or null when it can
+function handshakeError(req) {
+  const key = req.headers['sec-websocket-key'];
+  if (req.method !== 'GET') return 'WebSocket upgrades must use GET';
+  if (String(req.headers.upgrade || '').toLowerCase() !== 'websocket') return 'Upgrade header must be websocket';
+  if (req.headers['sec-websocket-version'] !== '13') return 'Sec-WebSocket-Version must be 13';
+  if (!key || Buffer.from(key, 'base64').length !== 16) return 'Sec-WebSocket-Key must be 16 base64-encoded bytes';
+  return null;
+}
+
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+// Next complete frame at the start of buffer as { fin, opcode, masked, payload, size }, null when incomplete
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+  if (length > maxIncomingFrameBytes) {
+    return { tooLarge: true };
+  }
+  const maskOffset = offset;
+  if (masked) offset += 4;
+  if (buffer.length < offset + length) return null;
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (masked) {
+    for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskOffset + (i % 4)];
+  }
+  return { fin: (buffer[0] & 0x80) !== 0, opcode: buffer[0] & 0x0f, masked, payload, size: offset + length };
+}
+
+// Complete the handshake on res (a response whose socket the route may take over) and return the connection:
+// { sendText(text), ping(), close(code, reason), destroy(), isOpen() }. handlers: { onMessage(text), onClose({ clean }) }.
+// Client pings are answered, client close frames are echoed, and unmasked or oversized client frames close with 1002/1009.
+function acceptWebSocket(req, res, head, handlers = {}) {
+  const socket = res.socket;
+  const accept = crypto.createHash('sha1').update(req.headers['sec-websocket-key'] + handshakeGuid).digest('base64');
+  res.writeHead(101, { Upgrade: 'websocket', Connection: 'Upgrade', 'Sec-WebSocket-Accept': accept });
+  res.flushHeaders();
+  socket.setNoDelay(true);
+  socket.setTimeout(0);
+
+  let buffered = head && head.length ? Buffer.from(head) : Buffer.alloc(0);
+  let fragments = [];
+  let closeSent = false;
+  let closed = false;
+
+  const write = (opcode, payload) => {
+    if (!closed && !closeSent && socket.writable) socket.write(encodeFrame(opcode, payload));
+  };
+
+  function close(code = 1000, reason = '') {
+    if (closed || closeSent) return;
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    socket.end(encodeFrame(opcodes.close, payload));
+    closeSent = true;
+    // Clients that never answer the close frame lose the connection anyway
+    setTimeout(() => socket.destroy(), 1000).unref();
+  }
+
+  function onData(chunk) {
+    buffered = Buffer.concat([buffered, chunk]);
+    let frame;
+    while (!closed && (frame = decodeFrame(buffered))) {
+      if (frame.tooLarge) {
+        close(1009, 'Frame too large');
+        return;
+      }
+      buffered = buffered.subarray(frame.size);
+      if (!frame.masked) {
+        close(1002, 'Client frames must be masked');
+        return;
+      }
+      if (frame.opcode === opcodes.close) {
+        if (!closeSent) {
+          socket.write(encodeFrame(opcodes.close, frame.payload.subarray(0, 2)));
+          closeSent = true;
+        }
+        socket.end();
+        return;
+      }
+      if (frame.opcode === opcodes.ping) {
+        write(opcodes.pong, frame.payload);
+      } else if (frame.opcode === opcodes.text || frame.opcode === opcodes.binary || frame.opcode === opcodes.continuation) {
+        fragments.push(frame.payload);
+        if (frame.fin) {
+          const message = Buffer.concat(fragments).toString('utf8');
+          fragments = [];
+          if (handlers.onMessage) handlers.onMessage(message);
+        }
+      }
+    }
+  }
+
+  socket.on('data', onData);
+  socket.on('error', () => socket.destroy());
+  socket.once('close', () => {
+    closed = true;
+    if (handlers.onClose) handlers.onClose({ clean: closeSent });
+  });
+  if (buffered.length) {
+    onData(Buffer.alloc(0));
+  }
+
+  return {
+    sendText: text => write(opcodes.text, Buffer.from(text, 'utf8')),
+    ping: () => write(opcodes.ping, Buffer.alloc(0)),
+    close,
+    destroy: () => socket.destroy(),
+    isOpen: () => !closed && !closeSent
+  };
+}
+
+module.exports = { handshakeError, acceptWebSocket };
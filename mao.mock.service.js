@@ -1,20 +1,35 @@
 const functions = require('@google-cloud/functions-framework');  
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const { createStubRegistry } = require('./lib/stubs');
+const { createResourceStore } = require('./lib/resources');
+const { processProductBatch } = require('./lib/product-sync');
+const { createOpenApiMock } = require('./lib/openapi');
+const { createJournal, validateFilter } = require('./lib/journal');
+const { createMetricsRegistry } = require('./lib/metrics');
+const { validateLatencySettings, createLatencyPlanner } = require('./lib/latency');
+const { readDataFile } = require('./lib/files');
+const { mulberry32 } = require('./lib/random');
+const { transportFaults, startTransportFault } = require('./lib/transport');
+const { rateLimitAlgorithms, createRateLimiter, createSharedRateLimiter, validateRouteLimits, matchRouteLimit } = require('./lib/rate-limit');
+const { createStateStore } = require('./lib/state-store');
+const { createAuth } = require('./lib/auth');
+const { createJobStore, matchAsyncRoute, validateCallbackUrl } = require('./lib/jobs');
+const { captureResponse } = require('./lib/capture');
+const { createIdempotencyStore } = require('./lib/idempotency');
+const { createPaginator } = require('./lib/pagination');
+const { createGraphqlMock } = require('./lib/graphql');
+const { createGrpcMock, parseGrpcTimeout } = require('./lib/grpc');
+const { createStreamHub, parseLastEventId } = require('./lib/streams');
+const { handshakeError } = require('./lib/websocket');
+const { createGenerator } = require('./lib/generator');
+const { resolveProfile } = require('./lib/profiles');
+const { startServer } = require('./lib/server');
+const { responseFormats, problemContentType, negotiateFormat, acceptsProblem, isErrorBody, toProblem, render } = require('./lib/negotiation');
 
-// Service state management
-let serviceState = {
-  isHealthy: true,
-  lastOutageStart: null,
-  outageEndTime: null,
-  normalPeriodStart: Date.now(),
-  normalPeriodDuration: null,
-  requestCount: 0,
-  successCount: 0,
-  errorCount: 0,
-  averageResponseTime: 0
-};
-
-// Configuration for realistic behavior
-const config = {
+// Configuration for realistic behavior (built-in defaults, see createMockService for profiles and overrides)
+const defaultConfig = Object.freeze({
   baseSuccessRate: 0.95,
   outageChance: 0.0001,
   minOutageDuration: 15000,
@@ -34,541 +49,3262 @@ const config = {
   circuitBreakerHalfOpenRequests: 2,
   // --- Production twerks ---
   rateLimitWindowMs: 10000, // 10s window
-  rateLimitMax: 50 // max 50 requests per window per IP
+  rateLimitMax: 50, // max 50 requests per window per key
+  rateLimitAlgorithm: 'fixed_window', // fixed_window, sliding_window or token_bucket
+  rateLimitKey: 'ip', // ip, api_key (X-API-Key or Authorization) or header (rateLimitKeyHeader)
+  rateLimitKeyHeader: 'x-client-id',
+  rateLimitRoutes: [], // [{ method, path, max, windowMs, algorithm }], first match replaces the global limit
+  rateLimitFeedsCircuitBreaker: true, // count 429s as circuit breaker errors
+  rateLimitIdleEvictionMs: 60000, // keys idle this long (or one window, if longer) are dropped
+  rateLimitMaxKeys: 10000, // least recently seen keys are dropped beyond this
+  // --- Product-items batch sync ---
+  productItemFailureChance: 0.02, // chance each valid item fails with a retryable error
+  productBatchMaxSize: 500, // larger batches are rejected with 413
+  // --- Transport-level faults (off by default) ---
+  hangChance: 0, // accept the request and never respond
+  connectionResetChance: 0, // destroy the socket mid-request (ECONNRESET)
+  stallChance: 0, // send headers, then nothing
+  truncatedBodyChance: 0, // send half the body and close
+  slowDripChance: 0, // trickle the body over slowDripDurationMs
+  transportHoldMs: 120000, // hung and stalled connections are closed after this long
+  slowDripDurationMs: 10000,
+  // --- Auth simulation (MOCK_AUTH_FILE) ---
+  authRejectChance: 0, // chance a valid credential is rejected with 401 anyway
+  tokenEndpointFailureChance: 0, // chance /oauth/token answers 503 temporarily_unavailable
+  // --- Async jobs (Prefer: respond-async, or POSTs to asyncRoutes) ---
+  asyncRoutes: [], // POST paths always answered with 202 Accepted and a job, e.g. ["/api/product-items/batch"]
+  jobQueuedMs: 1000, // time a job spends queued
+  jobRunningMs: 3000, // time a job spends running before it succeeds or fails
+  jobFailureChance: 0.05, // chance a job fails even though the request itself succeeded
+  callbackMaxAttempts: 5, // callback deliveries per job, including the first
+  callbackRetryBaseMs: 1000, // first retry delay, doubled for every further retry
+  // --- Idempotency-Key (POST and PATCH) ---
+  idempotencyKeyTtlMs: 86400000, // stored responses are replayed for 24h
+  idempotencyMaxKeys: 10000, // oldest keys are dropped beyond this
+  responseLostChance: 0, // chance a POST/PATCH is processed but answered with a 504 anyway
+  // --- Pagination chaos (MOCK_PAGINATION_FILE lists) ---
+  paginationShiftChance: 0, // chance a page fetch first inserts an item at the head, shifting offsets by one
+  paginationEmptyPageChance: 0, // chance a page before the end comes back empty
+  paginationFlakyPageChance: 0, // chance a page answers 503 on its first fetch
+  paginationCursorExpiryChance: 0, // chance a valid cursor is rejected with 410
+  paginationCursorTtlMs: 300000, // cursors expire after this long
+  // --- GraphQL field chaos (MOCK_GRAPHQL_FILE endpoint) ---
+  graphqlFieldErrorChance: 0, // chance a field's resolver fails, giving partial data plus an errors entry
+  graphqlNullFieldChance: 0, // chance a nullable field resolves to null
+  graphqlSlowFieldChance: 0, // chance a field resolves graphqlSlowFieldMs late
+  graphqlSlowFieldMs: 1000, // delay of a slow field, on top of its parents'
+  // --- Event streams (/stream/products over SSE and WebSocket) ---
+  streamEventIntervalMs: 1000, // each connection gets one product update event this often
+  streamHeartbeatMs: 15000, // SSE comment or WebSocket ping this often
+  streamDisconnectChance: 0, // chance per event that the connection is dropped without a clean close
+  streamGapChance: 0, // chance per event of a silent gap: no events and no heartbeats for streamGapMs
+  streamGapMs: 30000,
+  streamDuplicateChance: 0, // chance an event is sent twice
+  streamReorderChance: 0, // chance an event is held back and sent after the next one
+  streamMalformedChance: 0, // chance an event's payload is cut off halfway (invalid JSON)
+  // --- Response formats ---
+  errorFormat: 'legacy', // legacy ({ status, message, error_type, ... }) or problem (RFC 7807 application/problem+json)
+  contentNegotiation: true // render success bodies as XML or CSV when Accept asks for them, JSON otherwise
+});
+
+// Validation rules for runtime config updates
+const probabilityKeys = [
+  'baseSuccessRate', 'outageChance', 'slowResponseChance', 'normalPeriodChance',
+  'serverErrorChance', 'clientErrorChance', 'timeoutChance', 'productItemFailureChance',
+  'hangChance', 'connectionResetChance', 'stallChance', 'truncatedBodyChance', 'slowDripChance',
+  'authRejectChance', 'tokenEndpointFailureChance', 'jobFailureChance',
+  'responseLostChance', 'paginationShiftChance', 'paginationEmptyPageChance', 'paginationFlakyPageChance',
+  'paginationCursorExpiryChance', 'graphqlFieldErrorChance', 'graphqlNullFieldChance', 'graphqlSlowFieldChance',
+  'streamDisconnectChance', 'streamGapChance', 'streamDuplicateChance', 'streamReorderChance', 'streamMalformedChance'
+];
+const positiveIntegerKeys = [
+  'circuitBreakerThreshold', 'circuitBreakerHalfOpenRequests', 'rateLimitMax', 'productBatchMaxSize',
+  'rateLimitMaxKeys', 'callbackMaxAttempts', 'idempotencyMaxKeys'
+];
+const enumKeys = {
+  rateLimitAlgorithm: rateLimitAlgorithms,
+  rateLimitKey: ['ip', 'api_key', 'header'],
+  errorFormat: ['legacy', 'problem']
 };
+const booleanKeys = ['rateLimitFeedsCircuitBreaker', 'contentNegotiation'];
+const transportChanceKeys = ['hangChance', 'connectionResetChance', 'stallChance', 'truncatedBodyChance', 'slowDripChance'];
+const rangePairs = [
+  ['minOutageDuration', 'maxOutageDuration'],
+  ['minSlowDelay', 'maxSlowDelay'],
+  ['minNormalPeriod', 'maxNormalPeriod']
+];
 
-// Simple in-memory rate limiter (per IP)
-const rateLimitMap = new Map();
+// Validate a candidate config, returns a list of human-readable problems
+function validateConfig(candidate) {
+  const errors = [];
 
-function checkRateLimit(ip) {
-  const now = Date.now();
-  let entry = rateLimitMap.get(ip);
-  if (!entry || now - entry.start > config.rateLimitWindowMs) {
-    entry = { count: 1, start: now };
-    rateLimitMap.set(ip, entry);
-    return false;
+  for (const [key, value] of Object.entries(candidate)) {
+    if (!(key in defaultConfig)) {
+      errors.push(`Unknown config key: ${key}`);
+    } else if (enumKeys[key]) {
+      if (!enumKeys[key].includes(value)) errors.push(`${key} must be one of: ${enumKeys[key].join(', ')}`);
+    } else if (booleanKeys.includes(key)) {
+      if (typeof value !== 'boolean') errors.push(`${key} must be true or false`);
+    } else if (key === 'rateLimitKeyHeader') {
+      if (typeof value !== 'string' || !/^[A-Za-z0-9-]+$/.test(value)) errors.push(`${key} must be a header name`);
+    } else if (key === 'rateLimitRoutes') {
+      errors.push(...validateRouteLimits(value));
+    } else if (key === 'asyncRoutes') {
+      if (!Array.isArray(value) || value.some(route => typeof route !== 'string' || !route.startsWith('/'))) {
+        errors.push(`${key} must be a list of paths starting with /`);
+      }
+    } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+      errors.push(`${key} must be a finite number`);
+    } else if (probabilityKeys.includes(key) && (value < 0 || value > 1)) {
+      errors.push(`${key} must be between 0 and 1`);
+    } else if (positiveIntegerKeys.includes(key) && (!Number.isInteger(value) || value < 1)) {
+      errors.push(`${key} must be a positive integer`);
+    } else if (value < 0) {
+      errors.push(`${key} must not be negative`);
+    }
   }
-  entry.count++;
-  if (entry.count > config.rateLimitMax) return true;
-  return false;
-}
+  if (errors.length) return errors;
 
-// Structured JSON logger
-function logJson(obj) {
-  console.log(JSON.stringify(obj));
-}
+  for (const [minKey, maxKey] of rangePairs) {
+    if (candidate[minKey] > candidate[maxKey]) {
+      errors.push(`${minKey} (${candidate[minKey]}) must not exceed ${maxKey} (${candidate[maxKey]})`);
+    }
+  }
 
-// Error tracking for circuit breaker
-let errorWindow = [];
-let circuitBreakerState = 'CLOSED'; // CLOSED, OPEN, HALF_OPEN
-let circuitBreakerOpenTime = null;
-let halfOpenAttempts = 0;
+  // simulateError() draws all three from a single random number
+  const errorChanceTotal = candidate.serverErrorChance + candidate.clientErrorChance + candidate.timeoutChance;
+  if (errorChanceTotal > 1) {
+    errors.push(`serverErrorChance + clientErrorChance + timeoutChance must not exceed 1 (got ${errorChanceTotal})`);
+  }
 
-// Helper function to generate request ID  
-function generateRequestId() {  
-  return `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;  
-}
+  // simulateTransportFault() draws the transport faults from a single random number too
+  const transportChanceTotal = transportChanceKeys.reduce((sum, key) => sum + candidate[key], 0);
+  if (transportChanceTotal > 1) {
+    errors.push(`${transportChanceKeys.join(' + ')} must not exceed 1 (got ${transportChanceTotal})`);
+  }
 
-// Check if service should be in outage
-function checkServiceAvailability() {
-  const now = Date.now();
-  
-  // Check if we're currently in an outage
-  if (serviceState.outageEndTime && now < serviceState.outageEndTime) {
-    return false;
-  }
-  
-  // End outage if time has passed
-  if (serviceState.outageEndTime && now >= serviceState.outageEndTime) {
-    serviceState.isHealthy = true;
-    serviceState.outageEndTime = null;
-    serviceState.lastOutageStart = null;
-    console.log(`Service recovered from outage at ${new Date().toISOString()}`);
-  }
-  
-  // Check if we should start a new outage
-  if (serviceState.isHealthy && Math.random() < config.outageChance) {
-    const outageStart = now;
-    const outageDuration = Math.random() * (config.maxOutageDuration - config.minOutageDuration) + config.minOutageDuration;
-    
-    serviceState.isHealthy = false;
-    serviceState.lastOutageStart = outageStart;
-    serviceState.outageEndTime = outageStart + outageDuration;
-    
-    console.log(`Service outage started at ${new Date().toISOString()}, duration: ${Math.round(outageDuration/1000)}s`);
-    return false;
-  }
-  
-  return serviceState.isHealthy;
-}
+  if (candidate.rateLimitWindowMs === 0 || candidate.circuitBreakerWindow === 0) {
+    errors.push('rateLimitWindowMs and circuitBreakerWindow must be greater than 0');
+  }
+  if (candidate.streamEventIntervalMs === 0 || candidate.streamHeartbeatMs === 0) {
+    errors.push('streamEventIntervalMs and streamHeartbeatMs must be greater than 0');
+  }
 
-// Check if we're in a normal period (100% success rate)
-function isInNormalPeriod() {
-  const now = Date.now();
-  
-  // Check if current normal period has ended
-  if (serviceState.normalPeriodDuration && 
-      (now - serviceState.normalPeriodStart) > serviceState.normalPeriodDuration) {
-    serviceState.normalPeriodDuration = null;
-    console.log(`Normal period ended at ${new Date().toISOString()}`);
-  }
-  
-  // Start new normal period
-  if (!serviceState.normalPeriodDuration && Math.random() < config.normalPeriodChance) {
-    serviceState.normalPeriodStart = now;
-    serviceState.normalPeriodDuration = Math.random() * (config.maxNormalPeriod - config.minNormalPeriod) + config.minNormalPeriod;
-    console.log(`Normal period started at ${new Date().toISOString()}, duration: ${Math.round(serviceState.normalPeriodDuration/60000)} minutes`);
-  }
-  
-  return !!serviceState.normalPeriodDuration;
+  return errors;
 }
 
-// Circuit breaker check with proper state management
-function isCircuitBreakerOpen() {
-  const now = Date.now();
-  
-  // Clean old errors from window
-  errorWindow = errorWindow.filter(timestamp => now - timestamp < config.circuitBreakerWindow);
-  
-  // Handle circuit breaker state transitions
-  switch (circuitBreakerState) {
-    case 'CLOSED':
-      // Check if we should open the circuit breaker
-      if (errorWindow.length >= config.circuitBreakerThreshold) {
-        circuitBreakerState = 'OPEN';
-        circuitBreakerOpenTime = now;
-        console.log(`Circuit breaker OPENED at ${new Date().toISOString()} due to ${errorWindow.length} errors`);
-        return true;
+// Create an independent mock service: its own sessions, scenario, journal, stores and timers.
+// options.env holds MOCK_* settings (defaults to process.env), options.profile names a chaos
+// profile from lib/profiles and options.config sets config keys on top of it. The result of
+// the profile and config is what POST /__admin/config/reset restores.
+function createMockService(options = {}) {
+  const env = { ...process.env, ...options.env };
+  const baseConfig = Object.freeze({ ...defaultConfig, ...resolveProfile(options.profile), ...options.config });
+  const configErrors = validateConfig(baseConfig);
+  if (configErrors.length) {
+    throw new Error(`Invalid config: ${configErrors.join('; ')}`);
+  }
+
+  // Chaos sessions: each has its own config, statistics, outage and normal-period state and circuit breaker.
+  // Requests without X-Mock-Session use the default session; named sessions are created on first use and
+  // dropped after MOCK_SESSION_IDLE_MS without requests (least recently used first beyond MOCK_MAX_SESSIONS).
+  const sessionIdleMs = env.MOCK_SESSION_IDLE_MS !== undefined ? Number(env.MOCK_SESSION_IDLE_MS) : 1800000;
+  const maxSessions = env.MOCK_MAX_SESSIONS !== undefined ? Number(env.MOCK_MAX_SESSIONS) : 100;
+  const sessionIdPattern = /^[A-Za-z0-9._-]{1,64}$/;
+
+  function createSession(id) {
+    const now = Date.now();
+    return {
+      id,
+      createdAt: now,
+      lastSeen: now,
+      // Effective configuration, patched at runtime through /__admin/config
+      config: { ...baseConfig },
+      // Service state management
+      serviceState: {
+        isHealthy: true,
+        lastOutageStart: null,
+        outageEndTime: null,
+        normalPeriodStart: now,
+        normalPeriodDuration: null,
+        requestCount: 0,
+        successCount: 0,
+        errorCount: 0,
+        forcedCount: 0,
+        transportFaults: Object.fromEntries(transportFaults.map(fault => [fault, 0])),
+        averageResponseTime: 0
+      },
+      // Error tracking for circuit breaker
+      errorWindow: [],
+      circuitBreakerState: 'CLOSED', // CLOSED, OPEN, HALF_OPEN
+      circuitBreakerOpenTime: null,
+      halfOpenAttempts: 0,
+      errorCutoff: 0, // errors up to this time were cleared (breaker recovery or manual reset)
+      // Shared state store bookkeeping, see pullSharedState
+      sharedVersions: {}, // section -> { updatedAt, json } as last pulled or pushed
+      pendingErrors: [], // errors recorded here and not pushed yet
+      random: null // chaos stream of a named session, see getRandomStream
+    };
+  }
+
+  const defaultSession = createSession('default');
+  const sessions = new Map(); // X-Mock-Session value -> session, least recently used first
+
+  // Session named by X-Mock-Session (created on first use), the default session without the header,
+  // or null when the name is invalid
+  function getSession(req) {
+    const id = req.headers['x-mock-session'];
+    if (id === undefined || id === 'default') {
+      return defaultSession;
+    }
+    if (!sessionIdPattern.test(id)) {
+      return null;
+    }
+    let session = sessions.get(id);
+    if (session) {
+      // Re-insert to keep the map in least-recently-used order
+      sessions.delete(id);
+    } else {
+      session = createSession(id);
+      while (sessions.size >= maxSessions) {
+        const [oldest] = sessions.keys();
+        sessions.delete(oldest);
+        logJson({ type: 'session_expired', session: oldest, reason: 'capacity' });
+      }
+      logJson({ type: 'session_created', session: id });
+    }
+    session.lastSeen = Date.now();
+    sessions.set(id, session);
+    return session;
+  }
+
+  // Session named by X-Mock-Session for read-only admin requests: neither created, stored nor kept alive.
+  // An unknown name gets a fresh, unstored session, i.e. what its first request would start from
+  function peekSession(req) {
+    const id = req.headers['x-mock-session'];
+    if (id === undefined || id === 'default') {
+      return defaultSession;
+    }
+    if (!sessionIdPattern.test(id)) {
+      return null;
+    }
+    return sessions.get(id) || createSession(id);
+  }
+
+  // Drop sessions idle for longer than MOCK_SESSION_IDLE_MS
+  const sessionExpiryTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [id, session] of sessions) {
+      if (now - session.lastSeen > sessionIdleMs) {
+        sessions.delete(id);
+        logJson({ type: 'session_expired', session: id, reason: 'idle', idle_ms: now - session.lastSeen });
+      }
+    }
+  }, 10000).unref();
+
+  // Summary of a session for the admin API
+  function describeSession(session) {
+    const state = session.serviceState;
+    return {
+      id: session.id,
+      created_at: new Date(session.createdAt).toISOString(),
+      last_seen: new Date(session.lastSeen).toISOString(),
+      expires_at: session === defaultSession ? null : new Date(session.lastSeen + sessionIdleMs).toISOString(),
+      requests: state.requestCount,
+      successful_requests: state.successCount,
+      failed_requests: state.errorCount,
+      outage_active: !!state.outageEndTime && Date.now() < state.outageEndTime,
+      in_normal_period: !!state.normalPeriodDuration,
+      circuit_breaker_state: session.circuitBreakerState,
+      circuit_breaker_errors: session.errorWindow.length,
+      overridden_keys: getConfigOverrides(session)
+    };
+  }
+
+  // Apply a partial config update atomically, returns { errors } or { changes }
+  function applyConfigPatch(patch, session = defaultSession) {
+    const { config } = session;
+    if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+      return { errors: ['Request body must be a JSON object of config keys'] };
+    }
+
+    const candidate = { ...config, ...patch };
+    const errors = validateConfig(candidate);
+    if (errors.length) {
+      return { errors };
+    }
+
+    const changes = {};
+    for (const key of Object.keys(patch)) {
+      if (config[key] !== patch[key]) {
+        changes[key] = { from: config[key], to: patch[key] };
+      }
+    }
+    Object.assign(config, candidate);
+    return { changes };
+  }
+
+  // Restore the base config (defaults, profile and options.config), returns the keys that changed
+  function resetConfig(session = defaultSession) {
+    const { config } = session;
+    const changes = {};
+    for (const key of Object.keys(baseConfig)) {
+      if (config[key] !== baseConfig[key]) {
+        changes[key] = { from: config[key], to: baseConfig[key] };
+      }
+    }
+    Object.assign(config, baseConfig);
+    return changes;
+  }
+
+  // Keys currently differing from the base config
+  function getConfigOverrides(session = defaultSession) {
+    return Object.keys(baseConfig).filter(key => session.config[key] !== baseConfig[key]);
+  }
+
+  // Timeline scenarios: scripted phases overriding the config (and optionally forcing an outage)
+  const maxScenarioPhases = 100;
+  let scenario = null; // { name, loop, phases, totalDuration, state, startedAt, lastPhaseKey }
+
+  // Validate a scenario definition, returns a list of human-readable problems
+  function validateScenario(definition) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      return ['Scenario must be a JSON object with a phases array'];
+    }
+    const { phases } = definition;
+    if (!Array.isArray(phases) || phases.length === 0 || phases.length > maxScenarioPhases) {
+      return [`phases must be an array of 1 to ${maxScenarioPhases} phases`];
+    }
+
+    const errors = [];
+    phases.forEach((phase, index) => {
+      const label = `phases[${index}]`;
+      if (!phase || typeof phase !== 'object' || Array.isArray(phase)) {
+        errors.push(`${label} must be an object`);
+        return;
+      }
+      const isLast = index === phases.length - 1;
+      if (phase.duration === undefined) {
+        if (!isLast) errors.push(`${label}.duration is required on every phase but the last`);
+        if (definition.loop) errors.push(`${label}.duration is required when loop is enabled`);
+      } else if (typeof phase.duration !== 'number' || !Number.isFinite(phase.duration) || phase.duration <= 0) {
+        errors.push(`${label}.duration must be a positive number of milliseconds`);
+      }
+      if (phase.outage !== undefined && typeof phase.outage !== 'boolean') {
+        errors.push(`${label}.outage must be true or false`);
+      }
+      if (phase.config !== undefined) {
+        if (!phase.config || typeof phase.config !== 'object' || Array.isArray(phase.config)) {
+          errors.push(`${label}.config must be an object of config keys`);
+        } else {
+          validateConfig({ ...defaultSession.config, ...phase.config }).forEach(error => errors.push(`${label}.config: ${error}`));
+        }
+      }
+    });
+    return errors;
+  }
+
+  // Load (and optionally start) a validated scenario, replacing any previous one
+  function loadScenario(definition) {
+    const errors = validateScenario(definition);
+    if (errors.length) {
+      return { errors };
+    }
+
+    const phases = definition.phases.map((phase, index) => ({
+      name: phase.name || `phase-${index + 1}`,
+      duration: phase.duration === undefined ? null : phase.duration,
+      outage: !!phase.outage,
+      config: phase.config || {}
+    }));
+    scenario = {
+      name: definition.name || 'unnamed',
+      loop: !!definition.loop,
+      phases,
+      totalDuration: phases.every(phase => phase.duration !== null) ?
+        phases.reduce((sum, phase) => sum + phase.duration, 0) : null,
+      state: 'loaded',
+      startedAt: null,
+      lastPhaseKey: null
+    };
+    if (definition.autoStart) {
+      startScenario();
+    }
+    return { scenario };
+  }
+
+  function startScenario() {
+    scenario.state = 'running';
+    scenario.startedAt = Date.now();
+    scenario.lastPhaseKey = null;
+    console.log(`Scenario "${scenario.name}" started at ${new Date().toISOString()}`);
+  }
+
+  function stopScenario() {
+    scenario.state = 'stopped';
+    scenario.startedAt = null;
+    console.log(`Scenario "${scenario.name}" stopped at ${new Date().toISOString()}`);
+  }
+
+  // Where the running scenario is, without side effects (for read-only callers such as metrics and /health).
+  // Returns { index, iteration, phase, elapsedMs, endsAt }, { completed: true } once a non-looping
+  // scenario has run past its end, or null when no scenario is running.
+  function peekScenarioPhase() {
+    if (!scenario || scenario.state !== 'running') {
+      return null;
+    }
+
+    const now = Date.now();
+    let elapsed = now - scenario.startedAt;
+    let iteration = 0;
+    if (scenario.totalDuration !== null) {
+      if (scenario.loop) {
+        iteration = Math.floor(elapsed / scenario.totalDuration);
+        elapsed %= scenario.totalDuration;
+      } else if (elapsed >= scenario.totalDuration) {
+        return { completed: true };
+      }
+    }
+
+    let phaseStart = 0;
+    let index = 0;
+    while (scenario.phases[index].duration !== null && elapsed >= phaseStart + scenario.phases[index].duration) {
+      phaseStart += scenario.phases[index].duration;
+      index++;
+    }
+    const phase = scenario.phases[index];
+    return {
+      index,
+      iteration,
+      phase,
+      elapsedMs: elapsed - phaseStart,
+      endsAt: phase.duration === null ? null : now + (phaseStart + phase.duration - elapsed)
+    };
+  }
+
+  // The running scenario phase for request handling: also completes finished scenarios and
+  // logs and records phase changes
+  function getScenarioPhase() {
+    const current = peekScenarioPhase();
+    if (!current) {
+      return null;
+    }
+    if (current.completed) {
+      scenario.state = 'completed';
+      logJson({
+        type: 'scenario_completed',
+        timestamp: new Date().toISOString(),
+        scenario: scenario.name
+      });
+      return null;
+    }
+
+    // Phase changes are detected lazily, on the first request that sees them
+    const phaseKey = `${current.iteration}:${current.index}`;
+    if (scenario.lastPhaseKey !== phaseKey) {
+      scenario.lastPhaseKey = phaseKey;
+      recordTransition('scenario_phase', current.phase.name);
+      logJson({
+        type: 'scenario_phase',
+        timestamp: new Date().toISOString(),
+        scenario: scenario.name,
+        phase: current.phase.name,
+        phase_index: current.index,
+        iteration: current.iteration,
+        outage: current.phase.outage,
+        config: current.phase.config
+      });
+    }
+    return current;
+  }
+
+  // Config in effect right now: admin-patched config plus the running phase overrides.
+  // Scenarios drive the default session only.
+  function effectiveConfig(session = defaultSession) {
+    const current = session === defaultSession ? getScenarioPhase() : null;
+    return current ? { ...session.config, ...current.phase.config } : session.config;
+  }
+
+  // effectiveConfig for read-only callers, without scenario side effects
+  function peekEffectiveConfig(session = defaultSession) {
+    const current = session === defaultSession ? peekScenarioPhase() : null;
+    return current && !current.completed ? { ...session.config, ...current.phase.config } : session.config;
+  }
+
+  // Scenario summary for /health and the admin API
+  function describeScenario() {
+    if (!scenario) {
+      return null;
+    }
+    const peeked = peekScenarioPhase();
+    const current = peeked && !peeked.completed ? peeked : null;
+    return {
+      name: scenario.name,
+      state: peeked && peeked.completed ? 'completed' : scenario.state,
+      loop: scenario.loop,
+      phases: scenario.phases.map(phase => phase.name),
+      started_at: scenario.startedAt ? new Date(scenario.startedAt).toISOString() : null,
+      current_phase: current ? {
+        name: current.phase.name,
+        index: current.index,
+        iteration: current.iteration,
+        outage: current.phase.outage,
+        elapsed_ms: current.elapsedMs,
+        remaining_ms: current.endsAt === null ? null : current.endsAt - Date.now(),
+        config: current.phase.config
+      } : null
+    };
+  }
+
+  // Optional scenario file loaded at startup (MOCK_SCENARIO_FILE)
+  if (env.MOCK_SCENARIO_FILE) {
+    const definition = JSON.parse(fs.readFileSync(env.MOCK_SCENARIO_FILE, 'utf8'));
+    const result = loadScenario(definition);
+    if (result.errors) {
+      throw new Error(`Invalid scenario in ${env.MOCK_SCENARIO_FILE}: ${result.errors.join('; ')}`);
+    }
+    console.log(`Scenario "${scenario.name}" loaded from ${env.MOCK_SCENARIO_FILE} (${scenario.state})`);
+  }
+
+  // Deterministic synthetic records for /generate and $generate template directives.
+  // MOCK_GENERATOR_FILE (JSON or YAML) adds schemas next to the built-in product schema and sets the default seed.
+  const generator = createGenerator({ filePath: env.MOCK_GENERATOR_FILE });
+  if (env.MOCK_GENERATOR_FILE) {
+    console.log(`Generator schemas loaded from ${env.MOCK_GENERATOR_FILE}: ${generator.describe().schemas.join(', ')}`);
+  }
+
+  // Declarative stubs for arbitrary routes, loaded from MOCK_STUBS_FILE (JSON or YAML) and hot-reloaded
+  const stubRegistry = env.MOCK_STUBS_FILE ?
+    createStubRegistry({ filePath: env.MOCK_STUBS_FILE, logJson, generate: generator.renderDirective }) :
+    null;
+  if (stubRegistry) {
+    console.log(`Stubs loaded from ${env.MOCK_STUBS_FILE} (${stubRegistry.describe().stubs.length} stubs)`);
+  }
+
+  // Stateful CRUD collections declared in MOCK_RESOURCES_FILE (JSON or YAML), seeded from fixtures
+  const resourceStore = env.MOCK_RESOURCES_FILE ?
+    createResourceStore({ filePath: env.MOCK_RESOURCES_FILE, logJson }) :
+    null;
+  if (resourceStore) {
+    console.log(`Resources loaded from ${env.MOCK_RESOURCES_FILE}: ${resourceStore.describe().map(c => c.name).join(', ')}`);
+  }
+
+  // Paginated synthetic list endpoints declared in MOCK_PAGINATION_FILE (JSON or YAML)
+  const paginator = env.MOCK_PAGINATION_FILE ? createPaginator({ filePath: env.MOCK_PAGINATION_FILE, generate: generator.renderDirective }) : null;
+  if (paginator) {
+    console.log(`Paginated lists loaded from ${env.MOCK_PAGINATION_FILE}: ${paginator.describe().lists.map(list => list.path).join(', ')}`);
+  }
+
+  // Routes generated from an OpenAPI 3 document in MOCK_OPENAPI_FILE (JSON or YAML)
+  const openApiMock = env.MOCK_OPENAPI_FILE ?
+    createOpenApiMock({ filePath: env.MOCK_OPENAPI_FILE }) :
+    null;
+  if (openApiMock) {
+    const spec = openApiMock.describe();
+    console.log(`OpenAPI spec "${spec.title}" ${spec.version} loaded from ${spec.file} (${spec.operations} operations)`);
+  }
+
+  // GraphQL endpoint answering from the SDL schema declared in MOCK_GRAPHQL_FILE (JSON or YAML)
+  const graphqlMock = env.MOCK_GRAPHQL_FILE ? createGraphqlMock({ filePath: env.MOCK_GRAPHQL_FILE, generate: generator.renderDirective }) : null;
+  if (graphqlMock) {
+    console.log(`GraphQL schema loaded from ${env.MOCK_GRAPHQL_FILE}, served at ${graphqlMock.path}`);
+  }
+
+  // gRPC services from the .proto files declared in MOCK_GRPC_FILE (JSON or YAML); calls need HTTP/2
+  const grpcMock = env.MOCK_GRPC_FILE ? createGrpcMock({ filePath: env.MOCK_GRPC_FILE, generate: generator.renderDirective }) : null;
+  if (grpcMock) {
+    console.log(`gRPC services loaded from ${env.MOCK_GRPC_FILE} (${grpcMock.describe().methods.length} methods)`);
+  }
+
+  // Live product update events over Server-Sent Events and WebSocket, seeded like the generator
+  const streamHub = createStreamHub({ generator, seed: `${generator.describe().seed}:streams`, logJson });
+  const sseStreamPath = '/stream/products';
+  const webSocketStreamPath = '/stream/products/ws';
+
+  // Latency distributions and per-route profiles from MOCK_LATENCY_FILE (JSON or YAML).
+  // Without a global profile the legacy slowResponseChance/minSlowDelay/maxSlowDelay delay applies.
+  let latencyPlanner = createLatencyPlanner({});
+  if (env.MOCK_LATENCY_FILE) {
+    const settings = readDataFile(env.MOCK_LATENCY_FILE);
+    const errors = validateLatencySettings(settings);
+    if (errors.length) {
+      throw new Error(`Invalid latency settings in ${env.MOCK_LATENCY_FILE}: ${errors.join('; ')}`);
+    }
+    latencyPlanner = createLatencyPlanner(settings);
+    console.log(`Latency profiles loaded from ${env.MOCK_LATENCY_FILE} (${(settings.routes || []).length} routes)`);
+  }
+
+  // API keys, JWT validation and an OAuth2 token endpoint configured in MOCK_AUTH_FILE (JSON or YAML)
+  const auth = env.MOCK_AUTH_FILE ? createAuth({ filePath: env.MOCK_AUTH_FILE }) : null;
+  if (auth) {
+    const described = auth.describe();
+    console.log(`Auth loaded from ${described.file} (${described.protected_routes.length} protected routes)`);
+  }
+
+  // Async jobs; callbacks are signed with MOCK_CALLBACK_SECRET (HMAC-SHA256) and restricted to the
+  // comma-separated MOCK_CALLBACK_ALLOWED_HOSTS when set (internal addresses only when listed there)
+  const callbackSecret = env.MOCK_CALLBACK_SECRET || 'mao-mock-callback-secret';
+  const allowedCallbackHosts = (env.MOCK_CALLBACK_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+  const jobStore = createJobStore({
+    maxJobs: env.MOCK_JOBS_MAX_RECORDS !== undefined ? Number(env.MOCK_JOBS_MAX_RECORDS) : 1000,
+    callbackSecret,
+    allowedCallbackHosts,
+    logJson
+  });
+
+  // Idempotency-Key records for POST and PATCH
+  const idempotencyKeyMethods = ['POST', 'PATCH'];
+  const idempotencyStore = createIdempotencyStore({
+    ttlMs: () => effectiveConfig().idempotencyKeyTtlMs,
+    maxKeys: () => effectiveConfig().idempotencyMaxKeys
+  });
+
+  // Request journal for test assertions, bounded by MOCK_JOURNAL_MAX_ENTRIES (0 disables it)
+  const journal = createJournal({
+    maxEntries: env.MOCK_JOURNAL_MAX_ENTRIES !== undefined ? Number(env.MOCK_JOURNAL_MAX_ENTRIES) : 1000
+  });
+
+  // Chaos state store from MOCK_STATE_STORE: memory (default), file:<path> or redis://host:port/db.
+  // A shared store keeps outages, normal periods, the circuit breaker and rate limits consistent across instances.
+  const stateStore = createStateStore(env.MOCK_STATE_STORE || 'memory');
+  console.log(`Chaos state store: ${stateStore.backend}${stateStore.shared ? ' (shared between instances)' : ''}`);
+
+  // Rate limiter keyed by IP, API key or a custom header. The in-memory one also stands in when the shared store fails.
+  const localRateLimiter = createRateLimiter({ maxKeys: () => effectiveConfig().rateLimitMaxKeys });
+  const rateLimiter = stateStore.shared ?
+    createSharedRateLimiter({
+      store: stateStore,
+      keyTtlMs: windowMs => Math.max(effectiveConfig().rateLimitIdleEvictionMs, windowMs)
+    }) :
+    localRateLimiter;
+
+  // Rate limit key for a request; requests without the key header fall back to their IP
+  function getRateLimitKey(session, req, ip) {
+    const cfg = effectiveConfig(session);
+    if (cfg.rateLimitKey === 'api_key') {
+      // Credentials are hashed: the key is stored in the state store and logged
+      const apiKey = req.headers['x-api-key'] || req.headers.authorization;
+      if (apiKey) return `api_key:${crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 16)}`;
+    } else if (cfg.rateLimitKey === 'header') {
+      const value = req.headers[cfg.rateLimitKeyHeader.toLowerCase()];
+      if (value) return `header:${value}`;
+    }
+    return `ip:${ip}`;
+  }
+
+  // Count the request against its route limit (or the global one), returns the limiter decision.
+  // Named sessions count in their own buckets.
+  async function checkRateLimit(session, req, ip) {
+    const cfg = effectiveConfig(session);
+    const key = getRateLimitKey(session, req, ip);
+    const matched = matchRouteLimit(cfg.rateLimitRoutes, req);
+    const limit = matched ? {
+      algorithm: matched.route.algorithm || cfg.rateLimitAlgorithm,
+      max: matched.route.max,
+      windowMs: matched.route.windowMs || cfg.rateLimitWindowMs
+    } : {
+      algorithm: cfg.rateLimitAlgorithm,
+      max: cfg.rateLimitMax,
+      windowMs: cfg.rateLimitWindowMs
+    };
+    const sessionKey = session === defaultSession ? key : `session:${session.id}|${key}`;
+    const limiterKey = matched ? `route${matched.index}|${sessionKey}` : sessionKey;
+    let result;
+    try {
+      result = await rateLimiter.check(limiterKey, limit);
+    } catch (error) {
+      logJson({ type: 'state_store_error', operation: 'rate_limit', backend: stateStore.backend, error: error.message });
+      result = localRateLimiter.check(limiterKey, limit);
+    }
+    return { ...result, key, route: matched ? matched.route.path : null };
+  }
+
+  // Periodically drop idle keys so the table stays small
+  const rateLimitEvictionTimer = setInterval(() => {
+    const evicted = localRateLimiter.evictIdle(effectiveConfig().rateLimitIdleEvictionMs);
+    if (evicted > 0) {
+      logJson({ type: 'rate_limit_eviction', evicted, remaining: localRateLimiter.size() });
+    }
+  }, 10000).unref();
+
+  // Structured JSON logger
+  function logJson(obj) {
+    console.log(JSON.stringify(obj));
+  }
+
+  // Prometheus metrics served on /metrics
+  const metrics = createMetricsRegistry();
+  const requestsTotal = metrics.counter('mock_http_requests_total', 'Requests handled, by method, route, status code and error type');
+  const requestDuration = metrics.histogram(
+    'mock_http_request_duration_seconds',
+    'Request latency including artificial delays',
+    [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+  );
+  const transportFaultsTotal = metrics.counter('mock_transport_faults_total', 'Transport-level faults, by fault and whether a control header forced it');
+  const stateTransitions = metrics.counter('mock_state_transitions_total', 'Chaos state transitions, by component and new state');
+  metrics.gauge('mock_circuit_breaker_state', 'Circuit breaker state (1 for the current state)', () =>
+    ['CLOSED', 'HALF_OPEN', 'OPEN'].map(state => ({ labels: { state }, value: defaultSession.circuitBreakerState === state ? 1 : 0 })));
+  metrics.gauge('mock_circuit_breaker_window_errors', 'Errors in the current circuit breaker window', () =>
+    [{ value: defaultSession.errorWindow.length }]);
+  metrics.gauge('mock_outage_active', 'Whether an outage (random or scripted) is active', () => {
+    const current = peekScenarioPhase();
+    const { serviceState } = defaultSession;
+    const randomOutage = !!serviceState.outageEndTime && Date.now() < serviceState.outageEndTime;
+    return [{ value: randomOutage || !!(current && current.phase && current.phase.outage) ? 1 : 0 }];
+  });
+  metrics.gauge('mock_normal_period_active', 'Whether a 100% success normal period is active', () =>
+    [{ value: defaultSession.serviceState.normalPeriodDuration ? 1 : 0 }]);
+  metrics.gauge('mock_rate_limit_keys', 'Entries in the in-memory rate limit table', () => [{ value: localRateLimiter.size() }]);
+
+  // Cap distinct route labels so arbitrary paths cannot blow up the series count
+  const maxRouteLabels = 200;
+  const routeLabels = new Set();
+
+  // Route label for metrics: numeric and id-like path segments collapse to :id
+  function normalizeRoute(path) {
+    const route = (path || '/')
+      .split('/')
+      .map(segment => (/^\d+$/.test(segment) || /^[0-9a-f-]{16,}$/i.test(segment) ? ':id' : segment))
+      .join('/');
+    if (!routeLabels.has(route)) {
+      if (routeLabels.size >= maxRouteLabels) return 'other';
+      routeLabels.add(route);
+    }
+    return route;
+  }
+
+  function recordTransition(component, state) {
+    stateTransitions.inc({ component, state });
+  }
+
+  // Chaos state shared through the state store. Each section carries the time it last changed: a request
+  // pulls newer sections before its chaos checks and pushes the sections it changed once it closes.
+  // Named sessions keep their sections under session:<id>:.
+  const sharedSectionNames = ['outage', 'normal_period', 'circuit_breaker'];
+  const maxSharedErrors = 1000;
+
+  const sharedKeyPrefix = session => (session === defaultSession ? 'state:' : `session:${session.id}:state:`);
+
+  function readSharedSection(session, name) {
+    const { serviceState } = session;
+    switch (name) {
+      case 'outage':
+        return {
+          isHealthy: serviceState.isHealthy,
+          lastOutageStart: serviceState.lastOutageStart,
+          outageEndTime: serviceState.outageEndTime
+        };
+      case 'normal_period':
+        return {
+          normalPeriodStart: serviceState.normalPeriodStart,
+          normalPeriodDuration: serviceState.normalPeriodDuration
+        };
+      default:
+        return {
+          state: session.circuitBreakerState,
+          openTime: session.circuitBreakerOpenTime,
+          halfOpenAttempts: session.halfOpenAttempts,
+          errorCutoff: session.errorCutoff
+        };
+    }
+  }
+
+  function writeSharedSection(session, name, data) {
+    switch (name) {
+      case 'outage':
+      case 'normal_period':
+        Object.assign(session.serviceState, data);
+        break;
+      default:
+        session.circuitBreakerState = data.state;
+        session.circuitBreakerOpenTime = data.openTime;
+        session.halfOpenAttempts = data.halfOpenAttempts;
+        session.errorCutoff = data.errorCutoff;
+    }
+  }
+
+  async function pullSharedState(session) {
+    if (!stateStore.shared) return;
+    const prefix = sharedKeyPrefix(session);
+    try {
+      const [sections, errors] = await Promise.all([
+        stateStore.getMany(sharedSectionNames.map(name => `${prefix}${name}`)),
+        stateStore.getList(`${prefix}errors`)
+      ]);
+      sections.forEach((section, index) => {
+        const name = sharedSectionNames[index];
+        const known = session.sharedVersions[name];
+        if (!section || (known && section.updatedAt <= known.updatedAt)) return;
+        const json = JSON.stringify(section.data);
+        if (json !== JSON.stringify(readSharedSection(session, name))) {
+          logJson({
+            type: 'shared_state',
+            session: session.id,
+            section: name,
+            updatedAt: new Date(section.updatedAt).toISOString(),
+            state: section.data
+          });
+        }
+        writeSharedSection(session, name, section.data);
+        session.sharedVersions[name] = { updatedAt: section.updatedAt, json };
+      });
+      session.errorWindow = [...errors, ...session.pendingErrors].filter(timestamp => timestamp > session.errorCutoff);
+    } catch (error) {
+      // Keep running on the local view of the state
+      logJson({ type: 'state_store_error', operation: 'pull', backend: stateStore.backend, error: error.message });
+    }
+  }
+
+  async function pushSharedState(session) {
+    if (!stateStore.shared) return;
+    const prefix = sharedKeyPrefix(session);
+    // Named sessions' keys expire with the session
+    const ttlMs = session === defaultSession ? undefined : sessionIdleMs;
+    const writes = [];
+    for (const name of sharedSectionNames) {
+      const data = readSharedSection(session, name);
+      const json = JSON.stringify(data);
+      const known = session.sharedVersions[name];
+      if (known && known.json === json) continue;
+      const updatedAt = Math.max(Date.now(), known ? known.updatedAt + 1 : 0);
+      session.sharedVersions[name] = { updatedAt, json };
+      // A failed write leaves the section marked as changed so the next push retries it
+      writes.push(stateStore.set(`${prefix}${name}`, { updatedAt, data }, ttlMs).catch(error => {
+        if (session.sharedVersions[name] && session.sharedVersions[name].json === json) session.sharedVersions[name] = known;
+        throw error;
+      }));
+    }
+    if (session.pendingErrors.length) {
+      // Errors recorded while the push is in flight queue behind these; a failed push puts them back
+      const errors = session.pendingErrors;
+      session.pendingErrors = [];
+      writes.push(stateStore.pushList(`${prefix}errors`, errors, maxSharedErrors, ttlMs).catch(error => {
+        session.pendingErrors = [...errors, ...session.pendingErrors];
+        throw error;
+      }));
+    }
+    try {
+      await Promise.all(writes);
+    } catch (error) {
+      logJson({ type: 'state_store_error', operation: 'push', backend: stateStore.backend, error: error.message });
+    }
+  }
+
+  // Seedable PRNG so chaos runs can be replayed: same seed + same request sequence = same outcomes
+  const maxSeededStreams = 1000;
+  const seededStreams = new Map(); // X-Mock-Seed header value -> stream
+
+  // mulberry32 generator wrapped with its seed and usage counters
+  function createRandomStream(seed, source) {
+    const next = mulberry32(seed);
+    const stream = {
+      seed: String(seed),
+      source,
+      requests: 0,
+      draws: 0,
+      random() {
+        stream.draws++;
+        return next();
+      }
+    };
+    return stream;
+  }
+
+  function generateSeed() {
+    return Math.random().toString(36).substr(2, 10);
+  }
+
+  // Global chaos stream, seeded from MOCK_SEED when set
+  let chaosRandom = env.MOCK_SEED ?
+    createRandomStream(env.MOCK_SEED, 'env') :
+    createRandomStream(generateSeed(), 'random');
+  console.log(`Chaos random stream seeded with "${chaosRandom.seed}" (${chaosRandom.source})`);
+
+  // Replace the global stream and drop all header-scoped and session streams
+  function reseedChaos(seed) {
+    chaosRandom = seed === undefined ?
+      createRandomStream(generateSeed(), 'random') :
+      createRandomStream(seed, 'admin');
+    seededStreams.clear();
+    for (const session of sessions.values()) session.random = null;
+    return chaosRandom;
+  }
+
+  // Pick the stream for a request: X-Mock-Seed scopes its own replayable session,
+  // otherwise named mock sessions draw from a stream derived from the global seed
+  function getRandomStream(req, session) {
+    const headerSeed = req.headers['x-mock-seed'];
+    if (!headerSeed) {
+      if (session === defaultSession) return chaosRandom;
+      if (!session.random) session.random = createRandomStream(`${chaosRandom.seed}:${session.id}`, 'session');
+      return session.random;
+    }
+
+    const seed = String(headerSeed).trim().slice(0, 128);
+    let stream = seededStreams.get(seed);
+    if (stream) {
+      // Re-insert to keep the map in least-recently-used order
+      seededStreams.delete(seed);
+    } else {
+      stream = createRandomStream(seed, 'header');
+      if (seededStreams.size >= maxSeededStreams) {
+        seededStreams.delete(seededStreams.keys().next().value);
       }
+    }
+    seededStreams.set(seed, stream);
+    return stream;
+  }
+
+  // Helper function to generate request ID  
+  function generateRequestId() {  
+    return `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;  
+  }
+
+  // Check if service should be in outage
+  function checkServiceAvailability(session, rng) {
+    const now = Date.now();
+    const current = session === defaultSession ? getScenarioPhase() : null;
+    const cfg = effectiveConfig(session);
+
+    // Scripted outage from the running scenario phase
+    if (current && current.phase.outage) {
       return false;
-      
-    case 'OPEN':
-      // Check if recovery time has passed
-      if (now - circuitBreakerOpenTime >= config.circuitBreakerRecovery) {
-        circuitBreakerState = 'HALF_OPEN';
-        halfOpenAttempts = 0;
-        console.log(`Circuit breaker moved to HALF_OPEN at ${new Date().toISOString()}`);
-        return false; // Allow the first request through
-      }
-      return true; // Still open
-      
-    case 'HALF_OPEN':
-      // In half-open state, allow limited requests through
+    }
+
+    // Check if we're currently in an outage
+    if (session.serviceState.outageEndTime && now < session.serviceState.outageEndTime) {
       return false;
-      
-    default:
+    }
+
+    // End outage if time has passed
+    if (session.serviceState.outageEndTime && now >= session.serviceState.outageEndTime) {
+      session.serviceState.isHealthy = true;
+      session.serviceState.outageEndTime = null;
+      session.serviceState.lastOutageStart = null;
+      console.log(`Service recovered from outage at ${new Date().toISOString()}`);
+      recordTransition('outage', 'ended');
+    }
+
+    // Check if we should start a new outage
+    if (session.serviceState.isHealthy && rng.random() < cfg.outageChance) {
+      const outageStart = now;
+      const outageDuration = rng.random() * (cfg.maxOutageDuration - cfg.minOutageDuration) + cfg.minOutageDuration;
+
+      session.serviceState.isHealthy = false;
+      session.serviceState.lastOutageStart = outageStart;
+      session.serviceState.outageEndTime = outageStart + outageDuration;
+
+      console.log(`Service outage started at ${new Date().toISOString()}, duration: ${Math.round(outageDuration/1000)}s`);
+      recordTransition('outage', 'started');
       return false;
+    }
+
+    return session.serviceState.isHealthy;
   }
-}
 
-// Add error to circuit breaker tracking with state management
-function recordError() {
-  const now = Date.now();
-  errorWindow.push(now);
-  serviceState.errorCount++;
-  
-  // Handle half-open state failures
-  if (circuitBreakerState === 'HALF_OPEN') {
-    circuitBreakerState = 'OPEN';
-    circuitBreakerOpenTime = now;
-    halfOpenAttempts = 0;
-    console.log(`Circuit breaker REOPENED at ${new Date().toISOString()} due to failure in half-open state`);
+  // Check if we're in a normal period (100% success rate)
+  function isInNormalPeriod(session, rng) {
+    const cfg = effectiveConfig(session);
+    const now = Date.now();
+
+    // Check if current normal period has ended
+    if (session.serviceState.normalPeriodDuration && 
+        (now - session.serviceState.normalPeriodStart) > session.serviceState.normalPeriodDuration) {
+      session.serviceState.normalPeriodDuration = null;
+      console.log(`Normal period ended at ${new Date().toISOString()}`);
+      recordTransition('normal_period', 'ended');
+    }
+
+    // Start new normal period
+    if (!session.serviceState.normalPeriodDuration && rng.random() < cfg.normalPeriodChance) {
+      session.serviceState.normalPeriodStart = now;
+      session.serviceState.normalPeriodDuration = rng.random() * (cfg.maxNormalPeriod - cfg.minNormalPeriod) + cfg.minNormalPeriod;
+      console.log(`Normal period started at ${new Date().toISOString()}, duration: ${Math.round(session.serviceState.normalPeriodDuration/60000)} minutes`);
+      recordTransition('normal_period', 'started');
+    }
+
+    return !!session.serviceState.normalPeriodDuration;
   }
-}
 
-// Record successful request for circuit breaker
-function recordSuccess() {
-  serviceState.successCount++;
-  
-  // Handle half-open state successes
-  if (circuitBreakerState === 'HALF_OPEN') {
-    halfOpenAttempts++;
-    if (halfOpenAttempts >= config.circuitBreakerHalfOpenRequests) {
-      circuitBreakerState = 'CLOSED';
-      halfOpenAttempts = 0;
-      // Clear some old errors to help recovery
-      const cutoff = Date.now() - (config.circuitBreakerWindow / 2);
-      errorWindow = errorWindow.filter(timestamp => timestamp > cutoff);
-      console.log(`Circuit breaker CLOSED at ${new Date().toISOString()} after successful half-open period`);
+  // Circuit breaker check with proper state management
+  function isCircuitBreakerOpen(session) {
+    const cfg = effectiveConfig(session);
+    const now = Date.now();
+
+    // Clean old errors from window
+    session.errorWindow = session.errorWindow.filter(timestamp => now - timestamp < cfg.circuitBreakerWindow);
+
+    // Handle circuit breaker state transitions
+    switch (session.circuitBreakerState) {
+      case 'CLOSED':
+        // Check if we should open the circuit breaker
+        if (session.errorWindow.length >= cfg.circuitBreakerThreshold) {
+          session.circuitBreakerState = 'OPEN';
+          session.circuitBreakerOpenTime = now;
+          console.log(`Circuit breaker OPENED at ${new Date().toISOString()} due to ${session.errorWindow.length} errors`);
+          recordTransition('circuit_breaker', 'OPEN');
+          return true;
+        }
+        return false;
+
+      case 'OPEN':
+        // Check if recovery time has passed
+        if (now - session.circuitBreakerOpenTime >= cfg.circuitBreakerRecovery) {
+          session.circuitBreakerState = 'HALF_OPEN';
+          session.halfOpenAttempts = 0;
+          console.log(`Circuit breaker moved to HALF_OPEN at ${new Date().toISOString()}`);
+          recordTransition('circuit_breaker', 'HALF_OPEN');
+          return false; // Allow the first request through
+        }
+        return true; // Still open
+
+      case 'HALF_OPEN':
+        // In half-open state, allow limited requests through
+        return false;
+
+      default:
+        return false;
     }
   }
-}
 
-// Simulate various error scenarios
-function simulateError() {
-  const rand = Math.random();
-  
-  if (rand < config.serverErrorChance) {
-    return { status: 500, error: 'Internal Server Error', type: 'server_error' };
+  // Add error to circuit breaker tracking with state management
+  function recordError(session) {
+    const now = Date.now();
+    session.errorWindow.push(now);
+    if (stateStore.shared) session.pendingErrors.push(now);
+    session.serviceState.errorCount++;
+
+    // Handle half-open state failures
+    if (session.circuitBreakerState === 'HALF_OPEN') {
+      session.circuitBreakerState = 'OPEN';
+      session.circuitBreakerOpenTime = now;
+      session.halfOpenAttempts = 0;
+      console.log(`Circuit breaker REOPENED at ${new Date().toISOString()} due to failure in half-open state`);
+      recordTransition('circuit_breaker', 'OPEN');
+    }
   }
-  
-  if (rand < config.serverErrorChance + config.clientErrorChance) {
-    return { status: 400, error: 'Bad Request', type: 'client_error' };
+
+  // Record successful request for circuit breaker
+  function recordSuccess(session) {
+    const cfg = effectiveConfig(session);
+    session.serviceState.successCount++;
+
+    // Handle half-open state successes
+    if (session.circuitBreakerState === 'HALF_OPEN') {
+      session.halfOpenAttempts++;
+      if (session.halfOpenAttempts >= cfg.circuitBreakerHalfOpenRequests) {
+        session.circuitBreakerState = 'CLOSED';
+        session.halfOpenAttempts = 0;
+        // Clear some old errors to help recovery
+        const cutoff = Date.now() - (cfg.circuitBreakerWindow / 2);
+        session.errorWindow = session.errorWindow.filter(timestamp => timestamp > cutoff);
+        session.errorCutoff = cutoff;
+        console.log(`Circuit breaker CLOSED at ${new Date().toISOString()} after successful half-open period`);
+        recordTransition('circuit_breaker', 'CLOSED');
+      }
+    }
   }
-  
-  if (rand < config.serverErrorChance + config.clientErrorChance + config.timeoutChance) {
-    return { status: 408, error: 'Request Timeout', type: 'timeout' };
+
+  // Simulated error scenarios drawn by simulateError()
+  const simulatedErrors = {
+    server_error: { status: 500, error: 'Internal Server Error' },
+    client_error: { status: 400, error: 'Bad Request' },
+    timeout: { status: 408, error: 'Request Timeout' }
+  };
+
+  // Simulate various error scenarios
+  function simulateError(session, rng) {
+    const cfg = effectiveConfig(session);
+    const rand = rng.random();
+
+    if (rand < cfg.serverErrorChance) {
+      return { ...simulatedErrors.server_error, type: 'server_error' };
+    }
+
+    if (rand < cfg.serverErrorChance + cfg.clientErrorChance) {
+      return { ...simulatedErrors.client_error, type: 'client_error' };
+    }
+
+    if (rand < cfg.serverErrorChance + cfg.clientErrorChance + cfg.timeoutChance) {
+      return { ...simulatedErrors.timeout, type: 'timeout' };
+    }
+
+    return null;
   }
-  
-  return null;
-}
 
-// Add artificial delay
-async function addDelay() {
-  if (Math.random() < config.slowResponseChance) {
-    const delay = Math.random() * (config.maxSlowDelay - config.minSlowDelay) + config.minSlowDelay;
-    console.log(`Adding artificial delay: ${Math.round(delay)}ms`);
-    await new Promise(resolve => setTimeout(resolve, delay));
-    return delay;
+  // Pick a transport fault, or null. No draw when all transport chances are 0, so seeded replays are unchanged.
+  function simulateTransportFault(session, rng) {
+    const cfg = effectiveConfig(session);
+    const chances = transportChanceKeys.map(key => cfg[key]);
+    if (chances.every(chance => chance === 0)) return null;
+
+    const rand = rng.random();
+    let threshold = 0;
+    for (let i = 0; i < transportFaults.length; i++) {
+      threshold += chances[i];
+      if (rand < threshold) return transportFaults[i];
+    }
+    return null;
   }
-  return 0;
-}  
-
-functions.http('http', async (req, res) => {
-  const requestStart = Date.now();
-  const requestId = generateRequestId();
-  serviceState.requestCount++;
-  
-  // Enable CORS  
-  res.set('Access-Control-Allow-Origin', '*');  
-  res.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS, PUT, DELETE');  
-  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');  
-
-  // Handle preflight requests  
-  if (req.method === 'OPTIONS') {  
-    res.status(204).send('');  
-    return;  
-  }  
-
-
-  // Log the request with service state (structured)
-  logJson({
-    type: 'request',
-    timestamp: new Date().toISOString(),
-    method: req.method,
-    url: req.url,
-    requestId,
-    ip: req.headers['x-forwarded-for'] || req.connection.remoteAddress,
-    serviceState: {
-      healthy: serviceState.isHealthy,
-      requests: serviceState.requestCount,
-      success_rate: ((serviceState.successCount/serviceState.requestCount)*100).toFixed(2)
-    },
-    body: req.body || null
-  });
 
-  // Rate limiting
-  const ip = req.headers['x-forwarded-for'] || req.connection.remoteAddress || 'unknown';
-  if (checkRateLimit(ip)) {
-    recordError();
-    const responseTime = Date.now() - requestStart;
+  // Draw this request's latency from its route profile, the global profile or the legacy slow-response settings
+  function planLatency(session, req, rng) {
+    const cfg = effectiveConfig(session);
+    return latencyPlanner.plan(req, rng, {
+      distribution: 'uniform',
+      chance: cfg.slowResponseChance,
+      min: cfg.minSlowDelay,
+      max: cfg.maxSlowDelay
+    });
+  }
+
+  // Add artificial delay
+  async function addDelay(plan) {
+    if (plan.delayMs > 0) {
+      console.log(`Adding artificial delay: ${plan.delayMs}ms (${plan.distribution}, ${plan.profile})`);
+      await new Promise(resolve => setTimeout(resolve, plan.delayMs));
+    }
+    return plan.delayMs;
+  }
+
+  // Response shapes per error_type, shared by random chaos and forced failures
+  function buildErrorResponse(session, type, requestId, responseTime, forcedStatus) {
+    const cfg = effectiveConfig(session);
+    const body = (message, extra) => ({
+      status: 'error',
+      message,
+      timestamp: new Date().toISOString(),
+      requestId,
+      error_type: type,
+      ...extra
+    });
+
+    switch (type) {
+      case 'rate_limit':
+        return {
+          status: 429,
+          body: body('Too many requests', { retry_after: Math.ceil(cfg.rateLimitWindowMs/1000) })
+        };
+
+      case 'service_unavailable': {
+        const current = session === defaultSession ? getScenarioPhase() : null;
+        const outageEndTime = current && current.phase.outage && current.endsAt ?
+          current.endsAt : session.serviceState.outageEndTime;
+        const retryAfter = outageEndTime ?
+          Math.round((outageEndTime - Date.now()) / 1000) :
+          Math.round(cfg.minOutageDuration / 1000);
+        return {
+          status: 503,
+          body: body('Service temporarily unavailable', { retry_after: retryAfter })
+        };
+      }
+
+      case 'circuit_breaker_open': {
+        // A forced breaker response looks like one that has just opened
+        const openTime = session.circuitBreakerState === 'OPEN' ? session.circuitBreakerOpenTime : Date.now();
+        return {
+          status: 503,
+          body: body('Circuit breaker open - too many recent failures', {
+            retry_after: 30,
+            circuit_breaker_state: 'OPEN',
+            recovery_time_remaining: Math.max(0, Math.round((cfg.circuitBreakerRecovery - (Date.now() - openTime)) / 1000))
+          })
+        };
+      }
+
+      case 'network_failure':
+        return {
+          status: 504,
+          body: body('Simulated network failure (gateway timeout)', { response_time_ms: responseTime })
+        };
+
+      case 'server_error':
+      case 'client_error':
+      case 'timeout':
+        return {
+          status: simulatedErrors[type].status,
+          body: body(simulatedErrors[type].error, { response_time_ms: responseTime })
+        };
+
+      default:
+        return {
+          status: forcedStatus,
+          body: body(http.STATUS_CODES[forcedStatus] || 'Forced error', { response_time_ms: responseTime })
+        };
+    }
+  }
+
+  // Per-request fault injection through X-Mock-* headers, off when MOCK_DISABLE_CONTROL_HEADERS=true
+  const controlHeadersEnabled = env.MOCK_DISABLE_CONTROL_HEADERS !== 'true';
+
+  // Problem documents get type URIs of MOCK_PROBLEM_TYPE_BASE + error_type
+  const problemTypeBase = env.MOCK_PROBLEM_TYPE_BASE || 'urn:mao-mock:problem:';
+  const jsonOnlyPaths = ['/oauth/token', '/.well-known/jwks.json', sseStreamPath, webSocketStreamPath].concat(graphqlMock ? [graphqlMock.path] : []);
+  const maxRequestedDelayMs = 60000;
+  const forceableErrorTypes = [
+    'service_unavailable', 'circuit_breaker_open', 'rate_limit', 'network_failure',
+    'timeout', 'server_error', 'client_error'
+  ];
+  const errorTypeByStatus = {
+    400: 'client_error',
+    408: 'timeout',
+    429: 'rate_limit',
+    500: 'server_error',
+    503: 'service_unavailable',
+    504: 'network_failure'
+  };
+
+  // Parse control headers, returns { errors } or { forceType, forceStatus, delayMs, bypassChaos, transportFault }
+  function parseControlHeaders(req) {
+    const control = { forceType: null, forceStatus: null, delayMs: null, bypassChaos: false, transportFault: null };
+    if (!controlHeadersEnabled) {
+      return control;
+    }
+
+    const errors = [];
+    const forceType = req.headers['x-mock-force-error-type'];
+    const forceStatus = req.headers['x-mock-force-status'];
+    const delayMs = req.headers['x-mock-delay-ms'];
+    const bypassChaos = req.headers['x-mock-bypass-chaos'];
+    const transportFault = req.headers['x-mock-transport-fault'];
+
+    if (forceType !== undefined) {
+      if (forceableErrorTypes.includes(forceType)) {
+        control.forceType = forceType;
+      } else {
+        errors.push(`X-Mock-Force-Error-Type must be one of: ${forceableErrorTypes.join(', ')}`);
+      }
+    }
+
+    if (forceStatus !== undefined) {
+      const status = Number(forceStatus);
+      if (Number.isInteger(status) && status >= 400 && status <= 599) {
+        control.forceStatus = status;
+      } else {
+        errors.push('X-Mock-Force-Status must be an HTTP error status between 400 and 599');
+      }
+    }
+
+    if (delayMs !== undefined) {
+      const delay = Number(delayMs);
+      if (Number.isInteger(delay) && delay >= 0 && delay <= maxRequestedDelayMs) {
+        control.delayMs = delay;
+      } else {
+        errors.push(`X-Mock-Delay-Ms must be an integer between 0 and ${maxRequestedDelayMs}`);
+      }
+    }
+
+    if (bypassChaos !== undefined) {
+      control.bypassChaos = ['true', '1', 'yes'].includes(String(bypassChaos).toLowerCase());
+    }
+
+    if (transportFault !== undefined) {
+      if (!transportFaults.includes(transportFault)) {
+        errors.push(`X-Mock-Transport-Fault must be one of: ${transportFaults.join(', ')}`);
+      } else if (control.forceType || control.forceStatus) {
+        errors.push('X-Mock-Transport-Fault cannot be combined with X-Mock-Force-Error-Type or X-Mock-Force-Status');
+      } else {
+        control.transportFault = transportFault;
+      }
+    }
+
+    return errors.length ? { errors } : control;
+  }
+
+  // Fixed delay requested through X-Mock-Delay-Ms
+  async function addRequestedDelay(delay) {
+    if (delay > 0) {
+      console.log(`Adding requested delay: ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+    return delay;
+  }
+
+  // Send a { status, headers, body } result from stubs, resources and other route handlers
+  function sendMockResponse(res, { status, headers, body }) {
+    if (headers) {
+      res.set(headers);
+    }
+    if (body === null || body === undefined) {
+      res.status(status).end();
+    } else if (typeof body === 'string') {
+      res.status(status).send(body);
+    } else {
+      res.status(status).json(body);
+    }
+  }
+
+  // Journal admin endpoints: list, find, count, verify and clear recorded requests
+  function handleJournalRequest(req, res, requestId, path) {
+    const invalidFilter = errors => {
+      res.status(400).json({
+        status: 'error',
+        message: 'Invalid request filter',
+        timestamp: new Date().toISOString(),
+        requestId,
+        error_type: 'validation_error',
+        errors
+      });
+      return true;
+    };
+
+    if (path === '/__admin/requests' && req.method === 'GET') {
+      // Query-string filters; use POST /__admin/requests/find for header and body matching
+      const { method, path: requestPath, error_type, chaos, session, status, limit } = req.query;
+      const filter = { method, path: requestPath, error_type, chaos, session, status: status === undefined ? undefined : Number(status) };
+      Object.keys(filter).forEach(key => filter[key] === undefined && delete filter[key]);
+      const errors = validateFilter(filter);
+      if (limit !== undefined && !/^\d+$/.test(limit)) {
+        errors.push('limit must be a non-negative integer');
+      }
+      if (errors.length) return invalidFilter(errors);
+
+      // The newest `limit` entries, all of them without a limit
+      const matches = journal.find(filter);
+      const max = limit === undefined ? matches.length : Number(limit);
+      res.status(200).json({
+        status: 'success',
+        timestamp: new Date().toISOString(),
+        requestId,
+        total: matches.length,
+        requests: matches.slice(Math.max(0, matches.length - max))
+      });
+      return true;
+    }
+
+    if (path === '/__admin/requests' && req.method === 'DELETE') {
+      const cleared = journal.clear();
+      logJson({
+        type: 'journal_cleared',
+        timestamp: new Date().toISOString(),
+        requestId,
+        cleared
+      });
+      res.status(200).json({
+        status: 'success',
+        message: `Cleared ${cleared} journal entries`,
+        timestamp: new Date().toISOString(),
+        requestId
+      });
+      return true;
+    }
+
+    if (['/__admin/requests/find', '/__admin/requests/count', '/__admin/requests/verify'].includes(path) && req.method === 'POST') {
+      const { expect, ...filter } = req.body || {};
+      const errors = validateFilter(filter);
+      if (errors.length) return invalidFilter(errors);
+
+      if (path.endsWith('/find')) {
+        const matches = journal.find(filter);
+        res.status(200).json({
+          status: 'success',
+          timestamp: new Date().toISOString(),
+          requestId,
+          total: matches.length,
+          requests: matches
+        });
+        return true;
+      }
+
+      if (path.endsWith('/count')) {
+        res.status(200).json({
+          status: 'success',
+          timestamp: new Date().toISOString(),
+          requestId,
+          count: journal.find(filter).length
+        });
+        return true;
+      }
+
+      const expectation = expect || {};
+      const bounds = ['count', 'atLeast', 'atMost'].filter(key => expectation[key] !== undefined);
+      if (bounds.length === 0 || bounds.some(key => !Number.isInteger(expectation[key]) || expectation[key] < 0)) {
+        return invalidFilter(['expect must hold a non-negative integer count, atLeast or atMost']);
+      }
+      const result = journal.verify(filter, expectation);
+      // 417 lets CI fail on the status code alone (curl -f)
+      res.status(result.passed ? 200 : 417).json({
+        status: result.passed ? 'success' : 'error',
+        message: result.passed ? 'Verification passed' : `Verification failed: ${result.actual} matching requests`,
+        timestamp: new Date().toISOString(),
+        requestId,
+        passed: result.passed,
+        actual: result.actual,
+        expected: expectation,
+        filter
+      });
+      return true;
+    }
+
+    res.status(404).json({
+      status: 'error',
+      message: `Unknown admin endpoint: ${req.method} ${path}`,
+      timestamp: new Date().toISOString(),
+      requestId,
+      error_type: 'not_found'
+    });
+    return true;
+  }
+
+  // 400 for an X-Mock-Session value that cannot name a session
+  function sendInvalidSession(res, requestId) {
+    res.status(400).json({
+      status: 'error',
+      message: 'X-Mock-Session must be 1-64 letters, digits, dots, dashes or underscores',
+      timestamp: new Date().toISOString(),
+      requestId,
+      error_type: 'invalid_session'
+    });
+  }
+
+  // Admin API for runtime control, bypasses chaos and is not counted in service metrics
+  function handleAdminRequest(req, res, requestId) {
+    const path = req.path || '/';
+
+    if (path === '/__admin/config') {
+      // X-Mock-Session selects whose config is read or patched; only a patch creates the session
+      const session = req.method === 'PATCH' ? getSession(req) : peekSession(req);
+      if (!session) {
+        sendInvalidSession(res, requestId);
+        return true;
+      }
+
+      if (req.method === 'GET') {
+        res.status(200).json({
+          status: 'success',
+          timestamp: new Date().toISOString(),
+          requestId,
+          session: session.id,
+          config: { ...session.config },
+          defaults: { ...baseConfig },
+          overridden_keys: getConfigOverrides(session)
+        });
+        return true;
+      }
+
+      if (req.method === 'PATCH') {
+        const result = applyConfigPatch(req.body, session);
+        if (result.errors) {
+          logJson({
+            type: 'config_rejected',
+            timestamp: new Date().toISOString(),
+            requestId,
+            session: session.id,
+            errors: result.errors,
+            patch: req.body || null
+          });
+          res.status(400).json({
+            status: 'error',
+            message: 'Invalid configuration update',
+            timestamp: new Date().toISOString(),
+            requestId,
+            error_type: 'validation_error',
+            errors: result.errors
+          });
+          return true;
+        }
+
+        logJson({
+          type: 'config_change',
+          timestamp: new Date().toISOString(),
+          requestId,
+          session: session.id,
+          changes: result.changes
+        });
+        res.status(200).json({
+          status: 'success',
+          message: `Configuration updated (${Object.keys(result.changes).length} changed)`,
+          timestamp: new Date().toISOString(),
+          requestId,
+          session: session.id,
+          changes: result.changes,
+          config: { ...session.config }
+        });
+        return true;
+      }
+    }
+
+    if (path === '/__admin/seed') {
+      if (req.method === 'GET') {
+        res.status(200).json({
+          status: 'success',
+          timestamp: new Date().toISOString(),
+          requestId,
+          seed: chaosRandom.seed,
+          seed_source: chaosRandom.source,
+          requests: chaosRandom.requests,
+          draws: chaosRandom.draws,
+          header_seed_sessions: seededStreams.size
+        });
+        return true;
+      }
+
+      if (req.method === 'POST') {
+        const seed = (req.body || {}).seed;
+        if (seed !== undefined && ((typeof seed !== 'string' && typeof seed !== 'number') || String(seed).length === 0 || String(seed).length > 128)) {
+          res.status(400).json({
+            status: 'error',
+            message: 'seed must be a non-empty string or number of at most 128 characters',
+            timestamp: new Date().toISOString(),
+            requestId,
+            error_type: 'validation_error'
+          });
+          return true;
+        }
+
+        const stream = reseedChaos(seed);
+        logJson({
+          type: 'seed_change',
+          timestamp: new Date().toISOString(),
+          requestId,
+          seed: stream.seed,
+          seed_source: stream.source
+        });
+        res.status(200).json({
+          status: 'success',
+          message: 'Chaos random stream reseeded',
+          timestamp: new Date().toISOString(),
+          requestId,
+          seed: stream.seed,
+          seed_source: stream.source
+        });
+        return true;
+      }
+    }
+
+    if (path === '/__admin/scenario') {
+      if (req.method === 'GET') {
+        res.status(200).json({
+          status: 'success',
+          timestamp: new Date().toISOString(),
+          requestId,
+          scenario: describeScenario()
+        });
+        return true;
+      }
+
+      if (req.method === 'POST') {
+        const result = loadScenario(req.body);
+        if (result.errors) {
+          res.status(400).json({
+            status: 'error',
+            message: 'Invalid scenario definition',
+            timestamp: new Date().toISOString(),
+            requestId,
+            error_type: 'validation_error',
+            errors: result.errors
+          });
+          return true;
+        }
+
+        logJson({
+          type: 'scenario_loaded',
+          timestamp: new Date().toISOString(),
+          requestId,
+          scenario: scenario.name,
+          phases: scenario.phases.length,
+          state: scenario.state
+        });
+        res.status(200).json({
+          status: 'success',
+          message: `Scenario "${scenario.name}" ${scenario.state}`,
+          timestamp: new Date().toISOString(),
+          requestId,
+          scenario: describeScenario()
+        });
+        return true;
+      }
+
+      if (req.method === 'DELETE') {
+        const name = scenario ? scenario.name : null;
+        scenario = null;
+        logJson({
+          type: 'scenario_unloaded',
+          timestamp: new Date().toISOString(),
+          requestId,
+          scenario: name
+        });
+        res.status(200).json({
+          status: 'success',
+          message: name ? `Scenario "${name}" unloaded` : 'No scenario was loaded',
+          timestamp: new Date().toISOString(),
+          requestId
+        });
+        return true;
+      }
+    }
+
+    if ((path === '/__admin/scenario/start' || path === '/__admin/scenario/stop') && req.method === 'POST') {
+      if (!scenario) {
+        res.status(409).json({
+          status: 'error',
+          message: 'No scenario loaded - POST a definition to /__admin/scenario first',
+          timestamp: new Date().toISOString(),
+          requestId,
+          error_type: 'no_scenario'
+        });
+        return true;
+      }
+
+      const action = path.endsWith('/start') ? 'start' : 'stop';
+      if (action === 'start') {
+        startScenario();
+      } else {
+        stopScenario();
+      }
+      logJson({
+        type: `scenario_${action}`,
+        timestamp: new Date().toISOString(),
+        requestId,
+        scenario: scenario.name
+      });
+      res.status(200).json({
+        status: 'success',
+        message: `Scenario "${scenario.name}" ${scenario.state}`,
+        timestamp: new Date().toISOString(),
+        requestId,
+        scenario: describeScenario()
+      });
+      return true;
+    }
+
+    if (path === '/__admin/stubs' && req.method === 'GET') {
+      res.status(200).json({
+        status: 'success',
+        timestamp: new Date().toISOString(),
+        requestId,
+        stubs: stubRegistry ? stubRegistry.describe() : null
+      });
+      return true;
+    }
+
+    if (path === '/__admin/stubs/reload' && req.method === 'POST') {
+      if (!stubRegistry) {
+        res.status(409).json({
+          status: 'error',
+          message: 'No stubs file configured - set MOCK_STUBS_FILE',
+          timestamp: new Date().toISOString(),
+          requestId,
+          error_type: 'no_stubs'
+        });
+        return true;
+      }
+      stubRegistry.reload();
+      const summary = stubRegistry.describe();
+      res.status(summary.last_error ? 400 : 200).json({
+        status: summary.last_error ? 'error' : 'success',
+        message: summary.last_error ? `Stubs reload failed: ${summary.last_error}` : 'Stubs reloaded',
+        timestamp: new Date().toISOString(),
+        requestId,
+        stubs: summary
+      });
+      return true;
+    }
+
+    if (path === '/__admin/resources' && req.method === 'GET') {
+      res.status(200).json({
+        status: 'success',
+        timestamp: new Date().toISOString(),
+        requestId,
+        resources: resourceStore ? resourceStore.describe() : null
+      });
+      return true;
+    }
+
+    if (path === '/__admin/resources/reset' && req.method === 'POST') {
+      if (!resourceStore) {
+        res.status(409).json({
+          status: 'error',
+          message: 'No resources file configured - set MOCK_RESOURCES_FILE',
+          timestamp: new Date().toISOString(),
+          requestId,
+          error_type: 'no_resources'
+        });
+        return true;
+      }
+      const name = req.query.collection;
+      const collections = resourceStore.reset(name);
+      if (name && collections.length === 0) {
+        res.status(404).json({
+          status: 'error',
+          message: `Unknown collection: ${name}`,
+          timestamp: new Date().toISOString(),
+          requestId,
+          error_type: 'not_found'
+        });
+        return true;
+      }
+      res.status(200).json({
+        status: 'success',
+        message: `Reset ${collections.join(', ')} from fixtures`,
+        timestamp: new Date().toISOString(),
+        requestId,
+        resources: resourceStore.describe()
+      });
+      return true;
+    }
+
+    if (path === '/__admin/pagination' && req.method === 'GET') {
+      res.status(200).json({
+        status: 'success',
+        timestamp: new Date().toISOString(),
+        requestId,
+        pagination: paginator ? paginator.describe() : null
+      });
+      return true;
+    }
+
+    if (path === '/__admin/pagination/reset' && req.method === 'POST') {
+      if (!paginator) {
+        res.status(409).json({
+          status: 'error',
+          message: 'No pagination file configured - set MOCK_PAGINATION_FILE',
+          timestamp: new Date().toISOString(),
+          requestId,
+          error_type: 'no_pagination'
+        });
+        return true;
+      }
+      paginator.reset();
+      res.status(200).json({
+        status: 'success',
+        message: 'Paginated lists restored to their configured size',
+        timestamp: new Date().toISOString(),
+        requestId,
+        pagination: paginator.describe()
+      });
+      return true;
+    }
+
+    if (path === '/__admin/openapi' && req.method === 'GET') {
+      res.status(200).json({
+        status: 'success',
+        timestamp: new Date().toISOString(),
+        requestId,
+        openapi: openApiMock ? { ...openApiMock.describe(), operations: openApiMock.listOperations() } : null
+      });
+      return true;
+    }
+
+    if (path === '/__admin/graphql' && req.method === 'GET') {
+      res.status(200).json({
+        status: 'success',
+        timestamp: new Date().toISOString(),
+        requestId,
+        graphql: graphqlMock ? { ...graphqlMock.describe(), sdl: graphqlMock.sdl } : null
+      });
+      return true;
+    }
+
+    if (path === '/__admin/grpc' && req.method === 'GET') {
+      res.status(200).json({
+        status: 'success',
+        timestamp: new Date().toISOString(),
+        requestId,
+        grpc: grpcMock ? { ...grpcMock.describe(), services: grpcMock.listServices() } : null
+      });
+      return true;
+    }
+
+    if (path === '/__admin/latency') {
+      if (req.method === 'GET') {
+        res.status(200).json({
+          status: 'success',
+          timestamp: new Date().toISOString(),
+          requestId,
+          latency: latencyPlanner.settings
+        });
+        return true;
+      }
+
+      if (req.method === 'PUT' || req.method === 'DELETE') {
+        const settings = req.method === 'PUT' ? req.body : {};
+        const errors = validateLatencySettings(settings);
+        if (errors.length) {
+          res.status(400).json({
+            status: 'error',
+            message: 'Invalid latency settings',
+            timestamp: new Date().toISOString(),
+            requestId,
+            error_type: 'validation_error',
+            errors
+          });
+          return true;
+        }
+
+        latencyPlanner = createLatencyPlanner(settings);
+        logJson({
+          type: 'latency_change',
+          timestamp: new Date().toISOString(),
+          requestId,
+          latency: settings
+        });
+        res.status(200).json({
+          status: 'success',
+          message: req.method === 'PUT' ? 'Latency profiles replaced' : 'Latency profiles cleared',
+          timestamp: new Date().toISOString(),
+          requestId,
+          latency: settings
+        });
+        return true;
+      }
+    }
+
+    if (path === '/__admin/jobs' && req.method === 'GET') {
+      const status = req.query && req.query.status;
+      res.status(200).json({
+        status: 'success',
+        timestamp: new Date().toISOString(),
+        requestId,
+        ...jobStore.describe(),
+        records: jobStore.list().filter(job => !status || job.status === status)
+      });
+      return true;
+    }
+
+    if (path === '/__admin/jobs' && req.method === 'DELETE') {
+      const cleared = jobStore.clear();
+      logJson({
+        type: 'jobs_cleared',
+        timestamp: new Date().toISOString(),
+        requestId,
+        cleared
+      });
+      res.status(200).json({
+        status: 'success',
+        message: `Cleared ${cleared} jobs`,
+        timestamp: new Date().toISOString(),
+        requestId,
+        cleared
+      });
+      return true;
+    }
+
+    if (path.startsWith('/__admin/jobs/') && req.method === 'GET') {
+      const job = jobStore.get(path.slice('/__admin/jobs/'.length));
+      if (!job) {
+        res.status(404).json({
+          status: 'error',
+          message: 'Job not found',
+          timestamp: new Date().toISOString(),
+          requestId,
+          error_type: 'not_found'
+        });
+        return true;
+      }
+      res.status(200).json({
+        status: 'success',
+        timestamp: new Date().toISOString(),
+        requestId,
+        job
+      });
+      return true;
+    }
+
+    if (path === '/__admin/idempotency' && req.method === 'GET') {
+      res.status(200).json({
+        status: 'success',
+        timestamp: new Date().toISOString(),
+        requestId,
+        keys: idempotencyStore.list()
+      });
+      return true;
+    }
+
+    if (path === '/__admin/idempotency' && req.method === 'DELETE') {
+      const cleared = idempotencyStore.clear();
+      logJson({
+        type: 'idempotency_cleared',
+        timestamp: new Date().toISOString(),
+        requestId,
+        cleared
+      });
+      res.status(200).json({
+        status: 'success',
+        message: `Cleared ${cleared} idempotency keys`,
+        timestamp: new Date().toISOString(),
+        requestId,
+        cleared
+      });
+      return true;
+    }
+
+    if (path === '/__admin/requests' || path.startsWith('/__admin/requests/')) {
+      return handleJournalRequest(req, res, requestId, path);
+    }
+
+    if (path === '/__admin/config/reset' && req.method === 'POST') {
+      const session = getSession(req);
+      if (!session) {
+        sendInvalidSession(res, requestId);
+        return true;
+      }
+      const changes = resetConfig(session);
+      logJson({
+        type: 'config_reset',
+        timestamp: new Date().toISOString(),
+        requestId,
+        session: session.id,
+        changes
+      });
+      res.status(200).json({
+        status: 'success',
+        message: 'Configuration restored to defaults',
+        timestamp: new Date().toISOString(),
+        requestId,
+        session: session.id,
+        changes,
+        config: { ...session.config }
+      });
+      return true;
+    }
+
+    if (path === '/__admin/sessions' && req.method === 'GET') {
+      res.status(200).json({
+        status: 'success',
+        timestamp: new Date().toISOString(),
+        requestId,
+        idle_timeout_ms: sessionIdleMs,
+        max_sessions: maxSessions,
+        count: sessions.size,
+        sessions: [defaultSession, ...sessions.values()].map(describeSession)
+      });
+      return true;
+    }
+
+    if (path === '/__admin/sessions' && req.method === 'DELETE') {
+      const cleared = sessions.size;
+      for (const id of sessions.keys()) {
+        logJson({ type: 'session_expired', session: id, reason: 'deleted', requestId });
+      }
+      sessions.clear();
+      res.status(200).json({
+        status: 'success',
+        message: `Deleted ${cleared} sessions`,
+        timestamp: new Date().toISOString(),
+        requestId,
+        cleared
+      });
+      return true;
+    }
+
+    if (path.startsWith('/__admin/sessions/')) {
+      let id;
+      try {
+        id = decodeURIComponent(path.slice('/__admin/sessions/'.length));
+      } catch (error) {
+        res.status(400).json({
+          status: 'error',
+          message: 'Session id is not a valid percent-encoded value',
+          timestamp: new Date().toISOString(),
+          requestId,
+          error_type: 'validation_error'
+        });
+        return true;
+      }
+      const session = id === 'default' ? defaultSession : sessions.get(id);
+      if (!session) {
+        res.status(404).json({
+          status: 'error',
+          message: `Session not found: ${id}`,
+          timestamp: new Date().toISOString(),
+          requestId,
+          error_type: 'not_found'
+        });
+        return true;
+      }
+
+      if (req.method === 'GET') {
+        res.status(200).json({
+          status: 'success',
+          timestamp: new Date().toISOString(),
+          requestId,
+          session: {
+            ...describeSession(session),
+            config: { ...session.config },
+            outage_end_time: session.serviceState.outageEndTime ? new Date(session.serviceState.outageEndTime).toISOString() : null,
+            forced_responses: session.serviceState.forcedCount,
+            transport_faults: { ...session.serviceState.transportFaults },
+            average_response_time_ms: Math.round(session.serviceState.averageResponseTime)
+          }
+        });
+        return true;
+      }
+
+      if (req.method === 'DELETE') {
+        if (session === defaultSession) {
+          res.status(400).json({
+            status: 'error',
+            message: 'The default session cannot be deleted, reset its config with POST /__admin/config/reset',
+            timestamp: new Date().toISOString(),
+            requestId,
+            error_type: 'validation_error'
+          });
+          return true;
+        }
+        sessions.delete(id);
+        logJson({ type: 'session_expired', session: id, reason: 'deleted', requestId });
+        res.status(200).json({
+          status: 'success',
+          message: `Session ${id} deleted`,
+          timestamp: new Date().toISOString(),
+          requestId,
+          session: describeSession(session)
+        });
+        return true;
+      }
+    }
+
+    res.status(404).json({
+      status: 'error',
+      message: `Unknown admin endpoint: ${req.method} ${path}`,
+      timestamp: new Date().toISOString(),
+      requestId,
+      error_type: 'not_found'
+    });
+    return true;
+  }
+
+  async function handleRequest(req, res) {
+    const requestStart = Date.now();
+    const requestId = generateRequestId();
+
+    // Enable CORS  
+    res.set('Access-Control-Allow-Origin', '*');  
+    res.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS, PUT, PATCH, DELETE');  
+    res.set('Access-Control-Allow-Headers', `Content-Type, Authorization, X-API-Key, ${peekEffectiveConfig().rateLimitKeyHeader}, X-Mock-Seed, X-Mock-Force-Status, X-Mock-Force-Error-Type, X-Mock-Delay-Ms, X-Mock-Bypass-Chaos, X-Mock-Transport-Fault, Prefer, X-Callback-Url, Idempotency-Key, X-Mock-Session`);  
+    res.set('Access-Control-Expose-Headers', 'X-Mock-Seed, X-Mock-Seed-Request, X-Mock-Forced, X-Mock-Latency-Ms, X-Mock-Latency-Distribution, X-Mock-Transport-Fault, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After, WWW-Authenticate, Location, Preference-Applied, Idempotent-Replayed, Link, X-Total-Count');
+
+    // Handle preflight requests  
+    if (req.method === 'OPTIONS') {  
+      res.status(204).send('');  
+      return;  
+    }  
+
+    // Admin endpoints skip chaos, rate limiting and metrics
+    if ((req.path || '').startsWith('/__admin/')) {
+      handleAdminRequest(req, res, requestId);
+      return;
+    }
+
+    // Prometheus scrape: no chaos, no rate limiting, not counted
+    if (req.path === '/metrics' && req.method === 'GET') {
+      res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+      res.status(200).send(metrics.render());
+      return;
+    }
+
+    // Chaos state of the caller's session (X-Mock-Session), created on first use
+    const session = getSession(req);
+    if (!session) {
+      sendInvalidSession(res, requestId);
+      return;
+    }
+    const { serviceState } = session;
+    serviceState.requestCount++;
+
+    // Every chaos decision for this request draws from this stream
+    const rng = getRandomStream(req, session);
+    rng.requests++;
+    res.set('X-Mock-Seed', rng.seed);
+    res.set('X-Mock-Seed-Request', String(rng.requests));
+
+    // gRPC calls (POSTs with an application/grpc body) end with a grpc-status, chaos errors included
+    const grpcRequest = !!grpcMock && grpcMock.isGrpcRequest(req);
+    const grpcCall = grpcRequest && req.httpVersionMajor === 2;
+
+    // Journal the request once the response is done (or the connection dropped)
+    const journalEntry = {
+      id: requestId,
+      timestamp: new Date(requestStart).toISOString(),
+      method: req.method,
+      path: req.path,
+      url: req.url,
+      query: req.query || {},
+      headers: req.headers,
+      body: req.body === undefined ? null : req.body,
+      seed: rng.seed,
+      session: session.id,
+      route: normalizeRoute(req.path),
+      chaos: 'none',
+      response: { status: null, error_type: null, body: null }
+    };
+    let transportFault = null;
+    let responseLost = false;
+    // Errors go out as legacy bodies or RFC 7807 problems, success bodies as the negotiated format.
+    // OAuth endpoints keep plain JSON, as RFC 6749 expects, and so do GraphQL and the event streams.
+    // gRPC calls turn error bodies into a gRPC status with retry hints in the trailers.
+    const formatConfig = effectiveConfig(session);
+    const jsonOnly = jsonOnlyPaths.includes(req.path) || grpcRequest;
+    const format = formatConfig.contentNegotiation && !jsonOnly ? negotiateFormat(req.headers.accept) : responseFormats[0];
+    const problemErrors = !jsonOnly && (formatConfig.errorFormat === 'problem' || acceptsProblem(req.headers.accept));
+    if (formatConfig.contentNegotiation) {
+      res.set('Vary', 'Accept');
+    }
+    const sendJson = res.json.bind(res);
+    res.json = body => {
+      if (isErrorBody(body)) {
+        if (grpcCall) {
+          journalEntry.response.body = body;
+          journalEntry.response.grpc_status = grpcMock.sendError(res, body, res.statusCode);
+          return res;
+        }
+        if (problemErrors) {
+          const problem = toProblem(body, res.statusCode, problemTypeBase);
+          journalEntry.response.body = problem;
+          res.set('Content-Type', problemContentType);
+          return sendJson(problem);
+        }
+      } else if (format && format.name !== 'json') {
+        journalEntry.response.body = body;
+        res.set('Content-Type', format.contentType);
+        return res.send(render(format, body));
+      }
+      journalEntry.response.body = body;
+      return sendJson(body);
+    };
+    res.once('close', () => {
+      const forced = res.get('X-Mock-Forced');
+      const responseBody = journalEntry.response.body;
+      // Hung and reset connections never sent a status line
+      journalEntry.response.status = res.headersSent ? res.statusCode : null;
+      journalEntry.response.error_type = responseBody && responseBody.error_type || transportFault;
+      journalEntry.response.response_time_ms = Date.now() - requestStart;
+      journalEntry.response.aborted = !res.writableFinished;
+      journalEntry.chaos = forced === 'bypass_chaos' ? 'bypass_chaos' :
+        forced ? 'forced' :
+        journalEntry.response.error_type || 'none';
+      journal.record(journalEntry);
+
+      requestsTotal.inc({
+        method: req.method,
+        route: journalEntry.route,
+        status_code: res.headersSent ? res.statusCode : 'none',
+        error_type: journalEntry.response.error_type || 'none'
+      });
+      requestDuration.observe({ method: req.method, route: journalEntry.route }, journalEntry.response.response_time_ms / 1000);
+      pushSharedState(session);
+    });
+
+
+    // gRPC needs HTTP/2 trailers, which HTTP/1.1 servers such as functions-framework do not send
+    if (grpcRequest && !grpcCall) {
+      serviceState.errorCount++;
+      res.status(505).json({
+        status: 'error',
+        message: 'gRPC calls need HTTP/2: serve with mao-mock serve --http2',
+        timestamp: new Date().toISOString(),
+        requestId,
+        error_type: 'http_version_not_supported'
+      });
+      return;
+    }
+
+    // Control headers are applied before any probabilistic check
+    const control = parseControlHeaders(req);
+
+    // A gRPC client gives up at its deadline (grpc-timeout): a longer delay holds the call until then
+    // and fails it with DEADLINE_EXCEEDED
+    const grpcDeadlineMs = grpcCall ? parseGrpcTimeout(req.headers['grpc-timeout']) : null;
+    const grpcTimeLeft = () => (grpcDeadlineMs === null ? null : Math.max(0, grpcDeadlineMs - (Date.now() - requestStart)));
+    const missesGrpcDeadline = async delayMs => {
+      const timeLeft = grpcTimeLeft();
+      if (timeLeft === null || delayMs <= timeLeft) {
+        return false;
+      }
+      await new Promise(resolve => setTimeout(resolve, timeLeft));
+      serviceState.errorCount++;
+      logJson({
+        type: 'grpc_deadline_exceeded',
+        requestId,
+        deadline_ms: grpcDeadlineMs,
+        delay_ms: delayMs
+      });
+      res.status(504).json({
+        status: 'error',
+        message: `Deadline exceeded: ${delayMs}ms delay against a ${grpcDeadlineMs}ms deadline`,
+        timestamp: new Date().toISOString(),
+        requestId,
+        error_type: 'deadline_exceeded'
+      });
+      return true;
+    };
+
+    // Stubs opting out of chaos skip the pipeline like X-Mock-Bypass-Chaos
+    const stubMatch = stubRegistry ? stubRegistry.match(req) : null;
+    const bypassChaos = control.bypassChaos || !!control.transportFault || (!!stubMatch && !stubMatch.stub.chaos);
+
+    // Log the request with service state (structured)
     logJson({
-      type: 'rate_limit',
-      requestId,
-      ip,
-      responseTime,
-      message: 'Rate limit exceeded'
-    });
-    res.status(429).json({
-      status: 'error',
-      message: 'Too many requests',
+      type: 'request',
       timestamp: new Date().toISOString(),
+      method: req.method,
+      url: req.url,
       requestId,
-      error_type: 'rate_limit',
-      retry_after: Math.ceil(config.rateLimitWindowMs/1000)
+      seed: rng.seed,
+      session: session.id,
+      seed_request: rng.requests,
+      ip: req.headers['x-forwarded-for'] || req.connection.remoteAddress,
+      serviceState: {
+        healthy: serviceState.isHealthy,
+        requests: serviceState.requestCount,
+        success_rate: ((serviceState.successCount/serviceState.requestCount)*100).toFixed(2)
+      },
+      body: req.body || null
     });
-    return;
-  }
-
-  try {
-    const path = req.url || req.path || '/';
 
-    // Check service availability first
-    if (!checkServiceAvailability()) {
-      recordError();
-      const responseTime = Date.now() - requestStart;
-      console.log(`Service unavailable - rejecting request [${requestId}] after ${responseTime}ms`);
-      
-      res.status(503).json({
+    if (control.errors) {
+      serviceState.errorCount++;
+      logJson({
+        type: 'invalid_control_header',
+        requestId,
+        errors: control.errors
+      });
+      res.status(400).json({
         status: 'error',
-        message: 'Service temporarily unavailable',
+        message: 'Invalid mock control header',
         timestamp: new Date().toISOString(),
-        requestId: requestId,
-        error_type: 'service_unavailable',
-        retry_after: Math.round((serviceState.outageEndTime - Date.now()) / 1000)
+        requestId,
+        error_type: 'invalid_control_header',
+        errors: control.errors
       });
       return;
     }
 
-    // Check circuit breaker
-    if (isCircuitBreakerOpen()) {
-      recordError();
-      const responseTime = Date.now() - requestStart;
-      console.log(`Circuit breaker open - rejecting request [${requestId}] after ${responseTime}ms`);
-      
-      res.status(503).json({
+    if (!format) {
+      serviceState.errorCount++;
+      const supported = responseFormats.flatMap(candidate => candidate.types);
+      res.status(406).json({
         status: 'error',
-        message: 'Circuit breaker open - too many recent failures',
+        message: `None of the available media types is acceptable: ${supported.join(', ')}`,
         timestamp: new Date().toISOString(),
-        requestId: requestId,
-        error_type: 'circuit_breaker_open',
-        retry_after: 30,
-        circuit_breaker_state: circuitBreakerState,
-        recovery_time_remaining: circuitBreakerState === 'OPEN' ? 
-          Math.max(0, Math.round((config.circuitBreakerRecovery - (Date.now() - circuitBreakerOpenTime)) / 1000)) : 0
+        requestId,
+        error_type: 'not_acceptable',
+        supported
+      });
+      return;
+    }
+
+    if (control.forceType || control.forceStatus) {
+      if (control.delayMs !== null) {
+        if (await missesGrpcDeadline(control.delayMs)) {
+          return;
+        }
+        await addRequestedDelay(control.delayMs);
+      }
+      const type = control.forceType || errorTypeByStatus[control.forceStatus] || 'forced_error';
+      const responseTime = Date.now() - requestStart;
+      const forced = buildErrorResponse(session, type, requestId, responseTime, control.forceStatus);
+      // Forced failures are the caller's choice and do not feed the circuit breaker
+      serviceState.errorCount++;
+      serviceState.forcedCount++;
+      logJson({
+        type: 'forced_error',
+        requestId,
+        responseTime,
+        error_type: type,
+        status: control.forceStatus || forced.status
+      });
+      res.set('X-Mock-Forced', type);
+      res.status(control.forceStatus || forced.status).json(forced.body);
+      return;
+    }
+
+    // Pick up outages and breaker changes from other instances
+    if (!bypassChaos) {
+      await pullSharedState(session);
+    }
+
+    // Rate limiting
+    const ip = req.headers['x-forwarded-for'] || req.connection.remoteAddress || 'unknown';
+    const rateLimit = bypassChaos ? null : await checkRateLimit(session, req, ip);
+    if (rateLimit) {
+      res.set('RateLimit-Limit', String(rateLimit.limit));
+      res.set('RateLimit-Remaining', String(rateLimit.remaining));
+      res.set('RateLimit-Reset', String(Math.ceil(rateLimit.resetMs / 1000)));
+    }
+    if (rateLimit && !rateLimit.allowed) {
+      const retryAfter = Math.max(1, Math.ceil(rateLimit.retryAfterMs / 1000));
+      if (effectiveConfig(session).rateLimitFeedsCircuitBreaker) {
+        recordError(session);
+      } else {
+        serviceState.errorCount++;
+      }
+      const responseTime = Date.now() - requestStart;
+      logJson({
+        type: 'rate_limit',
+        requestId,
+        ip,
+        key: rateLimit.key,
+        route: rateLimit.route,
+        responseTime,
+        retry_after: retryAfter,
+        message: 'Rate limit exceeded'
+      });
+      const limited = buildErrorResponse(session, 'rate_limit', requestId, responseTime);
+      limited.body.retry_after = retryAfter;
+      res.set('Retry-After', String(retryAfter));
+      res.status(limited.status).json(limited.body);
+      return;
+    }
+
+    // Authentication is not chaos, so bypassed requests are checked too (but never randomly rejected)
+    const authResult = auth ? auth.authorize(req, requestId, {
+      rejectValid: () => {
+        const chance = effectiveConfig(session).authRejectChance;
+        return !bypassChaos && chance > 0 && rng.random() < chance;
+      }
+    }) : null;
+    if (authResult && authResult.response) {
+      serviceState.errorCount++;
+      logJson({
+        type: 'auth_failure',
+        requestId,
+        status: authResult.response.status,
+        reason: authResult.response.body.reason || authResult.response.body.error_type
       });
+      sendMockResponse(res, authResult.response);
       return;
     }
 
-    // Add artificial delays
-    const artificialDelay = await addDelay();
+    try {
+      const path = req.url || req.path || '/';
+      let artificialDelay = 0;
+      let inNormalPeriod = !!serviceState.normalPeriodDuration;
+
+      if (bypassChaos) {
+        if (await missesGrpcDeadline(control.delayMs || 0)) {
+          return;
+        }
+        artificialDelay = await addRequestedDelay(control.delayMs || 0);
+        if (control.bypassChaos) {
+          res.set('X-Mock-Forced', 'bypass_chaos');
+        }
+        if (control.transportFault) {
+          // Forced transport faults skip random chaos and do not feed the circuit breaker
+          transportFault = control.transportFault;
+          serviceState.errorCount++;
+          serviceState.forcedCount++;
+          res.set('X-Mock-Forced', transportFault);
+        }
+      } else {
+        // Check service availability first
+        if (!checkServiceAvailability(session, rng)) {
+          recordError(session);
+          const responseTime = Date.now() - requestStart;
+          console.log(`Service unavailable - rejecting request [${requestId}] after ${responseTime}ms`);
+
+          const unavailable = buildErrorResponse(session, 'service_unavailable', requestId, responseTime);
+          res.status(unavailable.status).json(unavailable.body);
+          return;
+        }
+
+        // Check circuit breaker
+        if (isCircuitBreakerOpen(session)) {
+          recordError(session);
+          const responseTime = Date.now() - requestStart;
+          console.log(`Circuit breaker open - rejecting request [${requestId}] after ${responseTime}ms`);
+
+          const breakerOpen = buildErrorResponse(session, 'circuit_breaker_open', requestId, responseTime);
+          res.status(breakerOpen.status).json(breakerOpen.body);
+          return;
+        }
+
+        // Add artificial delays (X-Mock-Delay-Ms replaces the planned one). Latency is drawn here, after the
+        // outage and breaker checks, so seeded streams keep the draw order they had before latency profiles.
+        const latency = control.delayMs !== null ?
+          { delayMs: control.delayMs, baseMs: control.delayMs, jitterMs: 0, distribution: 'requested', profile: 'header' } :
+          planLatency(session, req, rng);
+        logJson({
+          type: 'latency',
+          requestId,
+          delay_ms: latency.delayMs,
+          base_ms: latency.baseMs,
+          jitter_ms: latency.jitterMs,
+          distribution: latency.distribution,
+          profile: latency.profile
+        });
+        if (await missesGrpcDeadline(latency.delayMs)) {
+          return;
+        }
+        artificialDelay = await addDelay(latency);
+        res.set('X-Mock-Latency-Ms', String(artificialDelay));
+        res.set('X-Mock-Latency-Distribution', latency.distribution);
+
+        // Check if we're in normal period (100% success rate)
+        inNormalPeriod = isInNormalPeriod(session, rng);
+
+        // Simulate errors (unless in normal period)
+        if (!inNormalPeriod) {
+          const errorScenario = simulateError(session, rng);
+          if (errorScenario) {
+            recordError(session);
+            const responseTime = Date.now() - requestStart;
+            console.log(`Simulated ${errorScenario.type} error for request [${requestId}] after ${responseTime}ms`);
+
+            const simulated = buildErrorResponse(session, errorScenario.type, requestId, responseTime);
+            res.status(simulated.status).json(simulated.body);
+            return;
+          }
+
+          // Graceful request drop (simulate network issues with 504)
+          const successRate = effectiveConfig(session).baseSuccessRate;
+          if (rng.random() > successRate) {
+            recordError(session);
+            const responseTime = Date.now() - requestStart;
+            logJson({
+              type: 'network_failure',
+              requestId,
+              responseTime,
+              message: 'Simulated network failure (504)'
+            });
+            const dropped = buildErrorResponse(session, 'network_failure', requestId, responseTime);
+            res.status(dropped.status).json(dropped.body);
+            return;
+          }
+
+          // Transport-level faults
+          transportFault = simulateTransportFault(session, rng);
+          if (transportFault) {
+            recordError(session);
+          }
+
+          // Processed but response lost: the route still runs (and its side effects stick), the client gets a 504
+          const lostChance = effectiveConfig(session).responseLostChance;
+          if (!transportFault && idempotencyKeyMethods.includes(req.method) && lostChance > 0 && rng.random() < lostChance) {
+            responseLost = true;
+            recordError(session);
+          }
+        }
+      }
+
+      if (transportFault) {
+        serviceState.transportFaults[transportFault]++;
+        transportFaultsTotal.inc({ fault: transportFault, forced: String(!!control.transportFault) });
+        const cfg = effectiveConfig(session);
+        logJson({
+          type: 'transport_fault',
+          requestId,
+          fault: transportFault,
+          forced: !!control.transportFault,
+          hold_ms: ['hang', 'stall'].includes(transportFault) ? cfg.transportHoldMs : undefined,
+          drip_duration_ms: transportFault === 'slow_drip' ? cfg.slowDripDurationMs : undefined
+        });
+        const tookOver = startTransportFault(transportFault, req, res, {
+          holdMs: cfg.transportHoldMs,
+          dripDurationMs: cfg.slowDripDurationMs
+        });
+        if (tookOver) {
+          return;
+        }
+      }
+
+      // Process successful requests (bypassed requests leave the circuit breaker alone).
+      // Truncated, dripped and lost responses were counted as errors above.
+      if (!transportFault && !responseLost) {
+        if (bypassChaos) {
+          serviceState.successCount++;
+        } else {
+          recordSuccess(session);
+        }
+      }
 
-    // Check if we're in normal period (100% success rate)
-    const inNormalPeriod = isInNormalPeriod();
-    
-    // Simulate errors (unless in normal period)
-    if (!inNormalPeriod) {
-      const errorScenario = simulateError();
-      if (errorScenario) {
-        recordError();
+      // gRPC calls; failed chaos checks above were already answered with a gRPC status
+      if (grpcCall) {
+        if (responseLost) {
+          const lost = buildErrorResponse(session, 'network_failure', requestId, Date.now() - requestStart);
+          res.status(lost.status).json(lost.body);
+          return;
+        }
+        const result = await grpcMock.handle(req, res, requestId, { timeLeftMs: grpcTimeLeft() });
+        journalEntry.response.grpc_status = result.code;
         const responseTime = Date.now() - requestStart;
-        console.log(`Simulated ${errorScenario.type} error for request [${requestId}] after ${responseTime}ms`);
-        
-        res.status(errorScenario.status).json({
-          status: 'error',
-          message: errorScenario.error,
+        serviceState.averageResponseTime = ((serviceState.averageResponseTime * (serviceState.requestCount - 1)) + responseTime) / serviceState.requestCount;
+
+        logJson({
+          type: 'grpc_response',
+          requestId,
+          responseTime,
+          method: result.method,
+          grpc_status: result.code,
+          messages: result.messages,
+          deadline_ms: grpcDeadlineMs,
+          artificial_delay_ms: artificialDelay
+        });
+        return;
+      }
+
+      // Idempotency-Key and lost responses need the route's answer before it is sent
+      const idempotencyKey = idempotencyKeyMethods.includes(req.method) ? req.headers['idempotency-key'] : undefined;
+      // Keys are scoped to the session like rate-limit keys; an empty key stays empty so it is still rejected
+      const idempotencyStoreKey = session === defaultSession || !idempotencyKey ? idempotencyKey : `session:${session.id}|${idempotencyKey}`;
+      if (idempotencyKey !== undefined || responseLost) {
+        const restore = captureResponse(res, result => {
+          restore();
+          if (idempotencyKey !== undefined) {
+            idempotencyStore.complete(idempotencyStoreKey, requestId, result);
+          }
+          if (!responseLost) {
+            sendMockResponse(res, result);
+            return;
+          }
+          const responseTime = Date.now() - requestStart;
+          logJson({
+            type: 'response_lost',
+            requestId,
+            responseTime,
+            idempotency_key: idempotencyKey,
+            lost_status: result.status,
+            message: 'Request processed but response lost (504)'
+          });
+          const lost = buildErrorResponse(session, 'network_failure', requestId, responseTime);
+          res.status(lost.status).json(lost.body);
+        });
+      }
+      if (idempotencyKey !== undefined) {
+        const claimed = idempotencyStore.claim(idempotencyStoreKey, req, requestId);
+        if (claimed.outcome === 'claimed') {
+          // Requests that end without an answer free the key for a retry
+          res.once('close', () => idempotencyStore.release(idempotencyStoreKey, requestId));
+        } else if (claimed.outcome === 'replay') {
+          logJson({
+            type: 'idempotent_replay',
+            requestId,
+            idempotency_key: idempotencyKey,
+            original_request_id: claimed.entry.request_id,
+            status: claimed.response.status
+          });
+          res.set('Idempotent-Replayed', 'true');
+          sendMockResponse(res, claimed.response);
+          return;
+        } else {
+          const rejections = {
+            invalid: [400, 'invalid_idempotency_key', 'Idempotency-Key must be 1 to 255 characters'],
+            mismatch: [422, 'idempotency_key_mismatch', 'Idempotency-Key was already used with a different request'],
+            in_progress: [409, 'idempotency_key_in_use', 'A request with this Idempotency-Key is still being processed']
+          };
+          const [status, errorType, message] = rejections[claimed.outcome];
+          serviceState.errorCount++;
+          logJson({ type: 'idempotency_rejected', requestId, idempotency_key: idempotencyKey, error_type: errorType });
+          if (claimed.outcome === 'in_progress') {
+            res.set('Retry-After', '1');
+          }
+          res.status(status).json({
+            status: 'error',
+            message,
+            timestamp: new Date().toISOString(),
+            requestId,
+            error_type: errorType,
+            original_request_id: claimed.entry ? claimed.entry.request_id : undefined
+          });
+          return;
+        }
+      }
+
+      // Health check endpoint with detailed metrics
+      if (path === '/' || path === '/health') {
+        const responseTime = Date.now() - requestStart;
+        serviceState.averageResponseTime = ((serviceState.averageResponseTime * (serviceState.requestCount - 1)) + responseTime) / serviceState.requestCount;
+        const cfg = effectiveConfig(session);
+
+        const healthData = {
+          status: 'success',
+          message: 'Realistic mock service is running',
           timestamp: new Date().toISOString(),
+          version: '2.1.1',
           requestId: requestId,
-          error_type: errorScenario.type,
-          response_time_ms: responseTime
-        });
+          session: session.id,
+          service_metrics: {
+            total_requests: serviceState.requestCount,
+            successful_requests: serviceState.successCount,
+            failed_requests: serviceState.errorCount,
+            forced_responses: serviceState.forcedCount,
+            transport_faults: { ...serviceState.transportFaults },
+            success_rate: ((serviceState.successCount / serviceState.requestCount) * 100).toFixed(2) + '%',
+            average_response_time_ms: Math.round(serviceState.averageResponseTime),
+            current_response_time_ms: responseTime,
+            in_normal_period: inNormalPeriod,
+            service_healthy: serviceState.isHealthy,
+            circuit_breaker_errors: session.errorWindow.length,
+            circuit_breaker_state: session.circuitBreakerState,
+            half_open_attempts: session.halfOpenAttempts
+          },
+          behavior_config: {
+            base_success_rate: (cfg.baseSuccessRate * 100) + '%',
+            slow_response_chance: (cfg.slowResponseChance * 100) + '%',
+            outage_chance_per_request: (cfg.outageChance * 100) + '%',
+            server_error_chance: (cfg.serverErrorChance * 100) + '%',
+            client_error_chance: (cfg.clientErrorChance * 100) + '%',
+            timeout_chance: (cfg.timeoutChance * 100) + '%',
+            slow_delay_range_ms: [cfg.minSlowDelay, cfg.maxSlowDelay],
+            circuit_breaker_threshold: cfg.circuitBreakerThreshold,
+            rate_limit: `${cfg.rateLimitMax} per ${cfg.rateLimitWindowMs}ms`,
+            rate_limit_algorithm: cfg.rateLimitAlgorithm,
+            rate_limit_key: cfg.rateLimitKey === 'header' ? `header:${cfg.rateLimitKeyHeader}` : cfg.rateLimitKey,
+            rate_limit_routes: cfg.rateLimitRoutes.length,
+            rate_limit_feeds_circuit_breaker: cfg.rateLimitFeedsCircuitBreaker,
+            rate_limit_keys: stateStore.shared ? null : localRateLimiter.size(),
+            product_item_failure_chance: (cfg.productItemFailureChance * 100) + '%',
+            product_batch_max_size: cfg.productBatchMaxSize,
+            response_lost_chance: (cfg.responseLostChance * 100) + '%',
+            error_format: cfg.errorFormat,
+            content_negotiation: cfg.contentNegotiation,
+            transport_fault_chances: Object.fromEntries(transportFaults.map((fault, i) => [fault, (cfg[transportChanceKeys[i]] * 100) + '%'])),
+            overridden_keys: getConfigOverrides(session)
+          },
+          latency: {
+            global: latencyPlanner.settings.global ? latencyPlanner.settings.global.distribution : 'legacy',
+            jitter: latencyPlanner.settings.jitter ? latencyPlanner.settings.jitter.distribution : null,
+            route_profiles: (latencyPlanner.settings.routes || []).length
+          },
+          control_headers_enabled: controlHeadersEnabled,
+          scenario: describeScenario(),
+          sessions: {
+            active: sessions.size,
+            max_sessions: maxSessions,
+            idle_timeout_ms: sessionIdleMs
+          },
+          stubs: stubRegistry ? {
+            file: env.MOCK_STUBS_FILE,
+            count: stubRegistry.describe().stubs.length,
+            last_reload_error: stubRegistry.describe().last_error
+          } : null,
+          resources: resourceStore ? resourceStore.describe() : null,
+          pagination: paginator ? paginator.describe().lists : null,
+          generator: generator.describe(),
+          openapi: openApiMock ? openApiMock.describe() : null,
+          graphql: graphqlMock ? graphqlMock.describe() : null,
+          grpc: grpcMock ? grpcMock.describe() : null,
+          streams: streamHub.describe(),
+          journal: journal.describe(),
+          state_store: stateStore.describe(),
+          auth: auth ? auth.describe() : null,
+          idempotency: {
+            keys: idempotencyStore.size(),
+            ttl_ms: cfg.idempotencyKeyTtlMs,
+            max_keys: cfg.idempotencyMaxKeys
+          },
+          jobs: {
+            ...jobStore.describe(),
+            async_routes: cfg.asyncRoutes,
+            queued_ms: cfg.jobQueuedMs,
+            running_ms: cfg.jobRunningMs,
+            failure_chance: (cfg.jobFailureChance * 100) + '%',
+            callback_signing_secret: env.MOCK_CALLBACK_SECRET ? 'MOCK_CALLBACK_SECRET' : 'default',
+            callback_allowed_hosts: allowedCallbackHosts.length ? allowedCallbackHosts : null
+          },
+          randomness: {
+            seed: chaosRandom.seed,
+            seed_source: chaosRandom.source,
+            request_seed: rng.seed,
+            header_seed_sessions: seededStreams.size
+          },
+          hint: 'This service simulates real-world API behavior with failures, delays, and outages'
+        };
+
+        console.log(`Successful health check [${requestId}] processed in ${responseTime}ms`);
+        res.status(200).json(healthData);
         return;
       }
 
-      // Graceful request drop (simulate network issues with 504)
-      const successRate = config.baseSuccessRate;
-      if (Math.random() > successRate) {
-        recordError();
+      // Circuit breaker reset endpoint
+      if (path === '/reset-circuit-breaker' && req.method === 'POST') {
         const responseTime = Date.now() - requestStart;
+
+        // Reset circuit breaker state
+        session.circuitBreakerState = 'CLOSED';
+        session.circuitBreakerOpenTime = null;
+        session.halfOpenAttempts = 0;
+        session.errorWindow = [];
+        session.errorCutoff = Date.now();
+
+        console.log(`Circuit breaker manually reset [${requestId}] at ${new Date().toISOString()}`);
+        recordTransition('circuit_breaker', 'CLOSED');
+
+        res.status(200).json({
+          status: 'success',
+          message: 'Circuit breaker has been reset',
+          timestamp: new Date().toISOString(),
+          requestId: requestId,
+          response_time_ms: responseTime,
+          circuit_breaker_state: session.circuitBreakerState,
+          hint: 'Circuit breaker is now CLOSED and ready to accept requests'
+        });
+        return;
+      }
+
+      // OAuth2 client-credentials token endpoint
+      if (auth && req.path === '/oauth/token' && req.method === 'POST') {
+        const cfg = effectiveConfig(session);
+        if (cfg.tokenEndpointFailureChance > 0 && rng.random() < cfg.tokenEndpointFailureChance) {
+          const description = 'Token endpoint temporarily unavailable';
+          logJson({ type: 'token_endpoint_outage', requestId });
+          res.set('Retry-After', '5');
+          res.status(503).json({
+            status: 'error',
+            message: description,
+            timestamp: new Date().toISOString(),
+            requestId,
+            error_type: 'temporarily_unavailable',
+            error: 'temporarily_unavailable',
+            error_description: description
+          });
+          return;
+        }
+
+        const issued = auth.issueToken(req, requestId);
         logJson({
-          type: 'network_failure',
+          type: 'token_request',
           requestId,
-          responseTime,
-          message: 'Simulated network failure (504)'
+          status: issued.status,
+          error: issued.body.error || null
         });
-        res.status(504).json({
-          status: 'error',
-          message: 'Simulated network failure (gateway timeout)',
+        sendMockResponse(res, issued);
+        return;
+      }
+
+      // Public keys for RS256 tokens
+      if (auth && req.path === '/.well-known/jwks.json' && req.method === 'GET') {
+        res.set('Cache-Control', 'public, max-age=300');
+        res.status(200).json(auth.jwks());
+        return;
+      }
+
+      // Async job status (polled through the chaos pipeline like any other request)
+      if (req.path.startsWith('/jobs/') && req.method === 'GET') {
+        const job = jobStore.get(req.path.slice('/jobs/'.length));
+        if (!job) {
+          res.status(404).json({
+            status: 'error',
+            message: 'Job not found',
+            timestamp: new Date().toISOString(),
+            requestId,
+            error_type: 'not_found'
+          });
+          return;
+        }
+        journalEntry.route = '/jobs/:id';
+        if (job.status === 'queued' || job.status === 'running') {
+          res.set('Retry-After', '1');
+        }
+        const { callback, ...record } = job;
+        res.status(200).json({
+          status: 'success',
           timestamp: new Date().toISOString(),
           requestId,
-          error_type: 'network_failure',
-          response_time_ms: responseTime
+          job: { ...record, callback: callback && { url: callback.url, state: callback.state, attempts: callback.attempts.length } }
         });
         return;
       }
-    }
 
-    // Process successful requests
-    recordSuccess();
-    
-    // Health check endpoint with detailed metrics
-    if (path === '/' || path === '/health') {
-      const responseTime = Date.now() - requestStart;
-      serviceState.averageResponseTime = ((serviceState.averageResponseTime * (serviceState.requestCount - 1)) + responseTime) / serviceState.requestCount;
-      
-      const healthData = {
-        status: 'success',
-        message: 'Realistic mock service is running',
-        timestamp: new Date().toISOString(),
-        version: '2.1.1',
-        requestId: requestId,
-        service_metrics: {
-          total_requests: serviceState.requestCount,
-          successful_requests: serviceState.successCount,
-          failed_requests: serviceState.errorCount,
-          success_rate: ((serviceState.successCount / serviceState.requestCount) * 100).toFixed(2) + '%',
-          average_response_time_ms: Math.round(serviceState.averageResponseTime),
-          current_response_time_ms: responseTime,
-          in_normal_period: inNormalPeriod,
-          service_healthy: serviceState.isHealthy,
-          circuit_breaker_errors: errorWindow.length,
-          circuit_breaker_state: circuitBreakerState,
-          half_open_attempts: halfOpenAttempts
-        },
-        behavior_config: {
-          base_success_rate: (config.baseSuccessRate * 100) + '%',
-          slow_response_chance: (config.slowResponseChance * 100) + '%',
-          outage_chance_per_request: (config.outageChance * 100) + '%'
-        },
-        hint: 'This service simulates real-world API behavior with failures, delays, and outages'
-      };
-
-      console.log(`Successful health check [${requestId}] processed in ${responseTime}ms`);
-      res.status(200).json(healthData);
-      return;
-    }
+      // Synthetic records: GET /generate?schema=product&count=10&seed=s&start=0, or POST the same fields
+      // (schema may then be an inline field map)
+      if (req.path === '/generate' && (req.method === 'GET' || req.method === 'POST')) {
+        const params = req.method === 'GET' ? req.query || {} : req.body || {};
+        const readInteger = value => (value === undefined || value === '' ? undefined : Number(value));
+        const generated = generator.generate({
+          schema: params.schema === undefined ? 'product' : params.schema,
+          seed: params.seed,
+          start: readInteger(params.start),
+          count: params.count === undefined ? 10 : readInteger(params.count)
+        });
+        if (generated.errors) {
+          serviceState.errorCount++;
+          res.status(400).json({
+            status: 'error',
+            message: 'Invalid generate request',
+            timestamp: new Date().toISOString(),
+            requestId,
+            error_type: 'validation_error',
+            errors: generated.errors
+          });
+          return;
+        }
+        logJson({
+          type: 'generate',
+          requestId,
+          schema: typeof params.schema === 'object' ? 'inline' : params.schema || 'product',
+          seed: generated.seed,
+          count: generated.records.length
+        });
+        res.status(200).json({
+          status: 'success',
+          timestamp: new Date().toISOString(),
+          requestId,
+          schema: typeof params.schema === 'object' ? 'inline' : params.schema || 'product',
+          seed: generated.seed,
+          start: readInteger(params.start) || 0,
+          count: generated.records.length,
+          data: generated.records
+        });
+        return;
+      }
 
-    // Circuit breaker reset endpoint
-    if (path === '/reset-circuit-breaker' && req.method === 'POST') {
-      const responseTime = Date.now() - requestStart;
-      
-      // Reset circuit breaker state
-      circuitBreakerState = 'CLOSED';
-      circuitBreakerOpenTime = null;
-      halfOpenAttempts = 0;
-      errorWindow = [];
-      
-      console.log(`Circuit breaker manually reset [${requestId}] at ${new Date().toISOString()}`);
-      
-      res.status(200).json({
-        status: 'success',
-        message: 'Circuit breaker has been reset',
-        timestamp: new Date().toISOString(),
-        requestId: requestId,
-        response_time_ms: responseTime,
-        circuit_breaker_state: circuitBreakerState,
-        hint: 'Circuit breaker is now CLOSED and ready to accept requests'
-      });
-      return;
-    }
+      // Product update event streams. Stream chaos is drawn from a per-connection stream derived from the
+      // request's, and is off for bypassed requests and during normal periods.
+      if ((req.path === sseStreamPath || req.path === webSocketStreamPath) && req.method === 'GET') {
+        journalEntry.route = req.path;
+        const isWebSocket = req.path === webSocketStreamPath;
+        const upgradeRequested = String(req.headers.upgrade || '').toLowerCase() === 'websocket';
+        if (isWebSocket && (!upgradeRequested || req.upgradeHead === undefined)) {
+          // functions-framework answers upgrade requests like any other, without handing over the socket
+          const [status, errorType, message] = upgradeRequested ?
+            [501, 'websocket_unavailable', 'WebSocket streams need the standalone server (mao-mock serve)'] :
+            [426, 'upgrade_required', 'Connect with a WebSocket client'];
+          serviceState.errorCount++;
+          if (status === 426) {
+            res.set({ Upgrade: 'websocket', Connection: 'Upgrade' });
+          }
+          res.status(status).json({ status: 'error', message, timestamp: new Date().toISOString(), requestId, error_type: errorType });
+          return;
+        }
+        const handshakeProblem = isWebSocket ? handshakeError(req) : null;
+        const lastEventId = parseLastEventId(req.headers['last-event-id'] || (req.query && req.query.lastEventId));
+        const limit = req.query && req.query.limit !== undefined ? Number(req.query.limit) : 0;
+        if (handshakeProblem || !Number.isInteger(limit) || limit < 0) {
+          serviceState.errorCount++;
+          res.status(400).json({
+            status: 'error',
+            message: handshakeProblem || 'limit must be a non-negative integer',
+            timestamp: new Date().toISOString(),
+            requestId,
+            error_type: 'validation_error'
+          });
+          return;
+        }
 
-    // Handle GET requests - including the original hello functionality  
-    if (req.method === 'GET') {
-      const responseTime = Date.now() - requestStart;
-      serviceState.averageResponseTime = ((serviceState.averageResponseTime * (serviceState.requestCount - 1)) + responseTime) / serviceState.requestCount;
-      
-      // Original hello functionality  
-      if (req.query.name) {
-        console.log(`Successful GET hello [${requestId}] processed in ${responseTime}ms`);
-        res.status(200).json({
-          message: `Hello ${req.query.name}!`,
-          requestId: requestId,
-          response_time_ms: responseTime,
+        const cfg = effectiveConfig(session);
+        const chances = {
+          disconnect: cfg.streamDisconnectChance,
+          gap: cfg.streamGapChance,
+          duplicate: cfg.streamDuplicateChance,
+          reorder: cfg.streamReorderChance,
+          malformed: cfg.streamMalformedChance
+        };
+        const streamChaos = !bypassChaos && !inNormalPeriod;
+        const streamRandom = mulberry32(`${rng.seed}|stream|${rng.random()}`);
+        const options = {
+          lastEventId,
+          limit,
+          intervalMs: cfg.streamEventIntervalMs,
+          heartbeatMs: cfg.streamHeartbeatMs,
+          gapMs: cfg.streamGapMs,
+          chance: name => streamChaos && chances[name] > 0 && streamRandom() < chances[name],
+          requestId,
+          session: session.id
+        };
+        if (isWebSocket) {
+          streamHub.openWebSocket(req, res, req.upgradeHead, options);
+        } else {
+          streamHub.openSse(req, res, options);
+        }
+        return;
+      }
+
+      // Async mode: answer 202 with a job now; whatever the route answers below becomes the job result
+      const preferAsync = /(^|[,;\s])respond-async\b/i.test(req.headers.prefer || '');
+      if (req.method === 'POST' && (preferAsync || matchAsyncRoute(effectiveConfig(session).asyncRoutes, req.path))) {
+        const callbackUrl = req.headers['x-callback-url'] || null;
+        const callbackError = callbackUrl && validateCallbackUrl(callbackUrl, allowedCallbackHosts);
+        if (callbackError) {
+          serviceState.errorCount++;
+          res.status(400).json({
+            status: 'error',
+            message: callbackError,
+            timestamp: new Date().toISOString(),
+            requestId,
+            error_type: 'invalid_callback_url'
+          });
+          return;
+        }
+
+        const cfg = effectiveConfig(session);
+        const job = jobStore.create({
+          requestId,
+          method: req.method,
+          path: req.path,
+          queuedMs: cfg.jobQueuedMs,
+          runningMs: cfg.jobRunningMs,
+          fail: !bypassChaos && cfg.jobFailureChance > 0 && rng.random() < cfg.jobFailureChance,
+          callbackUrl,
+          callback: { maxAttempts: cfg.callbackMaxAttempts, retryBaseMs: cfg.callbackRetryBaseMs }
+        });
+        logJson({
+          type: 'job_accepted',
+          requestId,
+          job_id: job.id,
+          path: req.path,
+          callback_url: callbackUrl
+        });
+
+        const statusUrl = `/jobs/${job.id}`;
+        res.set('Location', statusUrl);
+        res.set('Retry-After', String(Math.max(1, Math.ceil((cfg.jobQueuedMs + cfg.jobRunningMs) / 1000))));
+        if (preferAsync) {
+          res.set('Preference-Applied', 'respond-async');
+        }
+        res.status(202).json({
+          status: 'accepted',
+          message: 'Request accepted for asynchronous processing',
           timestamp: new Date().toISOString(),
-          artificial_delay_ms: artificialDelay,
-          in_normal_period: inNormalPeriod
+          requestId,
+          job_id: job.id,
+          job_status: job.status,
+          status_url: statusUrl
+        });
+        captureResponse(res, result => jobStore.setResult(job.id, result));
+      }
+
+      // Declarative stub responses
+      if (stubMatch) {
+        journalEntry.route = stubMatch.stub.pattern;
+        const responseTime = Date.now() - requestStart;
+        serviceState.averageResponseTime = ((serviceState.averageResponseTime * (serviceState.requestCount - 1)) + responseTime) / serviceState.requestCount;
+        const stubResponse = stubRegistry.render(stubMatch, req, requestId);
+
+        logJson({
+          type: 'stub_response',
+          requestId,
+          responseTime,
+          stub: stubMatch.stub.id,
+          status: stubResponse.status,
+          artificial_delay_ms: artificialDelay
         });
+        res.set('X-Mock-Stub', stubMatch.stub.id);
+        sendMockResponse(res, stubResponse);
         return;
       }
 
-      // Default GET response
-      console.log(`Successful GET [${requestId}] processed in ${responseTime}ms`);
-      res.status(200).json({
-        message: 'Hello World!',
-        requestId: requestId,
-        response_time_ms: responseTime,
-        timestamp: new Date().toISOString(),
-        artificial_delay_ms: artificialDelay,
-        in_normal_period: inNormalPeriod
-      });
-      return;
-    }
+      // Paginated list endpoints
+      const paginatedList = paginator ? paginator.match(req) : null;
+      if (paginatedList) {
+        journalEntry.route = paginatedList.path;
+        const cfg = effectiveConfig(session);
+        const chances = {
+          shift: cfg.paginationShiftChance,
+          emptyPage: cfg.paginationEmptyPageChance,
+          flakyPage: cfg.paginationFlakyPageChance,
+          cursorExpiry: cfg.paginationCursorExpiryChance
+        };
+        const page = paginator.handle(paginatedList, req, requestId, {
+          chance: name => !bypassChaos && !inNormalPeriod && chances[name] > 0 && rng.random() < chances[name],
+          cursorTtlMs: cfg.paginationCursorTtlMs
+        });
+        const responseTime = Date.now() - requestStart;
+        serviceState.averageResponseTime = ((serviceState.averageResponseTime * (serviceState.requestCount - 1)) + responseTime) / serviceState.requestCount;
 
-    // Handle POST requests with basic input validation
-    if (req.method === 'POST') {
-      const requestData = req.body || {};
-      const responseTime = Date.now() - requestStart;
-      serviceState.averageResponseTime = ((serviceState.averageResponseTime * (serviceState.requestCount - 1)) + responseTime) / serviceState.requestCount;
+        logJson({
+          type: 'paginated_response',
+          requestId,
+          responseTime,
+          list: paginatedList.path,
+          status: page.status,
+          items: page.body.data ? page.body.data.length : null,
+          chaos: page.chaos || undefined,
+          artificial_delay_ms: artificialDelay
+        });
+        sendMockResponse(res, page);
+        return;
+      }
+
+      // GraphQL endpoint, with field-level chaos on top of the request-level chaos above
+      if (graphqlMock && graphqlMock.match(req)) {
+        journalEntry.route = graphqlMock.path;
+        const cfg = effectiveConfig(session);
+        const chances = {
+          fieldError: cfg.graphqlFieldErrorChance,
+          nullField: cfg.graphqlNullFieldChance,
+          slowField: cfg.graphqlSlowFieldChance
+        };
+        const result = graphqlMock.handle(req, requestId, {
+          chance: name => !bypassChaos && !inNormalPeriod && chances[name] > 0 && rng.random() < chances[name],
+          slowFieldMs: cfg.graphqlSlowFieldMs
+        });
+        if (result.delayMs > 0) {
+          await new Promise(resolve => setTimeout(resolve, result.delayMs));
+        }
+        const responseTime = Date.now() - requestStart;
+        serviceState.averageResponseTime = ((serviceState.averageResponseTime * (serviceState.requestCount - 1)) + responseTime) / serviceState.requestCount;
 
-      // Basic input validation: require 'name' for hello
-      if (path === '/hello' && !requestData.name) {
-        recordError();
         logJson({
-          type: 'validation_error',
+          type: 'graphql_response',
           requestId,
           responseTime,
-          message: 'Missing required field: name'
+          operation_type: result.operation ? result.operation.operation : null,
+          operation: result.operation ? result.operation.name : null,
+          status: result.status,
+          errors: result.body.errors ? result.body.errors.length : 0,
+          faults: result.faults.length ? result.faults : undefined,
+          field_delay_ms: result.delayMs,
+          artificial_delay_ms: artificialDelay
         });
-        res.status(400).json({
-          status: 'error',
-          message: 'Missing required field: name',
+        sendMockResponse(res, result);
+        return;
+      }
+
+      // Stateful in-memory resources
+      const resourceResponse = resourceStore ? resourceStore.handle(req, requestId) : null;
+      if (resourceResponse) {
+        journalEntry.route = resourceResponse.route;
+        const responseTime = Date.now() - requestStart;
+        serviceState.averageResponseTime = ((serviceState.averageResponseTime * (serviceState.requestCount - 1)) + responseTime) / serviceState.requestCount;
+
+        logJson({
+          type: 'resource_response',
           requestId,
-          error_type: 'validation_error',
-          response_time_ms: responseTime
+          responseTime,
+          method: req.method,
+          path: req.path,
+          status: resourceResponse.status,
+          artificial_delay_ms: artificialDelay
         });
+        sendMockResponse(res, resourceResponse);
         return;
       }
 
-      // Original hello functionality for POST  
-      if (requestData.name) {
+      // Operations generated from the OpenAPI spec
+      const openApiMatch = openApiMock ? openApiMock.match(req) : null;
+      if (openApiMatch) {
+        const openApiResponse = openApiMock.handle(openApiMatch, req, requestId);
+        const responseTime = Date.now() - requestStart;
+        serviceState.averageResponseTime = ((serviceState.averageResponseTime * (serviceState.requestCount - 1)) + responseTime) / serviceState.requestCount;
+
+        if (openApiResponse.status >= 400) {
+          recordError(session);
+        }
         logJson({
-          type: 'post_hello',
+          type: 'openapi_response',
           requestId,
           responseTime,
-          name: requestData.name
+          operation: openApiMatch.operation ? openApiMatch.operation.id : null,
+          status: openApiResponse.status,
+          artificial_delay_ms: artificialDelay
+        });
+        if (openApiMatch.operation) {
+          journalEntry.route = openApiMatch.operation.route;
+          res.set('X-Mock-Operation', openApiMatch.operation.id);
+        }
+        sendMockResponse(res, openApiResponse);
+        return;
+      }
+
+      // Product-items bulk update sync
+      if (path === '/api/product-items/batch' && req.method === 'POST') {
+        const cfg = effectiveConfig(session);
+        const batch = processProductBatch(req.body, {
+          requestId,
+          maxBatchSize: cfg.productBatchMaxSize,
+          chaos: {
+            enabled: !bypassChaos && !inNormalPeriod,
+            failureChance: cfg.productItemFailureChance,
+            rng
+          }
         });
+        const responseTime = Date.now() - requestStart;
+        serviceState.averageResponseTime = ((serviceState.averageResponseTime * (serviceState.requestCount - 1)) + responseTime) / serviceState.requestCount;
+
+        if (batch.status >= 400) {
+          recordError(session);
+          logJson({
+            type: batch.body.error_type,
+            requestId,
+            responseTime,
+            message: batch.body.message
+          });
+        } else {
+          logJson({
+            type: 'product_batch',
+            requestId,
+            responseTime,
+            status: batch.status,
+            summary: batch.body.summary
+          });
+          batch.body.artificial_delay_ms = artificialDelay;
+          batch.body.in_normal_period = inNormalPeriod;
+        }
+        batch.body.response_time_ms = responseTime;
+        res.status(batch.status).json(batch.body);
+        return;
+      }
+
+      // Handle GET requests - including the original hello functionality  
+      if (req.method === 'GET') {
+        const responseTime = Date.now() - requestStart;
+        serviceState.averageResponseTime = ((serviceState.averageResponseTime * (serviceState.requestCount - 1)) + responseTime) / serviceState.requestCount;
+
+        // Original hello functionality  
+        if (req.query.name) {
+          console.log(`Successful GET hello [${requestId}] processed in ${responseTime}ms`);
+          res.status(200).json({
+            message: `Hello ${req.query.name}!`,
+            requestId: requestId,
+            response_time_ms: responseTime,
+            timestamp: new Date().toISOString(),
+            artificial_delay_ms: artificialDelay,
+            in_normal_period: inNormalPeriod
+          });
+          return;
+        }
+
+        // Default GET response
+        console.log(`Successful GET [${requestId}] processed in ${responseTime}ms`);
         res.status(200).json({
-          message: `Hello ${requestData.name}!`,
+          message: 'Hello World!',
           requestId: requestId,
           response_time_ms: responseTime,
           timestamp: new Date().toISOString(),
           artificial_delay_ms: artificialDelay,
+          in_normal_period: inNormalPeriod
+        });
+        return;
+      }
+
+      // Handle POST requests with basic input validation
+      if (req.method === 'POST') {
+        const requestData = req.body || {};
+        const responseTime = Date.now() - requestStart;
+        serviceState.averageResponseTime = ((serviceState.averageResponseTime * (serviceState.requestCount - 1)) + responseTime) / serviceState.requestCount;
+
+        // Basic input validation: require 'name' for hello
+        if (path === '/hello' && !requestData.name) {
+          recordError(session);
+          logJson({
+            type: 'validation_error',
+            requestId,
+            responseTime,
+            message: 'Missing required field: name'
+          });
+          res.status(400).json({
+            status: 'error',
+            message: 'Missing required field: name',
+            requestId,
+            error_type: 'validation_error',
+            response_time_ms: responseTime
+          });
+          return;
+        }
+
+        // Original hello functionality for POST  
+        if (requestData.name) {
+          logJson({
+            type: 'post_hello',
+            requestId,
+            responseTime,
+            name: requestData.name
+          });
+          res.status(200).json({
+            message: `Hello ${requestData.name}!`,
+            requestId: requestId,
+            response_time_ms: responseTime,
+            timestamp: new Date().toISOString(),
+            artificial_delay_ms: artificialDelay,
+            in_normal_period: inNormalPeriod,
+            received_data: requestData
+          });
+          return;
+        }
+
+        // Mock service response for POST without name
+        const response = {
+          status: 'success',
+          message: 'Request processed successfully',
+          timestamp: new Date().toISOString(),
+          requestId: requestId,
+          endpoint: path,
+          method: req.method,
+          receivedData: requestData,
+          processedAt: new Date().toISOString(),
+          response_time_ms: responseTime,
+          artificial_delay_ms: artificialDelay,
           in_normal_period: inNormalPeriod,
-          received_data: requestData
+          hint: 'Include {"name": "YourName"} in body for hello functionality'
+        };
+
+        logJson({
+          type: 'post_generic',
+          requestId,
+          responseTime,
+          receivedData: requestData
         });
+        res.status(200).json(response);
         return;
       }
 
-      // Mock service response for POST without name
-      const response = {
+      // Handle other HTTP methods
+      const responseTime = Date.now() - requestStart;
+      serviceState.averageResponseTime = ((serviceState.averageResponseTime * (serviceState.requestCount - 1)) + responseTime) / serviceState.requestCount;
+
+      console.log(`Successful ${req.method} [${requestId}] processed in ${responseTime}ms`);
+      res.status(200).json({
         status: 'success',
-        message: 'Request processed successfully',
+        message: `${req.method} request processed`,
         timestamp: new Date().toISOString(),
         requestId: requestId,
         endpoint: path,
         method: req.method,
-        receivedData: requestData,
-        processedAt: new Date().toISOString(),
         response_time_ms: responseTime,
         artificial_delay_ms: artificialDelay,
-        in_normal_period: inNormalPeriod,
-        hint: 'Include {"name": "YourName"} in body for hello functionality'
-      };
+        in_normal_period: inNormalPeriod
+      });
 
+    } catch (error) {
+      recordError(session);
+      const responseTime = Date.now() - requestStart;
       logJson({
-        type: 'post_generic',
+        type: 'unexpected_error',
         requestId,
-        responseTime,
-        receivedData: requestData
+        error: error.message,
+        stack: error.stack
+      });
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal server error',
+        timestamp: new Date().toISOString(),
+        requestId: requestId,
+        error: error.message,
+        error_type: 'unexpected_error',
+        response_time_ms: responseTime
       });
-      res.status(200).json(response);
-      return;
     }
+  }
 
-    // Handle other HTTP methods
-    const responseTime = Date.now() - requestStart;
-    serviceState.averageResponseTime = ((serviceState.averageResponseTime * (serviceState.requestCount - 1)) + responseTime) / serviceState.requestCount;
-    
-    console.log(`Successful ${req.method} [${requestId}] processed in ${responseTime}ms`);
-    res.status(200).json({
-      status: 'success',
-      message: `${req.method} request processed`,
-      timestamp: new Date().toISOString(),
-      requestId: requestId,
-      endpoint: path,
-      method: req.method,
-      response_time_ms: responseTime,
-      artificial_delay_ms: artificialDelay,
-      in_normal_period: inNormalPeriod
-    });
+  let server = null;
 
-  } catch (error) {
-    recordError();
-    const responseTime = Date.now() - requestStart;
-    logJson({
-      type: 'unexpected_error',
-      requestId,
-      error: error.message,
-      stack: error.stack
-    });
-    res.status(500).json({
-      status: 'error',
-      message: 'Internal server error',
-      timestamp: new Date().toISOString(),
-      requestId: requestId,
-      error: error.message,
-      error_type: 'unexpected_error',
-      response_time_ms: responseTime
-    });
+  // Serve this instance on its own http, https or http2 server, see lib/server
+  async function listen(listenOptions = {}) {
+    if (server) {
+      throw new Error(`Mock service is already listening on ${server.url}`);
+    }
+    server = await startServer(handleRequest, listenOptions);
+    return { url: server.url, port: server.port, protocol: server.protocol };
   }
+
+  // Stop the server (if any), timers, file watchers, pending jobs and the state store connection
+  async function close() {
+    clearInterval(sessionExpiryTimer);
+    clearInterval(rateLimitEvictionTimer);
+    if (stubRegistry) stubRegistry.close();
+    jobStore.clear();
+    streamHub.close();
+    if (grpcMock) await grpcMock.close();
+    if (server) {
+      await server.close();
+      server = null;
+    }
+    await stateStore.close();
+  }
+
+  return { handler: handleRequest, listen, close };
+}
+
+// functions-framework entry point (--target=http). The instance is created on the first request,
+// so requiring this module for createMockService starts nothing.
+let defaultService = null;
+functions.http('http', (req, res) => {
+  if (!defaultService) {
+    defaultService = createMockService();
+  }
+  return defaultService.handler(req, res);
 });
+
+module.exports = { createMockService, defaultConfig };
@@ -20,11 +20,15 @@ const stats = {
   errors: {
     network: 0,
     timeout: 0,
+    stalled: 0,
+    truncated: 0,
+    connection_reset: 0,
     server_error: 0,
     client_error: 0,
     service_unavailable: 0,
     circuit_breaker: 0
   },
+  slowDrip: 0,
   responseTimes: [],
   statusCodes: {},
   startTime: Date.now(),
@@ -93,14 +97,26 @@ function makeRequest(method, path, body = null, timeout = 8000) {
     }
 
     const startTime = Date.now();
+    let headersReceived = false;
     const req = http.request(options, (res) => {
       let data = '';
+      headersReceived = true;
       
       res.on('data', (chunk) => {
         data += chunk;
       });
+
+      // Connection closed before the announced body arrived
+      res.on('aborted', () => {
+        reject({
+          error: `Truncated body (${Buffer.byteLength(data)} of ${res.headers['content-length'] || '?'} bytes)`,
+          responseTime: Date.now() - startTime,
+          type: 'truncated'
+        });
+      });
       
       res.on('end', () => {
+        if (!res.complete) return;
         const responseTime = Date.now() - startTime;
         let parsedData = null;
         
@@ -123,12 +139,18 @@ function makeRequest(method, path, body = null, timeout = 8000) {
       const responseTime = Date.now() - startTime;
       
       // Check if it's a connection refused (dropped request simulation)
-      if (error.code === 'ECONNREFUSED' || error.code === 'ECONNRESET') {
+      if (error.code === 'ECONNREFUSED') {
         reject({
           error: 'Connection dropped',
           responseTime: responseTime,
           type: 'dropped'
         });
+      } else if (error.code === 'ECONNRESET' && !headersReceived) {
+        reject({
+          error: 'Connection reset',
+          responseTime: responseTime,
+          type: 'connection_reset'
+        });
       } else {
         reject({
           error: error.message,
@@ -138,14 +160,15 @@ function makeRequest(method, path, body = null, timeout = 8000) {
       }
     });
 
+    // No response at all is a hung request; headers followed by silence is a stall
     req.on('timeout', () => {
-      req.destroy();
       const responseTime = Date.now() - startTime;
       reject({
-        error: 'Request timeout',
+        error: headersReceived ? 'Response stalled after headers' : 'Request timeout',
         responseTime: responseTime,
-        type: 'timeout'
+        type: headersReceived ? 'stalled' : 'timeout'
       });
+      req.destroy();
     });
 
     if (body) {
@@ -174,6 +197,9 @@ function processResult(scenario, result, isError = false) {
     stats.responseTimes.push(result.responseTime);
     
     const statusCode = result.statusCode;
+    if (result.headers['x-mock-transport-fault'] === 'slow_drip') {
+      stats.slowDrip++;
+    }
     stats.statusCodes[statusCode] = (stats.statusCodes[statusCode] || 0) + 1;
     
     // Categorize by status code
@@ -285,6 +311,23 @@ function displayStats() {
     console.log(`${colors.white}Normal Period: ${stats.serviceMetrics.in_normal_period ? colors.green + 'Active' : colors.yellow + 'Inactive'}${colors.reset}`);
     console.log(`${colors.white}Circuit Breaker: ${stats.serviceMetrics.circuit_breaker_errors} errors${colors.reset}`);
   }
+
+  // Transport faults as seen by this client next to the service's own counts
+  const transport = stats.serviceMetrics && stats.serviceMetrics.transport_faults;
+  const observed = {
+    hang: stats.errors.timeout,
+    connection_reset: stats.errors.connection_reset,
+    stall: stats.errors.stalled,
+    truncated_body: stats.errors.truncated,
+    slow_drip: stats.slowDrip
+  };
+  if (Object.values(observed).some(count => count > 0) || (transport && Object.values(transport).some(count => count > 0))) {
+    console.log(`\n${colors.bright}🔌 Transport Faults (client / service)${colors.reset}`);
+    Object.entries(observed).forEach(([fault, count]) => {
+      const reported = transport ? transport[fault] : '?';
+      console.log(`${colors.white}${fault.replace('_', ' ')}: ${colors.magenta}${count}${colors.reset} / ${reported}`);
+    });
+  }
   
   console.log(`\n${colors.dim}Press Ctrl+C to stop the test${colors.reset}`);
 }
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startService } = require('./helpers/service');
+
+let mock;
+
+test.before(async () => {
+  mock = await startService();
+});
+
+test.after(() => mock.close());
+
+test.afterEach(() => mock.request('POST', '/__admin/config/reset'));
+
+test('GET returns the effective config, the defaults and the overridden keys', async () => {
+  const { status, body } = await mock.request('GET', '/__admin/config');
+  assert.equal(status, 200);
+  assert.equal(body.config.baseSuccessRate, 1);
+  assert.equal(body.defaults.rateLimitMax, 50);
+  assert.deepEqual(body.overridden_keys, []);
+});
+
+test('PATCH applies a partial update and shows it on /health', async () => {
+  const patch = await mock.request('PATCH', '/__admin/config', { body: { rateLimitMax: 5, slowResponseChance: 0 } });
+  assert.equal(patch.status, 200);
+  assert.deepEqual(patch.body.changes, { rateLimitMax: { from: 50, to: 5 } });
+  assert.equal(patch.body.config.rateLimitMax, 5);
+
+  const health = await mock.request('GET', '/health', { headers: { 'X-Mock-Bypass-Chaos': 'true' } });
+  assert.equal(health.body.behavior_config.rate_limit, '5 per 10000ms');
+  assert.deepEqual(health.body.behavior_config.overridden_keys, ['rateLimitMax']);
+  assert.deepEqual(mock.logEntries('config_change').at(-1).changes, { rateLimitMax: { from: 50, to: 5 } });
+});
+
+test('an invalid PATCH is rejected as a whole', async () => {
+  const { status, body } = await mock.request('PATCH', '/__admin/config', { body: { rateLimitMax: 10, baseSuccessRate: 1.5, bogus: 1 } });
+  assert.equal(status, 400);
+  assert.equal(body.error_type, 'validation_error');
+  assert.deepEqual(body.errors, ['baseSuccessRate must be between 0 and 1', 'Unknown config key: bogus']);
+  assert.equal((await mock.request('GET', '/__admin/config')).body.config.rateLimitMax, 50);
+  assert.equal(mock.logEntries('config_rejected').length, 1);
+
+  const delays = await mock.request('PATCH', '/__admin/config', { body: { minSlowDelay: 3000, maxSlowDelay: 1000 } });
+  assert.equal(delays.status, 400);
+  assert.match(delays.body.errors[0], /minSlowDelay/);
+});
+
+test('reset restores the defaults and lists what changed', async () => {
+  await mock.request('PATCH', '/__admin/config', { body: { circuitBreakerThreshold: 3 } });
+  const { status, body } = await mock.request('POST', '/__admin/config/reset');
+  assert.equal(status, 200);
+  assert.deepEqual(Object.keys(body.changes), ['circuitBreakerThreshold']);
+  assert.deepEqual(body.changes.circuitBreakerThreshold, { from: 3, to: 15 });
+  assert.equal(body.config.circuitBreakerThreshold, 15);
+});
+
+test('admin requests are not counted on /health', async () => {
+  const before = (await mock.request('GET', '/health')).body.service_metrics.total_requests;
+  await mock.request('GET', '/__admin/config');
+  await mock.request('PATCH', '/__admin/config', { body: {} });
+  const after = (await mock.request('GET', '/health')).body.service_metrics.total_requests;
+  assert.equal(after, before + 1);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const path = require('path');
+const { signJwt, verifyJwt } = require('../lib/auth');
+const { startService } = require('./helpers/service');
+
+const hsKey = { kid: 'hs', alg: 'HS256', secret: Buffer.from('0123456789abcdef0123') };
+const settings = { keys: [hsKey], issuer: 'https://issuer.test', audience: 'mao-mock', clockSkewSec: 0 };
+const now = () => Math.floor(Date.now() / 1000);
+const claims = extra => ({ sub: 'user-1', iss: 'https://issuer.test', aud: 'mao-mock', exp: now() + 60, ...extra });
+const part = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// The HS256 key and claims from auth/auth.yaml
+const devKey = { kid: 'hs-dev', alg: 'HS256', secret: Buffer.from('change-me-dev-only-secret') };
+const devClaims = extra => ({ sub: 'ci', iss: 'https://auth.mao-mock.local', aud: 'mao-mock-api', exp: now() + 60, ...extra });
+
+test('valid HS256 tokens verify and return their claims', () => {
+  const result = verifyJwt(signJwt(claims(), hsKey), settings);
+  assert.equal(result.claims.sub, 'user-1');
+});
+
+test('RS256 tokens verify against the public key', () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const key = { kid: 'rs', alg: 'RS256', publicKey, privateKey };
+  const token = signJwt(claims(), key);
+  assert.ok(verifyJwt(token, { ...settings, keys: [{ kid: 'rs', alg: 'RS256', publicKey }] }).claims);
+});
+
+test('tampered, expired and foreign tokens are rejected with a reason', () => {
+  const token = signJwt(claims(), hsKey);
+  const [header, , signature] = token.split('.');
+  const reason = value => verifyJwt(value, settings).reason;
+  assert.equal(reason(`${header}.${part(claims({ sub: 'admin' }))}.${signature}`), 'invalid_signature');
+  assert.equal(reason(signJwt(claims({ exp: now() - 1 }), hsKey)), 'token_expired');
+  assert.equal(reason(signJwt(claims({ nbf: now() + 60 }), hsKey)), 'token_not_yet_valid');
+  assert.equal(reason(signJwt(claims({ iss: 'https://other.test' }), hsKey)), 'invalid_issuer');
+  assert.equal(reason(signJwt(claims({ aud: ['other'] }), hsKey)), 'invalid_audience');
+  assert.equal(reason(signJwt(claims(), { ...hsKey, secret: Buffer.from('another-secret-value') })), 'invalid_signature');
+});
+
+test('unsigned and unsupported algorithms are refused', () => {
+  assert.equal(verifyJwt(`${part({ alg: 'none' })}.${part(claims())}.`, settings).reason, 'unsupported_algorithm');
+  assert.equal(verifyJwt(`${part({ alg: 'HS512' })}.${part(claims())}.x`, settings).reason, 'unsupported_algorithm');
+});
+
+test('malformed tokens are reported as malformed, never thrown', () => {
+  for (const token of ['abc', 'a.b', 'a.b.c', `${part(null)}.${part(claims())}.x`, `${part({ alg: 'HS256' })}.${part([1])}.x`, `${part({ alg: 'HS256' })}.${part('text')}.x`]) {
+    assert.equal(verifyJwt(token, settings).reason, 'malformed_token', token);
+  }
+});
+
+test.describe('MOCK_AUTH_FILE', () => {
+  let mock;
+
+  test.before(async () => {
+    mock = await startService({ env: { MOCK_AUTH_FILE: path.join(__dirname, '..', 'auth', 'auth.yaml') } });
+  });
+
+  test.after(() => mock.close());
+
+  test('protected routes need credentials with the route scopes', async () => {
+    const missing = await mock.request('GET', '/api/items/A-1');
+    assert.equal(missing.status, 401);
+    assert.equal(missing.body.reason, 'missing_credentials');
+    assert.match(missing.headers.get('www-authenticate'), /realm="mao-mock"/);
+    assert.equal((await mock.request('GET', '/api/items/A-1', { headers: { 'X-API-Key': 'local-dev-key' } })).status, 200);
+    assert.equal((await mock.request('GET', '/api/items/A-1', { headers: { 'X-API-Key': 'wrong' } })).body.reason, 'invalid_api_key');
+
+    const forbidden = await mock.request('POST', '/api/product-items/batch', {
+      headers: { Authorization: `Bearer ${signJwt(devClaims({ scope: 'products:read' }), devKey)}` },
+      body: { items: [] }
+    });
+    assert.equal(forbidden.status, 403);
+    assert.deepEqual(forbidden.body.required_scopes, ['products:write']);
+    // Routes not listed stay open
+    assert.equal((await mock.request('GET', '/?name=open')).status, 200);
+  });
+
+  test('tokens from /oauth/token are accepted by the protected routes', async () => {
+    const issued = await mock.request('POST', '/oauth/token', {
+      body: { grant_type: 'client_credentials', client_id: 'read-only', client_secret: 'read-only-secret' }
+    });
+    assert.equal(issued.status, 200);
+    assert.equal(issued.body.token_type, 'Bearer');
+    assert.equal(issued.body.scope, 'products:read');
+    const headers = { Authorization: `Bearer ${issued.body.access_token}` };
+    assert.equal((await mock.request('GET', '/api/items/A-1', { headers })).status, 200);
+    assert.ok((await mock.request('GET', '/.well-known/jwks.json')).body.keys.some(key => key.kid === 'rs-dev'));
+  });
+
+  test('JWTs with non-object parts and bad Basic credentials are a 401', async () => {
+    const jwt = await mock.request('GET', '/api/items/A-1', { headers: { Authorization: `Bearer ${part(null)}.${part({})}.x` } });
+    assert.equal(jwt.status, 401);
+    assert.equal(jwt.body.reason, 'malformed_token');
+
+    const basic = await mock.request('POST', '/oauth/token', {
+      headers: { Authorization: `Basic ${Buffer.from('sync-worker:%E0%A4%A').toString('base64')}` },
+      body: { grant_type: 'client_credentials' }
+    });
+    assert.equal(basic.status, 401);
+    assert.equal(basic.body.error, 'invalid_client');
+  });
+});
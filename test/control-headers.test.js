@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startService } = require('./helpers/service');
+
+let mock;
+
+test.before(async () => {
+  mock = await startService({ config: { rateLimitMax: 1000 } });
+});
+
+test.after(() => mock.close());
+
+test('X-Mock-Force-Error-Type returns the usual body for that error type', async () => {
+  const expected = {
+    service_unavailable: 503,
+    circuit_breaker_open: 503,
+    rate_limit: 429,
+    network_failure: 504,
+    timeout: 408,
+    server_error: 500,
+    client_error: 400
+  };
+  for (const [type, status] of Object.entries(expected)) {
+    const response = await mock.request('GET', '/api/items/1', { headers: { 'X-Mock-Force-Error-Type': type } });
+    assert.equal(response.status, status, type);
+    assert.equal(response.body.status, 'error');
+    assert.equal(response.body.error_type, type);
+    assert.equal(response.headers.get('x-mock-forced'), type);
+  }
+  const rateLimited = await mock.request('GET', '/', { headers: { 'X-Mock-Force-Error-Type': 'rate_limit' } });
+  assert.equal(typeof rateLimited.body.retry_after, 'number');
+});
+
+test('X-Mock-Force-Status picks the matching error type, or forced_error', async () => {
+  const known = await mock.request('GET', '/', { headers: { 'X-Mock-Force-Status': '504' } });
+  assert.equal(known.status, 504);
+  assert.equal(known.body.error_type, 'network_failure');
+
+  const other = await mock.request('GET', '/', { headers: { 'X-Mock-Force-Status': '418' } });
+  assert.equal(other.status, 418);
+  assert.equal(other.body.error_type, 'forced_error');
+
+  const both = await mock.request('GET', '/', { headers: { 'X-Mock-Force-Error-Type': 'server_error', 'X-Mock-Force-Status': '502' } });
+  assert.equal(both.status, 502);
+  assert.equal(both.body.error_type, 'server_error');
+});
+
+test('forced errors are counted on /health and do not feed the circuit breaker', async () => {
+  for (let i = 0; i < 20; i++) {
+    await mock.request('GET', '/', { headers: { 'X-Mock-Force-Error-Type': 'server_error' } });
+  }
+  const health = await mock.request('GET', '/health');
+  assert.equal(health.status, 200);
+  assert.ok(health.body.service_metrics.forced_responses >= 20);
+  assert.equal(health.body.service_metrics.circuit_breaker_state, 'CLOSED');
+  assert.equal(health.body.service_metrics.circuit_breaker_errors, 0);
+});
+
+test('X-Mock-Delay-Ms delays the response, forced or not', async () => {
+  const start = Date.now();
+  const response = await mock.request('GET', '/?name=slow', { headers: { 'X-Mock-Delay-Ms': '150' } });
+  assert.ok(Date.now() - start >= 150);
+  assert.equal(response.body.artificial_delay_ms, 150);
+
+  const forcedStart = Date.now();
+  await mock.request('GET', '/', { headers: { 'X-Mock-Delay-Ms': '100', 'X-Mock-Force-Status': '500' } });
+  assert.ok(Date.now() - forcedStart >= 100);
+});
+
+test('X-Mock-Bypass-Chaos skips random errors and rate limits', async () => {
+  await mock.request('PATCH', '/__admin/config', { body: { serverErrorChance: 1, rateLimitMax: 1 } });
+  try {
+    const headers = { 'X-Mock-Bypass-Chaos': 'true' };
+    for (let i = 0; i < 3; i++) {
+      const response = await mock.request('GET', '/?name=bypass', { headers });
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('x-mock-forced'), 'bypass_chaos');
+    }
+  } finally {
+    await mock.request('POST', '/__admin/config/reset');
+  }
+});
+
+test('invalid control headers are a 400', async () => {
+  const invalid = [
+    { 'X-Mock-Force-Error-Type': 'meteor_strike' },
+    { 'X-Mock-Force-Status': '200' },
+    { 'X-Mock-Delay-Ms': '-5' },
+    { 'X-Mock-Delay-Ms': '60001' },
+    { 'X-Mock-Transport-Fault': 'hang', 'X-Mock-Force-Status': '500' }
+  ];
+  for (const headers of invalid) {
+    const response = await mock.request('GET', '/', { headers });
+    assert.equal(response.status, 400, JSON.stringify(headers));
+    assert.equal(response.body.error_type, 'invalid_control_header');
+    assert.equal(response.body.errors.length, 1);
+  }
+});
+
+test('MOCK_DISABLE_CONTROL_HEADERS ignores the headers', async () => {
+  const locked = await startService({ env: { MOCK_DISABLE_CONTROL_HEADERS: 'true' } });
+  try {
+    const response = await locked.request('GET', '/?name=locked', { headers: { 'X-Mock-Force-Status': '500', 'X-Mock-Delay-Ms': 'nonsense' } });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('x-mock-forced'), null);
+    assert.equal((await locked.request('GET', '/health')).body.control_headers_enabled, false);
+  } finally {
+    await locked.close();
+  }
+});
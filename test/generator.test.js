@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createGenerator, validateFields } = require('../lib/generator');
+const { startService } = require('./helpers/service');
+
+test('records are deterministic per seed and index', () => {
+  const generator = createGenerator();
+  const first = generator.generate({ seed: 's1', start: 5, count: 2 });
+  assert.deepEqual(generator.generate({ seed: 's1', start: 6, count: 1 }).records[0], first.records[1]);
+  assert.notDeepEqual(generator.generate({ seed: 's2', start: 5 }).records[0], first.records[0]);
+});
+
+test('EAN-13 codes carry a valid check digit', () => {
+  const { records } = createGenerator().generate({ schema: { ean: 'ean13' }, count: 20 });
+  for (const { ean } of records) {
+    const sum = [...ean.slice(0, 12)].reduce((total, digit, i) => total + Number(digit) * (i % 2 ? 3 : 1), 0);
+    assert.equal(Number(ean[12]), (10 - (sum % 10)) % 10);
+  }
+});
+
+test('adding a field leaves the other fields unchanged', () => {
+  const generator = createGenerator();
+  const before = generator.generate({ schema: { sku: 'sku', n: 'integer' } }).records[0];
+  const after = generator.generate({ schema: { id: 'uuid', sku: 'sku', n: 'integer' } }).records[0];
+  assert.equal(after.sku, before.sku);
+  assert.equal(after.n, before.n);
+});
+
+test('bounds outside min and max are rejected', () => {
+  const problems = schema => createGenerator().generate({ schema }).errors;
+  assert.deepEqual(problems({ n: { type: 'integer', min: 10, max: 1 } }), ['schema.n: min (10) must not be greater than max (1)']);
+  assert.deepEqual(problems({ n: { type: 'integer', max: -1 } }), ['schema.n: min (0) must not be greater than max (-1)']);
+  assert.deepEqual(problems({ n: { type: 'integer', min: '1' } }), ['schema.n: min must be an integer']);
+  assert.deepEqual(problems({ p: { type: 'price', min: 50, max: 5 } }), ['schema.p: min (50) must not be greater than max (5)']);
+  assert.deepEqual(problems({ x: { type: 'number', decimals: 500 } }), ['schema.x: decimals must be an integer between 0 and 20']);
+});
+
+test('array lengths are capped, alone and nested', () => {
+  const problems = schema => validateFields(schema);
+  assert.deepEqual(problems({ a: { type: 'array', of: 'sku', max: 100 } }), []);
+  assert.deepEqual(problems({ a: { type: 'array', of: 'sku', max: 1e9 } }), ['schema.a: min and max must be between 0 and 100']);
+  assert.deepEqual(problems({ a: { type: 'array', of: 'sku', min: 4, max: 2 } }), ['schema.a: min (4) must not be greater than max (2)']);
+  assert.deepEqual(problems({ a: { type: 'array', of: { type: 'object', fields: { b: { type: 'array', of: 'sku', max: 50 } } }, max: 50 } }),
+    ['schema.a.of.fields.b: nested arrays can produce 2500 values per record (at most 1000)']);
+  assert.deepEqual(problems({ a: { type: 'array' } }), ['schema.a.of is required']);
+});
+
+test('generated arrays stay within their bounds', () => {
+  const { records } = createGenerator().generate({ schema: { tags: { type: 'array', of: 'sku', min: 2, max: 4 } }, count: 30 });
+  for (const { tags } of records) assert.ok(tags.length >= 2 && tags.length <= 4);
+});
+
+test('counts and unknown schemas are reported', () => {
+  const generator = createGenerator({ filePath: path.join(__dirname, '..', 'generator', 'catalogue.yaml') });
+  assert.match(generator.generate({ count: 1001 }).errors[0], /count must be an integer between 1 and 1000/);
+  assert.match(generator.generate({ schema: 'nope' }).errors[0], /Unknown schema: nope/);
+  assert.throws(() => generator.renderDirective({ $generate: 'nope' }), /Invalid \$generate directive/);
+});
+
+test.describe('/generate', () => {
+  let mock;
+
+  test.before(async () => {
+    mock = await startService();
+  });
+
+  test.after(() => mock.close());
+
+  test('GET and POST serve the same records for the same seed', async () => {
+    const got = await mock.request('GET', '/generate?schema=product&count=2&seed=s1&start=5');
+    assert.equal(got.status, 200);
+    assert.equal(got.body.data.length, 2);
+    const posted = await mock.request('POST', '/generate', { body: { schema: 'product', count: 1, seed: 's1', start: 6 } });
+    assert.deepEqual(posted.body.data[0], got.body.data[1]);
+
+    const inline = await mock.request('POST', '/generate', { body: { schema: { code: 'sku', n: { type: 'integer', min: 1, max: 3 } }, count: 3 } });
+    assert.deepEqual(Object.keys(inline.body.data[0]).sort(), ['code', 'n']);
+  });
+
+  test('inline schemas with impossible bounds are a 400', async () => {
+    const response = await mock.request('POST', '/generate', { body: { schema: { n: { type: 'integer', min: 10, max: 1 } } } });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error_type, 'validation_error');
+    assert.deepEqual(response.body.errors, ['schema.n: min (10) must not be greater than max (1)']);
+    const huge = await mock.request('POST', '/generate', { body: { schema: { a: { type: 'array', of: 'uuid', max: 1e9 } } } });
+    assert.equal(huge.status, 400);
+    assert.equal((await mock.request('GET', '/generate?count=5000')).status, 400);
+  });
+});
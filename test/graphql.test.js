@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { parseDocument, parseSchemaDefinitions } = require('../lib/graphql-language');
+const { startService } = require('./helpers/service');
+
+// Drop locations so expectations stay readable
+const strip = value => JSON.parse(JSON.stringify(value, (key, field) => (key === 'location' ? undefined : field)));
+
+test('operations carry variables, aliases, arguments and fragments', () => {
+  const document = strip(parseDocument(`
+    query Product($id: ID!, $first: Int = 10) {
+      item: product(id: $id) { sku ...Names }
+    }
+    fragment Names on Product { name }
+  `));
+  const [operation, fragment] = document.definitions;
+  assert.equal(operation.operation, 'query');
+  assert.equal(operation.name, 'Product');
+  assert.deepEqual(operation.variables.map(variable => variable.name), ['id', 'first']);
+  assert.deepEqual(operation.variables[0].type, { kind: 'NON_NULL', ofType: { kind: 'NAMED', name: 'ID' } });
+  assert.deepEqual(operation.variables[1].defaultValue, { kind: 'Int', value: '10' });
+  const [field] = operation.selectionSet;
+  assert.equal(field.alias, 'item');
+  assert.deepEqual(field.arguments, [{ name: 'id', value: { kind: 'Variable', name: 'id' } }]);
+  assert.deepEqual(field.selectionSet.map(selection => selection.kind), ['Field', 'FragmentSpread']);
+  assert.equal(fragment.kind, 'FragmentDefinition');
+  assert.equal(fragment.typeCondition, 'Product');
+});
+
+test('input values of every kind are parsed', () => {
+  const document = strip(parseDocument('mutation { createItem(input: { sku: "X", tags: ["a"], n: -1.5e2, ok: true, none: null, kind: BIG }) { sku } }'));
+  const [argument] = document.definitions[0].selectionSet[0].arguments;
+  assert.deepEqual(argument.value.fields.map(field => field.value.kind), ['String', 'List', 'Float', 'Boolean', 'Null', 'Enum']);
+  assert.equal(argument.value.fields[2].value.value, '-1.5e2');
+});
+
+test('the query shorthand, inline fragments and directives are accepted', () => {
+  const document = strip(parseDocument('{ products @include(if: $all) { ... on Product { sku } } }'));
+  assert.equal(document.definitions[0].operation, 'query');
+  const [field] = document.definitions[0].selectionSet;
+  assert.equal(field.directives[0].name, 'include');
+  assert.equal(field.selectionSet[0].kind, 'InlineFragment');
+  assert.equal(field.selectionSet[0].typeCondition, 'Product');
+});
+
+test('syntax errors carry the GraphQL location', () => {
+  const cases = [
+    ['{ a(x: "open) }', 'Unterminated string', { line: 1, column: 8 }],
+    ['query { a } }', 'Unexpected "}"', { line: 1, column: 13 }],
+    ['{\n  a(x: $)\n}', 'Expected a name, found ")"', { line: 2, column: 9 }]
+  ];
+  for (const [source, message, location] of cases) {
+    assert.throws(() => parseDocument(source), error => {
+      assert.equal(error.message, `Syntax Error: ${message}`);
+      assert.deepEqual(error.locations, [location]);
+      return true;
+    });
+  }
+});
+
+test('schema definitions list types with their fields and arguments', () => {
+  const definitions = strip(parseSchemaDefinitions(`
+    type Query { product(id: ID!): Product products(first: Int = 5): [Product!]! }
+    type Product { sku: String! tags: [String] }
+    enum Status { ACTIVE DRAFT }
+  `));
+  assert.deepEqual(definitions.map(definition => `${definition.keyword} ${definition.name}`), ['type Query', 'type Product', 'enum Status']);
+  const products = definitions[0].fields[1];
+  assert.deepEqual(products.args[0].defaultValue, { kind: 'Int', value: '5' });
+  assert.deepEqual(products.type, { kind: 'NON_NULL', ofType: { kind: 'LIST', ofType: { kind: 'NON_NULL', ofType: { kind: 'NAMED', name: 'Product' } } } });
+});
+
+test.describe('MOCK_GRAPHQL_FILE', () => {
+  let mock;
+
+  test.before(async () => {
+    mock = await startService({ env: { MOCK_GRAPHQL_FILE: path.join(__dirname, '..', 'graphql', 'graphql.yaml') }, config: { rateLimitMax: 1000 } });
+  });
+
+  test.after(() => mock.close());
+
+  const query = (body, headers = {}) => mock.request('POST', '/graphql', { headers, body });
+
+  test('stubs and generated data resolve a query', async () => {
+    const { status, body } = await query({
+      query: 'query P($sku: String!) { item: product(sku: $sku) { sku name status price { amount currency } stock } }',
+      variables: { sku: 'AB-12' }
+    });
+    assert.equal(status, 200);
+    const { stock, ...stubbed } = body.data.item;
+    assert.deepEqual(stubbed, { sku: 'AB-12', name: 'Product AB-12', status: 'ACTIVE', price: { amount: 19.99, currency: 'EUR' } });
+    assert.equal(typeof stock, 'number');
+    // Generated values are stable for the same field path and arguments
+    const listed = async () => (await query({ query: '{ products(first: 2) { sku } }' })).body.data.products;
+    assert.equal((await listed()).length, 2);
+    assert.deepEqual(await listed(), await listed());
+  });
+
+  test('stubbed errors, parse and validation failures follow GraphQL over HTTP', async () => {
+    const deleted = await query({ query: 'mutation { deleteProduct(sku: "A") }' });
+    assert.equal(deleted.status, 200);
+    assert.equal(deleted.body.data.deleteProduct, null);
+    assert.equal(deleted.body.errors[0].extensions.code, 'FORBIDDEN');
+    assert.deepEqual(deleted.body.errors[0].path, ['deleteProduct']);
+
+    assert.equal((await query({ query: '{ product(sku: "A") {' })).body.errors[0].extensions.code, 'GRAPHQL_PARSE_FAILED');
+    const unknown = await query({ query: '{ product(sku: "A") { colour } }' });
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.errors[0].extensions.code, 'GRAPHQL_VALIDATION_FAILED');
+    assert.equal((await query({ query: 'query P($sku: String!) { product(sku: $sku) { sku } }' })).body.errors[0].extensions.code, 'BAD_USER_INPUT');
+    assert.equal((await mock.request('GET', `/graphql?query=${encodeURIComponent('mutation { deleteProduct(sku: "A") }')}`)).status, 405);
+  });
+
+  test('field chaos gives partial data with errors', async () => {
+    await mock.request('PATCH', '/__admin/config', { body: { graphqlFieldErrorChance: 1 } });
+    try {
+      const { status, body } = await query({ query: '{ product(sku: "A") { sku } }' });
+      assert.equal(status, 200);
+      assert.equal(body.data.product, null);
+      assert.equal(body.errors[0].extensions.code, 'INTERNAL_SERVER_ERROR');
+      assert.ok(mock.logEntries('graphql_response').slice(-1)[0].faults.length >= 1);
+    } finally {
+      await mock.request('POST', '/__admin/config/reset');
+    }
+  });
+});
@@ -0,0 +1,181 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http2 = require('http2');
+const os = require('os');
+const path = require('path');
+const { loadProtos, parseProto, encodeMessage, decodeMessage } = require('../lib/protobuf');
+const { startService } = require('./helpers/service');
+
+const scalarsProto = `
+syntax = "proto3";
+package test.v1;
+import "google/protobuf/duration.proto";
+message Scalars {
+  int32 small = 1;
+  sint32 zigzag = 2;
+  int64 big = 3;
+  uint32 unsigned = 4;
+  bool flag = 5;
+  float ratio = 6;
+  bytes blob = 7;
+  repeated int32 packed = 8;
+  fixed64 stamp = 9;
+  Kind kind = 10;
+  google.protobuf.Duration timeout = 11;
+  enum Kind { KIND_UNSPECIFIED = 0; BIG = 1; }
+}
+`;
+
+// protoc --encode=test.v1.Scalars of the same values
+const scalarsBytes = '08feffffffffffffffff0110051881808080808080102080d0acf30e2801350000003f3a0201ff420d01ac02ffffffffffffffffff0149ffffffffffffffff50015a0808011080cab5ee01';
+const scalars = {
+  small: -2,
+  zigzag: -3,
+  big: '9007199254740993',
+  unsigned: 4000000000,
+  flag: true,
+  ratio: 0.5,
+  blob: 'Af8=',
+  packed: [1, 300, -1],
+  stamp: '18446744073709551615',
+  kind: 'BIG',
+  timeout: { seconds: '1', nanos: 500000000 }
+};
+
+function loadTypes() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mao-mock-proto-'));
+  try {
+    fs.writeFileSync(path.join(directory, 'scalars.proto'), scalarsProto);
+    return loadProtos([path.join(directory, 'scalars.proto')]).types;
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+test('scalars encode byte for byte like protoc and decode back', () => {
+  const type = loadTypes().get('test.v1.Scalars');
+  const bytes = encodeMessage(type, { ...scalars, timeout: '1.5s' });
+  assert.equal(bytes.toString('hex'), scalarsBytes);
+  assert.deepEqual(decodeMessage(type, Buffer.from(scalarsBytes, 'hex')), scalars);
+});
+
+test('unset proto3 fields decode to their defaults and unknown fields are skipped', () => {
+  const type = loadTypes().get('test.v1.Scalars');
+  const decoded = decodeMessage(type, Buffer.from('980601', 'hex'));
+  assert.equal(decoded.small, 0);
+  assert.equal(decoded.big, '0');
+  assert.equal(decoded.kind, 'KIND_UNSPECIFIED');
+  assert.deepEqual(decoded.packed, []);
+  assert.equal(decoded.timeout, undefined);
+});
+
+test('the example catalogue round-trips maps, nested messages and timestamps', () => {
+  const type = loadProtos([path.join(__dirname, '..', 'grpc', 'catalogue.proto')]).types.get('mao.catalogue.v1.Product');
+  const product = encodeMessage(type, {
+    sku: 'A-1',
+    status: 'ACTIVE',
+    price: { currency: 'EUR', amount: 1.5 },
+    stock: { AMS: -3 },
+    tags: ['x', 'y'],
+    updatedAt: '2023-11-14T22:13:20.000000005Z'
+  });
+  // protoc --encode=mao.catalogue.v1.Product
+  assert.equal(product.toString('hex'), '0a03412d311801220e0a0345555211000000000000f83f2a100a03414d5310fdffffffffffffffff013201783201793a080880e2cfaa061005');
+  const decoded = decodeMessage(type, product);
+  assert.deepEqual(decoded.stock, { AMS: -3 });
+  assert.deepEqual(decoded.updated_at, { seconds: '1700000000', nanos: 5 });
+});
+
+test('values that do not fit their field are rejected', () => {
+  const type = loadTypes().get('test.v1.Scalars');
+  assert.throws(() => encodeMessage(type, { small: 'twelve' }), /must be an integer/);
+  assert.throws(() => encodeMessage(type, { kind: 'HUGE' }), /must be a test\.v1\.Scalars\.Kind value/);
+  assert.throws(() => encodeMessage(type, { timeout: '90 minutes' }), /must be a duration/);
+  assert.throws(() => encodeMessage(type, []), /must be an object/);
+});
+
+test('truncated input is reported', () => {
+  const type = loadTypes().get('test.v1.Scalars');
+  assert.throws(() => decodeMessage(type, Buffer.from('08ff', 'hex')), /Truncated varint/);
+  assert.throws(() => decodeMessage(type, Buffer.from('3a0501', 'hex')), /Truncated field/);
+});
+
+test('parse errors name the file and line', () => {
+  assert.throws(() => parseProto('syntax = "proto3";\nmessage A { int32 a = ; }', 'broken.proto'), /^Error: broken\.proto:2: /);
+  assert.throws(() => parseProto('message A { int32 a = 1; } #', 'odd.proto'), /odd\.proto:1: unexpected character "#"/);
+});
+
+test.describe('MOCK_GRPC_FILE', () => {
+  const types = loadProtos([path.join(__dirname, '..', 'grpc', 'catalogue.proto')]).types;
+  const type = name => types.get(`mao.catalogue.v1.${name}`);
+  let mock;
+  let client;
+
+  test.before(async () => {
+    mock = await startService({ http2: true, env: { MOCK_GRPC_FILE: path.join(__dirname, '..', 'grpc', 'grpc.yaml') }, config: { rateLimitMax: 1000 } });
+    client = http2.connect(mock.url);
+  });
+
+  test.after(async () => {
+    client.close();
+    await mock.close();
+  });
+
+  // One call as { messages, status, message, trailers }, the response messages decoded as responseType
+  function call(method, requestType, request, responseType, metadata = {}) {
+    const payload = encodeMessage(type(requestType), request);
+    const frame = Buffer.alloc(5 + payload.length);
+    frame.writeUInt32BE(payload.length, 1);
+    payload.copy(frame, 5);
+    return new Promise((resolve, reject) => {
+      const stream = client.request({
+        ':method': 'POST',
+        ':path': `/mao.catalogue.v1.ProductCatalogue/${method}`,
+        'content-type': 'application/grpc',
+        te: 'trailers',
+        ...metadata
+      });
+      const chunks = [];
+      let headers = {};
+      stream.on('response', received => { headers = received; });
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('trailers', trailers => { headers = { ...headers, ...trailers }; });
+      stream.on('end', () => {
+        let body = Buffer.concat(chunks);
+        const messages = [];
+        while (body.length >= 5) {
+          const length = body.readUInt32BE(1);
+          messages.push(decodeMessage(type(responseType), body.subarray(5, 5 + length)));
+          body = body.subarray(5 + length);
+        }
+        resolve({ messages, status: Number(headers['grpc-status']), message: headers['grpc-message'], trailers: headers });
+      });
+      stream.on('error', reject);
+      stream.end(frame);
+    });
+  }
+
+  test('unary calls answer the stub with generated fields filled in', async () => {
+    const { messages: [product], status } = await call('GetProduct', 'GetProductRequest', { sku: 'AB-12' }, 'Product');
+    assert.equal(status, 0);
+    assert.equal(product.sku, 'AB-12');
+    assert.equal(product.name, 'Product AB-12');
+    assert.equal(product.status, 'ACTIVE');
+    assert.deepEqual(product.price, { currency: 'EUR', amount: 19.99 });
+
+    const listed = await call('ListProducts', 'ListProductsRequest', { page_size: 4 }, 'ListProductsResponse');
+    assert.equal(listed.messages[0].products.length, 4);
+  });
+
+  test('stub errors and chaos end the call with a gRPC status', async () => {
+    const deleted = await call('DeleteProduct', 'DeleteProductRequest', { sku: 'AB-12' }, 'DeleteProductResponse');
+    assert.equal(deleted.status, 9);
+    assert.equal(deleted.trailers['x-open-orders'], '3');
+
+    const limited = await call('GetProduct', 'GetProductRequest', { sku: 'AB-12' }, 'Product', { 'x-mock-force-error-type': 'rate_limit' });
+    assert.equal(limited.status, 8);
+    assert.equal(limited.trailers['x-mock-error-type'], 'rate_limit');
+    assert.ok(Number(limited.trailers['grpc-retry-pushback-ms']) > 0);
+  });
+});
@@ -0,0 +1,53 @@
+const { createMockService } = require('../../mao.mock.service');
+
+// Start an in-process mock on a free port for a node --test file, over h2c with http2: true.
+// The service logs every request, so console.log is captured while it runs and the lines are kept for assertions.
+async function startService({ http2 = false, ...options } = {}) {
+  const logLines = [];
+  const consoleLog = console.log;
+  console.log = (...args) => logLines.push(args.join(' '));
+
+  let service;
+  let url;
+  try {
+    service = createMockService({ profile: 'stable', ...options });
+    url = (await service.listen({ port: 0, http2 })).url;
+  } catch (error) {
+    console.log = consoleLog;
+    throw error;
+  }
+
+  async function request(method, path, { headers = {}, body } = {}) {
+    const response = await fetch(url + path, {
+      method,
+      headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let parsed = text;
+    if (/json/.test(response.headers.get('content-type') || '') && text) {
+      parsed = JSON.parse(text);
+    }
+    return { status: response.status, headers: response.headers, body: parsed };
+  }
+
+  // Structured log entries of one type, oldest first
+  function logEntries(type) {
+    return logLines
+      .filter(line => line.startsWith('{'))
+      .map(line => JSON.parse(line))
+      .filter(entry => entry.type === type);
+  }
+
+  async function close() {
+    try {
+      await service.close();
+    } finally {
+      console.log = consoleLog;
+    }
+  }
+
+  return { service, url, request, logLines, logEntries, close };
+}
+
+module.exports = { startService };
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createIdempotencyStore } = require('../lib/idempotency');
+const { startService } = require('./helpers/service');
+
+const request = (body, url = '/api/orders?dry_run=1') => ({ method: 'POST', url, path: url.split('?')[0], body });
+const createStore = (ttlMs = 1000, maxKeys = 10) => createIdempotencyStore({ ttlMs: () => ttlMs, maxKeys: () => maxKeys });
+
+test('a completed key replays its response', () => {
+  const store = createStore();
+  assert.equal(store.claim('k', request({ sku: 'A' }), 'r1', 0).outcome, 'claimed');
+  assert.equal(store.claim('k', request({ sku: 'A' }), 'r2', 1).outcome, 'in_progress');
+  store.complete('k', 'r1', { status: 201, body: { id: 1 } });
+  const replay = store.claim('k', request({ sku: 'A' }), 'r3', 2);
+  assert.equal(replay.outcome, 'replay');
+  assert.deepEqual(replay.response, { status: 201, body: { id: 1 } });
+  assert.equal(store.list(2)[0].replays, 1);
+});
+
+test('bodies are compared regardless of key order', () => {
+  const store = createStore();
+  store.claim('k', request({ sku: 'A', lines: [{ qty: 1, price: 2 }], meta: { b: 1, a: 2 } }), 'r1', 0);
+  const outcome = store.claim('k', request({ meta: { a: 2, b: 1 }, lines: [{ price: 2, qty: 1 }], sku: 'A' }), 'r2', 1).outcome;
+  assert.equal(outcome, 'in_progress');
+});
+
+test('a different body, query string or array order is a mismatch', () => {
+  const store = createStore();
+  store.claim('k', request({ tags: ['a', 'b'] }), 'r1', 0);
+  assert.equal(store.claim('k', request({ tags: ['b', 'a'] }), 'r2', 1).outcome, 'mismatch');
+  assert.equal(store.claim('k', request({ tags: ['a', 'b'] }, '/api/orders?dry_run=0'), 'r2', 1).outcome, 'mismatch');
+  assert.equal(store.claim('k', { ...request({ tags: ['a', 'b'] }), method: 'PATCH' }, 'r2', 1).outcome, 'mismatch');
+});
+
+test('keys expire, can be released and are bounded', () => {
+  const store = createStore(100, 2);
+  assert.equal(store.claim('', request({}), 'r0', 0).outcome, 'invalid');
+  assert.equal(store.claim('x'.repeat(256), request({}), 'r0', 0).outcome, 'invalid');
+  store.claim('a', request({}), 'r1', 0);
+  assert.equal(store.claim('a', request({}), 'r2', 100).outcome, 'claimed');
+  store.release('a', 'r1');
+  assert.equal(store.claim('a', request({}), 'r3', 101).outcome, 'in_progress');
+  store.release('a', 'r2');
+  assert.equal(store.claim('a', request({}), 'r3', 102).outcome, 'claimed');
+  store.claim('b', request({}), 'r4', 103);
+  store.claim('c', request({}), 'r5', 104);
+  assert.equal(store.size(), 2);
+  assert.equal(store.claim('a', request({ other: true }), 'r6', 105).outcome, 'claimed');
+});
+
+test.describe('Idempotency-Key requests', () => {
+  let mock;
+
+  test.before(async () => {
+    mock = await startService({ config: { rateLimitMax: 1000 } });
+  });
+
+  test.after(() => mock.close());
+
+  test.beforeEach(() => mock.request('DELETE', '/__admin/idempotency'));
+
+  test('requests replay regardless of body key order', async () => {
+    const headers = { 'Idempotency-Key': 'order-1' };
+    const first = await mock.request('POST', '/api/orders?source=test', { headers, body: { name: 'A', extra: { b: 1, a: 2 } } });
+    const replay = await mock.request('POST', '/api/orders?source=test', { headers, body: { extra: { a: 2, b: 1 }, name: 'A' } });
+    assert.equal(replay.headers.get('idempotent-replayed'), 'true');
+    assert.equal(replay.body.requestId, first.body.requestId);
+    const otherQuery = await mock.request('POST', '/api/orders?source=other', { headers, body: { name: 'A', extra: { b: 1, a: 2 } } });
+    assert.equal(otherQuery.status, 422);
+    assert.equal(otherQuery.body.error_type, 'idempotency_key_mismatch');
+    assert.equal((await mock.request('POST', '/api/orders', { headers: { 'Idempotency-Key': '' }, body: {} })).body.error_type, 'invalid_idempotency_key');
+  });
+
+  test('keys are scoped to the session', async () => {
+    const send = (session, body) => mock.request('POST', '/api/orders', {
+      headers: { 'Idempotency-Key': 'shared-key', ...(session ? { 'X-Mock-Session': session } : {}) },
+      body
+    });
+    const defaultFirst = await send(null, { name: 'A' });
+    const suiteFirst = await send('suite-a', { name: 'B' });
+    assert.equal(suiteFirst.status, 200);
+    assert.equal(suiteFirst.headers.get('idempotent-replayed'), null);
+    assert.notEqual(suiteFirst.body.requestId, defaultFirst.body.requestId);
+
+    assert.equal((await send('suite-a', { name: 'B' })).body.requestId, suiteFirst.body.requestId);
+    assert.equal((await send('suite-b', { name: 'A' })).headers.get('idempotent-replayed'), null);
+    assert.equal((await send(null, { name: 'A' })).body.requestId, defaultFirst.body.requestId);
+
+    const { keys } = (await mock.request('GET', '/__admin/idempotency')).body;
+    assert.deepEqual(keys.map(entry => entry.key).sort(), ['session:suite-a|shared-key', 'session:suite-b|shared-key', 'shared-key']);
+  });
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { createJobStore, matchAsyncRoute, validateCallbackUrl } = require('../lib/jobs');
+const { startService } = require('./helpers/service');
+
+test('callback URLs must be absolute http(s) URLs', () => {
+  assert.equal(validateCallbackUrl('https://hooks.example.com/jobs'), null);
+  assert.equal(validateCallbackUrl('/relative'), 'Callback URL is not a valid absolute URL');
+  assert.equal(validateCallbackUrl('ftp://example.com/'), 'Callback URL must use http or https');
+});
+
+test('internal addresses are refused unless allowed', () => {
+  for (const url of ['http://localhost:3000/', 'http://127.0.0.1/', 'http://0x7f.1/', 'http://10.1.2.3/', 'http://169.254.169.254/latest/meta-data',
+    'http://172.20.0.1/', 'http://192.168.1.1/', 'http://[::1]/', 'http://[fe80::1]/', 'http://[fd00::1]/', 'http://[::ffff:10.0.0.1]/', 'http://app.localhost/']) {
+    assert.match(validateCallbackUrl(url), /is an internal address/, url);
+  }
+  assert.equal(validateCallbackUrl('http://172.32.0.1/'), null);
+  assert.equal(validateCallbackUrl('http://localhost:3000/', ['localhost']), null);
+  assert.equal(validateCallbackUrl('http://[::1]:3000/', ['::1']), null);
+});
+
+test('an allow list admits only the listed hosts', () => {
+  const allowed = ['hooks.example.com', '*.internal.test'];
+  assert.equal(validateCallbackUrl('https://hooks.example.com/a', allowed), null);
+  assert.equal(validateCallbackUrl('https://ci.internal.test/a', allowed), null);
+  assert.equal(validateCallbackUrl('https://internal.test/a', allowed), 'Callback host internal.test is not in MOCK_CALLBACK_ALLOWED_HOSTS');
+  assert.equal(validateCallbackUrl('https://example.com/a', allowed), 'Callback host example.com is not in MOCK_CALLBACK_ALLOWED_HOSTS');
+});
+
+// Delivery resolves the name itself, so a name that passed validation still cannot reach an internal address
+test('host names resolving to internal addresses are not called', async () => {
+  const logs = [];
+  const store = createJobStore({ callbackSecret: 'secret', logJson: entry => logs.push(entry) });
+  const job = store.create({
+    requestId: 'req_test',
+    method: 'POST',
+    path: '/api/exports',
+    queuedMs: 0,
+    runningMs: 0,
+    callbackUrl: 'http://localhost:9/callback',
+    callback: { maxAttempts: 1, retryBaseMs: 10 }
+  });
+  store.setResult(job.id, { status: 200, body: {} });
+  for (let i = 0; i < 100 && job.callback.state !== 'failed'; i++) await new Promise(resolve => setTimeout(resolve, 10));
+  assert.equal(job.status, 'succeeded');
+  assert.equal(job.callback.state, 'failed');
+  assert.match(job.callback.attempts[0].error, /Callback host localhost resolves to internal address/);
+  store.clear();
+});
+
+test('async routes match path patterns', () => {
+  const routes = ['/api/exports', '/api/items/:sku'];
+  assert.equal(matchAsyncRoute(routes, '/api/items/A-1'), true);
+  assert.equal(matchAsyncRoute(routes, '/api/orders'), false);
+  assert.equal(matchAsyncRoute([], '/api/exports'), false);
+});
+
+test('respond-async requests finish as jobs and post a signed callback', async () => {
+  const callbacks = [];
+  const receiver = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      callbacks.push({ headers: req.headers, raw });
+      res.end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  const mock = await startService({
+    env: { MOCK_CALLBACK_ALLOWED_HOSTS: '127.0.0.1', MOCK_CALLBACK_SECRET: 'test-secret' },
+    config: { jobQueuedMs: 0, jobRunningMs: 0, jobFailureChance: 0 }
+  });
+  try {
+    const accepted = await mock.request('POST', '/api/exports', {
+      headers: { Prefer: 'respond-async', 'X-Callback-Url': `http://127.0.0.1:${receiver.address().port}/done` },
+      body: { format: 'csv' }
+    });
+    assert.equal(accepted.status, 202);
+    assert.equal(accepted.headers.get('preference-applied'), 'respond-async');
+    assert.equal(accepted.headers.get('location'), accepted.body.status_url);
+
+    let job;
+    for (let i = 0; i < 100; i++) {
+      job = (await mock.request('GET', accepted.body.status_url)).body.job;
+      if (!['pending', 'delivering'].includes(job.callback.state)) break;
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.equal(job.status, 'succeeded');
+    assert.equal(job.result.status, 200);
+    assert.equal(job.callback.state, 'delivered');
+
+    const [{ headers, raw }] = callbacks;
+    assert.equal(headers['x-mock-job-id'], accepted.body.job_id);
+    const expected = crypto.createHmac('sha256', 'test-secret').update(`${headers['x-mock-signature-timestamp']}.${raw}`).digest('hex');
+    assert.equal(headers['x-mock-signature'], `sha256=${expected}`);
+    assert.equal(JSON.parse(raw).status, 'succeeded');
+  } finally {
+    await mock.close();
+    await new Promise(resolve => receiver.close(resolve));
+  }
+});
+
+test('async jobs refuse callbacks to internal addresses', async () => {
+  const mock = await startService();
+  try {
+    const response = await mock.request('POST', '/api/exports', {
+      headers: { Prefer: 'respond-async', 'X-Callback-Url': 'http://169.254.169.254/latest/meta-data' },
+      body: {}
+    });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error_type, 'invalid_callback_url');
+  } finally {
+    await mock.close();
+  }
+});
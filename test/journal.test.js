@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createJournal, validateFilter } = require('../lib/journal');
+const { startService } = require('./helpers/service');
+
+const entry = (method, path, extra = {}) => ({
+  method,
+  path,
+  query: {},
+  headers: {},
+  body: null,
+  chaos: 'none',
+  session: 'default',
+  response: { status: 200, error_type: null },
+  ...extra
+});
+
+test('the journal drops its oldest entries beyond maxEntries', () => {
+  const journal = createJournal({ maxEntries: 2 });
+  ['/a', '/b', '/c'].forEach(path => journal.record(entry('GET', path)));
+  assert.deepEqual(journal.find().map(recorded => recorded.path), ['/b', '/c']);
+  assert.deepEqual(journal.describe(), { entries: 2, max_entries: 2, dropped: 1 });
+
+  const disabled = createJournal({ maxEntries: 0 });
+  disabled.record(entry('GET', '/a'));
+  assert.equal(disabled.find().length, 0);
+});
+
+test('filters match method, path patterns, bodies, headers and responses', () => {
+  const journal = createJournal();
+  journal.record(entry('POST', '/api/items', { body: { sku: 'AB-12', qty: 1 }, headers: { 'x-client': 'sync' } }));
+  journal.record(entry('POST', '/api/items', { body: { sku: 'CD-34' }, response: { status: 500, error_type: 'server_error' }, chaos: 'server_error' }));
+  journal.record(entry('GET', '/api/items/AB-12'));
+
+  assert.equal(journal.find({ method: 'post', path: '/api/items', body: { sku: 'AB-12' } }).length, 1);
+  assert.equal(journal.find({ path: '/api/*' }).length, 3);
+  assert.equal(journal.find({ path: '/api/items/:sku' }).length, 1);
+  assert.equal(journal.find({ headers: { 'X-Client': 'sync' } }).length, 1);
+  assert.equal(journal.find({ status: 500, error_type: 'server_error', chaos: 'server_error' }).length, 1);
+  assert.deepEqual(journal.verify({ method: 'POST' }, { count: 2 }), { passed: true, actual: 2 });
+  assert.equal(journal.verify({ method: 'POST' }, { atMost: 1 }).passed, false);
+  assert.deepEqual(validateFilter({ status: '200', headers: 'x' }), ['headers must be an object', 'status must be an integer']);
+});
+
+let mock;
+
+test.describe('admin endpoints', () => {
+  test.before(async () => {
+    mock = await startService({ config: { rateLimitMax: 1000 } });
+  });
+
+  test.after(() => mock.close());
+
+  test.beforeEach(() => mock.request('DELETE', '/__admin/requests'));
+
+  test('requests are recorded with the response and chaos decision', async () => {
+    await mock.request('POST', '/api/items?src=ci', { body: { sku: 'AB-12' } });
+    await mock.request('GET', '/api/items/1', { headers: { 'X-Mock-Force-Error-Type': 'timeout' } });
+    const { body } = await mock.request('POST', '/__admin/requests/find', { body: { method: 'POST', body: { sku: 'AB-12' } } });
+    assert.equal(body.total, 1);
+    assert.deepEqual(body.requests[0].query, { src: 'ci' });
+    assert.equal(body.requests[0].response.status, 200);
+
+    const count = await mock.request('POST', '/__admin/requests/count', { body: { error_type: 'timeout', chaos: 'forced' } });
+    assert.equal(count.body.count, 1);
+  });
+
+  test('verify answers 200 or 417', async () => {
+    for (let i = 0; i < 3; i++) {
+      await mock.request('POST', '/api/items', { body: { sku: 'AB-12' } });
+    }
+    const passed = await mock.request('POST', '/__admin/requests/verify', { body: { path: '/api/items', expect: { count: 3 } } });
+    assert.equal(passed.status, 200);
+    assert.equal(passed.body.passed, true);
+    const failed = await mock.request('POST', '/__admin/requests/verify', { body: { path: '/api/items', expect: { atLeast: 4 } } });
+    assert.equal(failed.status, 417);
+    assert.equal(failed.body.actual, 3);
+    const invalid = await mock.request('POST', '/__admin/requests/verify', { body: { path: '/api/items' } });
+    assert.equal(invalid.status, 400);
+  });
+
+  test('GET lists the newest entries up to limit', async () => {
+    for (const path of ['/a', '/b', '/c']) {
+      await mock.request('GET', path);
+    }
+    const limited = await mock.request('GET', '/__admin/requests?method=GET&limit=2');
+    assert.equal(limited.body.total, 3);
+    assert.deepEqual(limited.body.requests.map(recorded => recorded.path), ['/b', '/c']);
+    assert.equal((await mock.request('GET', '/__admin/requests?limit=0')).body.requests.length, 0);
+    assert.equal((await mock.request('GET', '/__admin/requests?limit=10')).body.requests.length, 3);
+    assert.equal((await mock.request('GET', '/__admin/requests')).body.requests.length, 3);
+  });
+
+  test('invalid limits and filters are a 400', async () => {
+    for (const query of ['limit=-1', 'limit=abc', 'limit=1.5', 'limit=', 'limit=1&limit=2', 'status=ok']) {
+      const { status, body } = await mock.request('GET', `/__admin/requests?${query}`);
+      assert.equal(status, 400, query);
+      assert.equal(body.error_type, 'validation_error');
+      assert.equal(body.message, 'Invalid request filter');
+    }
+  });
+
+  test('admin requests are not journaled and DELETE clears the journal', async () => {
+    await mock.request('GET', '/a');
+    await mock.request('GET', '/__admin/config');
+    assert.equal((await mock.request('GET', '/__admin/requests')).body.total, 1);
+    await mock.request('DELETE', '/__admin/requests');
+    assert.equal((await mock.request('GET', '/__admin/requests')).body.total, 0);
+  });
+});
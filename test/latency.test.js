@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { validateLatencySettings, createLatencyPlanner } = require('../lib/latency');
+const { startService } = require('./helpers/service');
+
+const root = path.join(__dirname, '..');
+
+// Replays the given draws in order
+const draws = (...values) => ({ random: () => values.shift() });
+const get = path => ({ method: 'GET', path });
+
+test('settings are validated per distribution', () => {
+  assert.deepEqual(validateLatencySettings({}), []);
+  assert.deepEqual(validateLatencySettings({ global: { distribution: 'lognormal', median: 80 } }), ['global.sigma is required for lognormal']);
+  assert.deepEqual(validateLatencySettings({ jitter: { distribution: 'uniform', min: 50, max: 10 } }), ['jitter.min must not exceed max']);
+  assert.deepEqual(validateLatencySettings({ routes: [{ path: 'items', distribution: 'constant', value: 1 }] }), ['routes[0].path must be a path starting with /']);
+  assert.deepEqual(
+    validateLatencySettings({ global: { distribution: 'percentiles', p50: 100, p90: 50, p99: 200, max: 300 } }),
+    ['global percentiles must be ordered: min <= p50 <= p90 <= p99 <= max']
+  );
+  assert.match(validateLatencySettings({ global: { distribution: 'constant', value: 200000 } })[0], /between 0 and 120000/);
+  assert.deepEqual(validateLatencySettings({ bogus: 1 }), ['Unknown latency setting: bogus']);
+});
+
+test('the first matching route profile wins, then global, then legacy', () => {
+  const planner = createLatencyPlanner({
+    global: { distribution: 'constant', value: 10 },
+    routes: [
+      { method: 'POST', path: '/api/items', distribution: 'constant', value: 300 },
+      { path: '/api/*', distribution: 'uniform', min: 100, max: 200 }
+    ]
+  });
+  assert.equal(planner.plan({ method: 'POST', path: '/api/items' }, draws()).delayMs, 300);
+  const wildcard = planner.plan(get('/api/items'), draws(0.5));
+  assert.deepEqual(wildcard, { delayMs: 150, baseMs: 150, jitterMs: 0, distribution: 'uniform', profile: 'route:* /api/*' });
+  assert.equal(planner.plan(get('/health'), draws()).profile, 'global');
+
+  const legacy = createLatencyPlanner({}).plan(get('/'), draws(0.9, 0.5), { distribution: 'uniform', chance: 0.15, min: 500, max: 2000 });
+  assert.deepEqual(legacy, { delayMs: 0, baseMs: 0, jitterMs: 0, distribution: 'none', profile: 'legacy' });
+});
+
+test('draws are clamped, and jitter is added on top', () => {
+  const planner = createLatencyPlanner({
+    global: { distribution: 'pareto', scale: 40, shape: 2.5, max: 1000 },
+    jitter: { distribution: 'uniform', min: 5, max: 25 }
+  });
+  const plan = planner.plan(get('/'), draws(0.999999999, 0.5));
+  assert.equal(plan.baseMs, 1000);
+  assert.equal(plan.jitterMs, 15);
+  assert.equal(plan.delayMs, 1015);
+
+  const percentiles = createLatencyPlanner({ global: { distribution: 'percentiles', p50: 100, p90: 500, p99: 900, max: 1000 } });
+  assert.equal(percentiles.plan(get('/'), draws(0.5)).delayMs, 100);
+  assert.equal(percentiles.plan(get('/'), draws(0.7)).delayMs, 300);
+});
+
+test('profiles are replaced at runtime and reported on the response', async () => {
+  const mock = await startService();
+  try {
+    const invalid = await mock.request('PUT', '/__admin/latency', { body: { global: { distribution: 'gamma' } } });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error_type, 'validation_error');
+
+    const put = await mock.request('PUT', '/__admin/latency', {
+      body: { routes: [{ method: 'GET', path: '/api/slow/*', distribution: 'constant', value: 60 }] }
+    });
+    assert.equal(put.status, 200);
+    const start = Date.now();
+    const slow = await mock.request('GET', '/api/slow/1');
+    assert.ok(Date.now() - start >= 60);
+    assert.equal(slow.headers.get('x-mock-latency-ms'), '60');
+    assert.equal(slow.headers.get('x-mock-latency-distribution'), 'constant');
+    const [entry] = mock.logEntries('latency').slice(-1);
+    assert.equal(entry.delay_ms, 60);
+    assert.equal(entry.profile, 'route:GET /api/slow/*');
+
+    // X-Mock-Delay-Ms replaces the profile
+    const requested = await mock.request('GET', '/api/slow/2', { headers: { 'X-Mock-Delay-Ms': '5' } });
+    assert.equal(requested.headers.get('x-mock-latency-ms'), '5');
+
+    assert.equal((await mock.request('DELETE', '/__admin/latency')).status, 200);
+    assert.deepEqual((await mock.request('GET', '/__admin/latency')).body.latency, {});
+  } finally {
+    await mock.close();
+  }
+});
+
+test('MOCK_LATENCY_FILE loads profiles at startup', async () => {
+  const mock = await startService({ env: { MOCK_LATENCY_FILE: path.join(root, 'latency', 'production-like.yaml') } });
+  try {
+    const { latency } = (await mock.request('GET', '/health')).body;
+    assert.deepEqual(latency, { global: 'lognormal', jitter: 'uniform', route_profiles: 3 });
+  } finally {
+    await mock.close();
+  }
+});
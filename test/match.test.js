@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compilePathPattern, matchesSubset, matchesHeaders, matchesQuery, getByPath } = require('../lib/match');
+
+test('path patterns capture and decode named params', () => {
+  const match = compilePathPattern('/api/items/:sku');
+  assert.deepEqual(match('/api/items/AB-1'), { sku: 'AB-1' });
+  assert.deepEqual(match('/api/items/a%20b/'), { sku: 'a b' });
+  assert.equal(match('/api/items'), null);
+  assert.equal(match('/api/items/a/b'), null);
+});
+
+test('wildcards match the rest of the path', () => {
+  const match = compilePathPattern('/files/*');
+  assert.deepEqual(match('/files/a/b.txt'), { wildcard: 'a/b.txt' });
+  assert.deepEqual(match('/files/'), { wildcard: '' });
+});
+
+test('literal segments are not treated as regular expressions', () => {
+  const match = compilePathPattern('/v1.0/items');
+  assert.deepEqual(match('/v1.0/items'), {});
+  assert.equal(match('/v1x0/items'), null);
+});
+
+test('malformed percent-escapes never match', () => {
+  const match = compilePathPattern('/api/items/:sku');
+  assert.equal(match('/api/items/%E0%A4%A'), null);
+  assert.equal(match('/api/items/%'), null);
+});
+
+test('subset matching compares nested objects and whole arrays', () => {
+  assert.equal(matchesSubset({ a: 1, b: { c: 2, d: 3 } }, { b: { c: 2 } }), true);
+  assert.equal(matchesSubset({ a: [1, 2] }, { a: [1] }), false);
+  assert.equal(matchesSubset({ a: null }, { a: {} }), false);
+  assert.equal(matchesSubset('x', 'x'), true);
+});
+
+test('headers match case-insensitively by name, query values as strings', () => {
+  assert.equal(matchesHeaders({ 'x-tenant': 'a' }, { 'X-Tenant': 'a' }), true);
+  assert.equal(matchesHeaders({}, { 'X-Tenant': 'a' }), false);
+  assert.equal(matchesQuery({ page: '2' }, { page: 2 }), true);
+});
+
+test('getByPath reads dotted paths and stops at missing values', () => {
+  assert.equal(getByPath({ body: { item: { sku: 'A' } } }, 'body.item.sku'), 'A');
+  assert.equal(getByPath({ body: null }, 'body.item.sku'), undefined);
+});
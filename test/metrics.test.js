@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMetricsRegistry } = require('../lib/metrics');
+const { startService } = require('./helpers/service');
+
+test('the registry renders counters, histograms and gauges in the text format', () => {
+  const registry = createMetricsRegistry();
+  const requests = registry.counter('requests_total', 'Requests');
+  const duration = registry.histogram('duration_seconds', 'Duration', [0.1, 1]);
+  registry.gauge('queue_depth', 'Depth', () => [{ labels: {}, value: 3 }]);
+
+  requests.inc({ route: '/a', code: 200 });
+  requests.inc({ code: 200, route: '/a' }, 2);
+  requests.inc({ route: 'say "hi"\n' });
+  duration.observe({ route: '/a' }, 0.5);
+
+  assert.equal(registry.render(), [
+    '# HELP requests_total Requests',
+    '# TYPE requests_total counter',
+    'requests_total{route="/a",code="200"} 3',
+    'requests_total{route="say \\"hi\\"\\n"} 1',
+    '# HELP duration_seconds Duration',
+    '# TYPE duration_seconds histogram',
+    'duration_seconds_bucket{route="/a",le="0.1"} 0',
+    'duration_seconds_bucket{route="/a",le="1"} 1',
+    'duration_seconds_bucket{route="/a",le="+Inf"} 1',
+    'duration_seconds_sum{route="/a"} 0.5',
+    'duration_seconds_count{route="/a"} 1',
+    '# HELP queue_depth Depth',
+    '# TYPE queue_depth gauge',
+    'queue_depth 3',
+    ''
+  ].join('\n'));
+});
+
+test('/metrics counts requests by route, status and error type', async () => {
+  const mock = await startService();
+  try {
+    await mock.request('GET', '/api/items/123');
+    await mock.request('GET', '/api/items/456');
+    await mock.request('GET', '/api/items/7', { headers: { 'X-Mock-Force-Error-Type': 'timeout' } });
+    await mock.request('GET', '/metrics');
+
+    const { status, headers, body } = await mock.request('GET', '/metrics');
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /^text\/plain/);
+    assert.match(body, /^mock_http_requests_total\{method="GET",route="\/api\/items\/:id",status_code="200",error_type="none"\} 2$/m);
+    assert.match(body, /^mock_http_requests_total\{method="GET",route="\/api\/items\/:id",status_code="408",error_type="timeout"\} 1$/m);
+    assert.match(body, /^mock_http_request_duration_seconds_count\{method="GET",route="\/api\/items\/:id"\} 3$/m);
+    assert.match(body, /^mock_circuit_breaker_state\{state="CLOSED"\} 1$/m);
+    assert.match(body, /^mock_outage_active 0$/m);
+    // Scrapes are not counted, neither here nor on /health
+    assert.doesNotMatch(body, /route="\/metrics"/);
+    const health = await mock.request('GET', '/health');
+    assert.equal(health.body.service_metrics.total_requests, 4);
+  } finally {
+    await mock.close();
+  }
+});
+
+test('the metrics endpoint bypasses chaos', async () => {
+  const mock = await startService({ config: { serverErrorChance: 1, rateLimitMax: 1 } });
+  try {
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await mock.request('GET', '/metrics')).status, 200);
+    }
+  } finally {
+    await mock.close();
+  }
+});
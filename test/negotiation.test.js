@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { negotiateFormat, toProblem, render, responseFormats } = require('../lib/negotiation');
+const { startService } = require('./helpers/service');
+
+const formatOf = accept => {
+  const format = negotiateFormat(accept);
+  return format && format.contentType;
+};
+
+test('JSON wins unless XML or CSV is asked for without */*', () => {
+  assert.equal(formatOf(undefined), 'application/json; charset=utf-8');
+  assert.equal(formatOf('*/*'), 'application/json; charset=utf-8');
+  assert.equal(formatOf('text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'), 'application/json; charset=utf-8');
+  assert.equal(formatOf('application/xml, application/json'), 'application/json; charset=utf-8');
+  assert.equal(formatOf('application/*'), 'application/json; charset=utf-8');
+  assert.equal(formatOf('text/plain'), 'application/json; charset=utf-8');
+
+  assert.equal(formatOf('text/csv'), 'text/csv; charset=utf-8');
+  assert.equal(formatOf('text/xml'), 'text/xml; charset=utf-8');
+  assert.equal(formatOf('application/xml, application/json;q=0.5'), 'application/xml; charset=utf-8');
+  assert.equal(formatOf('application/json;q=0, text/csv'), 'text/csv; charset=utf-8');
+  assert.equal(formatOf('*/*, application/json;q=0'), 'application/xml; charset=utf-8');
+
+  assert.equal(negotiateFormat('application/json;q=0'), null);
+  assert.equal(negotiateFormat('text/plain, */*;q=0'), null);
+});
+
+test('bodies render as XML and CSV', () => {
+  const [, xml, csv] = responseFormats;
+  assert.equal(render(xml, { id: 1, tags: ['a'], 'bad key': null }),
+    '<?xml version="1.0" encoding="UTF-8"?>\n<response>\n  <id>1</id>\n  <tags>\n    <item>a</item>\n  </tags>\n  <field name="bad key"/>\n</response>\n');
+  assert.equal(render(csv, { total: 2, data: [{ sku: 'A', price: { amount: 1 } }, { sku: 'B,"x"' }] }),
+    'sku,price.amount\r\nA,1\r\n"B,""x""",\r\n');
+});
+
+test('problem documents keep the legacy fields as extensions', () => {
+  const problem = toProblem({ status: 'error', message: 'Too many requests', requestId: 'req_1', error_type: 'rate_limit', retry_after: 10 }, 429, 'urn:test:');
+  assert.deepEqual(problem, {
+    type: 'urn:test:rate_limit',
+    title: 'Rate limit exceeded',
+    status: 429,
+    detail: 'Too many requests',
+    instance: 'req_1',
+    error_type: 'rate_limit',
+    retry_after: 10
+  });
+});
+
+test('success bodies follow Accept and errors stay JSON', async () => {
+  const mock = await startService({ config: { rateLimitMax: 1000 } });
+  try {
+    const browser = await mock.request('GET', '/?name=format', { headers: { Accept: 'text/html,application/xml;q=0.9,*/*;q=0.8' } });
+    assert.equal(browser.body.message, 'Hello format!');
+    assert.equal(browser.headers.get('vary'), 'Accept');
+
+    const xml = await mock.request('GET', '/?name=format', { headers: { Accept: 'application/xml' } });
+    assert.match(xml.headers.get('content-type'), /^application\/xml/);
+    assert.match(xml.body, /<message>Hello format!<\/message>/);
+
+    const csv = await mock.request('GET', '/generate?count=2', { headers: { Accept: 'text/csv' } });
+    assert.match(csv.headers.get('content-type'), /^text\/csv/);
+    assert.equal(csv.body.trim().split('\r\n').length, 3);
+
+    const refused = await mock.request('GET', '/?name=format', { headers: { Accept: 'application/json;q=0' } });
+    assert.equal(refused.status, 406);
+    assert.equal(refused.body.error_type, 'not_acceptable');
+
+    const forced = await mock.request('GET', '/', { headers: { Accept: 'application/xml', 'X-Mock-Force-Status': '503' } });
+    assert.match(forced.headers.get('content-type'), /^application\/json/);
+    const problem = await mock.request('GET', '/', { headers: { Accept: 'application/problem+json', 'X-Mock-Force-Status': '503' } });
+    assert.match(problem.headers.get('content-type'), /^application\/problem\+json/);
+    assert.equal(problem.body.status, 503);
+  } finally {
+    await mock.close();
+  }
+});
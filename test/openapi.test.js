@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { startService } = require('./helpers/service');
+
+const root = path.join(__dirname, '..');
+
+let mock;
+
+test.before(async () => {
+  mock = await startService({
+    config: { rateLimitMax: 1000 },
+    env: { MOCK_OPENAPI_FILE: path.join(root, 'openapi', 'product-items.yaml') }
+  });
+});
+
+test.after(() => mock.close());
+
+test('operations are served under the server base path with their examples', async () => {
+  const { status, headers, body } = await mock.request('GET', '/v1/items/AB-12');
+  assert.equal(status, 200);
+  assert.equal(headers.get('x-mock-operation'), 'getItem');
+  assert.deepEqual(body, { sku: 'AB-12', name: 'Hydraulic pump', price: { amount: 249.95, currency: 'EUR' }, stock: 12 });
+  assert.equal((await mock.request('DELETE', '/v1/items/AB-12')).status, 204);
+});
+
+test('responses without an example are generated from the schema', async () => {
+  const { status, body } = await mock.request('GET', '/v1/items?limit=5&lang=nl');
+  assert.equal(status, 200);
+  assert.ok(Array.isArray(body.items));
+  assert.equal(body.items[0].sku, 'AB-12');
+  assert.ok(['EUR', 'GBP', 'USD'].includes(body.items[0].price.currency));
+  assert.equal(typeof body.total, 'number');
+});
+
+test('parameters are checked against their schemas', async () => {
+  const query = await mock.request('GET', '/v1/items?limit=500&lang=xx');
+  assert.equal(query.status, 400);
+  assert.equal(query.body.error_type, 'validation_error');
+  assert.equal(query.body.errors.length, 2);
+  assert.equal((await mock.request('GET', '/v1/items/lower-case')).status, 400);
+});
+
+test('request bodies are required and checked against the schema', async () => {
+  const missing = await mock.request('POST', '/v1/items');
+  assert.equal(missing.status, 400);
+  const invalid = await mock.request('POST', '/v1/items', { body: { sku: 'AB-1', price: { amount: -1 } } });
+  assert.equal(invalid.status, 422);
+  assert.ok(invalid.body.errors.length >= 2);
+  const created = await mock.request('POST', '/v1/items', { body: { sku: 'AB-1', name: 'Pump' } });
+  assert.equal(created.status, 201);
+});
+
+test('undeclared methods on known paths are a 405 with Allow', async () => {
+  const { status, headers } = await mock.request('PUT', '/v1/items/AB-12', { body: {} });
+  assert.equal(status, 405);
+  assert.match(headers.get('allow'), /GET/);
+  assert.match(headers.get('allow'), /DELETE/);
+});
+
+test('operations still go through chaos and show up on /health', async () => {
+  const forced = await mock.request('GET', '/v1/items/AB-12', { headers: { 'X-Mock-Force-Error-Type': 'server_error' } });
+  assert.equal(forced.status, 500);
+  const health = await mock.request('GET', '/health');
+  assert.equal(health.body.openapi.operations, 4);
+  const listed = await mock.request('GET', '/__admin/openapi');
+  assert.equal(listed.status, 200);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createPaginator, validatePaginationSettings } = require('../lib/pagination');
+const { startService } = require('./helpers/service');
+
+const listsFile = path.join(__dirname, '..', 'pagination', 'lists.yaml');
+
+// options.chance answers from the given set of pagination chaos names
+const options = (...chaos) => ({ chance: name => chaos.includes(name), cursorTtlMs: 60000 });
+const get = (paginator, url, requestOptions = options()) => {
+  const [pathname, search = ''] = url.split('?');
+  const req = { method: 'GET', path: pathname, query: Object.fromEntries(new URLSearchParams(search)) };
+  return paginator.handle(paginator.match(req), req, 'req_test', requestOptions);
+};
+const ids = page => page.body.data.map(item => Number(item.id));
+
+test('cursor pages follow each other without gaps', () => {
+  const paginator = createPaginator({ filePath: listsFile });
+  const first = get(paginator, '/api/feed/events?limit=3');
+  assert.deepEqual(ids(first), [1000, 999, 998]);
+  assert.equal(first.body.pagination.has_more, true);
+  const second = get(paginator, `/api/feed/events?limit=3&cursor=${first.body.pagination.next_cursor}`);
+  assert.deepEqual(ids(second), [997, 996, 995]);
+  assert.match(first.headers.Link, /rel="next"/);
+});
+
+test('cursors stay put when items arrive at the head, offsets shift', () => {
+  const paginator = createPaginator({ filePath: listsFile });
+  const first = get(paginator, '/api/feed/events?limit=3');
+  const shifted = get(paginator, `/api/feed/events?limit=3&cursor=${first.body.pagination.next_cursor}`, options('shift'));
+  assert.equal(shifted.chaos, 'shift');
+  assert.deepEqual(ids(shifted), [997, 996, 995]);
+
+  const offsetFirst = get(paginator, '/api/feed/users?offset=0&limit=2');
+  const offsetShifted = get(paginator, '/api/feed/users?offset=2&limit=2', options('shift'));
+  assert.equal(ids(offsetShifted)[0], ids(offsetFirst)[1]);
+});
+
+test('tampered, foreign and expired cursors are refused', () => {
+  const paginator = createPaginator({ filePath: listsFile });
+  const next = get(paginator, '/api/feed/events?limit=3').body.pagination.next_cursor;
+  const decoded = JSON.parse(Buffer.from(next, 'base64url').toString());
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+  const status = (url, requestOptions) => {
+    const result = get(paginator, url, requestOptions);
+    return `${result.status} ${result.body.error_type || ''}`.trim();
+  };
+  assert.equal(status('/api/feed/events?cursor=not-a-cursor'), '400 invalid_cursor');
+  assert.equal(status(`/api/feed/events?cursor=${encode({ ...decoded, p: '/api/feed/users' })}`), '400 invalid_cursor');
+  assert.equal(status(`/api/feed/events?cursor=${encode({ ...decoded, a: 'x' })}`), '400 invalid_cursor');
+  assert.equal(status(`/api/feed/events?cursor=${encode({ ...decoded, e: Date.now() - 1 })}`), '410 cursor_expired');
+  assert.equal(status(`/api/feed/events?cursor=${next}`, options('cursorExpiry')), '410 cursor_expired');
+  assert.equal(status(`/api/feed/events?cursor=${next}`), '200');
+});
+
+test('empty page chaos keeps the next link on the same position', () => {
+  const paginator = createPaginator({ filePath: listsFile });
+  const empty = get(paginator, '/api/feed/events?limit=3', options('emptyPage'));
+  assert.deepEqual(empty.body.data, []);
+  const retried = get(paginator, `/api/feed/events?limit=3&cursor=${empty.body.pagination.next_cursor}`);
+  assert.deepEqual(ids(retried), [1000, 999, 998]);
+});
+
+test('flaky pages fail once, then serve', () => {
+  const paginator = createPaginator({ filePath: listsFile });
+  assert.equal(get(paginator, '/api/feed/orders?page=2&pageSize=5', options('flakyPage')).status, 503);
+  assert.equal(get(paginator, '/api/feed/orders?page=2&pageSize=5', options('flakyPage')).status, 200);
+});
+
+test('settings are validated', () => {
+  assert.notDeepEqual(validatePaginationSettings({ lists: [{ path: 'users', size: -1, style: 'seek' }] }), []);
+});
+
+test('the example lists serve next to the example resources', async () => {
+  const mock = await startService({
+    env: { MOCK_PAGINATION_FILE: listsFile, MOCK_RESOURCES_FILE: path.join(__dirname, '..', 'resources', 'resources.yaml') },
+    config: { rateLimitMax: 1000 }
+  });
+  try {
+    const users = await mock.request('GET', '/api/users');
+    assert.equal(users.body.total, 3);
+    assert.equal(users.body.data[0].name, 'Alice');
+
+    const page = await mock.request('GET', '/api/feed/users?offset=0&limit=2&sort=id');
+    assert.equal(page.status, 200);
+    assert.deepEqual(ids(page), [137, 136]);
+    assert.equal(page.headers.get('x-total-count'), '137');
+    assert.match(page.headers.get('link'), /<\/api\/feed\/users\?offset=2&limit=2&sort=id>; rel="next"/);
+    assert.equal((await mock.request('GET', '/api/feed/users?limit=x')).body.error_type, 'invalid_pagination');
+  } finally {
+    await mock.close();
+  }
+});
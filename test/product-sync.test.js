@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { processProductBatch } = require('../lib/product-sync');
+const { startService } = require('./helpers/service');
+
+const noChaos = { enabled: false, failureChance: 0, rng: null };
+const batch = (body, options = {}) => processProductBatch(body, { requestId: 'req_1', maxBatchSize: 3, chaos: noChaos, ...options });
+
+test('a clean batch is a 200 with every item updated', () => {
+  const { status, body } = batch({ items: [{ sku: 'AB-1', price: 1.5, currency: 'EUR' }, { sku: 'AB-2', stock: 4 }] });
+  assert.equal(status, 200);
+  assert.equal(body.status, 'success');
+  assert.deepEqual(body.summary, { total: 2, succeeded: 2, failed: 0, retryable: 0, duplicates: 0 });
+  assert.deepEqual(body.results[0].updated_fields, ['price', 'currency']);
+  assert.equal(batch([{ sku: 'AB-3', attributes: { color: 'red' } }]).status, 200);
+});
+
+test('invalid and duplicate items fail on their own with a 207', () => {
+  const { status, body } = batch({ items: [{ sku: 'AB-1', price: -1 }, { sku: 'AB-2', stock: 1 }, { sku: 'AB-2', stock: 2 }] });
+  assert.equal(status, 207);
+  assert.equal(body.status, 'partial_success');
+  assert.deepEqual(body.results.map(result => result.error_type), ['validation_error', undefined, 'duplicate_sku']);
+  assert.deepEqual(body.results.map(result => result.http_status), [422, 200, 409]);
+  assert.equal(body.results[2].message, 'Duplicate of item at index 1 in this batch');
+  assert.deepEqual(body.summary, { total: 3, succeeded: 1, failed: 2, retryable: 0, duplicates: 1 });
+  assert.equal(batch([{ sku: 'no spaces', price: 1 }]).body.status, 'failed');
+});
+
+test('empty and oversized batches are rejected as a whole', () => {
+  assert.equal(batch({ items: [] }).status, 400);
+  assert.equal(batch('nope').body.error_type, 'validation_error');
+  const large = batch([1, 2, 3, 4].map(n => ({ sku: `S-${n}`, stock: n })));
+  assert.equal(large.status, 413);
+  assert.equal(large.body.error_type, 'batch_too_large');
+  assert.equal(large.body.max_batch_size, 3);
+});
+
+test('item failures are drawn from the chaos stream and retryable', () => {
+  const draws = [0.01, 0.5, 0.9, 0.01, 0.1];
+  const rng = { random: () => draws.shift() };
+  const { status, body } = batch([{ sku: 'A', stock: 1 }, { sku: 'B', stock: 1 }, { sku: 'C', stock: 1 }], {
+    chaos: { enabled: true, failureChance: 0.05, rng }
+  });
+  assert.equal(status, 207);
+  assert.deepEqual(body.results.map(result => result.error_type), ['item_unavailable', undefined, 'item_conflict']);
+  assert.equal(body.results[0].retryable, true);
+  assert.equal(body.results[2].retryable, true);
+  assert.equal(body.summary.retryable, 2);
+});
+
+test('the batch endpoint applies productBatchMaxSize and productItemFailureChance', async () => {
+  const mock = await startService({ config: { productBatchMaxSize: 2 } });
+  try {
+    const tooLarge = await mock.request('POST', '/api/product-items/batch', { body: [{ sku: 'A', stock: 1 }, { sku: 'B', stock: 1 }, { sku: 'C', stock: 1 }] });
+    assert.equal(tooLarge.status, 413);
+
+    await mock.request('PATCH', '/__admin/config', { body: { productItemFailureChance: 1 } });
+    const failing = await mock.request('POST', '/api/product-items/batch', { body: { items: [{ sku: 'A', stock: 1 }] } });
+    assert.equal(failing.status, 207);
+    assert.equal(failing.body.results[0].retryable, true);
+
+    const bypassed = await mock.request('POST', '/api/product-items/batch', {
+      headers: { 'X-Mock-Bypass-Chaos': 'true' },
+      body: { items: [{ sku: 'A', stock: 1 }] }
+    });
+    assert.equal(bypassed.status, 200);
+    assert.equal(mock.logEntries('product_batch').length, 2);
+  } finally {
+    await mock.close();
+  }
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mulberry32, hashSeed } = require('../lib/random');
+const { startService } = require('./helpers/service');
+
+const chaos = {
+  serverErrorChance: 0.2,
+  clientErrorChance: 0.1,
+  timeoutChance: 0.1,
+  circuitBreakerThreshold: 1000,
+  rateLimitMax: 1000
+};
+
+test('the same seed gives the same sequence', () => {
+  const first = mulberry32('run-1');
+  const second = mulberry32('run-1');
+  const values = Array.from({ length: 5 }, () => first());
+  assert.deepEqual(Array.from({ length: 5 }, () => second()), values);
+  assert.ok(values.every(value => value >= 0 && value < 1));
+  assert.notDeepEqual(Array.from({ length: 5 }, mulberry32('run-2')), values);
+  assert.equal(hashSeed('a'), hashSeed('a'));
+});
+
+async function statuses(mock, count, headers = {}) {
+  const result = [];
+  for (let i = 0; i < count; i++) {
+    result.push((await mock.request('GET', `/api/items/${i}`, { headers })).status);
+  }
+  return result;
+}
+
+test('MOCK_SEED replays the same statuses on a fresh instance', async () => {
+  const runs = [];
+  for (let i = 0; i < 2; i++) {
+    const mock = await startService({ config: chaos, env: { MOCK_SEED: 'replay-me' } });
+    try {
+      runs.push(await statuses(mock, 30));
+      const seed = await mock.request('GET', '/__admin/seed');
+      assert.equal(seed.body.seed, 'replay-me');
+      assert.equal(seed.body.seed_source, 'env');
+    } finally {
+      await mock.close();
+    }
+  }
+  assert.deepEqual(runs[0], runs[1]);
+  assert.ok(runs[0].some(status => status >= 400), 'the chaos config should produce some errors');
+});
+
+test('X-Mock-Seed scopes its own stream and is echoed on every response', async () => {
+  const mock = await startService({ config: chaos });
+  try {
+    const headers = { 'X-Mock-Seed': 'suite-a' };
+    const first = await statuses(mock, 20, headers);
+    const response = await mock.request('GET', '/api/items/x', { headers });
+    assert.equal(response.headers.get('x-mock-seed'), 'suite-a');
+    assert.equal(response.headers.get('x-mock-seed-request'), '21');
+
+    // Reseeding drops the header streams, so the same header starts over
+    await mock.request('POST', '/__admin/seed', { body: { seed: 'other' } });
+    assert.deepEqual(await statuses(mock, 20, headers), first);
+    const health = await mock.request('GET', '/health', { headers: { 'X-Mock-Bypass-Chaos': 'true' } });
+    assert.equal(health.body.randomness.seed, 'other');
+  } finally {
+    await mock.close();
+  }
+});
+
+test('invalid admin seeds are rejected', async () => {
+  const mock = await startService();
+  try {
+    const { status, body } = await mock.request('POST', '/__admin/seed', { body: { seed: { nested: true } } });
+    assert.equal(status, 400);
+    assert.equal(body.error_type, 'validation_error');
+  } finally {
+    await mock.close();
+  }
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRateLimiter, createSharedRateLimiter, validateRouteLimits, matchRouteLimit } = require('../lib/rate-limit');
+const { createMemoryStore, createFileStore } = require('../lib/state-store');
+const { startService } = require('./helpers/service');
+
+const limit = (algorithm, max = 3, windowMs = 1000) => ({ algorithm, max, windowMs });
+
+test('fixed window allows max requests, then resets with the window', () => {
+  const limiter = createRateLimiter();
+  const decisions = [0, 10, 20, 30].map(now => limiter.check('k', limit('fixed_window'), now));
+  assert.deepEqual(decisions.map(decision => decision.allowed), [true, true, true, false]);
+  assert.deepEqual(decisions.map(decision => decision.remaining), [2, 1, 0, 0]);
+  assert.equal(decisions[3].retryAfterMs, 970);
+  assert.equal(limiter.check('k', limit('fixed_window'), 1000).allowed, true);
+});
+
+test('sliding window weighs the previous window by its overlap', () => {
+  const limiter = createRateLimiter();
+  for (const now of [0, 1, 2]) limiter.check('k', limit('sliding_window'), now);
+  // Halfway into the next window the previous three count as 1.5
+  const half = limiter.check('k', limit('sliding_window'), 1500);
+  assert.equal(half.allowed, true);
+  const full = limiter.check('k', limit('sliding_window'), 1500);
+  assert.equal(full.allowed, false);
+  assert.ok(full.retryAfterMs > 0 && full.retryAfterMs <= 500);
+});
+
+test('token bucket refills at max per window', () => {
+  const limiter = createRateLimiter();
+  for (const now of [0, 0, 0]) assert.equal(limiter.check('k', limit('token_bucket'), now).allowed, true);
+  const empty = limiter.check('k', limit('token_bucket'), 0);
+  assert.equal(empty.allowed, false);
+  assert.equal(empty.retryAfterMs, 334);
+  assert.equal(limiter.check('k', limit('token_bucket'), 334).allowed, true);
+});
+
+test('changing the limit starts a key over', () => {
+  const limiter = createRateLimiter();
+  for (const now of [0, 1, 2]) limiter.check('k', limit('fixed_window'), now);
+  assert.equal(limiter.check('k', limit('fixed_window', 5), 3).allowed, true);
+});
+
+test('the in-memory limiter drops the least recently seen keys and idle keys', () => {
+  const limiter = createRateLimiter({ maxKeys: () => 2 });
+  limiter.check('a', limit('fixed_window'), 0);
+  limiter.check('b', limit('fixed_window'), 0);
+  limiter.check('a', limit('fixed_window'), 1);
+  limiter.check('c', limit('fixed_window'), 2);
+  assert.equal(limiter.size(), 2);
+  assert.equal(limiter.check('b', limit('fixed_window'), 3).remaining, 2);
+  assert.equal(limiter.evictIdle(5000, 10000), 2);
+});
+
+test('route limits are validated and matched by method and path', () => {
+  assert.deepEqual(validateRouteLimits([{ path: '/api/*', max: 5 }]), []);
+  assert.deepEqual(validateRouteLimits([{ path: 'api', max: 0, algorithm: 'leaky' }]), ['rateLimitRoutes[0].path must be a path starting with /']);
+  assert.equal(validateRouteLimits([{ path: '/a', max: 0, algorithm: 'leaky' }]).length, 2);
+  const routes = [{ method: 'post', path: '/api/items', max: 1 }, { path: '/api/*', max: 2 }];
+  assert.equal(matchRouteLimit(routes, { method: 'POST', path: '/api/items' }).index, 0);
+  assert.equal(matchRouteLimit(routes, { method: 'GET', path: '/api/items' }).index, 1);
+  assert.equal(matchRouteLimit(routes, { method: 'GET', path: '/health' }), null);
+});
+
+test('the shared limiter counts through the store', async () => {
+  const limiter = createSharedRateLimiter({ store: createMemoryStore(), keyTtlMs: windowMs => windowMs });
+  const decisions = [];
+  for (const now of [0, 1, 2, 3]) decisions.push(await limiter.check('k', limit('fixed_window'), now));
+  assert.deepEqual(decisions.map(decision => decision.allowed), [true, true, true, false]);
+  assert.equal(decisions[0].limit, 3);
+});
+
+test('instances sharing a file store never lose counts to concurrent updates', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mao-mock-rate-limit-'));
+  try {
+    const file = path.join(directory, 'state.json');
+    const instances = [createFileStore(file), createFileStore(file)]
+      .map(store => createSharedRateLimiter({ store, keyTtlMs: () => 60000 }));
+    const decisions = await Promise.all(Array.from({ length: 20 }, (unused, i) =>
+      instances[i % 2].check('k', limit('fixed_window', 15, 60000))));
+    assert.equal(decisions.filter(decision => decision.allowed).length, 15);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('responses carry the RateLimit headers and a 429 carries Retry-After', async () => {
+  const mock = await startService({ config: { rateLimitMax: 2, rateLimitWindowMs: 60000 } });
+  try {
+    const first = await mock.request('GET', '/api/items/1');
+    assert.equal(first.headers.get('ratelimit-limit'), '2');
+    assert.equal(first.headers.get('ratelimit-remaining'), '1');
+    await mock.request('GET', '/api/items/1');
+    const limited = await mock.request('GET', '/api/items/1');
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.error_type, 'rate_limit');
+    assert.equal(limited.headers.get('retry-after'), String(limited.body.retry_after));
+    assert.equal(limited.headers.get('ratelimit-remaining'), '0');
+  } finally {
+    await mock.close();
+  }
+});
+
+test('route limits are counted apart from the global limit', async () => {
+  const mock = await startService({ config: { rateLimitMax: 100, rateLimitRoutes: [{ method: 'POST', path: '/api/*', max: 1 }] } });
+  try {
+    assert.equal((await mock.request('POST', '/api/items', { body: {} })).status, 200);
+    assert.equal((await mock.request('POST', '/api/items', { body: {} })).status, 429);
+    assert.equal((await mock.request('GET', '/api/items')).headers.get('ratelimit-limit'), '100');
+  } finally {
+    await mock.close();
+  }
+});
+
+test('API keys are hashed before they become rate limit keys', async () => {
+  const mock = await startService({ config: { rateLimitKey: 'api_key', rateLimitMax: 1 } });
+  try {
+    const headers = { 'X-API-Key': 'very-secret-credential' };
+    await mock.request('GET', '/', { headers });
+    assert.equal((await mock.request('GET', '/', { headers })).status, 429);
+    assert.equal((await mock.request('GET', '/', { headers: { 'X-API-Key': 'another-credential' } })).status, 200);
+    const [entry] = mock.logEntries('rate_limit').slice(-1);
+    assert.match(entry.key, /^api_key:[0-9a-f]{16}$/);
+    assert.ok(!mock.logLines.some(line => line.includes('very-secret-credential')));
+  } finally {
+    await mock.close();
+  }
+});
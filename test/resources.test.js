@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { startService } = require('./helpers/service');
+
+const root = path.join(__dirname, '..');
+
+let mock;
+
+test.before(async () => {
+  mock = await startService({
+    config: { rateLimitMax: 1000 },
+    env: { MOCK_RESOURCES_FILE: path.join(root, 'resources', 'resources.yaml') }
+  });
+});
+
+test.after(() => mock.close());
+
+test.afterEach(() => mock.request('POST', '/__admin/resources/reset'));
+
+test('collections are seeded from their fixtures and filtered by query parameters', async () => {
+  const all = await mock.request('GET', '/api/users');
+  assert.equal(all.status, 200);
+  assert.equal(all.body.total, 3);
+  const active = await mock.request('GET', '/api/users?active=true');
+  assert.deepEqual(active.body.data.map(user => user.name), ['Alice', 'Bob']);
+  assert.equal((await mock.request('GET', '/api/orders?status=open')).body.data[0].item, 'laptop');
+});
+
+test('created entities get the next id, a Location and show up in the list', async () => {
+  const created = await mock.request('POST', '/api/users', { body: { name: 'Dave', active: false } });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.id, 125);
+  assert.equal(created.headers.get('location'), '/api/users/125');
+  assert.equal((await mock.request('GET', '/api/users/125')).body.name, 'Dave');
+  assert.deepEqual((await mock.request('GET', '/api/users?active=false')).body.data.map(user => user.name), ['Carol', 'Dave']);
+});
+
+test('PUT replaces, PATCH merges and DELETE removes', async () => {
+  const replaced = await mock.request('PUT', '/api/users/123', { body: { name: 'Robert' } });
+  assert.equal(replaced.status, 200);
+  assert.equal(replaced.body.email, undefined);
+
+  const patched = await mock.request('PATCH', '/api/users/1', { body: { active: false } });
+  assert.equal(patched.body.name, 'Alice');
+  assert.equal(patched.body.active, false);
+
+  assert.equal((await mock.request('DELETE', '/api/users/124')).status, 204);
+  const missing = await mock.request('GET', '/api/users/124');
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.error_type, 'not_found');
+});
+
+test('invalid bodies and methods are rejected', async () => {
+  const missing = await mock.request('POST', '/api/orders', { body: { item: 'bolt' } });
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.error_type, 'validation_error');
+  assert.ok(missing.body.errors.some(error => error.includes('qty')));
+
+  const wrongType = await mock.request('PATCH', '/api/orders/455', { body: { qty: 'two' } });
+  assert.equal(wrongType.status, 400);
+
+  const method = await mock.request('POST', '/api/users/1', { body: {} });
+  assert.equal(method.status, 405);
+  assert.ok(method.headers.get('allow'));
+});
+
+test('reset restores the fixtures, per collection or all of them', async () => {
+  await mock.request('DELETE', '/api/users/1');
+  await mock.request('DELETE', '/api/orders/455');
+  await mock.request('POST', '/__admin/resources/reset?collection=users');
+  assert.equal((await mock.request('GET', '/api/users')).body.total, 3);
+  assert.equal((await mock.request('GET', '/api/orders')).body.total, 1);
+  await mock.request('POST', '/__admin/resources/reset');
+  assert.equal((await mock.request('GET', '/api/orders')).body.total, 2);
+});
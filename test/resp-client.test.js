@@ -0,0 +1,192 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { createRespClient, encodeCommand, parseReply } = require('../lib/resp-client');
+const { createRedisStore } = require('../lib/state-store');
+
+const reply = text => parseReply(Buffer.from(text), 0);
+
+test('commands are encoded as arrays of bulk strings', () => {
+  assert.equal(encodeCommand(['SET', 'k', 'wörd', 5]).toString(), '*4\r\n$3\r\nSET\r\n$1\r\nk\r\n$5\r\nwörd\r\n$1\r\n5\r\n');
+});
+
+test('every reply type is parsed', () => {
+  assert.deepEqual(reply('+OK\r\n'), { value: 'OK', offset: 5 });
+  assert.equal(reply(':-42\r\n').value, -42);
+  assert.equal(reply('$-1\r\n').value, null);
+  assert.equal(reply('$5\r\nhe\r\no\r\n').value, 'he\r\no');
+  assert.deepEqual(reply('*3\r\n$1\r\na\r\n:1\r\n*-1\r\n').value, ['a', 1, null]);
+  const error = reply('-ERR wrong type\r\n').value;
+  assert.ok(error instanceof Error);
+  assert.equal(error.message, 'ERR wrong type');
+});
+
+test('incomplete replies wait for more data', () => {
+  assert.equal(reply('+OK'), null);
+  assert.equal(reply('$5\r\nab'), null);
+  assert.equal(reply('*2\r\n$1\r\na\r\n'), null);
+});
+
+test('several replies in one buffer are read in order', () => {
+  const buffer = Buffer.from('+OK\r\n:1\r\n');
+  const first = parseReply(buffer, 0);
+  assert.deepEqual(parseReply(buffer, first.offset), { value: 1, offset: buffer.length });
+});
+
+test('unknown reply types are rejected', () => {
+  assert.throws(() => reply('?x\r\n'), /Unexpected RESP reply type/);
+});
+
+// Just enough of Redis for the client and the store: strings, WATCH/MULTI/EXEC transactions and the handshake.
+// beforeExec(write, key) runs before a transaction, write(key, value) acts as another client.
+function startFakeRedis({ beforeExec } = {}) {
+  const data = new Map();
+  const versions = new Map(); // key -> writes so far, for WATCH
+  const commands = [];
+  const write = (key, value) => {
+    if (value === undefined) data.delete(key); else data.set(key, value);
+    versions.set(key, (versions.get(key) || 0) + 1);
+  };
+  const server = net.createServer(socket => {
+    const connection = { watched: new Map(), queue: null };
+    let buffer = Buffer.alloc(0);
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let parsed;
+      while ((parsed = parseReply(buffer, 0))) {
+        buffer = buffer.subarray(parsed.offset);
+        const [name, ...args] = parsed.value;
+        commands.push([name, ...args]);
+        socket.write(answer(connection, name.toUpperCase(), args));
+      }
+    });
+  });
+  const bulk = value => (value === undefined ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+  function execute(name, args) {
+    switch (name) {
+      case 'AUTH': return args[0] === 'secret' ? '+OK\r\n' : '-WRONGPASS invalid password\r\n';
+      case 'SELECT': return '+OK\r\n';
+      case 'GET': return bulk(data.get(args[0]));
+      case 'SET': write(args[0], args[1]); return '+OK\r\n';
+      case 'DEL': {
+        const existed = data.has(args[0]);
+        write(args[0], undefined);
+        return `:${existed ? 1 : 0}\r\n`;
+      }
+      default: return `-ERR unknown command '${name}'\r\n`;
+    }
+  }
+  function answer(connection, name, args) {
+    if (connection.queue && !['EXEC', 'DISCARD'].includes(name)) {
+      connection.queue.push([name, args]);
+      return '+QUEUED\r\n';
+    }
+    switch (name) {
+      case 'WATCH':
+        args.forEach(key => connection.watched.set(key, versions.get(key) || 0));
+        return '+OK\r\n';
+      case 'UNWATCH':
+        connection.watched.clear();
+        return '+OK\r\n';
+      case 'MULTI':
+        connection.queue = [];
+        return '+OK\r\n';
+      case 'EXEC': {
+        const queue = connection.queue;
+        const watched = [...connection.watched];
+        connection.queue = null;
+        connection.watched.clear();
+        if (beforeExec) watched.forEach(([key]) => beforeExec(write, key, data));
+        if (watched.some(([key, version]) => (versions.get(key) || 0) !== version)) return '*-1\r\n';
+        const replies = queue.map(([queuedName, queuedArgs]) => execute(queuedName, queuedArgs));
+        return `*${replies.length}\r\n${replies.join('')}`;
+      }
+      default: return execute(name, args);
+    }
+  }
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, data, commands, url: `redis://:secret@127.0.0.1:${server.address().port}/2` })));
+}
+
+test('the client authenticates, selects the database and pipelines commands', async () => {
+  const redis = await startFakeRedis();
+  const client = createRespClient(redis.url);
+  try {
+    const replies = await Promise.all([client.command('SET', 'a', '1'), client.command('GET', 'a'), client.command('GET', 'b')]);
+    assert.deepEqual(replies, ['OK', '1', null]);
+    assert.deepEqual(redis.commands.slice(0, 2), [['AUTH', 'secret'], ['SELECT', '2']]);
+    await assert.rejects(client.command('FLUSHALL'), /unknown command/);
+  } finally {
+    client.close();
+    redis.server.close();
+  }
+});
+
+test('connection failures reject the command', async () => {
+  const redis = await startFakeRedis();
+  const port = redis.server.address().port;
+  await new Promise(resolve => redis.server.close(resolve));
+  const client = createRespClient(`redis://127.0.0.1:${port}`);
+  await assert.rejects(client.command('GET', 'a'), /ECONNREFUSED/);
+});
+
+test('redis store updates retry when another instance wrote in between', async () => {
+  let interfere = 2;
+  const redis = await startFakeRedis({
+    beforeExec(write, key, data) {
+      if (interfere-- > 0) write(key, JSON.stringify(JSON.parse(data.get(key) || '0') + 10));
+    }
+  });
+  const store = createRedisStore(redis.url, { prefix: 'test:' });
+  try {
+    assert.equal(await store.update('count', value => (value || 0) + 1, 5000), 21);
+    assert.equal(await store.get('count'), 21);
+    assert.equal(redis.commands.filter(([name]) => name === 'EXEC').length, 3);
+    const sets = redis.commands.filter(([name]) => name === 'SET');
+    assert.deepEqual(sets.map(([, , value]) => value), ['1', '11', '21']);
+    assert.deepEqual(sets[2], ['SET', 'test:count', '21', 'PX', '5000']);
+    assert.ok(!redis.commands.some(([name]) => name === 'EVAL'));
+  } finally {
+    store.close();
+    redis.server.close();
+  }
+});
+
+test('concurrent redis store updates are applied one after the other', async () => {
+  const redis = await startFakeRedis();
+  const stores = [createRedisStore(redis.url), createRedisStore(redis.url)];
+  try {
+    await Promise.all(Array.from({ length: 20 }, (unused, i) => stores[i % 2].update('count', value => (value || 0) + 1)));
+    assert.equal(await stores[0].get('count'), 20);
+    // Plain commands on the store's main connection are never queued into a transaction
+    const [, get] = await Promise.all([stores[0].update('other', () => 1), stores[0].get('count')]);
+    assert.equal(get, 20);
+  } finally {
+    stores.forEach(store => store.close());
+    redis.server.close();
+  }
+});
+
+test('a failing mutation releases the watch and the next update still works', async () => {
+  const redis = await startFakeRedis();
+  const store = createRedisStore(redis.url);
+  try {
+    await assert.rejects(store.update('count', () => { throw new Error('boom'); }), /boom/);
+    assert.equal(await store.update('count', value => (value || 0) + 1), 1);
+    assert.ok(redis.commands.some(([name]) => name === 'UNWATCH'));
+  } finally {
+    store.close();
+    redis.server.close();
+  }
+});
+
+test('redis store updates give up under constant contention', async () => {
+  const redis = await startFakeRedis({ beforeExec: write => write('mao-mock:count', String(Math.random())) });
+  const store = createRedisStore(redis.url, { maxUpdateAttempts: 3 });
+  try {
+    await assert.rejects(store.update('count', value => value), /Too much contention/);
+    assert.match(store.describe().last_error, /Too much contention/);
+  } finally {
+    store.close();
+    redis.server.close();
+  }
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { startService } = require('./helpers/service');
+
+const root = path.join(__dirname, '..');
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+let mock;
+
+test.before(async () => {
+  mock = await startService({ config: { rateLimitMax: 1000 } });
+});
+
+test.after(() => mock.close());
+
+test.afterEach(() => mock.request('DELETE', '/__admin/scenario'));
+
+test('invalid definitions are rejected and start needs a loaded scenario', async () => {
+  const start = await mock.request('POST', '/__admin/scenario/start');
+  assert.equal(start.status, 409);
+  assert.equal(start.body.error_type, 'no_scenario');
+
+  const invalid = await mock.request('POST', '/__admin/scenario', {
+    body: { name: 'bad', loop: true, phases: [{ name: 'a', config: { baseSuccessRate: 3 } }] }
+  });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.error_type, 'validation_error');
+  assert.ok(invalid.body.errors.length >= 1);
+});
+
+test('phases apply their config and outages in order, then the scenario completes', async () => {
+  const loaded = await mock.request('POST', '/__admin/scenario', {
+    body: {
+      name: 'timeline',
+      phases: [
+        { name: 'down', duration: 150, outage: true },
+        { name: 'tight', duration: 150, config: { rateLimitMax: 1 } }
+      ]
+    }
+  });
+  assert.equal(loaded.body.scenario.state, 'loaded');
+  await mock.request('POST', '/__admin/scenario/start');
+
+  const down = await mock.request('GET', '/api/items/1');
+  assert.equal(down.status, 503);
+  assert.equal(down.body.error_type, 'service_unavailable');
+  assert.ok(down.body.retry_after >= 0);
+
+  await sleep(170);
+  assert.equal((await mock.request('GET', '/api/items/1')).status, 200);
+  assert.equal((await mock.request('GET', '/api/items/1')).status, 429);
+  const current = (await mock.request('GET', '/__admin/scenario')).body.scenario.current_phase;
+  assert.equal(current.name, 'tight');
+  assert.deepEqual(current.config, { rateLimitMax: 1 });
+
+  await sleep(170);
+  assert.notEqual((await mock.request('GET', '/api/items/2')).status, 503);
+  assert.equal((await mock.request('GET', '/__admin/scenario')).body.scenario.state, 'completed');
+  assert.deepEqual(mock.logEntries('scenario_phase').map(entry => entry.phase), ['down', 'tight']);
+  assert.equal(mock.logEntries('scenario_completed').length, 1);
+});
+
+test('looping scenarios start over after the last phase', async () => {
+  await mock.request('POST', '/__admin/scenario', {
+    body: { name: 'loop', loop: true, autoStart: true, phases: [{ name: 'a', duration: 50 }, { name: 'b', duration: 50 }] }
+  });
+  await sleep(120);
+  const { scenario } = (await mock.request('GET', '/__admin/scenario')).body;
+  assert.equal(scenario.state, 'running');
+  assert.equal(scenario.current_phase.name, 'a');
+  assert.equal(scenario.current_phase.iteration, 1);
+});
+
+test('metrics scrapes and status reads leave the scenario untouched', async () => {
+  const phases = mock.logEntries('scenario_phase').length;
+  const completions = mock.logEntries('scenario_completed').length;
+  await mock.request('POST', '/__admin/scenario', { body: { name: 'short', phases: [{ name: 'down', duration: 50, outage: true }] } });
+  await mock.request('POST', '/__admin/scenario/start');
+  assert.match((await mock.request('GET', '/metrics')).body, /^mock_outage_active 1$/m);
+  await sleep(80);
+  assert.match((await mock.request('GET', '/metrics')).body, /^mock_outage_active 0$/m);
+  assert.equal((await mock.request('GET', '/__admin/scenario')).body.scenario.state, 'completed');
+  assert.equal(mock.logEntries('scenario_phase').length, phases);
+  assert.equal(mock.logEntries('scenario_completed').length, completions);
+});
+
+test('MOCK_SCENARIO_FILE loads a scenario at startup', async () => {
+  const withFile = await startService({ env: { MOCK_SCENARIO_FILE: path.join(root, 'scenarios', 'brownout.json') } });
+  try {
+    const { scenario } = (await withFile.request('GET', '/__admin/scenario')).body;
+    assert.ok(scenario.phases.length > 1);
+    assert.ok(['loaded', 'running'].includes(scenario.state));
+  } finally {
+    await withFile.close();
+  }
+});
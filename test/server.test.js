@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http2 = require('http2');
+const path = require('path');
+const { execFile } = require('child_process');
+const { createMockService } = require('../mao.mock.service');
+const { parseBody } = require('../lib/server');
+const { startService } = require('./helpers/service');
+
+const root = path.join(__dirname, '..');
+
+function run(args, env = {}) {
+  return new Promise(resolve => {
+    execFile(process.execPath, args, { cwd: root, env: { ...process.env, ...env }, timeout: 10000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+test('requiring the module starts nothing, even with invalid MOCK_* files', async () => {
+  const result = await run(['-e', "require('./mao.mock.service'); console.log('loaded')"], { MOCK_STUBS_FILE: '/nonexistent/stubs.yaml' });
+  assert.equal(result.code, 0);
+  assert.equal(result.stdout, 'loaded\n');
+});
+
+test('instances keep their config and state apart', async () => {
+  const first = await startService();
+  const second = await startService();
+  try {
+    assert.equal((await first.request('PATCH', '/__admin/config', { body: { rateLimitMax: 7 } })).status, 200);
+    assert.equal((await first.request('GET', '/__admin/config')).body.config.rateLimitMax, 7);
+    assert.equal((await second.request('GET', '/__admin/config')).body.config.rateLimitMax, 50);
+    await first.request('GET', '/api/anything');
+    assert.equal((await second.request('GET', '/__admin/requests')).body.requests.length, 0);
+  } finally {
+    await first.close();
+    await second.close();
+  }
+});
+
+test('options.config and options.profile are validated', () => {
+  assert.throws(() => createMockService({ profile: 'chaotic' }), /Unknown profile "chaotic"/);
+  assert.throws(() => createMockService({ config: { baseSuccessRate: 2 } }), /Invalid config/);
+});
+
+test('listen refuses a second server and close frees the port', async () => {
+  const mock = await startService();
+  await assert.rejects(mock.service.listen({ port: 0 }), /already listening/);
+  await mock.close();
+  await assert.rejects(fetch(mock.url));
+});
+
+test('http2 serves h2c', async () => {
+  const service = createMockService({ profile: 'stable' });
+  const consoleLog = console.log;
+  console.log = () => {};
+  const { url, protocol } = await service.listen({ port: 0, http2: true });
+  try {
+    assert.equal(protocol, 'h2c');
+    const client = http2.connect(url);
+    const { status, body } = await new Promise((resolve, reject) => {
+      const stream = client.request({ ':path': '/?name=h2' });
+      let status;
+      let body = '';
+      stream.on('response', headers => { status = headers[':status']; });
+      stream.on('data', chunk => { body += chunk; });
+      stream.on('end', () => resolve({ status, body: JSON.parse(body) }));
+      stream.on('error', reject);
+    });
+    client.close();
+    assert.equal(status, 200);
+    assert.equal(body.message, 'Hello h2!');
+  } finally {
+    await service.close();
+    console.log = consoleLog;
+  }
+});
+
+test('request bodies are parsed like functions-framework does', () => {
+  assert.deepEqual(parseBody(Buffer.from('{"a":1}'), 'application/json; charset=utf-8'), { a: 1 });
+  assert.deepEqual(parseBody(Buffer.from(''), 'application/json'), {});
+  assert.deepEqual(parseBody(Buffer.from('a=1&a=2&b=x'), 'application/x-www-form-urlencoded'), { a: ['1', '2'], b: 'x' });
+  assert.equal(parseBody(Buffer.from('hi'), 'text/plain'), 'hi');
+  assert.ok(Buffer.isBuffer(parseBody(Buffer.from([1, 2]), 'application/octet-stream')));
+  assert.throws(() => parseBody(Buffer.from('{'), 'application/json'), SyntaxError);
+});
+
+test('the CLI reports bad options and invalid MOCK_* files through its usage error', async () => {
+  const port = await run(['bin/mao-mock.js', 'serve', '--port', '70000']);
+  assert.equal(port.code, 2);
+  assert.match(port.stderr, /^mao-mock: --port must be an integer between 0 and 65535/);
+
+  const stubs = await run(['bin/mao-mock.js', 'serve', '--port', '0'], { MOCK_STUBS_FILE: '/nonexistent/stubs.yaml' });
+  assert.equal(stubs.code, 2);
+  assert.match(stubs.stderr, /^mao-mock: ENOENT/);
+  assert.match(stubs.stderr, /Usage: mao-mock serve/);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startService } = require('./helpers/service');
+
+let mock;
+
+test.before(async () => {
+  mock = await startService({ config: { rateLimitMax: 1000 } });
+});
+
+test.after(() => mock.close());
+
+test.afterEach(() => mock.request('DELETE', '/__admin/sessions'));
+
+const listSessions = async () => (await mock.request('GET', '/__admin/sessions')).body.sessions.map(session => session.id);
+
+test('sessions keep their config and breaker apart', async () => {
+  const patched = await mock.request('PATCH', '/__admin/config', { headers: { 'X-Mock-Session': 'suite-a' }, body: { serverErrorChance: 1 } });
+  assert.equal(patched.body.session, 'suite-a');
+  assert.equal(mock.logEntries('session_created').slice(-1)[0].session, 'suite-a');
+
+  assert.equal((await mock.request('GET', '/api/a', { headers: { 'X-Mock-Session': 'suite-a' } })).status, 500);
+  assert.equal((await mock.request('GET', '/api/a', { headers: { 'X-Mock-Session': 'suite-b' } })).status, 200);
+  assert.equal((await mock.request('GET', '/api/a')).status, 200);
+  assert.equal((await mock.request('GET', '/__admin/config')).body.config.serverErrorChance, 0);
+
+  const { body } = await mock.request('GET', '/__admin/sessions/suite-a');
+  assert.equal(body.session.requests, 1);
+  assert.deepEqual((await listSessions()).sort(), ['default', 'suite-a', 'suite-b']);
+});
+
+test('reading a session config does not create the session', async () => {
+  const created = mock.logEntries('session_created').length;
+  const read = await mock.request('GET', '/__admin/config', { headers: { 'X-Mock-Session': 'never-used' } });
+  assert.equal(read.status, 200);
+  assert.equal(read.body.session, 'never-used');
+  assert.deepEqual(read.body.config, read.body.defaults);
+  assert.deepEqual(await listSessions(), ['default']);
+  assert.equal(mock.logEntries('session_created').length, created);
+  assert.equal((await mock.request('GET', '/__admin/sessions/never-used')).status, 404);
+});
+
+test('invalid session ids are a 400', async () => {
+  const header = await mock.request('GET', '/api/a', { headers: { 'X-Mock-Session': 'has space' } });
+  assert.equal(header.status, 400);
+  assert.equal(header.body.error_type, 'invalid_session');
+  assert.equal((await mock.request('GET', '/__admin/config', { headers: { 'X-Mock-Session': 'x'.repeat(65) } })).body.error_type, 'invalid_session');
+  assert.equal((await mock.request('GET', '/__admin/sessions/%E0%A4%A')).body.error_type, 'validation_error');
+  assert.equal((await mock.request('GET', '/__admin/sessions/unknown')).status, 404);
+  assert.equal((await mock.request('DELETE', '/__admin/sessions/default')).status, 400);
+});
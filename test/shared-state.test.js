@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startService } = require('./helpers/service');
+
+test('instances sharing a file store share the circuit breaker and rate limits', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mao-mock-shared-'));
+  const env = { MOCK_STATE_STORE: `file:${path.join(directory, 'state.json')}` };
+  const config = { circuitBreakerThreshold: 2, rateLimitMax: 5 };
+  const first = await startService({ env, config: { ...config, serverErrorChance: 1 } });
+  const second = await startService({ env, config });
+  try {
+    assert.equal((await first.request('GET', '/api/a')).status, 500);
+    assert.equal((await first.request('GET', '/api/a')).status, 500);
+    // State is pushed once a response has gone out
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const open = await second.request('GET', '/api/a');
+    assert.equal(open.status, 503);
+    assert.equal(open.body.error_type, 'circuit_breaker_open');
+    assert.ok(second.logEntries('shared_state').length >= 1);
+
+    const reset = await second.request('POST', '/reset-circuit-breaker', { headers: { 'X-Mock-Bypass-Chaos': 'true' } });
+    assert.equal(reset.status, 200);
+    // Three requests so far, the rate limit of 5 is counted across both instances
+    assert.equal((await first.request('GET', '/__admin/config')).status, 200);
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+      statuses.push((await second.request('GET', '/?name=shared')).status);
+    }
+    assert.deepEqual(statuses, [200, 200, 429]);
+    const health = await second.request('GET', '/health', { headers: { 'X-Mock-Bypass-Chaos': 'true' } });
+    assert.equal(health.body.state_store.backend, 'file');
+  } finally {
+    await first.close();
+    await second.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('an unreachable store leaves requests on the instance state', async () => {
+  const mock = await startService({ env: { MOCK_STATE_STORE: 'redis://127.0.0.1:1' } });
+  try {
+    assert.equal((await mock.request('GET', '/?name=offline')).status, 200);
+    assert.ok(mock.logEntries('state_store_error').length >= 1);
+    const { state_store: store } = (await mock.request('GET', '/health')).body;
+    assert.equal(store.connected, false);
+    assert.ok(store.last_error);
+  } finally {
+    await mock.close();
+  }
+});
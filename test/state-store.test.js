@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStateStore, createMemoryStore, createFileStore } = require('../lib/state-store');
+
+function withDirectory(fn) {
+  return async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mao-mock-state-'));
+    try {
+      await fn(directory);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  };
+}
+
+test('the memory store keeps values, lists and TTLs', async () => {
+  const store = createMemoryStore();
+  await store.set('a', { n: 1 });
+  await store.set('gone', 1, 1);
+  await new Promise(resolve => setTimeout(resolve, 5));
+  assert.deepEqual(await store.getMany(['a', 'gone', 'missing']), [{ n: 1 }, null, null]);
+  await store.pushList('list', [1, 2, 3], 2);
+  await store.pushList('list', [4], 2);
+  assert.deepEqual(await store.getList('list'), [3, 4]);
+  assert.equal(await store.update('count', value => (value || 0) + 1), 1);
+  assert.equal(await store.update('count', value => value + 1), 2);
+});
+
+test('file stores share values between instances', withDirectory(async directory => {
+  const file = path.join(directory, 'nested', 'state.json');
+  const first = createFileStore(file);
+  const second = createFileStore(file);
+  await first.set('a', 'one');
+  assert.equal(await second.get('a'), 'one');
+  await second.del('a');
+  assert.equal(await first.get('a'), null);
+  assert.equal(first.describe().last_error, null);
+}));
+
+test('file store updates are serialized by the lock', withDirectory(async directory => {
+  const file = path.join(directory, 'state.json');
+  const stores = [createFileStore(file), createFileStore(file), createFileStore(file)];
+  await Promise.all(Array.from({ length: 30 }, (unused, i) => stores[i % 3].update('count', value => (value || 0) + 1)));
+  await Promise.all(Array.from({ length: 9 }, (unused, i) => stores[i % 3].pushList('list', [i], 100)));
+  assert.equal(await stores[0].get('count'), 30);
+  assert.equal((await stores[1].getList('list')).length, 9);
+  assert.equal(fs.existsSync(`${file}.lock`), false);
+}));
+
+test('a stale lock left by a crashed writer is taken over', withDirectory(async directory => {
+  const file = path.join(directory, 'state.json');
+  fs.writeFileSync(`${file}.lock`, '');
+  const past = new Date(Date.now() - 60000);
+  fs.utimesSync(`${file}.lock`, past, past);
+  await createFileStore(file).set('a', 1);
+  assert.equal(await createFileStore(file).get('a'), 1);
+}));
+
+test('a held lock times out and is reported by describe', withDirectory(async directory => {
+  const file = path.join(directory, 'state.json');
+  fs.writeFileSync(`${file}.lock`, '');
+  const store = createFileStore(file, { lockTimeoutMs: 50 });
+  await assert.rejects(store.set('a', 1), /Timed out waiting/);
+  assert.match(store.describe().last_error, /Timed out waiting/);
+}));
+
+test('store specs select the backend', () => {
+  assert.equal(createStateStore().backend, 'memory');
+  assert.throws(() => createStateStore('mongodb://x'), /Unsupported state store/);
+});
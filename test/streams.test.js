@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { parseLastEventId } = require('../lib/streams');
+const { startService } = require('./helpers/service');
+
+let mock;
+
+test.before(async () => {
+  mock = await startService({ config: { rateLimitMax: 1000, streamEventIntervalMs: 10 } });
+});
+
+test.after(() => mock.close());
+
+// SSE events of a finished stream as [{ id, event, data }]
+async function readEvents(path, headers = {}) {
+  const response = await fetch(mock.url + path, { headers });
+  assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+  const text = await response.text();
+  return text.split('\n\n')
+    .map(block => Object.fromEntries(block.split('\n').filter(line => /^(id|event|data):/.test(line)).map(line => {
+      const index = line.indexOf(':');
+      return [line.slice(0, index), line.slice(index + 1).trim()];
+    })))
+    .filter(event => event.id)
+    .map(event => ({ ...event, id: Number(event.id), data: JSON.parse(event.data) }));
+}
+
+// WebSocket messages until the server closes, as { texts, closeCode }
+function readWebSocket(path) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(mock.url + path, {
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Version': '13',
+        'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64')
+      }
+    });
+    req.on('error', reject);
+    req.on('response', response => reject(new Error(`No upgrade: ${response.statusCode}`)));
+    req.on('upgrade', (response, socket, head) => {
+      const texts = [];
+      let buffer = head;
+      socket.on('data', chunk => {
+        buffer = Buffer.concat([buffer, chunk]);
+        // Server frames are unmasked and small enough for a 16-bit length
+        while (buffer.length >= 2) {
+          const short = buffer[1] & 0x7f;
+          const offset = short === 126 ? 4 : 2;
+          const length = short === 126 ? buffer.readUInt16BE(2) : short;
+          if (buffer.length < offset + length) break;
+          const opcode = buffer[0] & 0x0f;
+          const payload = buffer.subarray(offset, offset + length);
+          buffer = buffer.subarray(offset + length);
+          if (opcode === 0x1) texts.push(payload.toString('utf8'));
+          if (opcode === 0x8) {
+            socket.destroy();
+            resolve({ texts, closeCode: payload.readUInt16BE(0) });
+          }
+        }
+      });
+      socket.on('error', reject);
+    });
+    req.end();
+  });
+}
+
+test('Last-Event-ID values must be non-negative integers', () => {
+  assert.equal(parseLastEventId('42'), 42);
+  assert.equal(parseLastEventId(' 7 '), 7);
+  for (const value of [undefined, '', '-1', '1.5', 'abc', '1'.repeat(16)]) {
+    assert.equal(parseLastEventId(value), null, String(value));
+  }
+});
+
+test('SSE sends limit events with consecutive ids, then ends', async () => {
+  const events = await readEvents('/stream/products?limit=3');
+  assert.equal(events.length, 3);
+  assert.deepEqual(events.map(event => event.id - events[0].id), [0, 1, 2]);
+  for (const event of events) {
+    assert.equal(event.event, event.data.type);
+    assert.match(event.data.type, /^product\.(price|stock|status)_changed$/);
+    assert.equal(event.data.id, event.id);
+  }
+  assert.equal(mock.logEntries('stream_closed').slice(-1)[0].reason, 'limit');
+});
+
+test('a resumed stream replays the events after Last-Event-ID', async () => {
+  const first = await readEvents('/stream/products?limit=4');
+  const resumed = await readEvents('/stream/products?limit=2', { 'Last-Event-ID': String(first[1].id) });
+  assert.deepEqual(resumed.map(event => event.id), [first[2].id, first[3].id]);
+  const strip = ({ occurred_at: occurredAt, ...event }) => event;
+  assert.deepEqual(strip(resumed[0].data), strip(first[2].data));
+  const queried = await readEvents(`/stream/products?limit=1&lastEventId=${first[0].id}`);
+  assert.equal(queried[0].id, first[1].id);
+});
+
+test('WebSocket sends limit events as text messages and closes with 1000', async () => {
+  const { texts, closeCode } = await readWebSocket('/stream/products/ws?limit=2');
+  assert.equal(closeCode, 1000);
+  const events = texts.map(text => JSON.parse(text));
+  assert.equal(events.length, 2);
+  assert.equal(events[1].id, events[0].id + 1);
+
+  const plain = await mock.request('GET', '/stream/products/ws');
+  assert.equal(plain.status, 426);
+  assert.equal(plain.body.error_type, 'upgrade_required');
+});
+
+test('stream chaos is drawn per event', async () => {
+  await mock.request('PATCH', '/__admin/config', { body: { streamDuplicateChance: 1 } });
+  try {
+    // limit counts messages, so the duplicates count too
+    const events = await readEvents('/stream/products?limit=4');
+    assert.deepEqual(events.map(event => event.id - events[0].id), [0, 0, 1, 1]);
+    const { streams } = (await mock.request('GET', '/health')).body;
+    assert.ok(streams.faults.duplicate >= 2);
+  } finally {
+    await mock.request('POST', '/__admin/config/reset');
+  }
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startService } = require('./helpers/service');
+
+const root = path.join(__dirname, '..');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mao-stubs-'));
+const stubsFile = path.join(dir, 'stubs.yaml');
+
+let mock;
+
+test.before(async () => {
+  fs.copyFileSync(path.join(root, 'stubs', 'product-items.yaml'), stubsFile);
+  mock = await startService({ config: { rateLimitMax: 1000 }, env: { MOCK_STUBS_FILE: stubsFile } });
+});
+
+test.after(async () => {
+  await mock.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('stubs render their templates against the request', async () => {
+  const { status, headers, body } = await mock.request('GET', '/api/items/AB-12');
+  assert.equal(status, 200);
+  assert.equal(headers.get('x-mock-stub'), 'get-item');
+  assert.equal(headers.get('cache-control'), 'no-store');
+  assert.equal(body.sku, 'AB-12');
+  assert.equal(body.name, 'Mock item AB-12');
+  assert.equal(body.price, 12.5);
+  assert.match(body.requestId, /^req_/);
+});
+
+test('the first stub matching method, path and body wins', async () => {
+  const missing = await mock.request('PATCH', '/api/items/AB-12', { body: { price: null } });
+  assert.equal(missing.status, 422);
+  assert.equal(missing.body.message, 'price must not be null for AB-12');
+
+  const update = await mock.request('PUT', '/api/items/AB-12', { body: { price: 9.5, stock: 3 } });
+  assert.equal(update.status, 200);
+  assert.equal(update.headers.get('x-mock-stub'), 'update-item');
+  assert.equal(update.body.price, 9.5);
+  assert.equal(update.body.stock, 3);
+});
+
+test('query conditions must match', async () => {
+  const verbose = await mock.request('GET', '/api/catalogue/status?verbose=true');
+  assert.deepEqual(verbose.body, { status: 'ok', source: 'stub' });
+  const quiet = await mock.request('GET', '/api/catalogue/status');
+  assert.equal(quiet.headers.get('x-mock-stub'), null);
+});
+
+test('malformed percent-escapes in stub paths do not fail the request', async () => {
+  const response = await mock.request('GET', '/api/items/%E0%A4%A');
+  assert.ok(response.status < 500, `got ${response.status}`);
+  assert.equal(response.headers.get('x-mock-stub'), null);
+});
+
+test('reload picks up file changes and keeps the previous stubs when the file is broken', async () => {
+  fs.writeFileSync(stubsFile, 'stubs:\n  - id: only\n    request: { path: /only }\n    response: { status: 201, body: { ok: true } }\n');
+  const reloaded = await mock.request('POST', '/__admin/stubs/reload');
+  assert.equal(reloaded.status, 200);
+  assert.deepEqual(reloaded.body.stubs.stubs.map(stub => stub.id), ['only']);
+  assert.equal((await mock.request('GET', '/only')).status, 201);
+
+  fs.writeFileSync(stubsFile, 'stubs:\n  - id: broken\n    response: { status: 99 }\n');
+  const failed = await mock.request('POST', '/__admin/stubs/reload');
+  assert.equal(failed.status, 400);
+  assert.equal(failed.body.status, 'error');
+  assert.equal((await mock.request('GET', '/only')).status, 201);
+  assert.equal(mock.logEntries('stubs_reload_failed').length, 1);
+});
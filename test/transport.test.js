@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startService } = require('./helpers/service');
+
+let mock;
+
+test.before(async () => {
+  mock = await startService({ config: { rateLimitMax: 1000, transportHoldMs: 150, slowDripDurationMs: 150 } });
+});
+
+test.after(() => mock.close());
+
+// Raw exchange, with the fault forced when given: { error, status, headers, body, complete, elapsedMs }
+function exchange(fault, path = '/?name=transport') {
+  const start = Date.now();
+  return new Promise(resolve => {
+    const result = { error: null, status: null, headers: null, body: '', complete: false };
+    const done = () => resolve({ ...result, elapsedMs: Date.now() - start });
+    const req = http.get(`${mock.url}${path}`, { agent: false, headers: fault ? { 'X-Mock-Transport-Fault': fault } : {} }, res => {
+      result.status = res.statusCode;
+      result.headers = res.headers;
+      res.setEncoding('utf8');
+      res.on('data', chunk => { result.body += chunk; });
+      res.on('end', () => { result.complete = true; });
+      res.on('close', done);
+    });
+    req.on('error', error => {
+      result.error = error;
+      if (result.status === null) done();
+    });
+  });
+}
+
+test('connection_reset drops the socket before any response', async () => {
+  const { error, status } = await exchange('connection_reset');
+  assert.equal(status, null);
+  assert.ok(['ECONNRESET', 'ECONNREFUSED'].includes(error.code) || /socket hang up/.test(error.message), error.message);
+});
+
+test('hang sends nothing and closes the socket after transportHoldMs', async () => {
+  const { error, status, elapsedMs } = await exchange('hang');
+  assert.equal(status, null);
+  assert.ok(error);
+  assert.ok(elapsedMs >= 140, `closed after ${elapsedMs}ms`);
+});
+
+test('stall sends 200 headers and then no body', async () => {
+  const { status, headers, body, complete } = await exchange('stall');
+  assert.equal(status, 200);
+  assert.equal(headers['x-mock-transport-fault'], 'stall');
+  assert.equal(body, '');
+  assert.equal(complete, false);
+});
+
+test('truncated_body announces the full length and sends half of it', async () => {
+  const { status, headers, body, complete } = await exchange('truncated_body');
+  assert.equal(status, 200);
+  assert.equal(complete, false);
+  assert.equal(body.length, Math.floor(Number(headers['content-length']) / 2));
+});
+
+test('slow_drip sends the complete body over slowDripDurationMs', async () => {
+  const { status, body, complete, elapsedMs } = await exchange('slow_drip');
+  assert.equal(status, 200);
+  assert.equal(complete, true);
+  assert.equal(JSON.parse(body).message, 'Hello transport!');
+  assert.ok(elapsedMs >= 140, `dripped over ${elapsedMs}ms`);
+});
+
+test('faults are counted on /health, /metrics and in the journal', async () => {
+  await exchange('connection_reset', '/api/reset');
+  const health = await mock.request('GET', '/health');
+  assert.ok(health.body.service_metrics.transport_faults.connection_reset >= 1);
+  assert.match((await mock.request('GET', '/metrics')).body, /^mock_transport_faults_total\{fault="connection_reset",forced="true"\} \d+$/m);
+  const { body } = await mock.request('POST', '/__admin/requests/find', { body: { path: '/api/reset' } });
+  assert.equal(body.requests[0].response.status, null);
+  assert.equal(body.requests[0].response.error_type, 'connection_reset');
+  assert.ok(mock.logEntries('transport_fault').length >= 1);
+});
+
+test('random faults are drawn from the config chances', async () => {
+  await mock.request('PATCH', '/__admin/config', { body: { truncatedBodyChance: 1 } });
+  try {
+    const { headers, complete } = await exchange(null, '/?name=random');
+    assert.equal(headers['x-mock-transport-fault'], 'truncated_body');
+    assert.equal(complete, false);
+  } finally {
+    await mock.request('POST', '/__admin/config/reset');
+  }
+});